@@ -0,0 +1,124 @@
+/**
+ * A2A Agent Card Generator
+ * Builds the Agent-to-Agent discovery document (/.well-known/agent.json)
+ * from onboarding form state so self-hosted discovery matches the registration
+ */
+
+import CONSTANTS from '../core/constants.js';
+import FormDataTransformer from './FormDataTransformer.js';
+
+export const A2A_PROTOCOL_VERSION = '0.3.0';
+export const A2A_WELL_KNOWN_PATH = '/.well-known/agent.json';
+
+const WORKFLOW_EXAMPLES = {
+  [CONSTANTS.WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT]: (name) => [
+    `Check availability for ${name}`,
+    `Book ${name} and confirm the reservation`
+  ],
+  [CONSTANTS.WORKFLOW_PATTERNS.REQUEST_APPROVAL_PAYMENT]: (name) => [
+    `Request ${name}`,
+    `Check whether my ${name} request was approved`
+  ],
+  [CONSTANTS.WORKFLOW_PATTERNS.INSTANT_PURCHASE]: (name) => [
+    `Buy ${name} now`
+  ],
+  [CONSTANTS.WORKFLOW_PATTERNS.QUOTE_NEGOTIATION_CONTRACT]: (name) => [
+    `Get a quote for ${name}`,
+    `Negotiate the quote for ${name}`
+  ]
+};
+
+export default class A2AAgentCardGenerator {
+  constructor(transformer = new FormDataTransformer()) {
+    this.transformer = transformer;
+  }
+
+  /**
+   * Build a complete A2A agent card
+   * @param {Object} formState - Frontend form state
+   * @param {Object} options - { baseUrl: fallback service URL when no custom discovery URL is set }
+   * @returns {Object} - Agent card document
+   */
+  generateAgentCard(formState, options = {}) {
+    const { businessInfo, location, contact, services } = formState;
+    const apiLocation = this.transformer.transformLocation(location);
+    const apiContact = this.transformer.transformContactInfo(contact, businessInfo, apiLocation.country);
+
+    return {
+      protocolVersion: A2A_PROTOCOL_VERSION,
+      name: businessInfo.name,
+      description: businessInfo.description || `${businessInfo.name} on the BAIS platform`,
+      url: this.getAgentUrl(formState, options.baseUrl),
+      provider: {
+        organization: businessInfo.name,
+        url: businessInfo.website || undefined
+      },
+      version: '1.0.0',
+      capabilities: {
+        streaming: false,
+        pushNotifications: false,
+        stateTransitionHistory: true
+      },
+      defaultInputModes: ['application/json', 'text/plain'],
+      defaultOutputModes: ['application/json'],
+      skills: (services || []).map(service => this.buildSkill(service, businessInfo.currency)),
+      metadata: {
+        business_type: businessInfo.type,
+        location: apiLocation,
+        contact: {
+          email: apiContact.email,
+          phone: apiContact.phone,
+          business_hours: apiContact.business_hours
+        },
+        ap2_enabled: !!formState.ap2?.enabled
+      }
+    };
+  }
+
+  /**
+   * Build an A2A skill from a service
+   */
+  buildSkill(service, defaultCurrency) {
+    const apiService = this.transformer.transformService(service, undefined, defaultCurrency);
+    const examples = WORKFLOW_EXAMPLES[apiService.workflow_pattern];
+
+    return {
+      id: apiService.id,
+      name: apiService.name,
+      description: [
+        apiService.description,
+        CONSTANTS.WORKFLOW_PATTERN_DESCRIPTIONS[apiService.workflow_pattern]
+      ].filter(Boolean).join('. '),
+      tags: [apiService.category, apiService.workflow_pattern].filter(Boolean),
+      examples: examples ? examples(apiService.name || apiService.id) : [],
+      inputModes: ['application/json'],
+      outputModes: ['application/json']
+    };
+  }
+
+  /**
+   * Resolve the agent service URL
+   * Custom discovery URLs are served alongside the agent, so the card points at their base
+   */
+  getAgentUrl(formState, baseUrl) {
+    const a2a = formState.integration?.a2a;
+
+    if (a2a && !a2a.autoGenerate && a2a.discoveryUrl) {
+      const wellKnownIndex = a2a.discoveryUrl.indexOf(A2A_WELL_KNOWN_PATH);
+      if (wellKnownIndex !== -1) {
+        return a2a.discoveryUrl.substring(0, wellKnownIndex) || a2a.discoveryUrl;
+      }
+      return a2a.discoveryUrl;
+    }
+
+    const sanitizedBusinessName = this.transformer.sanitizeBusinessName(formState.businessInfo.name);
+    return baseUrl ? `${baseUrl}/a2a/${sanitizedBusinessName}` : undefined;
+  }
+
+  /**
+   * Serialize an agent card for publishing (undefined fields are dropped)
+   */
+  serialize(agentCard) {
+    return JSON.stringify(agentCard, null, 2);
+  }
+}
@@ -5,6 +5,12 @@
  */
 
 import CONSTANTS from '../core/constants.js';
+import { getMinorUnitDigits } from '../core/money.js';
+import { compareValues, describeComparison, isValueSet } from '../core/parameterRules.js';
+import { MINUTES_PER_DAY, findOverlappingHours, getRangeMinutes } from '../core/availabilitySchedule.js';
+import { LOCAL_TIME_STATUS, isValidTimezone, parseLocalDateTime, resolveLocalDateTime } from '../core/dateTime.js';
+import { getPostalCodeExample, isValidPostalCode } from '../core/postalCodes.js';
+import { getAddressFormat, getPhoneExample, isValidPhoneNumber } from '../core/countryFormats.js';
 
 export default class BAISFormValidator {
   constructor() {
@@ -21,8 +27,8 @@ export default class BAISFormValidator {
 
     this.validateBusinessInfo(formState.businessInfo);
     this.validateLocation(formState.location);
-    this.validateContact(formState.contact);
-    this.validateServices(formState.services);
+    this.validateContact(formState.contact, formState.location.country);
+    this.validateServices(formState.services, formState.businessInfo.currency, formState.location.timezone);
     this.validateIntegration(formState.integration);
     this.validateAP2Config(formState.ap2);
 
@@ -55,12 +61,18 @@ export default class BAISFormValidator {
     if (businessInfo.capacity && (!Number.isInteger(businessInfo.capacity) || businessInfo.capacity < 1)) {
       this.addError('Business capacity must be a positive integer');
     }
+
+    if (!Object.values(CONSTANTS.CURRENCIES).includes(businessInfo.currency)) {
+      this.addError('Please select a valid default currency');
+    }
   }
 
   /**
    * Validate location information
    */
   validateLocation(location) {
+    const addressFormat = getAddressFormat(location.country);
+
     if (!this.isRequiredString(location.address)) {
       this.addError('Address is required');
     }
@@ -69,14 +81,21 @@ export default class BAISFormValidator {
       this.addError('City is required');
     }
 
-    if (!this.isRequiredString(location.state)) {
-      this.addError('State/Province is required');
+    if (addressFormat.regionRequired && !this.isRequiredString(location.state)) {
+      this.addError(`${addressFormat.region} is required`);
     }
 
     if (!location.country || location.country.length !== 2) {
       this.addError('Please select a valid country');
     }
 
+    if (location.postalCode && !isValidPostalCode(location.postalCode, location.country)) {
+      const country = CONSTANTS.COUNTRIES.find(entry => entry.code === location.country);
+      const example = getPostalCodeExample(location.country);
+      this.addError(`${addressFormat.postalCode} is not valid for ${country ? country.name : 'the selected country'}` +
+        (example ? ` (e.g., ${example})` : ''));
+    }
+
     if (!this.isRequiredString(location.timezone)) {
       this.addError('Timezone is required');
     }
@@ -90,14 +109,16 @@ export default class BAISFormValidator {
 
   /**
    * Validate contact information
+   * @param {Object} contact - Contact form state
+   * @param {string} country - Business location country national phone numbers belong to
    */
-  validateContact(contact) {
+  validateContact(contact, country) {
     if (!this.isValidEmail(contact.email)) {
       this.addError('Please enter a valid email address');
     }
 
-    if (contact.phone && !this.isValidPhone(contact.phone)) {
-      this.addError('Please enter a valid phone number (e.g., +1-555-555-5555)');
+    if (contact.phone && !this.isValidPhone(contact.phone, country)) {
+      this.addError(`Please enter a valid phone number (e.g., ${getPhoneExample(country)})`);
     }
 
     if (contact.secondaryEmail && !this.isValidEmail(contact.secondaryEmail)) {
@@ -108,7 +129,7 @@ export default class BAISFormValidator {
   /**
    * Validate all services
    */
-  validateServices(services) {
+  validateServices(services, defaultCurrency = CONSTANTS.DEFAULT_VALUES.CURRENCY, timezone = CONSTANTS.DEFAULT_VALUES.TIMEZONE) {
     if (!services || services.length === 0) {
       this.addError('At least one service must be defined');
       return;
@@ -130,7 +151,10 @@ export default class BAISFormValidator {
       this.validateWorkflow(service.workflow, servicePrefix);
 
       // Validate parameters
-      this.validateParameters(service.parameters, servicePrefix);
+      this.validateParameters(service.parameters, servicePrefix, timezone);
+
+      // Validate that all pricing shares the service currency
+      this.validateServiceCurrency(service, servicePrefix, defaultCurrency);
 
       // Validate availability
       this.validateAvailability(service.availability, servicePrefix);
@@ -173,6 +197,49 @@ export default class BAISFormValidator {
     }
   }
 
+  /**
+   * Validate the service currency and that every priced parameter uses it
+   * with amounts the currency can represent (e.g., no fractional yen)
+   */
+  validateServiceCurrency(service, prefix, defaultCurrency) {
+    if (service.currency && !Object.values(CONSTANTS.CURRENCIES).includes(service.currency)) {
+      this.addError(`${prefix}: Please select a valid currency`);
+      return;
+    }
+
+    const currency = service.currency || defaultCurrency;
+    const digits = getMinorUnitDigits(currency);
+
+    (service.parameters || []).forEach((param, index) => {
+      if (!param.pricing) return;
+
+      const paramPrefix = `${prefix}, Parameter ${index + 1}`;
+      if (param.pricing.currency && param.pricing.currency !== currency) {
+        this.addError(`${paramPrefix}: Pricing is in ${param.pricing.currency} but the service is priced in ${currency}`);
+      }
+
+      const amounts = [
+        param.pricing.baseRate,
+        param.pricing.serviceFee,
+        param.pricing.minimumCharge,
+        ...(param.pricing.tiers || []).map(tier => tier.rate)
+      ];
+      if (amounts.some(amount => typeof amount === 'number' && !this.hasMinorUnitPrecision(amount, digits))) {
+        this.addError(digits === 0
+          ? `${paramPrefix}: ${currency} amounts must be whole numbers`
+          : `${paramPrefix}: ${currency} amounts allow at most ${digits} decimal places`);
+      }
+    });
+  }
+
+  /**
+   * Helper: Check that an amount has no more decimal places than the currency's minor unit
+   */
+  hasMinorUnitPrecision(amount, digits) {
+    const [mantissa, exponent = '0'] = String(amount).split('e');
+    return Number.isInteger(Number(`${mantissa}e${Number(exponent) + digits}`));
+  }
+
   /**
    * Validate workflow configuration
    */
@@ -191,9 +258,14 @@ export default class BAISFormValidator {
         this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_WORKFLOW_STEPS} workflow steps allowed`);
       }
 
+      const stepNames = new Set();
       workflow.steps.forEach((step, index) => {
         if (!this.isRequiredString(step.name)) {
           this.addError(`${prefix}, Step ${index + 1}: Step name is required`);
+        } else if (stepNames.has(step.name.trim())) {
+          this.addError(`${prefix}, Step ${index + 1}: Duplicate step name "${step.name.trim()}"`);
+        } else {
+          stepNames.add(step.name.trim());
         }
         if (step.timeoutMinutes && (step.timeoutMinutes < 1 || step.timeoutMinutes > 1440)) {
           this.addError(`${prefix}, Step ${index + 1}: Timeout must be between 1 and 1440 minutes`);
@@ -208,7 +280,7 @@ export default class BAISFormValidator {
   /**
    * Validate service parameters
    */
-  validateParameters(parameters, prefix) {
+  validateParameters(parameters, prefix, timezone = CONSTANTS.DEFAULT_VALUES.TIMEZONE) {
     if (!parameters || parameters.length === 0) {
       this.addError(`${prefix}: At least one parameter is required`);
       return;
@@ -244,13 +316,229 @@ export default class BAISFormValidator {
       // Validate constraints based on type
       this.validateParameterConstraints(param, paramPrefix);
 
+      // Validate date and time defaults
+      this.validateDateTimeDefault(param, paramPrefix, timezone);
+
+      // Validate array item / object property definitions
+      this.validateNestedSchema(param, paramPrefix, 1);
+
       // Validate pricing if provided
       if (param.pricing) {
-        this.validateParameterPricing(param.pricing, paramPrefix);
+        this.validateParameterPricing(param.pricing, paramPrefix, param.type);
       }
+
+      // Validate conditional and cross-parameter rules
+      this.validateParameterRules(param, paramPrefix, parameters);
     });
   }
 
+  /**
+   * Validate the item definition of an array or the properties of an object
+   * @param {number} depth - Nesting level of the definition (top-level parameters are 1)
+   */
+  validateNestedSchema(definition, prefix, depth) {
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.ARRAY && definition.items) {
+      this.validateChildParameter(definition.items, `${prefix}, Items`, depth + 1);
+    }
+
+    if (definition.type !== CONSTANTS.PARAMETER_TYPES.OBJECT || !definition.properties) {
+      return;
+    }
+
+    if (definition.properties.length > CONSTANTS.CONSTRAINTS.MAX_OBJECT_PROPERTIES) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_OBJECT_PROPERTIES} properties allowed`);
+    }
+
+    const propertyNames = new Set();
+    definition.properties.forEach((property, index) => {
+      const propertyPrefix = `${prefix}, Property ${index + 1}`;
+
+      if (!this.isValidString(property.name, CONSTANTS.VALIDATION_RULES.PARAMETER_NAME)) {
+        this.addError(`${propertyPrefix}: Property name is required (1-100 characters)`);
+      } else if (!CONSTANTS.VALIDATION_RULES.PARAMETER_NAME.PATTERN.test(property.name)) {
+        this.addError(`${propertyPrefix}: Property name must start with a letter and contain only lowercase letters, numbers, and underscores`);
+      } else if (propertyNames.has(property.name)) {
+        this.addError(`${propertyPrefix}: Property name "${property.name}" is already used`);
+      } else {
+        propertyNames.add(property.name);
+      }
+
+      this.validateChildParameter(property, propertyPrefix, depth + 1);
+    });
+  }
+
+  /**
+   * Validate an array item or object property definition
+   */
+  validateChildParameter(definition, prefix, depth) {
+    if (depth > CONSTANTS.CONSTRAINTS.MAX_PARAMETER_DEPTH) {
+      this.addError(`${prefix}: Parameters can be nested at most ${CONSTANTS.CONSTRAINTS.MAX_PARAMETER_DEPTH} levels deep`);
+      return;
+    }
+
+    if (!definition.type || !Object.values(CONSTANTS.PARAMETER_TYPES).includes(definition.type)) {
+      this.addError(`${prefix}: Please select a valid type`);
+    }
+
+    if (definition.description && definition.description.length > CONSTANTS.VALIDATION_RULES.PARAMETER_DESCRIPTION.MAX_LENGTH) {
+      this.addError(`${prefix}: Description must be no more than ${CONSTANTS.VALIDATION_RULES.PARAMETER_DESCRIPTION.MAX_LENGTH} characters`);
+    }
+
+    this.validateParameterConstraints(definition, prefix);
+    this.validateNestedSchema(definition, prefix, depth);
+  }
+
+  /**
+   * Validate a parameter's required-when / visible-when conditions and comparisons
+   */
+  validateParameterRules(param, prefix, parameters) {
+    if (param.required && param.requiredWhen) {
+      this.addError(`${prefix}: A parameter that is always required cannot also be conditionally required`);
+    }
+
+    this.validateCondition(param.requiredWhen, param, parameters, `${prefix}, Required when`);
+    this.validateCondition(param.visibleWhen, param, parameters, `${prefix}, Applies when`);
+
+    if (param.visibleWhen && this.hasVisibilityCycle(param, parameters)) {
+      this.addError(`${prefix}: Applies-when conditions form a cycle`);
+    }
+
+    const comparisons = param.comparisons || [];
+    if (comparisons.length > CONSTANTS.CONSTRAINTS.MAX_PARAMETER_COMPARISONS) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_PARAMETER_COMPARISONS} comparisons allowed`);
+    }
+
+    comparisons.forEach((comparison, index) => {
+      const comparisonPrefix = `${prefix}, Comparison ${index + 1}`;
+      const other = this.findReferencedParameter(comparison.parameter, param, parameters, comparisonPrefix);
+
+      if (!Object.values(CONSTANTS.COMPARISON_OPERATORS).includes(comparison.operator)) {
+        this.addError(`${comparisonPrefix}: Please select a valid comparison`);
+      }
+      if (!other) return;
+
+      if (!this.areComparableTypes(param.type, other.type)) {
+        this.addError(`${comparisonPrefix}: Cannot compare a ${param.type} parameter with a ${other.type} parameter`);
+      } else if (isValueSet(param.default) && isValueSet(other.default) &&
+                 !compareValues(param.default, other.default, comparison.operator)) {
+        this.addError(`${comparisonPrefix}: Default values break the rule "${describeComparison(param.name, comparison)}"`);
+      }
+    });
+  }
+
+  /**
+   * Validate a condition on another parameter
+   */
+  validateCondition(condition, param, parameters, prefix) {
+    if (!condition) return;
+
+    const other = this.findReferencedParameter(condition.parameter, param, parameters, prefix);
+    const operators = CONSTANTS.CONDITION_OPERATORS;
+
+    if (!Object.values(operators).includes(condition.operator)) {
+      this.addError(`${prefix}: Please select a valid condition`);
+      return;
+    }
+    if (!other || condition.operator === operators.IS_SET) return;
+
+    const isNumeric = other.type === CONSTANTS.PARAMETER_TYPES.INTEGER || other.type === CONSTANTS.PARAMETER_TYPES.NUMBER;
+    if ((condition.operator === operators.GREATER_THAN || condition.operator === operators.LESS_THAN) && !isNumeric) {
+      this.addError(`${prefix}: "Greater than" and "less than" only apply to number parameters`);
+    } else if (!isValueSet(condition.value)) {
+      this.addError(`${prefix}: A value to compare with is required`);
+    } else if (isNumeric ? typeof condition.value !== 'number' :
+               other.type === CONSTANTS.PARAMETER_TYPES.BOOLEAN ? typeof condition.value !== 'boolean' :
+               typeof condition.value !== 'string') {
+      this.addError(`${prefix}: Value must be a valid ${other.type}`);
+    }
+  }
+
+  /**
+   * Helper: Find the parameter a rule refers to, reporting unknown and self references
+   */
+  findReferencedParameter(name, param, parameters, prefix) {
+    if (!this.isRequiredString(name)) {
+      this.addError(`${prefix}: Please select a parameter`);
+      return null;
+    }
+    if (name === param.name) {
+      this.addError(`${prefix}: A parameter cannot refer to itself`);
+      return null;
+    }
+
+    const other = parameters.find(candidate => candidate.name === name);
+    if (!other) {
+      this.addError(`${prefix}: Unknown parameter "${name}"`);
+    }
+    return other || null;
+  }
+
+  /**
+   * Helper: Follow applies-when conditions and report whether they lead back to the parameter
+   */
+  hasVisibilityCycle(param, parameters) {
+    const visited = new Set([param.name]);
+    let current = param;
+
+    while (current && current.visibleWhen) {
+      if (visited.has(current.visibleWhen.parameter)) {
+        return current.visibleWhen.parameter === param.name;
+      }
+      visited.add(current.visibleWhen.parameter);
+      current = parameters.find(candidate => candidate.name === current.visibleWhen.parameter);
+    }
+
+    return false;
+  }
+
+  /**
+   * Helper: Whether values of two parameter types can be ordered against each other
+   */
+  areComparableTypes(type, otherType) {
+    const numeric = [CONSTANTS.PARAMETER_TYPES.INTEGER, CONSTANTS.PARAMETER_TYPES.NUMBER];
+    if (numeric.includes(type) && numeric.includes(otherType)) {
+      return true;
+    }
+    return type === otherType && [
+      CONSTANTS.PARAMETER_TYPES.STRING,
+      CONSTANTS.PARAMETER_TYPES.DATE,
+      CONSTANTS.PARAMETER_TYPES.DATETIME,
+      CONSTANTS.PARAMETER_TYPES.TIME
+    ].includes(type);
+  }
+
+  /**
+   * Validate a date, date/time or time default
+   * Date/times are local to the business location, so they must happen there exactly once
+   */
+  validateDateTimeDefault(param, prefix, timezone) {
+    const value = param.default;
+    if (value === undefined) return;
+
+    if (param.type === CONSTANTS.PARAMETER_TYPES.DATE && !this.isValidCalendarDate(value)) {
+      this.addError(`${prefix}: Default must be a valid YYYY-MM-DD date`);
+    }
+
+    if (param.type === CONSTANTS.PARAMETER_TYPES.TIME && !this.isValidTimeOfDay(value)) {
+      this.addError(`${prefix}: Default must be a valid HH:MM time`);
+    }
+
+    if (param.type !== CONSTANTS.PARAMETER_TYPES.DATETIME) return;
+
+    if (parseLocalDateTime(value) === null || !/T/.test(value)) {
+      this.addError(`${prefix}: Default must be a valid date and time`);
+      return;
+    }
+    if (!isValidTimezone(timezone)) return;
+
+    const { status } = resolveLocalDateTime(value, timezone);
+    if (status === LOCAL_TIME_STATUS.GAP) {
+      this.addError(`${prefix}: Default ${value} does not exist in ${timezone} (clocks skip it when daylight saving time starts)`);
+    } else if (status === LOCAL_TIME_STATUS.OVERLAP) {
+      this.addError(`${prefix}: Default ${value} happens twice in ${timezone} (clocks go back when daylight saving time ends); choose another time`);
+    }
+  }
+
   /**
    * Validate parameter constraints based on type
    */
@@ -286,7 +574,36 @@ export default class BAISFormValidator {
   /**
    * Validate parameter pricing configuration
    */
-  validateParameterPricing(pricing, prefix) {
+  validateParameterPricing(pricing, prefix, parameterType) {
+    const model = pricing.model || CONSTANTS.DEFAULT_VALUES.PRICING_MODEL;
+
+    if (!Object.values(CONSTANTS.PRICING_MODELS).includes(model)) {
+      this.addError(`${prefix}: Please select a valid pricing model`);
+    }
+
+    const isQuantityModel = model === CONSTANTS.PRICING_MODELS.PER_UNIT || model === CONSTANTS.PRICING_MODELS.TIERED;
+    if (isQuantityModel && parameterType &&
+        parameterType !== CONSTANTS.PARAMETER_TYPES.INTEGER && parameterType !== CONSTANTS.PARAMETER_TYPES.NUMBER) {
+      this.addError(`${prefix}: Per-unit and tiered pricing require a number or integer parameter (the quantity)`);
+    }
+
+    if (model === CONSTANTS.PRICING_MODELS.PER_UNIT && !this.isRequiredString(pricing.unit)) {
+      this.addError(`${prefix}: Unit is required for per-unit pricing (e.g., guest, night)`);
+    }
+
+    if (model === CONSTANTS.PRICING_MODELS.TIERED) {
+      this.validatePricingTiers(pricing, prefix);
+    }
+
+    this.validateTimeModifiers(pricing.timeModifiers || [], prefix);
+    this.validateSeasons(pricing.seasons || [], prefix);
+
+    if (pricing.minimumCharge !== undefined) {
+      if (typeof pricing.minimumCharge !== 'number' || pricing.minimumCharge < 0) {
+        this.addError(`${prefix}: Minimum charge must be a non-negative number`);
+      }
+    }
+
     if (pricing.baseRate !== undefined) {
       if (typeof pricing.baseRate !== 'number' || pricing.baseRate < 0) {
         this.addError(`${prefix}: Base rate must be a non-negative number`);
@@ -310,6 +627,125 @@ export default class BAISFormValidator {
     }
   }
 
+  /**
+   * Validate tiered pricing brackets
+   */
+  validatePricingTiers(pricing, prefix) {
+    const tiers = pricing.tiers || [];
+
+    if (!Object.values(CONSTANTS.TIER_MODES).includes(pricing.tierMode || CONSTANTS.DEFAULT_VALUES.TIER_MODE)) {
+      this.addError(`${prefix}: Please select a valid tier mode`);
+    }
+
+    if (tiers.length === 0) {
+      this.addError(`${prefix}: Tiered pricing needs at least one tier`);
+      return;
+    }
+
+    if (tiers.length > CONSTANTS.CONSTRAINTS.MAX_PRICING_TIERS) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_PRICING_TIERS} pricing tiers allowed`);
+    }
+
+    let previousUpTo = 0;
+    tiers.forEach((tier, index) => {
+      const tierPrefix = `${prefix}, Tier ${index + 1}`;
+      const isLast = index === tiers.length - 1;
+
+      if (typeof tier.rate !== 'number' || isNaN(tier.rate) || tier.rate < 0) {
+        this.addError(`${tierPrefix}: Rate must be a non-negative number`);
+      }
+
+      if (tier.upTo === null || tier.upTo === undefined) {
+        if (!isLast) {
+          this.addError(`${tierPrefix}: Only the last tier can be unlimited`);
+        }
+        return;
+      }
+
+      if (isLast) {
+        this.addError(`${tierPrefix}: The last tier must be unlimited (leave "Up to" empty)`);
+      }
+
+      if (typeof tier.upTo !== 'number' || isNaN(tier.upTo) || tier.upTo <= previousUpTo) {
+        this.addError(`${tierPrefix}: "Up to" quantities must increase from tier to tier`);
+      } else {
+        previousUpTo = tier.upTo;
+      }
+    });
+  }
+
+  /**
+   * Validate time-of-day / day-of-week multipliers
+   */
+  validateTimeModifiers(timeModifiers, prefix) {
+    if (timeModifiers.length > CONSTANTS.CONSTRAINTS.MAX_PRICING_RULES) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_PRICING_RULES} time-based rules allowed`);
+    }
+
+    timeModifiers.forEach((modifier, index) => {
+      const rulePrefix = `${prefix}, Time Rule ${index + 1}`;
+
+      if (!Array.isArray(modifier.days) || modifier.days.length === 0 ||
+          modifier.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        this.addError(`${rulePrefix}: Select at least one day of the week`);
+      }
+
+      if (!this.isValidTimeOfDay(modifier.startTime) || !this.isValidTimeOfDay(modifier.endTime)) {
+        this.addError(`${rulePrefix}: Start and end times must be in HH:MM format`);
+      } else if (modifier.startTime === modifier.endTime) {
+        this.addError(`${rulePrefix}: Start and end times must differ`);
+      }
+
+      this.validateMultiplier(modifier.multiplier, rulePrefix);
+    });
+  }
+
+  /**
+   * Validate seasonal multipliers
+   */
+  validateSeasons(seasons, prefix) {
+    if (seasons.length > CONSTANTS.CONSTRAINTS.MAX_PRICING_RULES) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_PRICING_RULES} seasons allowed`);
+    }
+
+    seasons.forEach((season, index) => {
+      const seasonPrefix = `${prefix}, Season ${index + 1}`;
+
+      if (!this.isRequiredString(season.name)) {
+        this.addError(`${seasonPrefix}: Season name is required`);
+      }
+
+      if (!this.isValidMonthDay(season.startDate) || !this.isValidMonthDay(season.endDate)) {
+        this.addError(`${seasonPrefix}: Start and end dates must be valid MM-DD dates`);
+      }
+
+      this.validateMultiplier(season.multiplier, seasonPrefix);
+    });
+  }
+
+  validateMultiplier(multiplier, prefix) {
+    if (typeof multiplier !== 'number' || isNaN(multiplier) || multiplier <= 0 || multiplier > 10) {
+      this.addError(`${prefix}: Multiplier must be greater than 0 and at most 10`);
+    }
+  }
+
+  /**
+   * Check a 24-hour HH:MM time
+   */
+  isValidTimeOfDay(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  }
+
+  /**
+   * Check a recurring MM-DD date (Feb 29 allowed)
+   */
+  isValidMonthDay(value) {
+    if (typeof value !== 'string' || !/^\d{2}-\d{2}$/.test(value)) return false;
+    const [month, day] = value.split('-').map(Number);
+    const daysInMonth = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+  }
+
   /**
    * Validate availability configuration
    */
@@ -336,6 +772,113 @@ export default class BAISFormValidator {
     if (availability.endpoint && !this.isValidURL(availability.endpoint)) {
       this.addError(`${prefix}: Availability endpoint must be a valid URL`);
     }
+
+    if (availability.schedule) {
+      this.validateSchedule(availability.schedule, availability.advanceBookingDays, prefix);
+    }
+  }
+
+  /**
+   * Validate a booking schedule
+   */
+  validateSchedule(schedule, advanceBookingDays, prefix) {
+    if (schedule.timezone && !CONSTANTS.TIMEZONES.includes(schedule.timezone)) {
+      this.addError(`${prefix}: Select a schedule timezone from the list`);
+    }
+
+    this.validateIntegerRange(schedule.slotDurationMinutes, CONSTANTS.VALIDATION_RULES.SLOT_DURATION_MINUTES,
+      `${prefix}: Slot length`, 'minutes');
+    this.validateIntegerRange(schedule.leadTimeMinutes, CONSTANTS.VALIDATION_RULES.LEAD_TIME_MINUTES,
+      `${prefix}: Minimum notice`, 'minutes');
+    this.validateIntegerRange(schedule.capacityPerSlot, CONSTANTS.VALIDATION_RULES.CAPACITY_PER_SLOT,
+      `${prefix}: Bookings per slot`, '');
+
+    if (Number.isInteger(schedule.leadTimeMinutes) && Number.isInteger(advanceBookingDays) &&
+        schedule.leadTimeMinutes >= advanceBookingDays * MINUTES_PER_DAY) {
+      this.addError(`${prefix}: Minimum notice must be shorter than the advance booking window`);
+    }
+
+    this.validateWeeklyHours(schedule.weeklyHours || [], schedule.slotDurationMinutes, prefix);
+    this.validateBlackoutDates(schedule.blackoutDates || [], prefix);
+  }
+
+  /**
+   * Check an integer against a MIN/MAX rule
+   */
+  validateIntegerRange(value, rule, label, unit) {
+    if (!Number.isInteger(value) || value < rule.MIN || value > rule.MAX) {
+      this.addError(`${label} must be a whole number between ${rule.MIN} and ${rule.MAX}${unit ? ` ${unit}` : ''}`);
+    }
+  }
+
+  /**
+   * Validate weekly opening hours
+   */
+  validateWeeklyHours(weeklyHours, slotDurationMinutes, prefix) {
+    if (weeklyHours.length === 0) {
+      this.addError(`${prefix}: Add opening hours to the schedule`);
+      return;
+    }
+
+    if (weeklyHours.length > CONSTANTS.CONSTRAINTS.MAX_OPENING_HOURS) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_OPENING_HOURS} sets of opening hours allowed`);
+    }
+
+    let allValid = true;
+    weeklyHours.forEach((range, index) => {
+      const rangePrefix = `${prefix}, Opening Hours ${index + 1}`;
+
+      if (!Array.isArray(range.days) || range.days.length === 0 ||
+          range.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        this.addError(`${rangePrefix}: Select at least one day of the week`);
+        allValid = false;
+      }
+
+      if (!this.isValidTimeOfDay(range.open) || !this.isValidTimeOfDay(range.close)) {
+        this.addError(`${rangePrefix}: Opening and closing times must be in HH:MM format`);
+        allValid = false;
+      } else if (range.open === range.close) {
+        this.addError(`${rangePrefix}: Opening and closing times must differ`);
+        allValid = false;
+      }
+    });
+
+    if (!allValid) return;
+
+    findOverlappingHours(weeklyHours).forEach(([first, second]) => {
+      this.addError(`${prefix}: Opening Hours ${first + 1} and ${second + 1} overlap`);
+    });
+
+    const longestRange = Math.max(...weeklyHours.map(range => getRangeMinutes(range.open, range.close)));
+    if (Number.isInteger(slotDurationMinutes) && slotDurationMinutes > longestRange) {
+      this.addError(`${prefix}: Slot length is longer than any opening hours, so no slot can be booked`);
+    }
+  }
+
+  /**
+   * Validate blackout (closed) date ranges
+   */
+  validateBlackoutDates(blackoutDates, prefix) {
+    if (blackoutDates.length > CONSTANTS.CONSTRAINTS.MAX_BLACKOUT_DATES) {
+      this.addError(`${prefix}: Maximum ${CONSTANTS.CONSTRAINTS.MAX_BLACKOUT_DATES} blackout dates allowed`);
+    }
+
+    blackoutDates.forEach((blackout, index) => {
+      const blackoutPrefix = `${prefix}, Blackout ${index + 1}`;
+
+      if (!this.isValidCalendarDate(blackout.startDate) || !this.isValidCalendarDate(blackout.endDate)) {
+        this.addError(`${blackoutPrefix}: Start and end dates must be valid YYYY-MM-DD dates`);
+      } else if (blackout.endDate < blackout.startDate) {
+        this.addError(`${blackoutPrefix}: End date must not be before the start date`);
+      }
+    });
+  }
+
+  /**
+   * Check a YYYY-MM-DD calendar date
+   */
+  isValidCalendarDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseLocalDateTime(value) !== null;
   }
 
   /**
@@ -509,9 +1052,9 @@ export default class BAISFormValidator {
   /**
    * Helper: Validate phone format
    */
-  isValidPhone(phone) {
+  isValidPhone(phone, country = CONSTANTS.DEFAULT_VALUES.COUNTRY) {
     if (!phone) return true; // Phone is optional
-    return CONSTANTS.VALIDATION_RULES.PHONE.PATTERN.test(phone);
+    return isValidPhoneNumber(phone, country);
   }
 
   /**
@@ -6,9 +6,47 @@
 
 import CONSTANTS from '../core/constants.js';
 import CONFIG from '../core/config.js';
+import { debounce, deepClone, escapeHTML, generateId } from '../core/utils.js';
+import { SchemaVersionError, StorageQuotaError, ValidationError } from '../core/errorHandler.js';
+import draftStore, { DRAFT_MESSAGES, DraftChannel } from '../core/draftStore.js';
+import { CURRENT_SCHEMA_VERSION } from '../core/schemaMigrations.js';
+import { FormHistory } from '../core/formHistory.js';
+import { loadSavedTemplates } from '../core/parameterLibrary.js';
+import { geocodeAddress, hasGeocodingProvider } from '../core/geocoding.js';
+import { getPostalCodeExample, normalizePostalCode } from '../core/postalCodes.js';
+import { formatPhoneNumber, getAddressFormat, getPhoneExample, toE164 } from '../core/countryFormats.js';
+import { SERVICE_TEMPLATES, createServiceFromTemplate, getServiceTemplate } from '../core/serviceTemplates.js';
 import BAISFormValidator from './BAISFormValidator.js';
 import FormDataTransformer from './FormDataTransformer.js';
 import ServiceConfigurator from './ServiceConfigurator.js';
+import MCPToolExporter from './MCPToolExporter.js';
+import A2AAgentCardGenerator from './A2AAgentCardGenerator.js';
+import OpenAPIExporter from './OpenAPIExporter.js';
+import RegistrationImporter from './RegistrationImporter.js';
+
+/**
+ * Typing pauses longer than this start a new undo step
+ */
+const HISTORY_TYPING_DELAY_MS = 500;
+
+/**
+ * Address lookups wait for a typing pause and a few characters
+ */
+const ADDRESS_LOOKUP_DELAY_MS = 300;
+const ADDRESS_LOOKUP_MIN_LENGTH = 3;
+
+/**
+ * Quiet period after the last change before the draft is saved
+ */
+const AUTOSAVE_DELAY_MS = 2000;
+
+/**
+ * Ways the open draft can clash with another tab
+ */
+const DRAFT_CONFLICTS = {
+  OPEN_ELSEWHERE: 'open_elsewhere',
+  CHANGED_ELSEWHERE: 'changed_elsewhere'
+};
 
 export default class BAISOnboardingForm {
   constructor(containerId) {
@@ -20,10 +58,38 @@ export default class BAISOnboardingForm {
 
     this.validator = new BAISFormValidator();
     this.transformer = new FormDataTransformer();
+    this.mcpExporter = new MCPToolExporter(this.transformer);
+    this.agentCardGenerator = new A2AAgentCardGenerator(this.transformer);
+    this.openAPIExporter = new OpenAPIExporter(this.transformer);
+    this.importer = new RegistrationImporter({
+      transformer: this.transformer,
+      validator: this.validator,
+      createDefaultState: () => this.initializeFormState(),
+      createEmptyService: () => this.createEmptyService()
+    });
+    this.importReport = null;
+    this.addressSuggestions = [];
+    this.addressLookupId = 0;
     this.serviceConfigurators = [];
+    this.lastPreviewedTools = null;
 
     this.formState = this.initializeFormState();
     this.isSubmitting = false;
+    this.history = new FormHistory();
+    this.historyTimer = null;
+    this.pendingHistoryLabel = null;
+
+    // Drafts: the one being edited ({ id, name, updatedAt } once saved) and its sync with other tabs
+    this.tabId = generateId();
+    this.currentDraft = null;
+    this.draftName = '';
+    this.draftStatus = '';
+    this.draftConflict = null;
+    this.isDraftPickerOpen = false;
+    this.drafts = [];
+    this.autosaveTimer = null;
+    this.pendingDraftSave = Promise.resolve();
+    this.draftChannel = new DraftChannel(this.tabId, (message) => this.handleDraftMessage(message));
 
     this.initialize();
   }
@@ -33,13 +99,15 @@ export default class BAISOnboardingForm {
    */
   initializeFormState() {
     return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       businessInfo: {
         name: '',
         type: '',
         description: '',
         website: '',
         establishedDate: '',
-        capacity: null
+        capacity: null,
+        currency: CONSTANTS.DEFAULT_VALUES.CURRENCY
       },
       location: {
         address: '',
@@ -60,7 +128,7 @@ export default class BAISOnboardingForm {
       integration: {
         mcp: { autoGenerate: true, endpoint: '' },
         a2a: { autoGenerate: true, discoveryUrl: '' },
-        webhooks: { autoGenerate: true, endpoint: '', events: [] }
+        webhooks: { autoGenerate: true, endpoint: '', events: [...CONSTANTS.DEFAULT_VALUES.WEBHOOK_EVENTS] }
       },
       ap2: {
         enabled: CONSTANTS.DEFAULT_VALUES.AP2_ENABLED,
@@ -79,6 +147,7 @@ export default class BAISOnboardingForm {
       id: '',
       description: '',
       category: '',
+      currency: '',
       workflow: {
         pattern: CONSTANTS.DEFAULT_VALUES.WORKFLOW_PATTERN,
         steps: []
@@ -88,7 +157,8 @@ export default class BAISOnboardingForm {
         realTime: CONSTANTS.DEFAULT_VALUES.REAL_TIME_AVAILABILITY,
         cacheTimeoutSeconds: CONSTANTS.DEFAULT_VALUES.CACHE_TIMEOUT_SECONDS,
         advanceBookingDays: CONSTANTS.DEFAULT_VALUES.ADVANCE_BOOKING_DAYS,
-        endpoint: ''
+        endpoint: '',
+        schedule: null
       },
       cancellationPolicy: {
         type: CONSTANTS.DEFAULT_VALUES.CANCELLATION_POLICY_TYPE,
@@ -116,6 +186,35 @@ export default class BAISOnboardingForm {
     this.render();
     this.attachEventListeners();
     this.initializeServiceConfigurators();
+    this.attachHistoryListeners();
+    this.history.reset(this.formState);
+    this.updateHistoryButtons();
+
+    window.addEventListener('pagehide', () => {
+      this.flushAutosave();
+      if (this.currentDraft) {
+        this.draftChannel.post(DRAFT_MESSAGES.CLOSED, this.currentDraft.id);
+      }
+    });
+
+    this.loadStoredData();
+  }
+
+  /**
+   * Load saved drafts and parameter templates from storage
+   * Saved drafts are offered before starting from scratch
+   */
+  async loadStoredData() {
+    const savedTemplates = await loadSavedTemplates();
+    if (savedTemplates.length > 0) {
+      this.serviceConfigurators.forEach(configurator => configurator.refreshTemplates());
+    }
+
+    await this.refreshDrafts();
+    if (this.drafts.length > 0 && !this.currentDraft) {
+      this.isDraftPickerOpen = true;
+      this.refreshDraftPanel();
+    }
   }
 
   /**
@@ -129,6 +228,10 @@ export default class BAISOnboardingForm {
           <p>Complete this form to register your business with the BAIS platform and enable AI agent interactions.</p>
         </div>
 
+        <div id="draft-panel" class="draft-panel">
+          ${this.renderDraftPanel()}
+        </div>
+
         <form id="bais-onboarding-form" novalidate>
           <!-- Validation Summary (hidden by default) -->
           <div id="validation-summary" class="validation-summary" style="display: none;">
@@ -136,6 +239,9 @@ export default class BAISOnboardingForm {
             <ul id="validation-errors-list"></ul>
           </div>
 
+          <!-- Import Existing Registration -->
+          ${this.renderImportSection()}
+
           <!-- Business Information -->
           ${this.renderBusinessInfo()}
 
@@ -156,9 +262,18 @@ export default class BAISOnboardingForm {
 
           <!-- Form Actions -->
           <div class="form-actions">
+            <button type="button" class="btn-secondary" id="undo-btn" aria-keyshortcuts="Control+Z" disabled>
+              Undo
+            </button>
+            <button type="button" class="btn-secondary" id="redo-btn" aria-keyshortcuts="Control+Shift+Z" disabled>
+              Redo
+            </button>
             <button type="button" class="btn-secondary" id="save-draft-btn">
               Save Draft
             </button>
+            <button type="button" class="btn-secondary" id="export-openapi-btn">
+              Export OpenAPI
+            </button>
             <button type="submit" class="btn-primary" id="submit-btn">
               Complete Registration
             </button>
@@ -183,6 +298,73 @@ export default class BAISOnboardingForm {
     `;
   }
 
+  /**
+   * Render import section for existing registration files
+   */
+  renderImportSection() {
+    return `
+      <div class="form-section collapsible-section">
+        <div class="collapsible-header">
+          <h2>Import Existing Registration</h2>
+          <span class="collapsible-icon">${this.importReport ? '▲' : '▼'}</span>
+        </div>
+        <div class="collapsible-content ${this.importReport ? 'active' : ''}">
+          <p class="section-description">
+            Load a BAIS registration file (JSON or YAML) to prefill this form. Imported values replace everything below.
+          </p>
+
+          <div class="form-group">
+            <label for="import-file">Registration File</label>
+            <input
+              type="file"
+              id="import-file"
+              accept=".json,.yaml,.yml,application/json,application/x-yaml,text/yaml">
+          </div>
+
+          <div class="form-group">
+            <label for="import-text">Or paste registration JSON/YAML</label>
+            <textarea
+              id="import-text"
+              rows="6"
+              placeholder="business_name: ..."></textarea>
+          </div>
+
+          <button type="button" class="btn-secondary" id="import-btn">
+            Import Registration
+          </button>
+
+          ${this.renderImportReport()}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the report of the last import
+   */
+  renderImportReport() {
+    if (!this.importReport) return '';
+
+    const { dropped, defaulted, normalized } = this.importReport;
+    const renderList = (title, paths) => paths.length === 0 ? '' : `
+      <h4>${title} (${paths.length})</h4>
+      <ul>${paths.map(path => `<li><code>${escapeHTML(path)}</code></li>`).join('')}</ul>
+    `;
+
+    return `
+      <div id="import-report" class="import-report">
+        <h3>Import Report</h3>
+        ${dropped.length + defaulted.length + normalized.length === 0
+          ? '<p>All fields were imported exactly as provided.</p>'
+          : `
+            ${renderList('Dropped (not supported by the form)', dropped)}
+            ${renderList('Defaulted (missing from the file)', defaulted)}
+            ${renderList('Normalized (value reformatted)', normalized)}
+          `}
+      </div>
+    `;
+  }
+
   /**
    * Render business information section
    */
@@ -202,7 +384,7 @@ export default class BAISOnboardingForm {
               name="business_name"
               class="business-info-input"
               data-field="name"
-              value="${this.formState.businessInfo.name}"
+              value="${escapeHTML(this.formState.businessInfo.name)}"
               required
               maxlength="255">
             <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.BUSINESS_NAME}</span>
@@ -239,7 +421,7 @@ export default class BAISOnboardingForm {
             class="business-info-input"
             data-field="description"
             maxlength="1000"
-            rows="4">${this.formState.businessInfo.description}</textarea>
+            rows="4">${escapeHTML(this.formState.businessInfo.description)}</textarea>
           <span class="char-count">${this.formState.businessInfo.description.length}/1000</span>
           <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.BUSINESS_DESCRIPTION}</span>
         </div>
@@ -256,7 +438,7 @@ export default class BAISOnboardingForm {
               class="business-info-input"
               data-field="website"
               placeholder="https://yourbusiness.com"
-              value="${this.formState.businessInfo.website}">
+              value="${escapeHTML(this.formState.businessInfo.website)}">
           </div>
 
           <div class="form-group">
@@ -272,22 +454,43 @@ export default class BAISOnboardingForm {
               min="1"
               step="1"
               placeholder="e.g., 50"
-              value="${this.formState.businessInfo.capacity || ''}">
+              value="${escapeHTML(this.formState.businessInfo.capacity || '')}">
             <span class="help-text">Maximum customers/guests at once</span>
           </div>
         </div>
 
-        <div class="form-group">
-          <label for="business-established">
-            Established Date (optional)
-          </label>
-          <input
-            type="date"
-            id="business-established"
-            name="business_established"
-            class="business-info-input"
-            data-field="establishedDate"
-            value="${this.formState.businessInfo.establishedDate}">
+        <div class="form-row">
+          <div class="form-group">
+            <label for="business-established">
+              Established Date (optional)
+            </label>
+            <input
+              type="date"
+              id="business-established"
+              name="business_established"
+              class="business-info-input"
+              data-field="establishedDate"
+              value="${escapeHTML(this.formState.businessInfo.establishedDate)}">
+          </div>
+
+          <div class="form-group">
+            <label for="business-currency">
+              Default Currency <span class="required">*</span>
+            </label>
+            <select
+              id="business-currency"
+              name="business_currency"
+              class="business-info-input"
+              data-field="currency"
+              required>
+              ${Object.values(CONSTANTS.CURRENCIES).map(code => `
+                <option value="${code}" ${this.formState.businessInfo.currency === code ? 'selected' : ''}>
+                  ${code}
+                </option>
+              `).join('')}
+            </select>
+            <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.DEFAULT_CURRENCY}</span>
+          </div>
         </div>
       </div>
     `;
@@ -297,6 +500,8 @@ export default class BAISOnboardingForm {
    * Render location information section
    */
   renderLocationInfo() {
+    const addressFormat = getAddressFormat(this.formState.location.country);
+
     return `
       <div class="form-section">
         <h2>Location Information</h2>
@@ -311,8 +516,14 @@ export default class BAISOnboardingForm {
             name="location_address"
             class="location-input"
             data-field="address"
-            value="${this.formState.location.address}"
+            value="${escapeHTML(this.formState.location.address)}"
+            ${hasGeocodingProvider() ? 'autocomplete="off" aria-controls="address-suggestions"' : ''}
             required>
+          ${hasGeocodingProvider() ? `
+            <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.ADDRESS_LOOKUP}</span>
+            <ul id="address-suggestions" class="address-suggestions" aria-live="polite"></ul>
+          ` : ''}
+          <div id="location-coordinates">${this.renderCoordinates()}</div>
         </div>
 
         <div class="form-row">
@@ -326,13 +537,13 @@ export default class BAISOnboardingForm {
               name="location_city"
               class="location-input"
               data-field="city"
-              value="${this.formState.location.city}"
+              value="${escapeHTML(this.formState.location.city)}"
               required>
           </div>
 
-          <div class="form-group">
+          <div class="form-group" id="location-state-group" ${addressFormat.region ? '' : 'hidden'}>
             <label for="location-state">
-              State/Province <span class="required">*</span>
+              ${this.renderFieldLabel(addressFormat.region || '', addressFormat.regionRequired)}
             </label>
             <input
               type="text"
@@ -340,13 +551,13 @@ export default class BAISOnboardingForm {
               name="location_state"
               class="location-input"
               data-field="state"
-              value="${this.formState.location.state}"
-              required>
+              value="${escapeHTML(this.formState.location.state)}"
+              ${addressFormat.regionRequired ? 'required' : ''}>
           </div>
 
           <div class="form-group">
             <label for="location-postal">
-              Postal Code (optional)
+              ${this.renderFieldLabel(addressFormat.postalCode, false)}
             </label>
             <input
               type="text"
@@ -354,7 +565,8 @@ export default class BAISOnboardingForm {
               name="location_postal"
               class="location-input"
               data-field="postalCode"
-              value="${this.formState.location.postalCode}">
+              placeholder="${getPostalCodeExample(this.formState.location.country)}"
+              value="${escapeHTML(this.formState.location.postalCode)}">
           </div>
         </div>
 
@@ -399,6 +611,47 @@ export default class BAISOnboardingForm {
     `;
   }
 
+  /**
+   * Render a field label with its required marker or optional note
+   */
+  renderFieldLabel(label, required) {
+    return required ? `${label} <span class="required">*</span>` : `${label} (optional)`;
+  }
+
+  /**
+   * Render the coordinates found for the address
+   */
+  renderCoordinates() {
+    const coordinates = this.formState.location.coordinates;
+    if (!coordinates) return '';
+
+    return `
+      <span class="help-text location-coordinates">
+        Coordinates: ${escapeHTML(coordinates.latitude)}, ${escapeHTML(coordinates.longitude)}
+        <button type="button" class="clear-coordinates-btn" id="clear-coordinates-btn" aria-label="Clear Coordinates">
+          Clear
+        </button>
+      </span>
+    `;
+  }
+
+  /**
+   * Render address lookup results
+   */
+  renderAddressSuggestions() {
+    return this.addressSuggestions.map((suggestion, index) => `
+      <li>
+        <button
+          type="button"
+          class="address-suggestion"
+          data-suggestion-index="${index}"
+          aria-label="Use Address">
+          ${escapeHTML(suggestion.label)}
+        </button>
+      </li>
+    `).join('');
+  }
+
   /**
    * Render contact information section
    */
@@ -418,7 +671,7 @@ export default class BAISOnboardingForm {
               name="contact_email"
               class="contact-input"
               data-field="email"
-              value="${this.formState.contact.email}"
+              value="${escapeHTML(this.formState.contact.email)}"
               required>
           </div>
 
@@ -432,8 +685,8 @@ export default class BAISOnboardingForm {
               name="contact_phone"
               class="contact-input"
               data-field="phone"
-              placeholder="+1-555-555-5555"
-              value="${this.formState.contact.phone}">
+              placeholder="${getPhoneExample(this.formState.location.country)}"
+              value="${escapeHTML(formatPhoneNumber(this.formState.contact.phone, this.formState.location.country))}">
           </div>
         </div>
 
@@ -447,7 +700,7 @@ export default class BAISOnboardingForm {
             name="contact_secondary_email"
             class="contact-input"
             data-field="secondaryEmail"
-            value="${this.formState.contact.secondaryEmail}">
+            value="${escapeHTML(this.formState.contact.secondaryEmail)}">
         </div>
 
         <div class="form-group">
@@ -461,7 +714,7 @@ export default class BAISOnboardingForm {
             class="contact-input"
             data-field="businessHours"
             placeholder="e.g., Mon-Fri 9AM-5PM"
-            value="${this.formState.contact.businessHours}">
+            value="${escapeHTML(this.formState.contact.businessHours)}">
         </div>
       </div>
     `;
@@ -480,9 +733,26 @@ export default class BAISOnboardingForm {
 
         <div id="services-container"></div>
 
-        <button type="button" class="add-service-btn" id="add-service-btn">
-          + Add Another Service
-        </button>
+        <div class="add-service-controls">
+          <div class="form-group">
+            <label for="service-template-select">New Service Template</label>
+            <select id="service-template-select">
+              <option value="">Blank service</option>
+              ${Object.entries(SERVICE_TEMPLATES).map(([businessType, templates]) => `
+                <optgroup label="${CONSTANTS.BUSINESS_TYPE_LABELS[businessType]}">
+                  ${templates.map(template => `
+                    <option value="${template.id}">${template.label}</option>
+                  `).join('')}
+                </optgroup>
+              `).join('')}
+            </select>
+            <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.SERVICE_TEMPLATE}</span>
+          </div>
+
+          <button type="button" class="add-service-btn" id="add-service-btn">
+            + Add Another Service
+          </button>
+        </div>
       </div>
     `;
   }
@@ -510,11 +780,11 @@ export default class BAISOnboardingForm {
                 <input
                   type="checkbox"
                   id="mcp-auto-generate"
-                  checked>
+                  ${this.formState.integration.mcp.autoGenerate ? 'checked' : ''}>
                 <span>Auto-generate MCP endpoint</span>
               </label>
             </div>
-            <div class="form-group mcp-manual" style="display: none;">
+            <div class="form-group mcp-manual" style="display: ${this.formState.integration.mcp.autoGenerate ? 'none' : 'block'};">
               <label for="mcp-endpoint">
                 MCP Endpoint URL
               </label>
@@ -522,9 +792,19 @@ export default class BAISOnboardingForm {
                 type="url"
                 id="mcp-endpoint"
                 placeholder="https://api.yourbusiness.com/mcp"
-                value="${this.formState.integration.mcp.endpoint}">
+                value="${escapeHTML(this.formState.integration.mcp.endpoint)}">
               <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.MCP_ENDPOINT}</span>
             </div>
+            <div class="form-group">
+              <button type="button" class="btn-secondary" id="mcp-preview-btn">
+                Preview MCP Tools
+              </button>
+              <span class="help-text">Shows the tool definitions agents will see for your services</span>
+            </div>
+            <div id="mcp-tools-preview" class="export-preview" style="display: none;">
+              <p id="mcp-tools-diff" class="export-preview-summary"></p>
+              <pre><code id="mcp-tools-json"></code></pre>
+            </div>
           </div>
 
           <!-- A2A Configuration -->
@@ -535,11 +815,11 @@ export default class BAISOnboardingForm {
                 <input
                   type="checkbox"
                   id="a2a-auto-generate"
-                  checked>
+                  ${this.formState.integration.a2a.autoGenerate ? 'checked' : ''}>
                 <span>Auto-generate A2A discovery URL</span>
               </label>
             </div>
-            <div class="form-group a2a-manual" style="display: none;">
+            <div class="form-group a2a-manual" style="display: ${this.formState.integration.a2a.autoGenerate ? 'none' : 'block'};">
               <label for="a2a-discovery-url">
                 A2A Discovery URL
               </label>
@@ -547,9 +827,23 @@ export default class BAISOnboardingForm {
                 type="url"
                 id="a2a-discovery-url"
                 placeholder="https://api.yourbusiness.com/.well-known/agent.json"
-                value="${this.formState.integration.a2a.discoveryUrl}">
+                value="${escapeHTML(this.formState.integration.a2a.discoveryUrl)}">
               <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.A2A_ENDPOINT}</span>
             </div>
+            <div class="form-group">
+              <button type="button" class="btn-secondary" id="a2a-preview-btn">
+                Preview Agent Card
+              </button>
+              <span class="help-text">Publish this file at /.well-known/agent.json if you host discovery yourself</span>
+            </div>
+            <div id="a2a-card-preview" class="export-preview" style="display: none;">
+              <div class="export-preview-actions">
+                <button type="button" class="btn-secondary" id="a2a-card-copy-btn">Copy</button>
+                <button type="button" class="btn-secondary" id="a2a-card-download-btn">Download agent.json</button>
+                <span class="export-preview-status" id="a2a-card-copy-status" aria-live="polite"></span>
+              </div>
+              <pre><code id="a2a-card-json"></code></pre>
+            </div>
           </div>
 
           <!-- Webhook Configuration -->
@@ -560,11 +854,11 @@ export default class BAISOnboardingForm {
                 <input
                   type="checkbox"
                   id="webhook-auto-generate"
-                  checked>
+                  ${this.formState.integration.webhooks.autoGenerate ? 'checked' : ''}>
                 <span>Auto-generate webhook endpoint</span>
               </label>
             </div>
-            <div class="form-group webhook-manual" style="display: none;">
+            <div class="form-group webhook-manual" style="display: ${this.formState.integration.webhooks.autoGenerate ? 'none' : 'block'};">
               <label for="webhook-endpoint">
                 Webhook Endpoint URL
               </label>
@@ -572,7 +866,7 @@ export default class BAISOnboardingForm {
                 type="url"
                 id="webhook-endpoint"
                 placeholder="https://api.yourbusiness.com/webhooks"
-                value="${this.formState.integration.webhooks.endpoint}">
+                value="${escapeHTML(this.formState.integration.webhooks.endpoint)}">
               <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.WEBHOOK_ENDPOINT}</span>
             </div>
             <div class="form-group">
@@ -584,7 +878,7 @@ export default class BAISOnboardingForm {
                       type="checkbox"
                       name="webhook-events"
                       value="${value}"
-                      ${['booking_confirmed', 'payment_processed', 'booking_cancelled'].includes(value) ? 'checked' : ''}>
+                      ${(this.formState.integration.webhooks.events || []).includes(value) ? 'checked' : ''}>
                     <span>${label}</span>
                   </label>
                 `).join('')}
@@ -641,7 +935,7 @@ export default class BAISOnboardingForm {
                 id="ap2-mandate-expiry"
                 min="1"
                 max="168"
-                value="${this.formState.ap2.mandateExpiryHours}">
+                value="${escapeHTML(this.formState.ap2.mandateExpiryHours)}">
               <span class="help-text">Payment mandate validity period (1-168 hours)</span>
             </div>
           </div>
@@ -657,14 +951,38 @@ export default class BAISOnboardingForm {
     // Business info inputs
     this.attachInputListeners('.business-info-input', 'businessInfo');
 
+    // Services priced in the business default follow it
+    document.getElementById('business-currency')?.addEventListener('change', (e) => {
+      this.serviceConfigurators.forEach(configurator => configurator.setDefaultCurrency(e.target.value));
+    });
+
+    // Parameter libraries follow the business type
+    document.getElementById('business-type')?.addEventListener('change', (e) => {
+      this.serviceConfigurators.forEach(configurator => configurator.setBusinessType(e.target.value));
+    });
+
     // Location inputs
     this.attachInputListeners('.location-input', 'location');
 
+    // Schedules without their own timezone follow the location
+    document.getElementById('location-timezone')?.addEventListener('change', (e) => {
+      this.serviceConfigurators.forEach(configurator => configurator.setLocationTimezone(e.target.value));
+    });
+
+    this.attachLocationLookupListeners();
+
     // Contact inputs
     this.attachInputListeners('.contact-input', 'contact');
 
     // Add service button
-    document.getElementById('add-service-btn')?.addEventListener('click', () => this.addService());
+    document.getElementById('add-service-btn')?.addEventListener('click', () => {
+      this.addService(document.getElementById('service-template-select')?.value);
+    });
+
+    // Import registration
+    document.getElementById('import-btn')?.addEventListener('click', () => {
+      this.handleImport();
+    });
 
     // Integration checkboxes
     document.getElementById('mcp-auto-generate')?.addEventListener('change', (e) => {
@@ -679,6 +997,24 @@ export default class BAISOnboardingForm {
       this.handleIntegrationAutoGenerate('webhook', e.target.checked);
     });
 
+    // MCP tool preview
+    document.getElementById('mcp-preview-btn')?.addEventListener('click', () => {
+      this.showMCPToolsPreview();
+    });
+
+    // A2A agent card preview
+    document.getElementById('a2a-preview-btn')?.addEventListener('click', () => {
+      this.showAgentCardPreview();
+    });
+
+    document.getElementById('a2a-card-copy-btn')?.addEventListener('click', () => {
+      this.copyAgentCard();
+    });
+
+    document.getElementById('a2a-card-download-btn')?.addEventListener('click', () => {
+      this.downloadFile('agent.json', this.generateAgentCardJSON(), 'application/json');
+    });
+
     // Integration manual inputs
     document.getElementById('mcp-endpoint')?.addEventListener('input', (e) => {
       this.formState.integration.mcp.endpoint = e.target.value;
@@ -729,10 +1065,177 @@ export default class BAISOnboardingForm {
       this.handleSubmit();
     });
 
+    // Drafts
+    this.attachDraftListeners();
+
+    // Undo / redo
+    document.getElementById('undo-btn')?.addEventListener('click', () => this.undo());
+    document.getElementById('redo-btn')?.addEventListener('click', () => this.redo());
+
     // Save draft
     document.getElementById('save-draft-btn')?.addEventListener('click', () => {
       this.saveDraft();
     });
+
+    // Export OpenAPI from the current draft
+    document.getElementById('export-openapi-btn')?.addEventListener('click', () => {
+      this.downloadOpenAPIDocument();
+    });
+  }
+
+  /**
+   * Address lookup (when a geocoding provider is set), coordinates and postal code formatting
+   */
+  attachLocationLookupListeners() {
+    if (hasGeocodingProvider()) {
+      const lookup = debounce((query) => this.lookupAddress(query), ADDRESS_LOOKUP_DELAY_MS);
+
+      document.getElementById('location-address')?.addEventListener('input', (e) => {
+        lookup(e.target.value);
+      });
+    }
+
+    document.getElementById('address-suggestions')?.addEventListener('click', (e) => {
+      const button = e.target.closest('.address-suggestion');
+      if (button) {
+        this.applyAddressSuggestion(this.addressSuggestions[parseInt(button.dataset.suggestionIndex)]);
+      }
+    });
+
+    document.getElementById('location-coordinates')?.addEventListener('click', (e) => {
+      if (e.target.closest('#clear-coordinates-btn')) {
+        this.formState.location.coordinates = null;
+        this.updateCoordinates();
+      }
+    });
+
+    // Postal codes are shown in the country's standard form once entered
+    document.getElementById('location-postal')?.addEventListener('change', (e) => {
+      const postalCode = normalizePostalCode(e.target.value, this.formState.location.country);
+      if (postalCode) {
+        e.target.value = postalCode;
+        this.formState.location.postalCode = postalCode;
+      }
+    });
+
+    document.getElementById('location-country')?.addEventListener('change', () => {
+      this.updateCountryFields();
+    });
+
+    // Phone numbers are kept in E.164 and shown as written in the location's country
+    document.getElementById('contact-phone')?.addEventListener('change', (e) => {
+      const phone = toE164(e.target.value, this.formState.location.country);
+      if (phone) {
+        this.formState.contact.phone = phone;
+        e.target.value = formatPhoneNumber(phone, this.formState.location.country);
+      }
+    });
+  }
+
+  /**
+   * Match the region, postal code and phone fields to the location's country
+   */
+  updateCountryFields() {
+    const country = this.formState.location.country;
+    const addressFormat = getAddressFormat(country);
+
+    const stateGroup = document.getElementById('location-state-group');
+    if (stateGroup) {
+      stateGroup.hidden = !addressFormat.region;
+      stateGroup.querySelector('label').innerHTML = this.renderFieldLabel(addressFormat.region || '', addressFormat.regionRequired);
+      stateGroup.querySelector('input').required = addressFormat.regionRequired;
+    }
+
+    const postalInput = document.getElementById('location-postal');
+    if (postalInput) {
+      postalInput.placeholder = getPostalCodeExample(country);
+      postalInput.closest('.form-group').querySelector('label').innerHTML = this.renderFieldLabel(addressFormat.postalCode, false);
+    }
+
+    const phoneInput = document.getElementById('contact-phone');
+    if (phoneInput) {
+      phoneInput.placeholder = getPhoneExample(country);
+      phoneInput.value = formatPhoneNumber(this.formState.contact.phone, country);
+    }
+  }
+
+  /**
+   * Look up an address and list the places found
+   * Results of a lookup overtaken by a newer one are dropped
+   */
+  async lookupAddress(query) {
+    const lookupId = ++this.addressLookupId;
+
+    let suggestions = [];
+    if (query.trim().length >= ADDRESS_LOOKUP_MIN_LENGTH) {
+      try {
+        suggestions = await geocodeAddress(query, { country: this.formState.location.country });
+      } catch (error) {
+        console.error('Address lookup failed:', error);
+      }
+    }
+
+    if (lookupId !== this.addressLookupId) return;
+    this.addressSuggestions = suggestions;
+
+    const list = document.getElementById('address-suggestions');
+    if (list) {
+      list.innerHTML = this.renderAddressSuggestions();
+    }
+  }
+
+  /**
+   * Fill the location from an address lookup result
+   * The postal code is kept when the result has none, and the timezone is only changed when the
+   * lookup suggests one from the list
+   */
+  applyAddressSuggestion(suggestion) {
+    if (!suggestion) return;
+
+    const location = this.formState.location;
+    location.address = suggestion.address || location.address;
+    location.city = suggestion.city;
+    location.state = suggestion.state;
+    location.postalCode = suggestion.postalCode || location.postalCode;
+    location.country = suggestion.country;
+    location.coordinates = suggestion.coordinates;
+    if (suggestion.suggestedTimezone) {
+      location.timezone = suggestion.suggestedTimezone;
+    }
+
+    const fields = {
+      'location-address': location.address,
+      'location-city': location.city,
+      'location-state': location.state,
+      'location-postal': location.postalCode,
+      'location-country': location.country,
+      'location-timezone': location.timezone
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+
+    this.updateCountryFields();
+
+    this.serviceConfigurators.forEach(configurator => configurator.setLocationTimezone(location.timezone));
+
+    this.addressSuggestions = [];
+    const list = document.getElementById('address-suggestions');
+    if (list) {
+      list.innerHTML = '';
+    }
+    this.updateCoordinates();
+  }
+
+  /**
+   * Show the current coordinates
+   */
+  updateCoordinates() {
+    const container = document.getElementById('location-coordinates');
+    if (container) {
+      container.innerHTML = this.renderCoordinates();
+    }
   }
 
   /**
@@ -777,47 +1280,118 @@ export default class BAISOnboardingForm {
   }
 
   /**
-   * Add service configurator
+   * Add service configurator at a position (services after it move down)
+   * @returns {ServiceConfigurator|null}
    */
   addServiceConfigurator(index, service = null) {
     const servicesContainer = document.getElementById('services-container');
-    if (!servicesContainer) return;
+    if (!servicesContainer) return null;
 
     const serviceDiv = document.createElement('div');
-    serviceDiv.id = `service-${index}`;
-    servicesContainer.appendChild(serviceDiv);
+    serviceDiv.className = 'service-item';
+    servicesContainer.insertBefore(serviceDiv, this.serviceConfigurators[index]?.container || null);
 
     const configurator = new ServiceConfigurator(
       index,
       (serviceIndex, updatedService) => {
         this.formState.services[serviceIndex] = updatedService;
       },
-      (serviceIndex) => this.removeService(serviceIndex)
+      (serviceIndex) => this.removeService(serviceIndex),
+      (fromIndex, toIndex) => this.moveService(fromIndex, toIndex),
+      (serviceIndex) => this.duplicateService(serviceIndex)
     );
 
+    configurator.setDefaultCurrency(this.formState.businessInfo.currency);
+    configurator.setBusinessType(this.formState.businessInfo.type);
+    configurator.setLocationTimezone(this.formState.location.timezone);
     configurator.initialize(serviceDiv, service);
-    this.serviceConfigurators[index] = configurator;
+    this.serviceConfigurators.splice(index, 0, configurator);
+    this.updateServicePositions();
+
+    return configurator;
+  }
+
+  /**
+   * Tell every configurator its current position (titles, move and remove buttons)
+   */
+  updateServicePositions() {
+    this.serviceConfigurators.forEach((configurator, index) => {
+      configurator.setPosition(index, this.serviceConfigurators.length);
+    });
   }
 
   /**
    * Add new service
+   * @param {string} [templateId] - Service template to prefill it from (blank when omitted)
    */
-  addService() {
+  addService(templateId = '') {
     if (this.formState.services.length >= CONSTANTS.CONSTRAINTS.MAX_SERVICES) {
       alert(`Maximum ${CONSTANTS.CONSTRAINTS.MAX_SERVICES} services allowed`);
       return;
     }
 
-    const newService = this.createEmptyService();
+    const template = templateId ? getServiceTemplate(templateId) : null;
+    const newService = template
+      ? createServiceFromTemplate(template, this.createEmptyService(), {
+        currency: this.formState.businessInfo.currency,
+        existingIds: this.formState.services.map(service => service.id)
+      })
+      : this.createEmptyService();
     const newIndex = this.formState.services.length;
     this.formState.services.push(newService);
-    this.addServiceConfigurator(newIndex, newService);
+    const configurator = this.addServiceConfigurator(newIndex, newService);
 
     // Scroll to new service
-    const serviceElement = document.getElementById(`service-${newIndex}`);
-    if (serviceElement) {
-      serviceElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    configurator?.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Insert a copy of a service after it
+   * The copy gets "(Copy)" added to its name and a service ID that is not yet used
+   */
+  duplicateService(index) {
+    if (this.formState.services.length >= CONSTANTS.CONSTRAINTS.MAX_SERVICES) {
+      alert(`Maximum ${CONSTANTS.CONSTRAINTS.MAX_SERVICES} services allowed`);
+      return;
+    }
+
+    const copy = deepClone(this.formState.services[index]);
+    copy.name = copy.name ? `${copy.name} (Copy)` : '';
+
+    if (copy.id) {
+      const existingIds = this.formState.services.map(service => service.id);
+      const baseId = `${copy.id}_copy`;
+      copy.id = baseId;
+      for (let suffix = 2; existingIds.includes(copy.id); suffix++) {
+        copy.id = `${baseId}_${suffix}`;
+      }
+    }
+
+    this.formState.services.splice(index + 1, 0, copy);
+    const configurator = this.addServiceConfigurator(index + 1, copy);
+    configurator?.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Move a service to another position
+   * Its element is moved rather than re-rendered, so inputs, open sections and simulator state survive
+   */
+  moveService(fromIndex, toIndex) {
+    const count = this.formState.services.length;
+    if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) {
+      return;
     }
+
+    const [service] = this.formState.services.splice(fromIndex, 1);
+    this.formState.services.splice(toIndex, 0, service);
+
+    const [configurator] = this.serviceConfigurators.splice(fromIndex, 1);
+    this.serviceConfigurators.splice(toIndex, 0, configurator);
+
+    const servicesContainer = document.getElementById('services-container');
+    servicesContainer?.insertBefore(configurator.container, this.serviceConfigurators[toIndex + 1]?.container || null);
+
+    this.updateServicePositions();
   }
 
   /**
@@ -825,17 +1399,165 @@ export default class BAISOnboardingForm {
    */
   removeService(index) {
     this.formState.services.splice(index, 1);
-    this.serviceConfigurators.splice(index, 1);
+    const [configurator] = this.serviceConfigurators.splice(index, 1);
+    configurator?.container.remove();
+    this.updateServicePositions();
+  }
 
-    // Re-render services
-    const servicesContainer = document.getElementById('services-container');
-    if (servicesContainer) {
-      servicesContainer.innerHTML = '';
-      this.serviceConfigurators = [];
-      this.formState.services.forEach((service, i) => {
-        this.addServiceConfigurator(i, service);
+  /**
+   * Import a registration from the selected file or pasted text
+   */
+  async handleImport() {
+    const fileInput = document.getElementById('import-file');
+    const textInput = document.getElementById('import-text');
+    const file = fileInput?.files?.[0];
+
+    try {
+      const text = file ? await file.text() : textInput?.value;
+      const { formState, report, validation } = this.importer.importRegistration(text);
+
+      this.importReport = report;
+      this.formState = formState;
+      this.rerender();
+      this.recordHistory('Import Registration');
+
+      if (!validation.isValid) {
+        this.showValidationErrors(validation.errors);
+      }
+    } catch (error) {
+      console.error('Failed to import registration:', error);
+      alert(`Import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record form changes in the undo history
+   * Listens on the container (which survives re-renders), so it runs once after the handlers
+   * of the form, service configurators and parameter builders have applied each change.
+   * Typing is grouped into one step per pause; other changes are recorded immediately.
+   */
+  attachHistoryListeners() {
+    this.container.addEventListener('input', (e) => {
+      this.scheduleHistoryRecord(this.describeHistoryEvent(e));
+    });
+
+    ['change', 'click', 'drop'].forEach(type => {
+      this.container.addEventListener(type, (e) => {
+        if (e.target.closest('#undo-btn, #redo-btn')) return;
+        this.recordHistory(this.describeHistoryEvent(e));
       });
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target !== document.body && !this.container.contains(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  /**
+   * Describe the change an event made, for the undo/redo button titles
+   */
+  describeHistoryEvent(e) {
+    if (e.type === 'drop') {
+      return 'Reorder';
+    }
+
+    if (e.type === 'click') {
+      const button = e.target.closest('button');
+      return button ? (button.getAttribute('aria-label') || button.textContent.trim()) : 'Edit';
+    }
+
+    const label = e.target.id ? this.container.querySelector(`label[for="${e.target.id}"]`) : e.target.closest('label');
+    const name = label ? label.textContent.replace('*', '').trim() : e.target.dataset.field;
+    return name ? `Edit ${name}` : 'Edit';
+  }
+
+  /**
+   * Record the current state once typing pauses
+   */
+  scheduleHistoryRecord(label) {
+    clearTimeout(this.historyTimer);
+    this.pendingHistoryLabel = label;
+    this.historyTimer = setTimeout(() => this.recordHistory(label), HISTORY_TYPING_DELAY_MS);
+  }
+
+  /**
+   * Record the current state (no-op when nothing changed)
+   * A pending typing step is folded into this one
+   */
+  recordHistory(label) {
+    clearTimeout(this.historyTimer);
+    this.historyTimer = null;
+
+    if (this.history.record(this.formState, this.pendingHistoryLabel || label || 'Edit')) {
+      this.updateHistoryButtons();
+      this.scheduleAutosave();
     }
+    this.pendingHistoryLabel = null;
+  }
+
+  /**
+   * Undo the last change
+   */
+  undo() {
+    this.recordHistory(null);
+    this.restoreHistoryState(this.history.undo());
+  }
+
+  /**
+   * Redo the last undone change
+   */
+  redo() {
+    this.recordHistory(null);
+    this.restoreHistoryState(this.history.redo());
+  }
+
+  /**
+   * Replace the form state with one from the history
+   */
+  restoreHistoryState(state) {
+    if (!state) return;
+
+    this.formState = state;
+    this.rerender();
+    this.scheduleAutosave();
+  }
+
+  /**
+   * Enable the undo/redo buttons and describe what they would do
+   */
+  updateHistoryButtons() {
+    const undoButton = document.getElementById('undo-btn');
+    const redoButton = document.getElementById('redo-btn');
+
+    if (undoButton) {
+      undoButton.disabled = !this.history.canUndo();
+      undoButton.title = this.history.canUndo() ? `Undo ${this.history.getUndoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoButton) {
+      redoButton.disabled = !this.history.canRedo();
+      redoButton.title = this.history.canRedo() ? `Redo ${this.history.getRedoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+  }
+
+  /**
+   * Re-render the whole form from the current form state
+   */
+  rerender() {
+    this.serviceConfigurators = [];
+    this.render();
+    this.attachEventListeners();
+    this.initializeServiceConfigurators();
+    this.updateHistoryButtons();
   }
 
   /**
@@ -856,6 +1578,115 @@ export default class BAISOnboardingForm {
     }
   }
 
+  /**
+   * Render MCP tool descriptors and the changes since the previous preview
+   */
+  showMCPToolsPreview() {
+    const preview = document.getElementById('mcp-tools-preview');
+    const json = document.getElementById('mcp-tools-json');
+    const summary = document.getElementById('mcp-tools-diff');
+    if (!preview || !json || !summary) return;
+
+    const tools = this.mcpExporter.generateTools(this.formState);
+    json.textContent = this.mcpExporter.serialize(tools);
+
+    if (this.lastPreviewedTools) {
+      const { added, removed, changed } = this.mcpExporter.diffTools(this.lastPreviewedTools, tools);
+      const changes = [
+        ...added.map(name => `+ ${name}`),
+        ...removed.map(name => `- ${name}`),
+        ...changed.map(name => `~ ${name}`)
+      ];
+      summary.textContent = changes.length > 0
+        ? `Changes since last preview: ${changes.join(', ')}`
+        : 'No changes since last preview';
+    } else {
+      summary.textContent = `${tools.length} tool${tools.length === 1 ? '' : 's'} generated`;
+    }
+
+    this.lastPreviewedTools = tools;
+    preview.style.display = 'block';
+  }
+
+  /**
+   * Generate the A2A agent card for the current form state as JSON
+   */
+  generateAgentCardJSON() {
+    const agentCard = this.agentCardGenerator.generateAgentCard(this.formState, {
+      baseUrl: CONFIG.API_BASE_URL
+    });
+    return this.agentCardGenerator.serialize(agentCard);
+  }
+
+  /**
+   * Render the A2A agent card preview
+   */
+  showAgentCardPreview() {
+    const preview = document.getElementById('a2a-card-preview');
+    const json = document.getElementById('a2a-card-json');
+    if (!preview || !json) return;
+
+    json.textContent = this.generateAgentCardJSON();
+    preview.style.display = 'block';
+  }
+
+  /**
+   * Copy the A2A agent card to the clipboard, reporting the outcome next to the button
+   */
+  copyAgentCard() {
+    const status = document.getElementById('a2a-card-copy-status');
+    const setStatus = (message) => {
+      if (status) status.textContent = message;
+    };
+
+    const fail = (error) => {
+      console.error('Failed to copy agent card:', error);
+      setStatus('Copy failed');
+    };
+
+    try {
+      navigator.clipboard.writeText(this.generateAgentCardJSON())
+        .then(() => setStatus('Copied'))
+        .catch(fail);
+    } catch (error) {
+      // No clipboard access (insecure context) or the card could not be generated
+      fail(error);
+    }
+  }
+
+  /**
+   * Download the service catalog as an OpenAPI 3.1 document
+   */
+  downloadOpenAPIDocument() {
+    try {
+      const sanitizedBusinessName = this.transformer.sanitizeBusinessName(this.formState.businessInfo.name);
+      const openAPIDocument = this.openAPIExporter.generateDocument(this.formState, {
+        serverUrl: `${CONFIG.API_BASE_URL}/api/v1/businesses/${sanitizedBusinessName}`
+      });
+      this.downloadFile(`${sanitizedBusinessName}-openapi.json`, this.openAPIExporter.serialize(openAPIDocument), 'application/json');
+    } catch (error) {
+      console.error('Failed to export OpenAPI document:', error);
+      alert(error instanceof ValidationError
+        ? `Failed to export OpenAPI document: ${error.message}`
+        : 'Failed to export OpenAPI document. Please check your service configuration.');
+    }
+  }
+
+  /**
+   * Trigger a browser download for generated content
+   */
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Toggle collapsible section
    */
@@ -902,7 +1733,7 @@ export default class BAISOnboardingForm {
 
       if (result.success) {
         this.showSuccessMessage(result);
-        this.clearDraft();
+        await this.clearDraft();
       } else {
         throw new Error(result.error || 'Registration failed');
       }
@@ -957,7 +1788,7 @@ export default class BAISOnboardingForm {
     const errorsList = document.getElementById('validation-errors-list');
 
     if (summary && errorsList) {
-      errorsList.innerHTML = errors.map(error => `<li>${error}</li>`).join('');
+      errorsList.innerHTML = errors.map(error => `<li>${escapeHTML(error)}</li>`).join('');
       summary.style.display = 'block';
     }
   }
@@ -1012,6 +1843,11 @@ export default class BAISOnboardingForm {
             </div>
           ` : ''}
         </div>
+        <div class="export-preview-actions">
+          <button type="button" class="btn-secondary" id="openapi-download-success-btn">
+            Download OpenAPI Document
+          </button>
+        </div>
         <div class="next-steps">
           <h3>Next Steps:</h3>
           <ol>
@@ -1022,6 +1858,10 @@ export default class BAISOnboardingForm {
           </ol>
         </div>
       `;
+
+      document.getElementById('openapi-download-success-btn')?.addEventListener('click', () => {
+        this.downloadOpenAPIDocument();
+      });
     }
 
     if (successMessage) {
@@ -1052,41 +1892,439 @@ export default class BAISOnboardingForm {
   }
 
   /**
-   * Save form as draft to localStorage
+   * Render the draft name, draft actions, conflict warning and draft picker
    */
-  saveDraft() {
+  renderDraftPanel() {
+    return `
+      <div class="draft-bar">
+        <div class="form-group">
+          <label for="draft-name">Draft Name</label>
+          <input
+            type="text"
+            id="draft-name"
+            maxlength="100"
+            placeholder="${escapeHTML(this.formState.businessInfo.name || 'Untitled draft')}"
+            value="${escapeHTML(this.draftName)}">
+        </div>
+        <button type="button" class="btn-secondary" id="open-drafts-btn" aria-expanded="${this.isDraftPickerOpen}">
+          Drafts
+        </button>
+        <button type="button" class="btn-secondary" id="new-draft-btn">
+          New Draft
+        </button>
+        <span class="draft-status" aria-live="polite">${escapeHTML(this.draftStatus)}</span>
+      </div>
+
+      <div id="draft-panel-details">
+        ${this.renderDraftPanelDetails()}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the parts of the draft panel below the draft bar
+   */
+  renderDraftPanelDetails() {
+    return `
+      ${this.renderDraftConflict()}
+      ${this.isDraftPickerOpen ? this.renderDraftPicker() : ''}
+    `;
+  }
+
+  /**
+   * Render the warning shown when the open draft is also open, or was changed, in another tab
+   */
+  renderDraftConflict() {
+    if (this.draftConflict === DRAFT_CONFLICTS.OPEN_ELSEWHERE) {
+      return `
+        <div class="draft-conflict" role="status">
+          This draft is also open in another tab. Saving in both tabs will overwrite each other's changes.
+        </div>
+      `;
+    }
+
+    if (this.draftConflict === DRAFT_CONFLICTS.CHANGED_ELSEWHERE) {
+      return `
+        <div class="draft-conflict" role="alert">
+          <p>This draft was saved from another tab. Autosave is paused until you choose which version to keep.</p>
+          <button type="button" class="btn-secondary" id="draft-reload-btn">Load Their Version</button>
+          <button type="button" class="btn-secondary" id="draft-overwrite-btn">Keep Mine</button>
+          <button type="button" class="btn-secondary" id="draft-fork-btn">Save Mine as New Draft</button>
+        </div>
+      `;
+    }
+
+    return '';
+  }
+
+  /**
+   * Render the list of saved drafts
+   */
+  renderDraftPicker() {
+    const drafts = this.drafts;
+
+    return `
+      <div class="draft-picker" role="region" aria-label="Saved drafts">
+        <h3>Saved Drafts</h3>
+        ${drafts.length === 0 ? '<p class="validation-hint">No saved drafts</p>' : `
+          <ul class="draft-list">
+            ${drafts.map(draft => `
+              <li class="draft-item ${draft.id === this.currentDraft?.id ? 'current' : ''}">
+                <span class="draft-item-name">${escapeHTML(draft.name)}</span>
+                <span class="draft-item-updated">Saved ${new Date(draft.updatedAt).toLocaleString()}</span>
+                <button type="button" class="btn-secondary open-draft-btn" data-draft-id="${draft.id}">Open</button>
+                <button type="button" class="delete-draft-btn" data-draft-id="${draft.id}">Delete</button>
+              </li>
+            `).join('')}
+          </ul>
+        `}
+        <button type="button" class="btn-secondary" id="close-drafts-btn">
+          ${this.currentDraft ? 'Close' : 'Start New Draft'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * Reload the list of saved drafts
+   */
+  async refreshDrafts() {
+    this.drafts = await draftStore.listDrafts();
+  }
+
+  /**
+   * Bring the draft panel up to date (the rest of the form is untouched)
+   * The draft bar is updated in place so the draft name input keeps focus while autosave runs;
+   * the conflict warning and draft picker are re-rendered
+   */
+  refreshDraftPanel() {
+    const details = document.getElementById('draft-panel-details');
+    if (!details) return;
+
+    const nameInput = document.getElementById('draft-name');
+    if (nameInput) {
+      if (nameInput !== document.activeElement) {
+        nameInput.value = this.draftName;
+      }
+      nameInput.placeholder = this.formState.businessInfo.name || 'Untitled draft';
+    }
+    document.getElementById('open-drafts-btn')?.setAttribute('aria-expanded', String(this.isDraftPickerOpen));
+    this.setDraftStatus(this.draftStatus);
+
+    details.innerHTML = this.renderDraftPanelDetails();
+    this.attachDraftDetailListeners();
+  }
+
+  /**
+   * Attach draft panel listeners
+   */
+  attachDraftListeners() {
+    document.getElementById('draft-name')?.addEventListener('input', (e) => {
+      this.draftName = e.target.value.trim();
+      this.scheduleAutosave();
+    });
+
+    document.getElementById('open-drafts-btn')?.addEventListener('click', async () => {
+      this.isDraftPickerOpen = !this.isDraftPickerOpen;
+      if (this.isDraftPickerOpen) {
+        await this.refreshDrafts();
+      }
+      this.refreshDraftPanel();
+    });
+
+    document.getElementById('new-draft-btn')?.addEventListener('click', () => this.newDraft());
+
+    this.attachDraftDetailListeners();
+  }
+
+  /**
+   * Attach listeners for the conflict warning and draft picker (re-rendered on every refresh)
+   */
+  attachDraftDetailListeners() {
+    document.getElementById('close-drafts-btn')?.addEventListener('click', () => {
+      this.isDraftPickerOpen = false;
+      this.refreshDraftPanel();
+    });
+
+    document.querySelectorAll('.open-draft-btn').forEach(button => {
+      button.addEventListener('click', (e) => this.loadDraft(e.currentTarget.dataset.draftId));
+    });
+
+    document.querySelectorAll('.delete-draft-btn').forEach(button => {
+      button.addEventListener('click', (e) => this.deleteSavedDraft(e.currentTarget.dataset.draftId));
+    });
+
+    document.getElementById('draft-reload-btn')?.addEventListener('click', () => {
+      this.loadDraft(this.currentDraft.id);
+    });
+
+    document.getElementById('draft-overwrite-btn')?.addEventListener('click', async () => {
+      const stored = await draftStore.getDraft(this.currentDraft.id);
+      this.currentDraft.updatedAt = stored?.updatedAt || this.currentDraft.updatedAt;
+      this.draftConflict = null;
+      this.autosave();
+    });
+
+    document.getElementById('draft-fork-btn')?.addEventListener('click', () => {
+      this.draftChannel.post(DRAFT_MESSAGES.CLOSED, this.currentDraft.id);
+      this.draftName = `${this.getDraftName()} (copy)`;
+      this.currentDraft = null;
+      this.draftConflict = null;
+      this.autosave();
+    });
+  }
+
+  /**
+   * Show a draft status message (kept across re-renders)
+   */
+  setDraftStatus(message) {
+    this.draftStatus = message;
+    const status = this.container.querySelector('.draft-status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+
+  /**
+   * Name the draft is saved under
+   */
+  getDraftName() {
+    return this.draftName || this.formState.businessInfo.name || 'Untitled draft';
+  }
+
+  /**
+   * Save the draft once changes settle
+   */
+  scheduleAutosave() {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = setTimeout(() => this.autosave(), AUTOSAVE_DELAY_MS);
+  }
+
+  /**
+   * Save now if an autosave is pending, and wait for any save in progress
+   */
+  flushAutosave() {
+    return this.autosaveTimer ? this.autosave() : this.pendingDraftSave;
+  }
+
+  /**
+   * Save the draft after any save in progress (so a new draft is only created once)
+   * @returns {Promise<boolean>} Whether the draft was saved
+   */
+  autosave() {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+
+    this.pendingDraftSave = this.pendingDraftSave.then(() => this.saveCurrentDraft());
+    return this.pendingDraftSave;
+  }
+
+  /**
+   * Save the draft unless another tab has saved it since this tab last did
+   * @returns {Promise<boolean>} Whether the draft was saved
+   */
+  async saveCurrentDraft() {
+    if (this.currentDraft && !this.draftConflict) {
+      const stored = await draftStore.getDraft(this.currentDraft.id);
+      if (stored && stored.tabId !== this.tabId && stored.updatedAt > this.currentDraft.updatedAt) {
+        this.setDraftConflict(DRAFT_CONFLICTS.CHANGED_ELSEWHERE);
+      }
+    }
+
+    if (this.draftConflict === DRAFT_CONFLICTS.CHANGED_ELSEWHERE) {
+      this.setDraftStatus('Not saved: this draft was changed in another tab');
+      return false;
+    }
+
+    return this.writeDraft();
+  }
+
+  /**
+   * Write the form state to the current draft (creating it on first save)
+   * @returns {Promise<boolean>} Whether the draft was saved
+   */
+  async writeDraft() {
     try {
-      localStorage.setItem('bais-onboarding-draft', JSON.stringify(this.formState));
-      alert('Draft saved successfully!');
+      const isNew = !this.currentDraft;
+      const draft = await draftStore.saveDraft({
+        id: this.currentDraft?.id,
+        name: this.getDraftName(),
+        formState: this.formState,
+        tabId: this.tabId
+      });
+
+      this.currentDraft = { id: draft.id, name: draft.name, updatedAt: draft.updatedAt };
+      if (isNew) {
+        this.draftChannel.post(DRAFT_MESSAGES.OPENED, draft.id);
+      }
+      this.draftChannel.post(DRAFT_MESSAGES.SAVED, draft.id, draft.updatedAt);
+
+      this.draftStatus = `Saved ${new Date(draft.updatedAt).toLocaleTimeString()}`;
+      await this.refreshDrafts();
+      this.refreshDraftPanel();
+      return true;
     } catch (error) {
       console.error('Failed to save draft:', error);
-      alert('Failed to save draft');
+
+      if (error instanceof StorageQuotaError) {
+        // Open the picker so old drafts can be deleted to make room
+        this.draftStatus = error.message;
+        this.isDraftPickerOpen = true;
+        await this.refreshDrafts();
+        this.refreshDraftPanel();
+      } else {
+        this.setDraftStatus('Failed to save draft');
+      }
+      return false;
     }
   }
 
   /**
-   * Load draft from localStorage
+   * Save the draft now (Save Draft button)
    */
-  loadDraft() {
+  saveDraft() {
+    this.recordHistory(null);
+    this.autosave();
+  }
+
+  /**
+   * Open a saved draft in place of the current form
+   */
+  async loadDraft(draftId) {
+    await this.flushAutosave();
+
+    const draft = await draftStore.getDraft(draftId);
+    if (!draft) {
+      this.setDraftStatus('That draft no longer exists');
+      this.refreshDraftPanel();
+      return;
+    }
+
+    let formState;
     try {
-      const draft = localStorage.getItem('bais-onboarding-draft');
-      if (draft) {
-        this.formState = JSON.parse(draft);
-        this.render();
-        this.attachEventListeners();
-        this.initializeServiceConfigurators();
-        alert('Draft loaded successfully!');
-      }
+      formState = this.importer.restoreDraft(draft.formState);
     } catch (error) {
       console.error('Failed to load draft:', error);
+      this.setDraftStatus(error instanceof SchemaVersionError ? error.message : 'Failed to load draft');
+      return;
+    }
+
+    if (this.currentDraft && this.currentDraft.id !== draft.id) {
+      this.draftChannel.post(DRAFT_MESSAGES.CLOSED, this.currentDraft.id);
+    }
+
+    this.formState = formState;
+    this.currentDraft = { id: draft.id, name: draft.name, updatedAt: draft.updatedAt };
+    this.draftName = draft.name;
+    this.draftConflict = null;
+    this.isDraftPickerOpen = false;
+    this.draftStatus = `Opened "${draft.name}"`;
+
+    this.rerender();
+    this.history.reset(this.formState);
+    this.updateHistoryButtons();
+    this.draftChannel.post(DRAFT_MESSAGES.OPENED, draft.id);
+  }
+
+  /**
+   * Start a new, empty draft (the current one stays saved)
+   */
+  async newDraft() {
+    await this.flushAutosave();
+    if (this.currentDraft) {
+      this.draftChannel.post(DRAFT_MESSAGES.CLOSED, this.currentDraft.id);
     }
+
+    this.formState = this.initializeFormState();
+    this.importReport = null;
+    this.currentDraft = null;
+    this.draftName = '';
+    this.draftConflict = null;
+    this.isDraftPickerOpen = false;
+    this.draftStatus = '';
+
+    this.rerender();
+    this.history.reset(this.formState);
+    this.updateHistoryButtons();
   }
 
   /**
-   * Clear draft from localStorage
+   * Delete a saved draft; the form keeps its contents (and saves them as a new draft on the next change)
    */
-  clearDraft() {
-    localStorage.removeItem('bais-onboarding-draft');
+  async deleteSavedDraft(draftId) {
+    const draft = this.drafts.find(entry => entry.id === draftId);
+    if (!draft || !confirm(`Delete the draft "${draft.name}"?`)) {
+      return;
+    }
+
+    try {
+      await draftStore.deleteDraft(draftId);
+    } catch (error) {
+      console.error('Failed to delete draft:', error);
+      this.setDraftStatus('Failed to delete draft');
+      return;
+    }
+    if (this.currentDraft?.id === draftId) {
+      this.draftChannel.post(DRAFT_MESSAGES.CLOSED, draftId);
+      this.currentDraft = null;
+      this.draftConflict = null;
+    }
+    this.draftStatus = `Deleted "${draft.name}"`;
+    await this.refreshDrafts();
+    this.refreshDraftPanel();
+  }
+
+  /**
+   * Show or clear a conflict with another tab
+   */
+  setDraftConflict(conflict) {
+    this.draftConflict = conflict;
+    this.refreshDraftPanel();
+  }
+
+  /**
+   * React to another tab opening, saving or closing the draft open here
+   */
+  handleDraftMessage(message) {
+    if (!this.currentDraft || message.draftId !== this.currentDraft.id) return;
+
+    switch (message.type) {
+      case DRAFT_MESSAGES.OPENED:
+        this.draftChannel.post(DRAFT_MESSAGES.PRESENT, this.currentDraft.id);
+        if (!this.draftConflict) this.setDraftConflict(DRAFT_CONFLICTS.OPEN_ELSEWHERE);
+        break;
+      case DRAFT_MESSAGES.PRESENT:
+        if (!this.draftConflict) this.setDraftConflict(DRAFT_CONFLICTS.OPEN_ELSEWHERE);
+        break;
+      case DRAFT_MESSAGES.SAVED:
+        if (message.updatedAt > this.currentDraft.updatedAt) {
+          this.setDraftConflict(DRAFT_CONFLICTS.CHANGED_ELSEWHERE);
+        }
+        break;
+      case DRAFT_MESSAGES.CLOSED:
+        if (this.draftConflict === DRAFT_CONFLICTS.OPEN_ELSEWHERE) this.setDraftConflict(null);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Delete the current draft once it has been submitted
+   */
+  async clearDraft() {
+    clearTimeout(this.autosaveTimer);
+    this.autosaveTimer = null;
+    await this.pendingDraftSave;
+    if (!this.currentDraft) return;
+
+    try {
+      await draftStore.deleteDraft(this.currentDraft.id);
+    } catch (error) {
+      console.error('Failed to delete submitted draft:', error);
+    }
+    this.draftChannel.post(DRAFT_MESSAGES.CLOSED, this.currentDraft.id);
+    this.currentDraft = null;
   }
 
   /**
@@ -5,7 +5,8 @@
 
 import CONFIG from '../core/config.js';
 import { isValidEmail, sanitizeInput } from '../core/utils.js';
-import { FieldValidator, ValidationResult } from '../core/validation.js';
+import { FieldValidator, ValidationResult, getFieldCountry } from '../core/validation.js';
+import { formatPhoneNumber, toE164 } from '../core/countryFormats.js';
 import { globalErrorHandler } from '../core/errorHandler.js';
 
 class ContactForm {
@@ -54,7 +55,9 @@ class ContactForm {
 
   attachValidationListeners(field) {
     field.addEventListener('blur', () => {
-      this.validateField(field);
+      if (this.validateField(field) && field.type === 'tel') {
+        this.formatPhoneField(field);
+      }
     });
     
     field.addEventListener('input', () => {
@@ -77,6 +80,12 @@ class ContactForm {
     return result.isValid;
   }
 
+  // Valid phone numbers are shown as written in the field's country
+  formatPhoneField(field) {
+    if (field.value.trim()) {
+      field.value = formatPhoneNumber(field.value, getFieldCountry(field));
+    }
+  }
   
   showFieldError(field, message) {
     field.classList.add('error');
@@ -158,12 +167,18 @@ class ContactForm {
     const sanitizedData = {};
     
     for (const [key, value] of formData.entries()) {
-      sanitizedData[key] = sanitizeInput(value);
+      sanitizedData[key] = sanitizeInput(this.toApiValue(this.formFields[key], value));
     }
     
     return sanitizedData;
   }
 
+  // Phone numbers are sent in E.164
+  toApiValue(field, value) {
+    if (field?.type !== 'tel' || !value) return value;
+    return toE164(value, getFieldCountry(field)) || value;
+  }
+
   async sendFormDataToApi(data) {
     const response = await fetch(this.configuration.apiEndpoint, {
       method: 'POST',
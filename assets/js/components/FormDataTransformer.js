@@ -2,8 +2,52 @@
  * Form Data Transformer
  * Transforms frontend form state into BAIS API format
  * Handles data mapping, sanitization, and formatting
+ *
+ * Canonical form state
+ * transformToAPIFormat and transformFromAPIFormat are inverses on canonical form state:
+ * fromAPI(toAPI(state)) deep-equals state. normalizeFormState maps any form state onto it.
+ * - Optional strings are '' when unset (never undefined or null)
+ * - businessInfo.capacity and location.coordinates are null when unset
+ * - businessInfo.currency is always a currency code; service.currency is '' when the service
+ *   uses the business default (an override equal to it counts as the default). The API service
+ *   always carries its effective currency, and pricing without a currency takes it
+ * - Coordinates are numbers rounded to 6 decimal places
+ * - contact.phone is E.164 ("+14155550123") when valid, national numbers read for location.country
+ *   (kept as entered otherwise, for the validator to report)
+ * - location.postalCode is in its country's standard form when valid for the country (kept as
+ *   entered otherwise, for the validator to report)
+ * - Workflow steps use camelCase keys with explicit required, timeoutMinutes and retryAttempts
+ * - Parameter constraints only contain keys that are set; no key is present with an undefined value
+ * - Parameter requiredWhen and visibleWhen are null when unset, otherwise { parameter, operator }
+ *   plus value for every operator except is_set; comparisons is an array, possibly empty
+ * - Array parameters carry items (a child definition, or null when any item is accepted); object
+ *   parameters carry properties (an array of named child definitions, possibly empty); other types
+ *   carry neither. Child definitions have type, description and constraints (named ones also name
+ *   and required) and nest the same way
+ * - Parameter default is omitted when unset; a date/time default is a local date/time in
+ *   location.timezone ("YYYY-MM-DDTHH:MM", with seconds only when not zero), sent to the API as
+ *   ISO 8601 with the UTC offset in force then; pricing is null when unset, otherwise carries
+ *   model, baseRate, currency, taxRate, serviceFee, timeModifiers and seasons (arrays, possibly
+ *   empty); minimumCharge only when set, unit only for per-unit pricing, tierMode and tiers only
+ *   for tiered pricing (an unbounded tier has upTo null)
+ * - availability.schedule is null when the service has no booking schedule, otherwise carries
+ *   timezone ('' for the location timezone), weeklyHours (days sorted) and blackoutDates (arrays,
+ *   possibly empty), slotDurationMinutes, leadTimeMinutes and capacityPerSlot; a blackout's name is ''
+ *   when unset
+ * - payment.depositPercentage is 0 when no deposit is required
+ * - Integration endpoints are '' while auto-generated and non-empty otherwise
+ * - AP2 verificationRequired and mandateExpiryHours hold their defaults while AP2 is disabled
+ * - schemaVersion is CURRENT_SCHEMA_VERSION (older payloads go through migrateAPIPayload first)
  */
 
+import CONSTANTS from '../core/constants.js';
+import { CURRENT_SCHEMA_VERSION } from '../core/schemaMigrations.js';
+import { isValidTimezone, normalizeDateTime, toInstant, toLocalDateTime } from '../core/dateTime.js';
+import { normalizePostalCode } from '../core/postalCodes.js';
+import { E164_PATTERN, toE164 } from '../core/countryFormats.js';
+
+const COORDINATE_PRECISION = 6;
+
 export default class FormDataTransformer {
   /**
    * Transform complete form state to API format
@@ -11,18 +55,22 @@ export default class FormDataTransformer {
    * @returns {Object} - API-formatted registration data
    */
   transformToAPIFormat(formState) {
+    const location = this.transformLocation(formState.location);
+
     return {
+      schema_version: CURRENT_SCHEMA_VERSION,
       business_name: formState.businessInfo.name,
       business_type: formState.businessInfo.type,
       business_description: formState.businessInfo.description || undefined,
       established_date: formState.businessInfo.establishedDate || undefined,
       capacity: formState.businessInfo.capacity || undefined,
+      default_currency: formState.businessInfo.currency || CONSTANTS.DEFAULT_VALUES.CURRENCY,
 
-      contact_info: this.transformContactInfo(formState.contact, formState.businessInfo),
+      contact_info: this.transformContactInfo(formState.contact, formState.businessInfo, location.country),
 
-      location: this.transformLocation(formState.location),
+      location,
 
-      services_config: this.transformServices(formState.services),
+      services_config: this.transformServices(formState.services, location.timezone, formState.businessInfo.currency),
 
       integration: this.transformIntegration(formState.integration, formState.businessInfo),
 
@@ -32,11 +80,12 @@ export default class FormDataTransformer {
 
   /**
    * Transform contact information
+   * @param {string} [country] - Business location country national phone numbers belong to
    */
-  transformContactInfo(contact, businessInfo) {
+  transformContactInfo(contact, businessInfo, country) {
     return {
       email: contact.email,
-      phone: this.sanitizePhone(contact.phone) || undefined,
+      phone: this.sanitizePhone(contact.phone, country) || undefined,
       secondary_email: contact.secondaryEmail || undefined,
       website: businessInfo.website || undefined,
       business_hours: contact.businessHours || undefined
@@ -51,37 +100,65 @@ export default class FormDataTransformer {
       address: location.address,
       city: location.city,
       state: location.state,
-      postal_code: location.postalCode || undefined,
+      postal_code: this.normalizePostalCode(location.postalCode, location.country || 'US') || undefined,
       country: location.country || 'US',
       timezone: location.timezone || 'UTC',
-      coordinates: location.coordinates ? {
-        latitude: location.coordinates.latitude,
-        longitude: location.coordinates.longitude
-      } : undefined
+      coordinates: this.normalizeCoordinates(location.coordinates) || undefined
+    };
+  }
+
+  /**
+   * Write a postal code in its country's standard form, leaving codes not valid there as entered
+   */
+  normalizePostalCode(postalCode, country) {
+    if (!postalCode) return '';
+    return normalizePostalCode(postalCode, country) || postalCode;
+  }
+
+  /**
+   * Normalize coordinates to numbers with fixed precision
+   * @returns {Object|null} - { latitude, longitude } or null when unset/invalid
+   */
+  normalizeCoordinates(coordinates) {
+    if (!coordinates) return null;
+
+    const latitude = parseFloat(coordinates.latitude);
+    const longitude = parseFloat(coordinates.longitude);
+    if (Number.isNaN(latitude) || Number.isNaN(longitude)) return null;
+
+    return {
+      latitude: parseFloat(latitude.toFixed(COORDINATE_PRECISION)),
+      longitude: parseFloat(longitude.toFixed(COORDINATE_PRECISION))
     };
   }
 
   /**
    * Transform all services
    */
-  transformServices(services) {
-    return services.map(service => this.transformService(service));
+  transformServices(services, timezone, defaultCurrency) {
+    return services.map(service => this.transformService(service, timezone, defaultCurrency));
   }
 
   /**
    * Transform single service configuration
+   * @param {Object} service - Frontend service
+   * @param {string} [timezone] - Business location timezone its date/times are in
+   * @param {string} [defaultCurrency] - Business default currency the service inherits
    */
-  transformService(service) {
+  transformService(service, timezone, defaultCurrency) {
+    const currency = service.currency || defaultCurrency || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+
     return {
       id: service.id,
       name: service.name,
       description: service.description,
       category: service.category,
+      currency,
 
       workflow_pattern: service.workflow.pattern,
       workflow_steps: this.transformWorkflowSteps(service.workflow.steps),
 
-      parameters: this.transformParameters(service.parameters),
+      parameters: this.transformParameters(service.parameters, timezone, currency),
 
       availability: this.transformAvailability(service.availability),
 
@@ -105,15 +182,16 @@ export default class FormDataTransformer {
       name: step.name,
       description: step.description || undefined,
       required: step.required !== false,
-      timeout_minutes: step.timeoutMinutes || 30,
-      retry_attempts: step.retryAttempts !== undefined ? step.retryAttempts : 3
+      timeout_minutes: step.timeoutMinutes || CONSTANTS.DEFAULT_VALUES.TIMEOUT_MINUTES,
+      retry_attempts: step.retryAttempts !== undefined ? step.retryAttempts : CONSTANTS.DEFAULT_VALUES.RETRY_ATTEMPTS
     }));
   }
 
   /**
    * Transform service parameters
+   * @param {string} [currency] - Service currency for pricing that does not name one
    */
-  transformParameters(parameters) {
+  transformParameters(parameters, timezone, currency) {
     const transformed = {};
 
     parameters.forEach(param => {
@@ -121,15 +199,78 @@ export default class FormDataTransformer {
         type: param.type,
         description: param.description,
         required: param.required || false,
-        default: param.default !== undefined ? param.default : undefined,
+        default: this.transformParameterDefault(param, timezone),
         ...this.transformParameterConstraints(param),
-        ...(param.pricing ? { pricing: this.transformParameterPricing(param.pricing) } : {})
+        ...this.transformNestedSchema(param),
+        required_when: this.transformCondition(param.requiredWhen),
+        visible_when: this.transformCondition(param.visibleWhen),
+        comparisons: param.comparisons && param.comparisons.length > 0
+          ? param.comparisons.map(comparison => ({ operator: comparison.operator, parameter: comparison.parameter }))
+          : undefined,
+        ...(param.pricing ? { pricing: this.transformParameterPricing(param.pricing, currency) } : {})
       };
     });
 
     return transformed;
   }
 
+  /**
+   * Transform a parameter default (a date/time gains the location's UTC offset)
+   */
+  transformParameterDefault(param, timezone = CONSTANTS.DEFAULT_VALUES.TIMEZONE) {
+    if (param.type === CONSTANTS.PARAMETER_TYPES.DATETIME && typeof param.default === 'string' && isValidTimezone(timezone)) {
+      return normalizeDateTime(param.default, timezone) || param.default;
+    }
+    return param.default;
+  }
+
+  /**
+   * Transform the item definition of an array or the properties of an object, recursively
+   */
+  transformNestedSchema(definition) {
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.ARRAY && definition.items) {
+      return { items: this.transformChildParameter(definition.items) };
+    }
+
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.OBJECT && definition.properties && definition.properties.length > 0) {
+      const properties = {};
+      definition.properties.forEach(property => {
+        properties[property.name] = {
+          ...this.transformChildParameter(property),
+          required: property.required || false
+        };
+      });
+      return { properties };
+    }
+
+    return {};
+  }
+
+  /**
+   * Transform an array item or object property definition
+   */
+  transformChildParameter(definition) {
+    return {
+      type: definition.type,
+      description: definition.description || undefined,
+      ...this.transformParameterConstraints(definition),
+      ...this.transformNestedSchema(definition)
+    };
+  }
+
+  /**
+   * Transform a required-when / visible-when condition (same shape in both formats)
+   */
+  transformCondition(condition) {
+    if (!condition) {
+      return undefined;
+    }
+
+    return condition.operator === CONSTANTS.CONDITION_OPERATORS.IS_SET
+      ? { parameter: condition.parameter, operator: condition.operator }
+      : { parameter: condition.parameter, operator: condition.operator, value: condition.value };
+  }
+
   /**
    * Transform parameter constraints based on type
    */
@@ -163,6 +304,14 @@ export default class FormDataTransformer {
       constraints.enum = c.enum;
     }
 
+    // Array constraints
+    if (c.minItems !== undefined) {
+      constraints.min_items = c.minItems;
+    }
+    if (c.maxItems !== undefined) {
+      constraints.max_items = c.maxItems;
+    }
+
     // Format
     if (c.format) {
       constraints.format = c.format;
@@ -171,19 +320,223 @@ export default class FormDataTransformer {
     return constraints;
   }
 
+  /**
+   * Transform service parameters to a JSON Schema object
+   * Built on transformParameters so the schema never drifts from the registration payload
+   * @param {Array} parameters - Frontend parameter definitions
+   * @param {string} [timezone] - Business location timezone date/time defaults are in
+   * @returns {Object} - JSON Schema (draft 2020-12) describing the parameters
+   */
+  transformParametersToJSONSchema(parameters, timezone) {
+    const apiParameters = this.transformParameters(parameters || [], timezone);
+    const properties = {};
+    const required = [];
+    const dependentRequired = {};
+    const allOf = [];
+
+    Object.entries(apiParameters).forEach(([name, config]) => {
+      properties[name] = this.transformParameterToJSONSchema(config);
+
+      if (config.visible_when) {
+        // Present only while the condition holds (and then required if always required)
+        allOf.push({
+          if: this.transformConditionToJSONSchema(config.visible_when),
+          ...(config.required ? { then: { required: [name] } } : {}),
+          else: { not: { required: [name] } }
+        });
+      } else if (config.required) {
+        required.push(name);
+      }
+
+      if (config.required_when) {
+        if (config.required_when.operator === CONSTANTS.CONDITION_OPERATORS.IS_SET) {
+          const dependents = dependentRequired[config.required_when.parameter] || [];
+          dependentRequired[config.required_when.parameter] = [...dependents, name];
+        } else {
+          allOf.push({
+            if: this.transformConditionToJSONSchema(config.required_when),
+            then: { required: [name] }
+          });
+        }
+      }
+    });
+
+    return {
+      type: 'object',
+      properties,
+      ...(required.length > 0 ? { required } : {}),
+      ...(Object.keys(dependentRequired).length > 0 ? { dependentRequired } : {}),
+      ...(allOf.length > 0 ? { allOf } : {}),
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * Transform a condition to the JSON Schema used as an if clause
+   * Matches parameterRules.isConditionMet: a missing value never equals, is greater or is less,
+   * and always "does not equal"
+   */
+  transformConditionToJSONSchema(condition) {
+    const { parameter, operator, value } = condition;
+
+    switch (operator) {
+      case CONSTANTS.CONDITION_OPERATORS.IS_SET:
+        return { required: [parameter] };
+      case CONSTANTS.CONDITION_OPERATORS.NOT_EQUALS:
+        return { not: { properties: { [parameter]: { const: value } }, required: [parameter] } };
+      case CONSTANTS.CONDITION_OPERATORS.GREATER_THAN:
+        return { properties: { [parameter]: { exclusiveMinimum: value } }, required: [parameter] };
+      case CONSTANTS.CONDITION_OPERATORS.LESS_THAN:
+        return { properties: { [parameter]: { exclusiveMaximum: value } }, required: [parameter] };
+      default:
+        return { properties: { [parameter]: { const: value } }, required: [parameter] };
+    }
+  }
+
+  /**
+   * Transform a single API-formatted parameter to a JSON Schema property
+   */
+  transformParameterToJSONSchema(config) {
+    const schema = {
+      ...this.getJSONSchemaType(config.type),
+      description: config.description
+    };
+
+    const keywordMap = {
+      minimum: 'minimum',
+      maximum: 'maximum',
+      min_length: 'minLength',
+      max_length: 'maxLength',
+      min_items: 'minItems',
+      max_items: 'maxItems',
+      pattern: 'pattern',
+      enum: 'enum'
+    };
+
+    Object.entries(keywordMap).forEach(([apiKey, schemaKey]) => {
+      if (config[apiKey] !== undefined) {
+        schema[schemaKey] = config[apiKey];
+      }
+    });
+
+    if (config.format === CONSTANTS.PARAMETER_FORMATS.PHONE) {
+      // JSON Schema has no phone format: check E.164 with a pattern, alongside any pattern of its own
+      schema['x-bais-format'] = config.format;
+      if (schema.pattern === undefined) {
+        schema.pattern = E164_PATTERN;
+      } else {
+        schema.allOf = [{ pattern: E164_PATTERN }];
+      }
+    } else if (config.format) {
+      schema.format = config.format === 'url' ? 'uri' : config.format;
+    }
+
+    if (config.default !== undefined) {
+      schema.default = config.default;
+    }
+
+    if (config.items) {
+      schema.items = this.transformParameterToJSONSchema(config.items);
+    }
+
+    if (config.properties) {
+      const required = Object.keys(config.properties).filter(name => config.properties[name].required);
+      schema.properties = {};
+      Object.entries(config.properties).forEach(([name, property]) => {
+        schema.properties[name] = this.transformParameterToJSONSchema(property);
+      });
+      if (required.length > 0) {
+        schema.required = required;
+      }
+      schema.additionalProperties = false;
+    }
+
+    if (config.comparisons) {
+      // JSON Schema cannot compare two properties; validators that understand BAIS read this
+      schema['x-bais-comparisons'] = config.comparisons;
+    }
+
+    if (config.pricing) {
+      schema['x-bais-pricing'] = config.pricing;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Map a BAIS parameter type to its JSON Schema type and implied format
+   */
+  getJSONSchemaType(type) {
+    switch (type) {
+      case 'date':
+        return { type: 'string', format: 'date' };
+      case 'datetime':
+        return { type: 'string', format: 'date-time' };
+      case 'time':
+        return { type: 'string', format: 'time' };
+      default:
+        return { type: type || 'string' };
+    }
+  }
+
   /**
    * Transform parameter pricing
+   * @param {string} [currency] - Service currency, used when the pricing does not name one
    */
-  transformParameterPricing(pricing) {
+  transformParameterPricing(pricing, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY) {
+    const model = pricing.model || CONSTANTS.DEFAULT_VALUES.PRICING_MODEL;
+    const isTiered = model === CONSTANTS.PRICING_MODELS.TIERED;
+
     return {
+      model,
       base_rate: pricing.baseRate || 0,
-      currency: pricing.currency || 'USD',
+      currency: pricing.currency || currency,
       tax_rate: pricing.taxRate || 0,
       service_fee: pricing.serviceFee || 0,
-      minimum_charge: pricing.minimumCharge || undefined
+      minimum_charge: pricing.minimumCharge !== undefined ? pricing.minimumCharge : undefined,
+      unit: model === CONSTANTS.PRICING_MODELS.PER_UNIT ? (pricing.unit || '') : undefined,
+      tier_mode: isTiered ? (pricing.tierMode || CONSTANTS.DEFAULT_VALUES.TIER_MODE) : undefined,
+      tiers: isTiered ? (pricing.tiers || []).map(tier => ({
+        up_to: tier.upTo !== undefined ? tier.upTo : null,
+        rate: tier.rate || 0
+      })) : undefined,
+      time_modifiers: this.transformTimeModifiers(pricing.timeModifiers),
+      seasons: this.transformSeasons(pricing.seasons)
     };
   }
 
+  /**
+   * Transform time-of-day / day-of-week price multipliers
+   */
+  transformTimeModifiers(timeModifiers) {
+    if (!timeModifiers || timeModifiers.length === 0) {
+      return undefined;
+    }
+
+    return timeModifiers.map(modifier => ({
+      days: [...(modifier.days || [])].sort((a, b) => a - b),
+      start_time: modifier.startTime,
+      end_time: modifier.endTime,
+      multiplier: modifier.multiplier
+    }));
+  }
+
+  /**
+   * Transform seasonal price multipliers (recurring MM-DD date ranges)
+   */
+  transformSeasons(seasons) {
+    if (!seasons || seasons.length === 0) {
+      return undefined;
+    }
+
+    return seasons.map(season => ({
+      name: season.name,
+      start_date: season.startDate,
+      end_date: season.endDate,
+      multiplier: season.multiplier
+    }));
+  }
+
   /**
    * Transform availability configuration
    */
@@ -191,8 +544,38 @@ export default class FormDataTransformer {
     return {
       endpoint: availability.endpoint || undefined,
       real_time: availability.realTime !== false,
-      cache_timeout_seconds: availability.cacheTimeoutSeconds || 300,
-      advance_booking_days: availability.advanceBookingDays || 365
+      cache_timeout_seconds: availability.cacheTimeoutSeconds !== undefined
+        ? availability.cacheTimeoutSeconds
+        : CONSTANTS.DEFAULT_VALUES.CACHE_TIMEOUT_SECONDS,
+      advance_booking_days: availability.advanceBookingDays || CONSTANTS.DEFAULT_VALUES.ADVANCE_BOOKING_DAYS,
+      schedule: this.transformSchedule(availability.schedule)
+    };
+  }
+
+  /**
+   * Transform a booking schedule
+   * A schedule without a timezone is in the business location's timezone
+   */
+  transformSchedule(schedule) {
+    if (!schedule) {
+      return undefined;
+    }
+
+    return {
+      timezone: schedule.timezone || undefined,
+      weekly_hours: (schedule.weeklyHours || []).map(range => ({
+        days: [...(range.days || [])].sort((a, b) => a - b),
+        open: range.open,
+        close: range.close
+      })),
+      blackout_dates: (schedule.blackoutDates || []).map(blackout => ({
+        name: blackout.name || undefined,
+        start_date: blackout.startDate,
+        end_date: blackout.endDate
+      })),
+      slot_duration_minutes: schedule.slotDurationMinutes,
+      lead_time_minutes: schedule.leadTimeMinutes,
+      capacity_per_slot: schedule.capacityPerSlot
     };
   }
 
@@ -202,7 +585,9 @@ export default class FormDataTransformer {
   transformCancellationPolicy(policy) {
     return {
       type: policy.type,
-      free_until_hours: policy.freeUntilHours || 24,
+      free_until_hours: policy.freeUntilHours !== undefined
+        ? policy.freeUntilHours
+        : CONSTANTS.DEFAULT_VALUES.FREE_CANCELLATION_HOURS,
       penalty_percentage: policy.penaltyPercentage || 0,
       description: policy.description
     };
@@ -248,11 +633,7 @@ export default class FormDataTransformer {
       mcp_endpoint: this.getMCPEndpoint(integration.mcp, sanitizedBusinessName),
       a2a_discovery_url: this.getA2ADiscoveryUrl(integration.a2a, sanitizedBusinessName),
       webhook_endpoint: this.getWebhookEndpoint(integration.webhooks, sanitizedBusinessName),
-      webhook_events: integration.webhooks?.events || [
-        'booking_confirmed',
-        'payment_processed',
-        'booking_cancelled'
-      ]
+      webhook_events: integration.webhooks?.events || CONSTANTS.DEFAULT_VALUES.WEBHOOK_EVENTS
     };
   }
 
@@ -315,123 +696,132 @@ export default class FormDataTransformer {
   }
 
   /**
-   * Sanitize phone number to international format
+   * Phone number in E.164, leaving numbers that are not valid as entered
+   * @param {string} phone - Phone number in international or national format
+   * @param {string} [country] - Country national numbers belong to
    */
-  sanitizePhone(phone) {
-    if (!phone) return null;
-
-    // Remove all non-digit characters
-    const digits = phone.replace(/\D/g, '');
-
-    // If starts with 1 and has 11 digits, format as +1-XXX-XXX-XXXX
-    if (digits.length === 11 && digits.startsWith('1')) {
-      return `+${digits[0]}-${digits.substring(1, 4)}-${digits.substring(4, 7)}-${digits.substring(7)}`;
-    }
-
-    // If has 10 digits, assume US number
-    if (digits.length === 10) {
-      return `+1-${digits.substring(0, 3)}-${digits.substring(3, 6)}-${digits.substring(6)}`;
-    }
-
-    // Otherwise, return with + prefix if not present
-    return digits.startsWith('+') ? phone : `+${phone}`;
+  sanitizePhone(phone, country = CONSTANTS.DEFAULT_VALUES.COUNTRY) {
+    if (!phone || !phone.trim()) return null;
+    return toE164(phone, country) || phone.trim();
   }
 
   /**
    * Transform form state from API format (for editing)
+   * Produces canonical form state (see the module header)
    * @param {Object} apiData - Data from API
    * @returns {Object} - Frontend form state
    */
   transformFromAPIFormat(apiData) {
+    const integration = apiData.integration || {};
+    const ap2Config = apiData.ap2_config;
+    const timezone = apiData.location?.timezone || CONSTANTS.DEFAULT_VALUES.TIMEZONE;
+    const defaultCurrency = apiData.default_currency || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+
     return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       businessInfo: {
-        name: apiData.business_name,
-        type: apiData.business_type,
-        description: apiData.business_description,
-        website: apiData.contact_info?.website,
-        establishedDate: apiData.established_date,
-        capacity: apiData.capacity
+        name: apiData.business_name || '',
+        type: apiData.business_type || '',
+        description: apiData.business_description || '',
+        website: apiData.contact_info?.website || '',
+        establishedDate: apiData.established_date || '',
+        capacity: apiData.capacity || null,
+        currency: defaultCurrency
       },
 
       location: {
-        address: apiData.location.address,
-        city: apiData.location.city,
-        state: apiData.location.state,
-        postalCode: apiData.location.postal_code,
-        country: apiData.location.country || 'US',
-        timezone: apiData.location.timezone || 'UTC',
-        coordinates: apiData.location.coordinates
+        address: apiData.location?.address || '',
+        city: apiData.location?.city || '',
+        state: apiData.location?.state || '',
+        postalCode: this.normalizePostalCode(apiData.location?.postal_code,
+          apiData.location?.country || CONSTANTS.DEFAULT_VALUES.COUNTRY),
+        country: apiData.location?.country || CONSTANTS.DEFAULT_VALUES.COUNTRY,
+        timezone,
+        coordinates: this.normalizeCoordinates(apiData.location?.coordinates)
       },
 
       contact: {
-        email: apiData.contact_info.email,
-        phone: apiData.contact_info.phone,
-        secondaryEmail: apiData.contact_info.secondary_email,
-        businessHours: apiData.contact_info.business_hours
+        email: apiData.contact_info?.email || '',
+        phone: this.sanitizePhone(apiData.contact_info?.phone,
+          apiData.location?.country || CONSTANTS.DEFAULT_VALUES.COUNTRY) || '',
+        secondaryEmail: apiData.contact_info?.secondary_email || '',
+        businessHours: apiData.contact_info?.business_hours || ''
       },
 
-      services: apiData.services_config?.map(service => this.transformServiceFromAPI(service)) || [],
+      services: apiData.services_config?.map(service => this.transformServiceFromAPI(service, timezone, defaultCurrency)) || [],
 
       integration: {
         mcp: {
-          autoGenerate: !apiData.integration?.mcp_endpoint,
-          endpoint: apiData.integration?.mcp_endpoint
+          autoGenerate: !integration.mcp_endpoint,
+          endpoint: integration.mcp_endpoint || ''
         },
         a2a: {
-          autoGenerate: !apiData.integration?.a2a_discovery_url,
-          discoveryUrl: apiData.integration?.a2a_discovery_url
+          autoGenerate: !integration.a2a_discovery_url,
+          discoveryUrl: integration.a2a_discovery_url || ''
         },
         webhooks: {
-          autoGenerate: !apiData.integration?.webhook_endpoint,
-          endpoint: apiData.integration?.webhook_endpoint,
-          events: apiData.integration?.webhook_events
+          autoGenerate: !integration.webhook_endpoint,
+          endpoint: integration.webhook_endpoint || '',
+          events: integration.webhook_events || [...CONSTANTS.DEFAULT_VALUES.WEBHOOK_EVENTS]
         }
       },
 
       ap2: {
-        enabled: apiData.ap2_config?.enabled || false,
-        verificationRequired: apiData.ap2_config?.verification_required !== false,
-        mandateExpiryHours: apiData.ap2_config?.mandate_expiry_hours || 24
+        enabled: ap2Config?.enabled || false,
+        verificationRequired: ap2Config?.verification_required !== false,
+        mandateExpiryHours: ap2Config?.mandate_expiry_hours || CONSTANTS.DEFAULT_VALUES.AP2_MANDATE_EXPIRY_HOURS
       }
     };
   }
 
   /**
    * Transform service from API format
+   * @param {Object} service - API-format service
+   * @param {string} [timezone] - Business location timezone to show its date/times in
+   * @param {string} [defaultCurrency] - Business default currency
    */
-  transformServiceFromAPI(service) {
+  transformServiceFromAPI(service, timezone, defaultCurrency = CONSTANTS.DEFAULT_VALUES.CURRENCY) {
+    const payment = service.payment_config || {};
+    const currency = service.currency || defaultCurrency;
+
     return {
-      id: service.id,
-      name: service.name,
-      description: service.description,
-      category: service.category,
+      id: service.id || '',
+      name: service.name || '',
+      description: service.description || '',
+      category: service.category || '',
+      currency: currency !== defaultCurrency ? currency : '',
 
       workflow: {
-        pattern: service.workflow_pattern,
-        steps: service.workflow_steps || []
+        pattern: service.workflow_pattern || CONSTANTS.DEFAULT_VALUES.WORKFLOW_PATTERN,
+        steps: this.transformWorkflowStepsFromAPI(service.workflow_steps)
       },
 
-      parameters: this.transformParametersFromAPI(service.parameters),
+      parameters: this.transformParametersFromAPI(service.parameters, timezone, currency),
 
       availability: {
-        endpoint: service.availability?.endpoint,
+        endpoint: service.availability?.endpoint || '',
         realTime: service.availability?.real_time !== false,
-        cacheTimeoutSeconds: service.availability?.cache_timeout_seconds || 300,
-        advanceBookingDays: service.availability?.advance_booking_days || 365
+        cacheTimeoutSeconds: service.availability?.cache_timeout_seconds !== undefined
+          ? service.availability.cache_timeout_seconds
+          : CONSTANTS.DEFAULT_VALUES.CACHE_TIMEOUT_SECONDS,
+        advanceBookingDays: service.availability?.advance_booking_days || CONSTANTS.DEFAULT_VALUES.ADVANCE_BOOKING_DAYS,
+        schedule: this.transformScheduleFromAPI(service.availability?.schedule)
       },
 
       cancellationPolicy: {
-        type: service.cancellation_policy.type,
-        freeUntilHours: service.cancellation_policy.free_until_hours || 24,
-        penaltyPercentage: service.cancellation_policy.penalty_percentage || 0,
-        description: service.cancellation_policy.description
+        type: service.cancellation_policy?.type || CONSTANTS.DEFAULT_VALUES.CANCELLATION_POLICY_TYPE,
+        freeUntilHours: service.cancellation_policy?.free_until_hours !== undefined
+          ? service.cancellation_policy.free_until_hours
+          : CONSTANTS.DEFAULT_VALUES.FREE_CANCELLATION_HOURS,
+        penaltyPercentage: service.cancellation_policy?.penalty_percentage || 0,
+        description: service.cancellation_policy?.description || ''
       },
 
       payment: {
-        methods: service.payment_config.methods || ['credit_card'],
-        timing: service.payment_config.timing || 'at_booking',
-        depositRequired: service.payment_config.deposit_required || false,
-        depositPercentage: service.payment_config.deposit_percentage
+        methods: payment.methods || ['credit_card'],
+        timing: payment.timing || CONSTANTS.DEFAULT_VALUES.PAYMENT_TIMING,
+        depositRequired: payment.deposit_required || false,
+        depositPercentage: payment.deposit_required ? (payment.deposit_percentage || 0) : 0
       },
 
       policies: {
@@ -441,34 +831,220 @@ export default class FormDataTransformer {
     };
   }
 
+  /**
+   * Transform workflow steps from API format
+   */
+  transformWorkflowStepsFromAPI(steps) {
+    if (!steps) return [];
+
+    return steps.map(step => ({
+      name: step.name || '',
+      description: step.description || '',
+      required: step.required !== false,
+      timeoutMinutes: step.timeout_minutes || CONSTANTS.DEFAULT_VALUES.TIMEOUT_MINUTES,
+      retryAttempts: step.retry_attempts !== undefined ? step.retry_attempts : CONSTANTS.DEFAULT_VALUES.RETRY_ATTEMPTS
+    }));
+  }
+
   /**
    * Transform parameters from API format
+   * @param {string} [currency] - Service currency for pricing that does not name one
    */
-  transformParametersFromAPI(parameters) {
+  transformParametersFromAPI(parameters, timezone, currency) {
     if (!parameters) return [];
 
-    return Object.entries(parameters).map(([name, config]) => ({
-      name,
-      type: config.type,
-      description: config.description,
-      required: config.required || false,
-      default: config.default,
-      constraints: {
-        minimum: config.minimum,
-        maximum: config.maximum,
-        minLength: config.min_length,
-        maxLength: config.max_length,
-        pattern: config.pattern,
-        enum: config.enum,
-        format: config.format
-      },
-      pricing: config.pricing ? {
-        baseRate: config.pricing.base_rate,
-        currency: config.pricing.currency,
-        taxRate: config.pricing.tax_rate,
-        serviceFee: config.pricing.service_fee,
-        minimumCharge: config.pricing.minimum_charge
-      } : null
-    }));
+    return Object.entries(parameters).map(([name, config]) => {
+      const param = {
+        name,
+        type: config.type || CONSTANTS.PARAMETER_TYPES.STRING,
+        description: config.description || '',
+        required: config.required || false,
+        constraints: this.transformParameterConstraintsFromAPI(config),
+        ...this.transformNestedSchemaFromAPI(config),
+        requiredWhen: this.transformConditionFromAPI(config.required_when),
+        visibleWhen: this.transformConditionFromAPI(config.visible_when),
+        comparisons: (config.comparisons || []).map(comparison => ({
+          operator: comparison.operator || CONSTANTS.COMPARISON_OPERATORS.GREATER_THAN,
+          parameter: comparison.parameter || ''
+        })),
+        pricing: config.pricing ? this.transformParameterPricingFromAPI(config.pricing, currency) : null
+      };
+
+      if (config.default !== undefined && config.default !== null) {
+        param.default = this.transformParameterDefaultFromAPI(param.type, config.default, timezone);
+      }
+
+      return param;
+    });
+  }
+
+  /**
+   * Transform a parameter default from API format (a date/time becomes local to the location)
+   */
+  transformParameterDefaultFromAPI(type, value, timezone = CONSTANTS.DEFAULT_VALUES.TIMEZONE) {
+    if (type === CONSTANTS.PARAMETER_TYPES.DATETIME && typeof value === 'string' && isValidTimezone(timezone)) {
+      const time = toInstant(value, timezone);
+      return time === null ? value : toLocalDateTime(time, timezone);
+    }
+    return value;
+  }
+
+  /**
+   * Transform the item definition / properties of array and object parameters from API format
+   */
+  transformNestedSchemaFromAPI(config) {
+    if (config.type === CONSTANTS.PARAMETER_TYPES.ARRAY) {
+      return { items: config.items ? this.transformChildParameterFromAPI(config.items) : null };
+    }
+
+    if (config.type === CONSTANTS.PARAMETER_TYPES.OBJECT) {
+      return {
+        properties: Object.entries(config.properties || {}).map(([name, property]) => ({
+          name,
+          ...this.transformChildParameterFromAPI(property),
+          required: property.required || false
+        }))
+      };
+    }
+
+    return {};
+  }
+
+  /**
+   * Transform an array item or object property definition from API format
+   */
+  transformChildParameterFromAPI(config) {
+    return {
+      type: config.type || CONSTANTS.PARAMETER_TYPES.STRING,
+      description: config.description || '',
+      constraints: this.transformParameterConstraintsFromAPI(config),
+      ...this.transformNestedSchemaFromAPI(config)
+    };
+  }
+
+  /**
+   * Transform a condition from API format
+   */
+  transformConditionFromAPI(condition) {
+    if (!condition) {
+      return null;
+    }
+
+    const operator = condition.operator || CONSTANTS.CONDITION_OPERATORS.EQUALS;
+    return operator === CONSTANTS.CONDITION_OPERATORS.IS_SET
+      ? { parameter: condition.parameter || '', operator }
+      : { parameter: condition.parameter || '', operator, value: condition.value !== undefined ? condition.value : '' };
+  }
+
+  /**
+   * Transform parameter constraints from API format, keeping only keys that are set
+   */
+  transformParameterConstraintsFromAPI(config) {
+    const keyMap = {
+      minimum: 'minimum',
+      maximum: 'maximum',
+      min_length: 'minLength',
+      max_length: 'maxLength',
+      pattern: 'pattern',
+      enum: 'enum',
+      format: 'format',
+      min_items: 'minItems',
+      max_items: 'maxItems'
+    };
+
+    const constraints = {};
+    Object.entries(keyMap).forEach(([apiKey, formKey]) => {
+      if (config[apiKey] !== undefined && config[apiKey] !== null) {
+        constraints[formKey] = config[apiKey];
+      }
+    });
+
+    return constraints;
+  }
+
+  /**
+   * Transform a booking schedule from API format
+   */
+  transformScheduleFromAPI(schedule) {
+    if (!schedule) {
+      return null;
+    }
+
+    return {
+      timezone: schedule.timezone || '',
+      weeklyHours: (schedule.weekly_hours || []).map(range => ({
+        days: [...(range.days || [])].sort((a, b) => a - b),
+        open: range.open || '',
+        close: range.close || ''
+      })),
+      blackoutDates: (schedule.blackout_dates || []).map(blackout => ({
+        name: blackout.name || '',
+        startDate: blackout.start_date || '',
+        endDate: blackout.end_date || ''
+      })),
+      slotDurationMinutes: schedule.slot_duration_minutes !== undefined
+        ? schedule.slot_duration_minutes
+        : CONSTANTS.DEFAULT_VALUES.SLOT_DURATION_MINUTES,
+      leadTimeMinutes: schedule.lead_time_minutes !== undefined
+        ? schedule.lead_time_minutes
+        : CONSTANTS.DEFAULT_VALUES.LEAD_TIME_MINUTES,
+      capacityPerSlot: schedule.capacity_per_slot !== undefined
+        ? schedule.capacity_per_slot
+        : CONSTANTS.DEFAULT_VALUES.CAPACITY_PER_SLOT
+    };
+  }
+
+  /**
+   * Transform parameter pricing from API format
+   * @param {string} [currency] - Service currency, used when the pricing does not name one
+   */
+  transformParameterPricingFromAPI(pricing, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY) {
+    const model = pricing.model || CONSTANTS.DEFAULT_VALUES.PRICING_MODEL;
+    const transformed = {
+      model,
+      baseRate: pricing.base_rate || 0,
+      currency: pricing.currency || currency,
+      taxRate: pricing.tax_rate || 0,
+      serviceFee: pricing.service_fee || 0,
+      timeModifiers: (pricing.time_modifiers || []).map(modifier => ({
+        days: [...(modifier.days || [])].sort((a, b) => a - b),
+        startTime: modifier.start_time || '',
+        endTime: modifier.end_time || '',
+        multiplier: modifier.multiplier
+      })),
+      seasons: (pricing.seasons || []).map(season => ({
+        name: season.name || '',
+        startDate: season.start_date || '',
+        endDate: season.end_date || '',
+        multiplier: season.multiplier
+      }))
+    };
+
+    if (pricing.minimum_charge !== undefined && pricing.minimum_charge !== null) {
+      transformed.minimumCharge = pricing.minimum_charge;
+    }
+
+    if (model === CONSTANTS.PRICING_MODELS.PER_UNIT) {
+      transformed.unit = pricing.unit || '';
+    }
+
+    if (model === CONSTANTS.PRICING_MODELS.TIERED) {
+      transformed.tierMode = pricing.tier_mode || CONSTANTS.DEFAULT_VALUES.TIER_MODE;
+      transformed.tiers = (pricing.tiers || []).map(tier => ({
+        upTo: tier.up_to !== undefined ? tier.up_to : null,
+        rate: tier.rate || 0
+      }));
+    }
+
+    return transformed;
+  }
+
+  /**
+   * Map any form state onto its canonical form
+   * @param {Object} formState - Frontend form state
+   * @returns {Object} - Canonical form state
+   */
+  normalizeFormState(formState) {
+    return this.transformFromAPIFormat(this.transformToAPIFormat(formState));
   }
 }
@@ -5,6 +5,8 @@
  */
 
 import CONFIG from '../core/config.js';
+import { getFieldCountry, phoneValidator } from '../core/validation.js';
+import { E164_MAX_DIGITS, formatPhoneNumber as formatPhoneForCountry, toE164 } from '../core/countryFormats.js';
 
 export default class FormValidation {
   constructor(selector, options = {}) {
@@ -169,8 +171,13 @@ export default class FormValidation {
   }
 
   collectFormData() {
-    const formData = new FormData(this.formElement);
-    return Object.fromEntries(formData.entries());
+    const formData = Object.fromEntries(new FormData(this.formElement).entries());
+    this.formElement.querySelectorAll('input[type="tel"]').forEach(input => {
+      if (input.name && formData[input.name]) {
+        formData[input.name] = toE164(formData[input.name], getFieldCountry(input)) || formData[input.name];
+      }
+    });
+    return formData;
   }
 
   getSubmitButton() {
@@ -230,8 +237,8 @@ export default class FormValidation {
       return { isValid: false, errorMessage: 'Please enter a valid email address' };
     }
     
-    if (this.isPhoneFieldInvalid(type, value)) {
-      return { isValid: false, errorMessage: 'Please enter a valid phone number' };
+    if (this.isPhoneFieldInvalid(type, value, field)) {
+      return { isValid: false, errorMessage: phoneValidator.getErrorMessage(getFieldCountry(field)) };
     }
     
     if (this.isRadioGroupInvalid(type, name, field)) {
@@ -252,11 +259,10 @@ export default class FormValidation {
     return !emailRegex.test(value);
   }
 
-  isPhoneFieldInvalid(type, value) {
+  isPhoneFieldInvalid(type, value, field) {
     if (type !== 'tel' || !value) return false;
     
-    const phoneRegex = /^\(\d{3}\) \d{3}-\d{4}$/;
-    return !phoneRegex.test(value);
+    return !phoneValidator.isValid(value, getFieldCountry(field));
   }
 
   isRadioGroupInvalid(type, name, field) {
@@ -467,30 +473,22 @@ export default class FormValidation {
   }
   
   formatPhoneNumber(input) {
-    const digitsOnly = this.extractDigitsFromInput(input.value);
-    const limitedDigits = this.limitDigitsToTen(digitsOnly);
-    const formattedNumber = this.formatPhoneNumberString(limitedDigits);
+    const country = getFieldCountry(input);
+    const typedNumber = this.limitPhoneDigits(this.extractPhoneCharacters(input.value));
     
-    input.value = formattedNumber;
+    input.value = phoneValidator.isValid(typedNumber, country)
+      ? formatPhoneForCountry(typedNumber, country)
+      : typedNumber;
   }
 
-  extractDigitsFromInput(value) {
-    return value.replace(/\D/g, '');
+  extractPhoneCharacters(value) {
+    const digits = value.replace(/\D/g, '');
+    return value.trim().startsWith('+') ? `+${digits}` : digits;
   }
 
-  limitDigitsToTen(digits) {
-    return digits.substring(0, 10);
-  }
-
-  formatPhoneNumberString(digits) {
-    if (digits.length >= 6) {
-      return `(${digits.substring(0, 3)}) ${digits.substring(3, 6)}-${digits.substring(6)}`;
-    } else if (digits.length >= 3) {
-      return `(${digits.substring(0, 3)}) ${digits.substring(3)}`;
-    } else if (digits.length > 0) {
-      return `(${digits}`;
-    }
-    return digits;
+  limitPhoneDigits(phone) {
+    const prefixLength = phone.startsWith('+') ? 1 : 0;
+    return phone.substring(0, prefixLength + E164_MAX_DIGITS);
   }
   
   showNotification(message, type = 'info') {
@@ -5,11 +5,15 @@
 
 import Navigation from './Navigation.js';
 import Footer from './Footer.js';
+import { isAuthenticated } from '../core/auth.js';
 
 export default class Layout {
   constructor() {
     this.currentPage = this.getCurrentPage();
-    this.isLoggedIn = this.checkAuthentication();
+    this.isLoggedIn = false;
+    this.checkAuthentication().then(isLoggedIn => {
+      this.isLoggedIn = isLoggedIn;
+    });
   }
   
   getCurrentPage() {
@@ -21,8 +25,8 @@ export default class Layout {
   }
   
   // Static method to get complete page structure
-  static getPageStructure(pageType = 'public', currentPage = 'home') {
-    const isLoggedIn = !!(localStorage.getItem('bais_auth_token') || sessionStorage.getItem('bais_auth_token'));
+  static async getPageStructure(pageType = 'public', currentPage = 'home') {
+    const isLoggedIn = await this.checkAuthentication();
     
     return {
       navigation: this.getNavigationHTML(isLoggedIn, currentPage),
@@ -91,9 +95,9 @@ export default class Layout {
   }
   
   // Method to update navigation across all pages
-  static updateNavigation() {
+  static async updateNavigation() {
     const currentPage = this.getCurrentPage();
-    const isLoggedIn = this.checkAuthentication();
+    const isLoggedIn = await this.checkAuthentication();
     
     // Update navigation in current page
     const navElement = document.querySelector('#main-nav');
@@ -116,6 +120,6 @@ export default class Layout {
   }
   
   static checkAuthentication() {
-    return !!(localStorage.getItem('bais_auth_token') || sessionStorage.getItem('bais_auth_token'));
+    return isAuthenticated();
   }
 }
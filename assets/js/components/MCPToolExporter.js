@@ -0,0 +1,182 @@
+/**
+ * MCP Tool Exporter
+ * Generates Model Context Protocol tool descriptors from onboarding form state
+ * so businesses can preview and diff exactly what agents will see before submitting
+ */
+
+import CONSTANTS from '../core/constants.js';
+import FormDataTransformer from './FormDataTransformer.js';
+import { describeWeeklyHours, getScheduleTimezone } from '../core/availabilitySchedule.js';
+
+const { WORKFLOW_PATTERNS } = CONSTANTS;
+
+/**
+ * Patterns that take payment on the first call, with no confirmation, approval or contract
+ * step for the agent to back out of
+ */
+const IMMEDIATE_PAYMENT_PATTERNS = [WORKFLOW_PATTERNS.INSTANT_PURCHASE];
+
+export default class MCPToolExporter {
+  constructor(transformer = new FormDataTransformer()) {
+    this.transformer = transformer;
+  }
+
+  /**
+   * Generate MCP tool descriptors for every configured service
+   * @param {Object} formState - Frontend form state
+   * @returns {Array} - MCP tool descriptors ({ name, title, description, inputSchema, annotations, _meta })
+   */
+  generateTools(formState) {
+    return (formState.services || []).map(service =>
+      this.generateTool(service, formState.businessInfo, formState.location)
+    );
+  }
+
+  /**
+   * Generate a single MCP tool descriptor for a service
+   */
+  generateTool(service, businessInfo = {}, location = {}) {
+    const apiService = this.transformer.transformService(service, location?.timezone, businessInfo?.currency);
+    const availability = this.buildAvailability(apiService.availability, location?.timezone);
+
+    return {
+      name: apiService.id,
+      title: apiService.name,
+      description: this.buildDescription(apiService, businessInfo, availability),
+      inputSchema: this.transformer.transformParametersToJSONSchema(service.parameters, location?.timezone),
+      annotations: this.buildAnnotations(apiService),
+      _meta: {
+        'bais/service': {
+          category: apiService.category,
+          workflow_pattern: apiService.workflow_pattern,
+          cancellation_policy: apiService.cancellation_policy,
+          payment_config: apiService.payment_config,
+          availability,
+          pricing: this.collectPricing(apiService.parameters)
+        }
+      }
+    };
+  }
+
+  /**
+   * Build a human-readable tool description for agents
+   */
+  buildDescription(apiService, businessInfo, availability) {
+    const parts = [apiService.description];
+
+    if (businessInfo?.name) {
+      parts.push(`Offered by ${businessInfo.name}.`);
+    }
+
+    const workflowLabel = CONSTANTS.WORKFLOW_PATTERN_LABELS[apiService.workflow_pattern];
+    if (workflowLabel) {
+      parts.push(`Workflow: ${workflowLabel}.`);
+    }
+
+    const policyLabel = CONSTANTS.CANCELLATION_POLICY_LABELS[apiService.cancellation_policy.type];
+    if (policyLabel) {
+      parts.push(`Cancellation: ${policyLabel} (free until ${apiService.cancellation_policy.free_until_hours}h before).`);
+    }
+
+    const hours = availability.schedule && describeWeeklyHours(availability.schedule.weekly_hours);
+    if (hours) {
+      parts.push(`Open ${hours} (${availability.schedule.timezone}).`);
+    }
+
+    return parts.filter(Boolean).join(' ');
+  }
+
+  /**
+   * Availability agents can reason about before calling, with the schedule timezone resolved
+   */
+  buildAvailability(apiAvailability, locationTimezone) {
+    const schedule = apiAvailability.schedule;
+
+    return {
+      real_time: apiAvailability.real_time,
+      advance_booking_days: apiAvailability.advance_booking_days,
+      schedule: schedule
+        ? { ...schedule, timezone: getScheduleTimezone(schedule, locationTimezone) }
+        : undefined
+    };
+  }
+
+  /**
+   * Build MCP behaviour hints from the workflow pattern
+   * Every pattern creates a booking, order or request with the business, so no tool is read-only
+   * or idempotent; a tool is destructive when its pattern takes payment on the first call
+   */
+  buildAnnotations(apiService) {
+    return {
+      title: apiService.name,
+      readOnlyHint: false,
+      destructiveHint: IMMEDIATE_PAYMENT_PATTERNS.includes(apiService.workflow_pattern),
+      idempotentHint: false,
+      openWorldHint: true
+    };
+  }
+
+  /**
+   * Collect pricing definitions keyed by parameter name
+   */
+  collectPricing(apiParameters) {
+    const pricing = {};
+
+    Object.entries(apiParameters).forEach(([name, config]) => {
+      if (config.pricing) {
+        pricing[name] = config.pricing;
+      }
+    });
+
+    return pricing;
+  }
+
+  /**
+   * Serialize tools deterministically (sorted keys) for preview and diffing
+   * @param {Array} tools - MCP tool descriptors
+   * @returns {string} - Pretty-printed JSON
+   */
+  serialize(tools) {
+    return JSON.stringify(this.sortKeys(tools), null, 2);
+  }
+
+  /**
+   * Compare two tool lists by name
+   * @param {Array} previousTools - Tools before the change
+   * @param {Array} nextTools - Tools after the change
+   * @returns {Object} - { added: string[], removed: string[], changed: string[] }
+   */
+  diffTools(previousTools, nextTools) {
+    const previousByName = new Map(previousTools.map(tool => [tool.name, tool]));
+    const nextByName = new Map(nextTools.map(tool => [tool.name, tool]));
+
+    const added = [...nextByName.keys()].filter(name => !previousByName.has(name));
+    const removed = [...previousByName.keys()].filter(name => !nextByName.has(name));
+    const changed = [...nextByName.keys()].filter(name =>
+      previousByName.has(name) &&
+      this.serialize(previousByName.get(name)) !== this.serialize(nextByName.get(name))
+    );
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * Recursively sort object keys, dropping undefined values
+   */
+  sortKeys(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.sortKeys(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        if (value[key] !== undefined) {
+          sorted[key] = this.sortKeys(value[key]);
+        }
+        return sorted;
+      }, {});
+    }
+
+    return value;
+  }
+}
@@ -3,6 +3,8 @@
  * Enhanced with accessibility, dropdown support, and improved UX
  */
 
+import { clearAuthSession, isAuthenticated } from '../core/auth.js';
+
 export default class Navigation {
   constructor(selector = '#main-nav') {
     this.nav = document.querySelector(selector);
@@ -259,11 +261,12 @@ export default class Navigation {
       // Setup logout
       const logoutBtn = document.getElementById('logout-btn');
       if (logoutBtn) {
-        logoutBtn.addEventListener('click', () => {
-          localStorage.removeItem('bais_auth_token');
-          sessionStorage.removeItem('bais_auth_token');
-          localStorage.removeItem('bais_user_email');
-          sessionStorage.removeItem('bais_user_email');
+        logoutBtn.addEventListener('click', async () => {
+          try {
+            await clearAuthSession();
+          } catch (error) {
+            console.error('Failed to clear sign-in:', error);
+          }
           window.location.href = '/';
         });
       }
@@ -276,11 +279,8 @@ export default class Navigation {
   }
   
   // Check auth status on load
-  static checkAuthAndUpdate() {
-    const token = localStorage.getItem('bais_auth_token') || 
-                  sessionStorage.getItem('bais_auth_token');
-    
-    if (token) {
+  static async checkAuthAndUpdate() {
+    if (await isAuthenticated()) {
       Navigation.updateNavigation(true);
     }
   }
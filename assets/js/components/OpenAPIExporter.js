@@ -0,0 +1,405 @@
+/**
+ * OpenAPI Exporter
+ * Produces an OpenAPI 3.1 document describing a business's BAIS service catalog
+ * Built on FormDataTransformer so partners see the same shapes we register
+ */
+
+import CONSTANTS from '../core/constants.js';
+import { ValidationError } from '../core/errorHandler.js';
+import FormDataTransformer from './FormDataTransformer.js';
+import { getScheduleTimezone } from '../core/availabilitySchedule.js';
+
+export const OPENAPI_VERSION = '3.1.0';
+
+const { WORKFLOW_PATTERNS } = CONSTANTS;
+
+/**
+ * Lifecycle operations each workflow pattern supports beyond the service operation itself
+ */
+const WORKFLOW_OPERATIONS = {
+  [WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT]: ['availability', 'booking', 'modify', 'cancel'],
+  [WORKFLOW_PATTERNS.REQUEST_APPROVAL_PAYMENT]: ['availability', 'booking', 'modify', 'cancel'],
+  [WORKFLOW_PATTERNS.INSTANT_PURCHASE]: ['availability', 'cancel'],
+  [WORKFLOW_PATTERNS.QUOTE_NEGOTIATION_CONTRACT]: ['booking', 'modify', 'cancel']
+};
+
+export default class OpenAPIExporter {
+  constructor(transformer = new FormDataTransformer()) {
+    this.transformer = transformer;
+  }
+
+  /**
+   * Build the OpenAPI document
+   * @param {Object} formState - Frontend form state
+   * @param {Object} options - { serverUrl: base URL for the business API }
+   * @returns {Object} - OpenAPI 3.1 document
+   * @throws {ValidationError} When two services produce the same path or operationId
+   */
+  generateDocument(formState, options = {}) {
+    const apiData = this.transformer.transformToAPIFormat(formState);
+    const paths = {};
+    const operationIds = new Set();
+
+    formState.services.forEach((service, index) => {
+      const apiService = apiData.services_config[index];
+      const requestSchema = this.transformer.transformParametersToJSONSchema(service.parameters, apiData.location.timezone);
+      const servicePaths = this.buildServicePaths(apiService, requestSchema, apiData.location.timezone);
+
+      Object.entries(servicePaths).forEach(([path, pathItem]) => {
+        if (paths[path]) {
+          throw new ValidationError(`Service "${apiService.id}" has the same path as another service (${path})`, 'id');
+        }
+        Object.values(pathItem).filter(operation => operation.operationId).forEach(({ operationId }) => {
+          if (operationIds.has(operationId)) {
+            throw new ValidationError(`Service "${apiService.id}" has the same operationId as another service (${operationId})`, 'id');
+          }
+          operationIds.add(operationId);
+        });
+        paths[path] = pathItem;
+      });
+    });
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: {
+        title: `${apiData.business_name} Services`,
+        description: apiData.business_description,
+        version: '1.0.0',
+        contact: {
+          name: apiData.business_name,
+          email: apiData.contact_info.email,
+          url: apiData.contact_info.website
+        }
+      },
+      servers: options.serverUrl ? [{ url: options.serverUrl }] : undefined,
+      tags: apiData.services_config.map(apiService => ({
+        name: apiService.id,
+        description: apiService.name
+      })),
+      paths,
+      components: {
+        schemas: this.buildSharedSchemas(),
+        securitySchemes: {
+          apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+      },
+      security: [{ apiKey: [] }]
+    };
+  }
+
+  /**
+   * Build all paths for one service
+   */
+  buildServicePaths(apiService, requestSchema, locationTimezone) {
+    const basePath = `/services/${encodeURIComponent(apiService.id)}`;
+    const operations = WORKFLOW_OPERATIONS[apiService.workflow_pattern] || [];
+    const paths = {
+      [basePath]: {
+        post: this.buildServiceOperation(apiService, requestSchema)
+      }
+    };
+
+    if (operations.includes('availability')) {
+      paths[`${basePath}/availability`] = {
+        get: this.buildAvailabilityOperation(apiService, requestSchema, locationTimezone)
+      };
+    }
+
+    if (operations.includes('booking')) {
+      paths[`${basePath}/bookings`] = {
+        post: this.buildBookingOperation(apiService, requestSchema)
+      };
+    }
+
+    const bookingPath = `${basePath}/bookings/{booking_id}`;
+    if (operations.includes('modify')) {
+      paths[bookingPath] = {
+        parameters: [this.buildBookingIdParameter()],
+        patch: this.buildModifyOperation(apiService, requestSchema)
+      };
+    }
+
+    if (operations.includes('cancel')) {
+      paths[`${bookingPath}/cancel`] = {
+        parameters: [this.buildBookingIdParameter()],
+        post: this.buildCancelOperation(apiService)
+      };
+    }
+
+    return paths;
+  }
+
+  /**
+   * Service operation (execute / request / purchase / quote depending on workflow)
+   */
+  buildServiceOperation(apiService, requestSchema) {
+    return {
+      operationId: apiService.id,
+      summary: apiService.name,
+      description: [
+        apiService.description,
+        CONSTANTS.WORKFLOW_PATTERN_DESCRIPTIONS[apiService.workflow_pattern]
+      ].filter(Boolean).join('. '),
+      tags: [apiService.id],
+      requestBody: this.buildRequestBody(requestSchema),
+      responses: {
+        200: this.buildJSONResponse('Service request accepted', '#/components/schemas/ServiceResult'),
+        ...this.buildPaymentErrorResponses(apiService.payment_config),
+        ...this.buildCommonErrorResponses()
+      },
+      'x-bais-workflow-pattern': apiService.workflow_pattern,
+      'x-bais-workflow-steps': apiService.workflow_steps
+    };
+  }
+
+  /**
+   * Availability lookup operation (parameters passed as query string)
+   * The booking schedule, when published, lets agents rule out closed times without calling
+   */
+  buildAvailabilityOperation(apiService, requestSchema, locationTimezone) {
+    const schedule = apiService.availability.schedule;
+
+    return {
+      operationId: `${apiService.id}_availability`,
+      summary: `Check ${apiService.name} availability`,
+      tags: [apiService.id],
+      parameters: Object.entries(requestSchema.properties).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        required: false,
+        description: schema.description,
+        schema: this.stripExtensions(schema)
+      })),
+      responses: {
+        200: this.buildJSONResponse('Availability result', '#/components/schemas/Availability'),
+        ...this.buildCommonErrorResponses()
+      },
+      'x-bais-advance-booking-days': apiService.availability.advance_booking_days,
+      'x-bais-cache-timeout-seconds': apiService.availability.cache_timeout_seconds,
+      'x-bais-schedule': schedule
+        ? { ...schedule, timezone: getScheduleTimezone(schedule, locationTimezone) }
+        : undefined
+    };
+  }
+
+  /**
+   * Booking creation operation
+   */
+  buildBookingOperation(apiService, requestSchema) {
+    return {
+      operationId: `${apiService.id}_book`,
+      summary: `Book ${apiService.name}`,
+      tags: [apiService.id],
+      requestBody: this.buildRequestBody(requestSchema),
+      responses: {
+        201: this.buildJSONResponse('Booking created', '#/components/schemas/Booking'),
+        409: this.buildJSONResponse('Requested slot is no longer available', '#/components/schemas/Error'),
+        ...this.buildPaymentErrorResponses(apiService.payment_config),
+        ...this.buildCommonErrorResponses()
+      }
+    };
+  }
+
+  /**
+   * Booking modification operation
+   * Every field of the body is optional: top-level, dependent and conditional requirements are
+   * dropped, while hidden parameters stay forbidden
+   */
+  buildModifyOperation(apiService, requestSchema) {
+    const { required, dependentRequired, allOf, ...partialSchema } = requestSchema;
+    const conditions = (allOf || [])
+      .map(({ then, ...condition }) => condition)
+      .filter(condition => condition.else);
+    if (conditions.length > 0) {
+      partialSchema.allOf = conditions;
+    }
+    const fee = apiService.policies.modification_fee;
+
+    return {
+      operationId: `${apiService.id}_modify`,
+      summary: `Modify a ${apiService.name} booking`,
+      description: fee > 0 ? `A modification fee of ${fee} applies.` : undefined,
+      tags: [apiService.id],
+      requestBody: this.buildRequestBody(partialSchema),
+      responses: {
+        200: this.buildJSONResponse('Booking modified', '#/components/schemas/Booking'),
+        404: this.buildJSONResponse('Booking not found', '#/components/schemas/Error'),
+        ...(fee > 0 ? this.buildPaymentErrorResponses(apiService.payment_config) : {}),
+        ...this.buildCommonErrorResponses()
+      },
+      'x-bais-modification-fee': fee
+    };
+  }
+
+  /**
+   * Booking cancellation operation, with error responses derived from the cancellation policy
+   */
+  buildCancelOperation(apiService) {
+    const policy = apiService.cancellation_policy;
+    const isNonRefundable = policy.type === CONSTANTS.CANCELLATION_POLICY_TYPES.NON_REFUNDABLE;
+
+    const responses = {
+      200: this.buildJSONResponse('Booking cancelled', '#/components/schemas/Cancellation'),
+      404: this.buildJSONResponse('Booking not found', '#/components/schemas/Error')
+    };
+
+    if (isNonRefundable) {
+      responses[409] = this.buildJSONResponse(
+        'Booking is non-refundable; cancellation forfeits the full amount',
+        '#/components/schemas/Error'
+      );
+    } else if (policy.penalty_percentage > 0) {
+      responses[409] = this.buildJSONResponse(
+        `Cancellation less than ${policy.free_until_hours} hours before start incurs a ${policy.penalty_percentage}% penalty`,
+        '#/components/schemas/Error'
+      );
+    }
+
+    return {
+      operationId: `${apiService.id}_cancel`,
+      summary: `Cancel a ${apiService.name} booking`,
+      description: policy.description,
+      tags: [apiService.id],
+      responses: {
+        ...responses,
+        ...this.buildCommonErrorResponses()
+      },
+      'x-bais-cancellation-policy': policy
+    };
+  }
+
+  /**
+   * Payment-related error responses from the payment configuration
+   */
+  buildPaymentErrorResponses(paymentConfig) {
+    const chargesUpFront = paymentConfig.timing === CONSTANTS.PAYMENT_TIMING.AT_BOOKING ||
+                           paymentConfig.timing === CONSTANTS.PAYMENT_TIMING.DEPOSIT_THEN_BALANCE ||
+                           paymentConfig.deposit_required;
+
+    if (!chargesUpFront) {
+      return {};
+    }
+
+    return {
+      402: {
+        ...this.buildJSONResponse(
+          `Payment required (${paymentConfig.methods.join(', ')})`,
+          '#/components/schemas/Error'
+        ),
+        'x-bais-payment-config': paymentConfig
+      }
+    };
+  }
+
+  /**
+   * Error responses shared by every operation
+   */
+  buildCommonErrorResponses() {
+    return {
+      400: this.buildJSONResponse('Invalid parameters', '#/components/schemas/Error'),
+      401: this.buildJSONResponse('Missing or invalid API key', '#/components/schemas/Error')
+    };
+  }
+
+  /**
+   * Build a JSON request body from a parameter schema
+   */
+  buildRequestBody(schema) {
+    return {
+      required: true,
+      content: {
+        'application/json': { schema }
+      }
+    };
+  }
+
+  /**
+   * Build a JSON response referencing a shared schema
+   */
+  buildJSONResponse(description, ref) {
+    return {
+      description,
+      content: {
+        'application/json': { schema: { $ref: ref } }
+      }
+    };
+  }
+
+  /**
+   * Path parameter for booking-scoped operations
+   */
+  buildBookingIdParameter() {
+    return {
+      name: 'booking_id',
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    };
+  }
+
+  /**
+   * Remove vendor extension keys from a schema (query parameters only carry validation)
+   */
+  stripExtensions(schema) {
+    return Object.fromEntries(
+      Object.entries(schema).filter(([key]) => !key.startsWith('x-') && key !== 'description')
+    );
+  }
+
+  /**
+   * Shared component schemas
+   */
+  buildSharedSchemas() {
+    return {
+      Error: {
+        type: 'object',
+        properties: {
+          detail: { type: 'string' },
+          code: { type: 'string' }
+        },
+        required: ['detail']
+      },
+      ServiceResult: {
+        type: 'object',
+        properties: {
+          request_id: { type: 'string' },
+          status: { type: 'string' }
+        }
+      },
+      Availability: {
+        type: 'object',
+        properties: {
+          available: { type: 'boolean' },
+          slots: { type: 'array', items: { type: 'string', format: 'date-time' } }
+        },
+        required: ['available']
+      },
+      Booking: {
+        type: 'object',
+        properties: {
+          booking_id: { type: 'string' },
+          status: { type: 'string' },
+          total: { type: 'number' },
+          currency: { type: 'string' }
+        },
+        required: ['booking_id', 'status']
+      },
+      Cancellation: {
+        type: 'object',
+        properties: {
+          booking_id: { type: 'string' },
+          refund_amount: { type: 'number' },
+          penalty_amount: { type: 'number' }
+        },
+        required: ['booking_id']
+      }
+    };
+  }
+
+  /**
+   * Serialize the document for download
+   */
+  serialize(document) {
+    return JSON.stringify(document, null, 2);
+  }
+}
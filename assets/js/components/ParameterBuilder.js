@@ -5,13 +5,56 @@
  */
 
 import CONSTANTS from '../core/constants.js';
+import { getMinorUnitDigits } from '../core/money.js';
+import {
+  COMMON_PARAMETERS,
+  PARAMETER_LIBRARY,
+  createParameterFromTemplate,
+  getLibraryTemplates,
+  getSavedTemplates,
+  removeParameterTemplate,
+  saveParameterTemplate
+} from '../core/parameterLibrary.js';
+import { deepClone, escapeHTML } from '../core/utils.js';
+import BAISFormValidator from './BAISFormValidator.js';
+
+/**
+ * Drag data type for reordering parameters (keeps parameter drags apart from service drags)
+ */
+const PARAMETER_DRAG_TYPE = 'application/x-bais-parameter';
+
+const PRICING_MODEL_HELP = {
+  [CONSTANTS.PRICING_MODELS.FLAT]: 'A fixed price, charged once',
+  [CONSTANTS.PRICING_MODELS.PER_UNIT]: 'The rate is multiplied by this parameter\'s value (e.g., number of guests)',
+  [CONSTANTS.PRICING_MODELS.TIERED]: 'The base rate is charged once; the quantity is priced by bracket'
+};
+
+/**
+ * Constraints offered for array items and object properties, by type
+ */
+const CHILD_CONSTRAINT_FIELDS = {
+  [CONSTANTS.PARAMETER_TYPES.INTEGER]: [['minimum', 'Minimum'], ['maximum', 'Maximum']],
+  [CONSTANTS.PARAMETER_TYPES.NUMBER]: [['minimum', 'Minimum'], ['maximum', 'Maximum']],
+  [CONSTANTS.PARAMETER_TYPES.STRING]: [['maxLength', 'Maximum Length'], ['enum', 'Allowed Values (comma-separated)']],
+  [CONSTANTS.PARAMETER_TYPES.ARRAY]: [['minItems', 'Minimum Items'], ['maxItems', 'Maximum Items']]
+};
+
+const BASE_RATE_LABELS = {
+  [CONSTANTS.PRICING_MODELS.FLAT]: 'Base Rate',
+  [CONSTANTS.PRICING_MODELS.PER_UNIT]: 'Rate per Unit',
+  [CONSTANTS.PRICING_MODELS.TIERED]: 'Base Rate (charged once)'
+};
 
 export default class ParameterBuilder {
-  constructor(serviceIndex, onUpdate) {
-    this.serviceIndex = serviceIndex;
+  constructor(serviceKey, onUpdate, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY, businessType = '') {
+    this.serviceKey = serviceKey;
     this.onUpdate = onUpdate;
+    this.currency = currency;
+    this.businessType = businessType;
     this.parameters = [];
     this.container = null;
+    // Open collapsible sections per parameter object, so they stay open across re-renders and moves
+    this.openSections = new WeakMap();
   }
 
   /**
@@ -38,7 +81,7 @@ export default class ParameterBuilder {
    */
   getHTML() {
     return `
-      <div class="parameter-builder" data-service-index="${this.serviceIndex}">
+      <div class="parameter-builder" data-service-key="${this.serviceKey}">
         <div class="parameter-builder-header">
           <h4>Service Parameters</h4>
           <p class="help-text">${CONSTANTS.FIELD_HELP_TEXT.PARAMETER_NAME}</p>
@@ -48,10 +91,12 @@ export default class ParameterBuilder {
           ${this.parameters.map((param, index) => this.renderParameter(param, index)).join('')}
         </div>
 
-        <button type="button" class="add-parameter-btn" data-service-index="${this.serviceIndex}">
+        <button type="button" class="add-parameter-btn" data-service-key="${this.serviceKey}">
           + Add Parameter
         </button>
 
+        ${this.renderTemplateLibrary()}
+
         ${this.parameters.length === 0 ? '<p class="validation-hint">At least one parameter is required</p>' : ''}
       </div>
     `;
@@ -63,27 +108,39 @@ export default class ParameterBuilder {
   renderParameter(param, index) {
     return `
       <div class="parameter-config" data-param-index="${index}">
-        <div class="parameter-header">
-          <h5>Parameter ${index + 1}</h5>
-          <button type="button" class="remove-param-btn" data-param-index="${index}">
-            Remove
-          </button>
+        <div class="parameter-header" draggable="true" data-param-index="${index}" title="Drag to reorder">
+          <h5><span class="drag-handle" aria-hidden="true">⠿</span> Parameter ${index + 1}</h5>
+          <div class="parameter-actions">
+            <button type="button" class="move-param-btn" data-param-index="${index}" data-direction="-1"
+              aria-label="Move parameter up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="move-param-btn" data-param-index="${index}" data-direction="1"
+              aria-label="Move parameter down" ${index === this.parameters.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="duplicate-param-btn" data-param-index="${index}">
+              Duplicate
+            </button>
+            <button type="button" class="save-template-btn" data-param-index="${index}">
+              Save as Template
+            </button>
+            <button type="button" class="remove-param-btn" data-param-index="${index}">
+              Remove
+            </button>
+          </div>
         </div>
 
         <div class="parameter-body">
           <!-- Basic Information -->
           <div class="form-row">
             <div class="form-group">
-              <label for="param-name-${this.serviceIndex}-${index}">
+              <label for="param-name-${this.serviceKey}-${index}">
                 Parameter Name <span class="required">*</span>
               </label>
               <input
                 type="text"
-                id="param-name-${this.serviceIndex}-${index}"
-                name="param-name-${this.serviceIndex}-${index}"
+                id="param-name-${this.serviceKey}-${index}"
+                name="param-name-${this.serviceKey}-${index}"
                 class="param-name-input"
                 placeholder="e.g., check_in_date"
-                value="${param.name || ''}"
+                value="${escapeHTML(param.name)}"
                 required
                 pattern="^[a-z_][a-z0-9_]*$"
                 data-param-index="${index}">
@@ -91,12 +148,12 @@ export default class ParameterBuilder {
             </div>
 
             <div class="form-group">
-              <label for="param-type-${this.serviceIndex}-${index}">
+              <label for="param-type-${this.serviceKey}-${index}">
                 Type <span class="required">*</span>
               </label>
               <select
-                id="param-type-${this.serviceIndex}-${index}"
-                name="param-type-${this.serviceIndex}-${index}"
+                id="param-type-${this.serviceKey}-${index}"
+                name="param-type-${this.serviceKey}-${index}"
                 class="param-type-select"
                 data-param-index="${index}"
                 required>
@@ -107,17 +164,17 @@ export default class ParameterBuilder {
 
           <!-- Description -->
           <div class="form-group">
-            <label for="param-description-${this.serviceIndex}-${index}">
+            <label for="param-description-${this.serviceKey}-${index}">
               Description <span class="required">*</span>
             </label>
             <textarea
-              id="param-description-${this.serviceIndex}-${index}"
-              name="param-description-${this.serviceIndex}-${index}"
+              id="param-description-${this.serviceKey}-${index}"
+              name="param-description-${this.serviceKey}-${index}"
               class="param-description-input"
               placeholder="Describe what this parameter represents"
               data-param-index="${index}"
               maxlength="500"
-              required>${param.description || ''}</textarea>
+              required>${escapeHTML(param.description)}</textarea>
             <span class="char-count">${(param.description || '').length}/500</span>
           </div>
 
@@ -126,7 +183,7 @@ export default class ParameterBuilder {
             <label class="checkbox-label">
               <input
                 type="checkbox"
-                name="param-required-${this.serviceIndex}-${index}"
+                name="param-required-${this.serviceKey}-${index}"
                 class="param-required-checkbox"
                 data-param-index="${index}"
                 ${param.required ? 'checked' : ''}>
@@ -136,38 +193,395 @@ export default class ParameterBuilder {
 
           <!-- Default Value -->
           <div class="form-group">
-            <label for="param-default-${this.serviceIndex}-${index}">
+            <label for="param-default-${this.serviceKey}-${index}">
               Default Value (optional)
             </label>
             ${this.renderDefaultValueInput(param, index)}
           </div>
 
+          ${this.renderNestedSchema(param, index, '', 1)}
+
           <!-- Constraints (Type-specific) -->
           <div class="parameter-constraints">
-            <button type="button" class="collapsible-trigger" data-param-index="${index}">
-              <span>Constraints & Validation</span>
-              <span class="collapsible-icon">▼</span>
-            </button>
-            <div class="collapsible-content" data-param-index="${index}">
-              ${this.renderConstraints(param, index)}
-            </div>
+            ${this.renderCollapsible(param, index, 'constraints', 'Constraints & Validation', this.renderConstraints(param, index))}
           </div>
 
           <!-- Pricing Configuration -->
           <div class="parameter-pricing">
-            <button type="button" class="collapsible-trigger" data-param-index="${index}">
-              <span>Pricing Configuration (optional)</span>
-              <span class="collapsible-icon">▼</span>
+            ${this.renderCollapsible(param, index, 'pricing', 'Pricing Configuration (optional)', this.renderPricingConfig(param, index))}
+          </div>
+
+          <!-- Conditional & Cross-Parameter Rules -->
+          <div class="parameter-rules">
+            ${this.renderCollapsible(param, index, 'rules', 'Conditions & Dependencies (optional)', this.renderRules(param, index))}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a collapsible section, open if the user left it open
+   */
+  renderCollapsible(param, index, section, label, content) {
+    const isOpen = this.openSections.get(param)?.has(section) || false;
+
+    return `
+      <button type="button" class="collapsible-trigger" data-param-index="${index}" data-section="${section}"
+        aria-expanded="${isOpen}">
+        <span>${label}</span>
+        <span class="collapsible-icon">${isOpen ? '▲' : '▼'}</span>
+      </button>
+      <div class="collapsible-content" data-param-index="${index}" ${isOpen ? 'style="display: block;"' : ''}>
+        ${content}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the picker for library and saved parameter templates
+   */
+  renderTemplateLibrary() {
+    const renderOptions = (templates, source) => templates.map(template => `
+      <option value="${source}:${escapeHTML(template.name)}">
+        ${escapeHTML(template.name)} (${CONSTANTS.PARAMETER_TYPE_LABELS[template.type] || template.type})
+      </option>
+    `).join('');
+
+    const businessTemplates = PARAMETER_LIBRARY[this.businessType] || [];
+    const savedTemplates = getSavedTemplates();
+
+    return `
+      <div class="parameter-library">
+        <label for="param-template-select-${this.serviceKey}">Add from Library</label>
+        <div class="form-row">
+          <select id="param-template-select-${this.serviceKey}" class="parameter-template-select">
+            <option value="">Select a parameter</option>
+            <optgroup label="Common">
+              ${renderOptions(COMMON_PARAMETERS, 'library')}
+            </optgroup>
+            ${businessTemplates.length > 0 ? `
+              <optgroup label="${CONSTANTS.BUSINESS_TYPE_LABELS[this.businessType]}">
+                ${renderOptions(businessTemplates, 'library')}
+              </optgroup>
+            ` : ''}
+            ${savedTemplates.length > 0 ? `
+              <optgroup label="Saved Templates">
+                ${renderOptions(savedTemplates, 'saved')}
+              </optgroup>
+            ` : ''}
+          </select>
+          <button type="button" class="insert-template-btn">Insert</button>
+          <button type="button" class="delete-template-btn" ${savedTemplates.length === 0 ? 'disabled' : ''}>
+            Delete Saved Template
+          </button>
+        </div>
+        <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.PARAMETER_LIBRARY}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the item definition of an array or the properties of an object
+   * @param {Object} definition - Parameter or child definition
+   * @param {number} index - Top-level parameter index
+   * @param {string} path - Path of the definition below the parameter ('' for the parameter itself)
+   * @param {number} depth - Nesting level of the definition (top-level parameters are 1)
+   */
+  renderNestedSchema(definition, index, path, depth) {
+    const isArray = definition.type === CONSTANTS.PARAMETER_TYPES.ARRAY;
+    const isObject = definition.type === CONSTANTS.PARAMETER_TYPES.OBJECT;
+    if (!isArray && !isObject) {
+      return '';
+    }
+
+    if (depth >= CONSTANTS.CONSTRAINTS.MAX_PARAMETER_DEPTH) {
+      return `<p class="validation-hint">Nesting limit reached; this ${definition.type} accepts any content</p>`;
+    }
+
+    const childPath = (suffix) => path ? `${path}.${suffix}` : suffix;
+
+    if (isArray) {
+      const itemsPath = childPath('items');
+      return `
+        <fieldset class="pricing-rules nested-schema">
+          <legend>Items</legend>
+          <p class="help-text">${CONSTANTS.FIELD_HELP_TEXT.PARAMETER_ITEMS}</p>
+          <div class="form-group">
+            <label for="param-child-type-${this.serviceKey}-${index}-${itemsPath}">Item Type</label>
+            <select
+              id="param-child-type-${this.serviceKey}-${index}-${itemsPath}"
+              class="child-param-type-select"
+              data-param-index="${index}"
+              data-path="${itemsPath}">
+              <option value="" ${!definition.items ? 'selected' : ''}>Any</option>
+              ${this.renderTypeOptions(definition.items ? definition.items.type : null)}
+            </select>
+          </div>
+          ${definition.items ? this.renderChildParameter(definition.items, index, itemsPath, depth + 1, false) : ''}
+        </fieldset>
+      `;
+    }
+
+    const properties = definition.properties || [];
+    return `
+      <fieldset class="pricing-rules nested-schema">
+        <legend>Properties</legend>
+        <p class="help-text">${CONSTANTS.FIELD_HELP_TEXT.PARAMETER_PROPERTIES}</p>
+        ${properties.map((property, propertyIndex) =>
+          this.renderChildParameter(property, index, childPath(`properties.${propertyIndex}`), depth + 1, true)
+        ).join('')}
+        <button type="button" class="child-param-add-btn" data-param-index="${index}" data-path="${path}"
+          ${properties.length >= CONSTANTS.CONSTRAINTS.MAX_OBJECT_PROPERTIES ? 'disabled' : ''}>
+          + Add Property
+        </button>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render an array item or object property definition
+   */
+  renderChildParameter(definition, index, path, depth, named) {
+    const id = (field) => `param-child-${field}-${this.serviceKey}-${index}-${path}`;
+    const constraintFields = CHILD_CONSTRAINT_FIELDS[definition.type] || [];
+    const constraints = definition.constraints || {};
+
+    return `
+      <div class="child-parameter" data-param-index="${index}" data-path="${path}">
+        <div class="form-row">
+          ${named ? `
+            <div class="form-group">
+              <label for="${id('name')}">Property Name <span class="required">*</span></label>
+              <input
+                type="text"
+                id="${id('name')}"
+                class="child-param-input"
+                data-param-index="${index}"
+                data-path="${path}"
+                data-field="name"
+                placeholder="e.g., age"
+                pattern="^[a-z_][a-z0-9_]*$"
+                value="${escapeHTML(definition.name)}">
+            </div>
+
+            <div class="form-group">
+              <label for="${id('type')}">Type</label>
+              <select
+                id="${id('type')}"
+                class="child-param-type-select"
+                data-param-index="${index}"
+                data-path="${path}">
+                ${this.renderTypeOptions(definition.type)}
+              </select>
+            </div>
+          ` : ''}
+
+          <div class="form-group">
+            <label for="${id('description')}">Description</label>
+            <input
+              type="text"
+              id="${id('description')}"
+              class="child-param-input"
+              data-param-index="${index}"
+              data-path="${path}"
+              data-field="description"
+              maxlength="500"
+              value="${escapeHTML(definition.description)}">
+          </div>
+        </div>
+
+        ${constraintFields.length > 0 ? `
+          <div class="form-row">
+            ${constraintFields.map(([constraint, label]) => `
+              <div class="form-group">
+                <label for="${id(constraint)}">${label}</label>
+                <input
+                  type="${constraint === 'enum' ? 'text' : 'number'}"
+                  id="${id(constraint)}"
+                  class="child-param-constraint-input"
+                  data-param-index="${index}"
+                  data-path="${path}"
+                  data-constraint="${constraint}"
+                  value="${escapeHTML(Array.isArray(constraints[constraint]) ? constraints[constraint].join(', ') : constraints[constraint])}">
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        ${named ? `
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input
+                type="checkbox"
+                class="child-param-input"
+                data-param-index="${index}"
+                data-path="${path}"
+                data-field="required"
+                ${definition.required ? 'checked' : ''}>
+              <span>Required Property</span>
+            </label>
+            <button type="button" class="child-param-remove-btn" data-param-index="${index}" data-path="${path}">
+              Remove Property
             </button>
-            <div class="collapsible-content" data-param-index="${index}">
-              ${this.renderPricingConfig(param, index)}
+          </div>
+        ` : ''}
+
+        ${this.renderNestedSchema(definition, index, path, depth)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render required-when / applies-when conditions and comparisons
+   */
+  renderRules(param, index) {
+    const otherParameters = this.parameters.filter((other, otherIndex) => otherIndex !== index && other.name);
+    if (otherParameters.length === 0) {
+      return '<p class="validation-hint">Name another parameter to make this one depend on it</p>';
+    }
+
+    const comparisons = param.comparisons || [];
+
+    return `
+      <p class="help-text">${CONSTANTS.FIELD_HELP_TEXT.PARAMETER_RULES}</p>
+
+      ${param.required ? '' : this.renderCondition(param.requiredWhen, index, 'requiredWhen', 'Required only when', otherParameters)}
+      ${this.renderCondition(param.visibleWhen, index, 'visibleWhen', 'Applies only when', otherParameters)}
+
+      <fieldset class="pricing-rules">
+        <legend>Comparisons</legend>
+        ${comparisons.map((comparison, rowIndex) => `
+          <div class="form-row comparison-row" data-param-index="${index}">
+            <div class="form-group">
+              <label for="param-comparison-op-${this.serviceKey}-${index}-${rowIndex}">${escapeHTML(param.name || 'This parameter')}</label>
+              <select
+                id="param-comparison-op-${this.serviceKey}-${index}-${rowIndex}"
+                class="param-comparison-input"
+                data-field="operator"
+                data-param-index="${index}">
+                ${Object.entries(CONSTANTS.COMPARISON_OPERATOR_LABELS).map(([value, label]) => `
+                  <option value="${value}" ${comparison.operator === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>
+
+            <div class="form-group">
+              <label for="param-comparison-param-${this.serviceKey}-${index}-${rowIndex}">Parameter</label>
+              ${this.renderParameterSelect(`param-comparison-param-${this.serviceKey}-${index}-${rowIndex}`,
+                'param-comparison-input', index, comparison.parameter, otherParameters)}
             </div>
+
+            <button type="button" class="comparison-remove-btn" data-param-index="${index}"
+              data-row-index="${rowIndex}" aria-label="Remove">
+              Remove
+            </button>
           </div>
+        `).join('')}
+
+        <button type="button" class="comparison-add-btn" data-param-index="${index}"
+          ${comparisons.length >= CONSTANTS.CONSTRAINTS.MAX_PARAMETER_COMPARISONS ? 'disabled' : ''}>
+          + Add Comparison (e.g., end date after start date)
+        </button>
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render a condition on another parameter
+   */
+  renderCondition(condition, index, rule, label, otherParameters) {
+    const id = `param-${rule}-${this.serviceKey}-${index}`;
+    const operator = condition ? condition.operator : CONSTANTS.CONDITION_OPERATORS.EQUALS;
+    const target = condition ? otherParameters.find(other => other.name === condition.parameter) : null;
+
+    return `
+      <div class="form-row condition-row">
+        <div class="form-group">
+          <label for="${id}-parameter">${label}</label>
+          ${this.renderParameterSelect(`${id}-parameter`, 'param-rule-input param-rule-select', index,
+            condition ? condition.parameter : '', otherParameters, rule)}
         </div>
+
+        ${condition ? `
+          <div class="form-group">
+            <label for="${id}-operator">Condition</label>
+            <select
+              id="${id}-operator"
+              class="param-rule-input param-rule-select"
+              data-rule="${rule}"
+              data-field="operator"
+              data-param-index="${index}">
+              ${Object.entries(CONSTANTS.CONDITION_OPERATOR_LABELS).map(([value, operatorLabel]) => `
+                <option value="${value}" ${operator === value ? 'selected' : ''}>${operatorLabel}</option>
+              `).join('')}
+            </select>
+          </div>
+
+          ${operator !== CONSTANTS.CONDITION_OPERATORS.IS_SET ? `
+            <div class="form-group">
+              <label for="${id}-value">Value</label>
+              ${this.renderConditionValueInput(`${id}-value`, condition.value, target, index, rule)}
+            </div>
+          ` : ''}
+        ` : ''}
       </div>
     `;
   }
 
+  /**
+   * Render a select of the other named parameters
+   */
+  renderParameterSelect(id, className, index, selected, otherParameters, rule = null) {
+    return `
+      <select
+        id="${id}"
+        class="${className}"
+        ${rule ? `data-rule="${rule}"` : ''}
+        data-field="parameter"
+        data-param-index="${index}">
+        <option value="">${rule ? 'Always' : 'Select a parameter'}</option>
+        ${otherParameters.map(other => `
+          <option value="${escapeHTML(other.name)}" ${selected === other.name ? 'selected' : ''}>${escapeHTML(other.name)}</option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  /**
+   * Render the condition value input for the referenced parameter's type
+   */
+  renderConditionValueInput(id, value, target, index, rule) {
+    const attributes = `id="${id}" class="param-rule-input" data-rule="${rule}" data-field="value" data-param-index="${index}"`;
+    const type = target ? target.type : CONSTANTS.PARAMETER_TYPES.STRING;
+
+    if (type === CONSTANTS.PARAMETER_TYPES.BOOLEAN) {
+      return `
+        <select ${attributes}>
+          <option value="true" ${value === true ? 'selected' : ''}>true</option>
+          <option value="false" ${value === false ? 'selected' : ''}>false</option>
+        </select>
+      `;
+    }
+
+    if (target && target.constraints && Array.isArray(target.constraints.enum) && target.constraints.enum.length > 0) {
+      return `
+        <select ${attributes}>
+          ${target.constraints.enum.map(option => `
+            <option value="${escapeHTML(option)}" ${value === option ? 'selected' : ''}>${escapeHTML(option)}</option>
+          `).join('')}
+        </select>
+      `;
+    }
+
+    const inputType = type === CONSTANTS.PARAMETER_TYPES.INTEGER || type === CONSTANTS.PARAMETER_TYPES.NUMBER ? 'number' :
+                      type === CONSTANTS.PARAMETER_TYPES.DATE ? 'date' :
+                      type === CONSTANTS.PARAMETER_TYPES.DATETIME ? 'datetime-local' :
+                      type === CONSTANTS.PARAMETER_TYPES.TIME ? 'time' : 'text';
+
+    return `<input type="${inputType}" ${attributes} value="${escapeHTML(value)}">`;
+  }
+
   /**
    * Render type options dropdown
    */
@@ -189,7 +603,7 @@ export default class ParameterBuilder {
       case CONSTANTS.PARAMETER_TYPES.BOOLEAN:
         return `
           <select
-            id="param-default-${this.serviceIndex}-${index}"
+            id="param-default-${this.serviceKey}-${index}"
             class="param-default-input"
             data-param-index="${index}">
             <option value="">None</option>
@@ -202,42 +616,63 @@ export default class ParameterBuilder {
         return `
           <input
             type="number"
-            id="param-default-${this.serviceIndex}-${index}"
+            id="param-default-${this.serviceKey}-${index}"
             class="param-default-input"
             data-param-index="${index}"
             step="1"
-            value="${param.default !== undefined ? param.default : ''}">
+            value="${escapeHTML(param.default)}">
         `;
 
       case CONSTANTS.PARAMETER_TYPES.NUMBER:
         return `
           <input
             type="number"
-            id="param-default-${this.serviceIndex}-${index}"
+            id="param-default-${this.serviceKey}-${index}"
             class="param-default-input"
             data-param-index="${index}"
             step="any"
-            value="${param.default !== undefined ? param.default : ''}">
+            value="${escapeHTML(param.default)}">
         `;
 
       case CONSTANTS.PARAMETER_TYPES.DATE:
         return `
           <input
             type="date"
-            id="param-default-${this.serviceIndex}-${index}"
+            id="param-default-${this.serviceKey}-${index}"
+            class="param-default-input"
+            data-param-index="${index}"
+            value="${escapeHTML(param.default || '')}">
+        `;
+
+      case CONSTANTS.PARAMETER_TYPES.DATETIME:
+        return `
+          <input
+            type="datetime-local"
+            id="param-default-${this.serviceKey}-${index}"
+            class="param-default-input"
+            data-param-index="${index}"
+            value="${escapeHTML(param.default || '')}">
+          <span class="help-text">Local time at the business location</span>
+        `;
+
+      case CONSTANTS.PARAMETER_TYPES.TIME:
+        return `
+          <input
+            type="time"
+            id="param-default-${this.serviceKey}-${index}"
             class="param-default-input"
             data-param-index="${index}"
-            value="${param.default || ''}">
+            value="${escapeHTML(param.default || '')}">
         `;
 
       default:
         return `
           <input
             type="text"
-            id="param-default-${this.serviceIndex}-${index}"
+            id="param-default-${this.serviceKey}-${index}"
             class="param-default-input"
             data-param-index="${index}"
-            value="${param.default || ''}">
+            value="${escapeHTML(param.default || '')}">
         `;
     }
   }
@@ -271,27 +706,27 @@ export default class ParameterBuilder {
     return `
       <div class="form-row">
         <div class="form-group">
-          <label for="param-min-${this.serviceIndex}-${index}">Minimum Value</label>
+          <label for="param-min-${this.serviceKey}-${index}">Minimum Value</label>
           <input
             type="number"
-            id="param-min-${this.serviceIndex}-${index}"
+            id="param-min-${this.serviceKey}-${index}"
             class="param-constraint-input"
             data-constraint="minimum"
             data-param-index="${index}"
             step="any"
-            value="${constraints.minimum !== undefined ? constraints.minimum : ''}">
+            value="${escapeHTML(constraints.minimum)}">
         </div>
 
         <div class="form-group">
-          <label for="param-max-${this.serviceIndex}-${index}">Maximum Value</label>
+          <label for="param-max-${this.serviceKey}-${index}">Maximum Value</label>
           <input
             type="number"
-            id="param-max-${this.serviceIndex}-${index}"
+            id="param-max-${this.serviceKey}-${index}"
             class="param-constraint-input"
             data-constraint="maximum"
             data-param-index="${index}"
             step="any"
-            value="${constraints.maximum !== undefined ? constraints.maximum : ''}">
+            value="${escapeHTML(constraints.maximum)}">
         </div>
       </div>
     `;
@@ -304,62 +739,62 @@ export default class ParameterBuilder {
     return `
       <div class="form-row">
         <div class="form-group">
-          <label for="param-minlength-${this.serviceIndex}-${index}">Minimum Length</label>
+          <label for="param-minlength-${this.serviceKey}-${index}">Minimum Length</label>
           <input
             type="number"
-            id="param-minlength-${this.serviceIndex}-${index}"
+            id="param-minlength-${this.serviceKey}-${index}"
             class="param-constraint-input"
             data-constraint="minLength"
             data-param-index="${index}"
             min="0"
             step="1"
-            value="${constraints.minLength !== undefined ? constraints.minLength : ''}">
+            value="${escapeHTML(constraints.minLength)}">
         </div>
 
         <div class="form-group">
-          <label for="param-maxlength-${this.serviceIndex}-${index}">Maximum Length</label>
+          <label for="param-maxlength-${this.serviceKey}-${index}">Maximum Length</label>
           <input
             type="number"
-            id="param-maxlength-${this.serviceIndex}-${index}"
+            id="param-maxlength-${this.serviceKey}-${index}"
             class="param-constraint-input"
             data-constraint="maxLength"
             data-param-index="${index}"
             min="0"
             step="1"
-            value="${constraints.maxLength !== undefined ? constraints.maxLength : ''}">
+            value="${escapeHTML(constraints.maxLength)}">
         </div>
       </div>
 
       <div class="form-group">
-        <label for="param-pattern-${this.serviceIndex}-${index}">Pattern (Regex)</label>
+        <label for="param-pattern-${this.serviceKey}-${index}">Pattern (Regex)</label>
         <input
           type="text"
-          id="param-pattern-${this.serviceIndex}-${index}"
+          id="param-pattern-${this.serviceKey}-${index}"
           class="param-constraint-input"
           data-constraint="pattern"
           data-param-index="${index}"
           placeholder="e.g., ^[A-Z]{2}\\d{3}$"
-          value="${constraints.pattern || ''}">
+          value="${escapeHTML(constraints.pattern || '')}">
         <span class="help-text">Regular expression for validation</span>
       </div>
 
       <div class="form-group">
-        <label for="param-enum-${this.serviceIndex}-${index}">Allowed Values (comma-separated)</label>
+        <label for="param-enum-${this.serviceKey}-${index}">Allowed Values (comma-separated)</label>
         <input
           type="text"
-          id="param-enum-${this.serviceIndex}-${index}"
+          id="param-enum-${this.serviceKey}-${index}"
           class="param-constraint-input"
           data-constraint="enum"
           data-param-index="${index}"
           placeholder="value1, value2, value3"
-          value="${constraints.enum ? constraints.enum.join(', ') : ''}">
+          value="${escapeHTML(constraints.enum ? constraints.enum.join(', ') : '')}">
         <span class="help-text">Restricts input to specific values</span>
       </div>
 
       <div class="form-group">
-        <label for="param-format-${this.serviceIndex}-${index}">Format</label>
+        <label for="param-format-${this.serviceKey}-${index}">Format</label>
         <select
-          id="param-format-${this.serviceIndex}-${index}"
+          id="param-format-${this.serviceKey}-${index}"
           class="param-constraint-input"
           data-constraint="format"
           data-param-index="${index}">
@@ -381,40 +816,48 @@ export default class ParameterBuilder {
     return `
       <div class="form-row">
         <div class="form-group">
-          <label for="param-minitems-${this.serviceIndex}-${index}">Minimum Items</label>
+          <label for="param-minitems-${this.serviceKey}-${index}">Minimum Items</label>
           <input
             type="number"
-            id="param-minitems-${this.serviceIndex}-${index}"
+            id="param-minitems-${this.serviceKey}-${index}"
             class="param-constraint-input"
             data-constraint="minItems"
             data-param-index="${index}"
             min="0"
             step="1"
-            value="${constraints.minItems !== undefined ? constraints.minItems : ''}">
+            value="${escapeHTML(constraints.minItems)}">
         </div>
 
         <div class="form-group">
-          <label for="param-maxitems-${this.serviceIndex}-${index}">Maximum Items</label>
+          <label for="param-maxitems-${this.serviceKey}-${index}">Maximum Items</label>
           <input
             type="number"
-            id="param-maxitems-${this.serviceIndex}-${index}"
+            id="param-maxitems-${this.serviceKey}-${index}"
             class="param-constraint-input"
             data-constraint="maxItems"
             data-param-index="${index}"
             min="0"
             step="1"
-            value="${constraints.maxItems !== undefined ? constraints.maxItems : ''}">
+            value="${escapeHTML(constraints.maxItems)}">
         </div>
       </div>
     `;
   }
 
+  /**
+   * Smallest amount the currency can express (0.01, or 1 for currencies without minor units)
+   */
+  getAmountStep() {
+    return Math.pow(10, -getMinorUnitDigits(this.currency));
+  }
+
   /**
    * Render pricing configuration
    */
   renderPricingConfig(param, index) {
     const pricing = param.pricing || {};
     const hasPricing = param.pricing !== null && param.pricing !== undefined;
+    const model = pricing.model || CONSTANTS.DEFAULT_VALUES.PRICING_MODEL;
 
     return `
       <div class="form-group">
@@ -429,127 +872,587 @@ export default class ParameterBuilder {
       </div>
 
       <div class="pricing-fields ${hasPricing ? '' : 'hidden'}">
+        <div class="form-group">
+          <label for="param-price-model-${this.serviceKey}-${index}">Pricing Model</label>
+          <select
+            id="param-price-model-${this.serviceKey}-${index}"
+            class="param-pricing-input param-pricing-model-select"
+            data-pricing="model"
+            data-param-index="${index}">
+            ${Object.entries(CONSTANTS.PRICING_MODEL_LABELS).map(([value, label]) => `
+              <option value="${value}" ${model === value ? 'selected' : ''}>
+                ${label}
+              </option>
+            `).join('')}
+          </select>
+          <span class="help-text">${PRICING_MODEL_HELP[model] || ''}</span>
+        </div>
+
         <div class="form-row">
           <div class="form-group">
-            <label for="param-price-base-${this.serviceIndex}-${index}">Base Rate</label>
+            <label for="param-price-base-${this.serviceKey}-${index}">${BASE_RATE_LABELS[model] || 'Base Rate'}</label>
             <input
               type="number"
-              id="param-price-base-${this.serviceIndex}-${index}"
+              id="param-price-base-${this.serviceKey}-${index}"
               class="param-pricing-input"
               data-pricing="baseRate"
               data-param-index="${index}"
               min="0"
-              step="0.01"
-              value="${pricing.baseRate !== undefined ? pricing.baseRate : ''}">
+              step="${this.getAmountStep()}"
+              value="${escapeHTML(pricing.baseRate)}">
           </div>
 
           <div class="form-group">
-            <label for="param-price-currency-${this.serviceIndex}-${index}">Currency</label>
-            <select
-              id="param-price-currency-${this.serviceIndex}-${index}"
-              class="param-pricing-input"
-              data-pricing="currency"
-              data-param-index="${index}">
-              ${Object.entries(CONSTANTS.CURRENCIES).map(([code]) => `
-                <option value="${code}" ${(pricing.currency || 'USD') === code ? 'selected' : ''}>
-                  ${code}
-                </option>
-              `).join('')}
-            </select>
+            <label for="param-price-currency-${this.serviceKey}-${index}">Currency</label>
+            <input
+              type="text"
+              id="param-price-currency-${this.serviceKey}-${index}"
+              value="${escapeHTML(this.currency)}"
+              readonly>
+            ${pricing.currency && pricing.currency !== this.currency ? `
+              <span class="validation-hint">Priced in ${pricing.currency}; editing switches it to ${this.currency} without converting amounts</span>
+            ` : '<span class="help-text">Set on the service</span>'}
           </div>
         </div>
 
         <div class="form-row">
           <div class="form-group">
-            <label for="param-price-tax-${this.serviceIndex}-${index}">Tax Rate (0-1)</label>
+            <label for="param-price-tax-${this.serviceKey}-${index}">Tax Rate (0-1)</label>
             <input
               type="number"
-              id="param-price-tax-${this.serviceIndex}-${index}"
+              id="param-price-tax-${this.serviceKey}-${index}"
               class="param-pricing-input"
               data-pricing="taxRate"
               data-param-index="${index}"
               min="0"
               max="1"
               step="0.01"
-              value="${pricing.taxRate !== undefined ? pricing.taxRate : ''}">
+              value="${escapeHTML(pricing.taxRate)}">
           </div>
 
           <div class="form-group">
-            <label for="param-price-service-${this.serviceIndex}-${index}">Service Fee</label>
+            <label for="param-price-service-${this.serviceKey}-${index}">Service Fee</label>
             <input
               type="number"
-              id="param-price-service-${this.serviceIndex}-${index}"
+              id="param-price-service-${this.serviceKey}-${index}"
               class="param-pricing-input"
               data-pricing="serviceFee"
               data-param-index="${index}"
               min="0"
-              step="0.01"
-              value="${pricing.serviceFee !== undefined ? pricing.serviceFee : ''}">
+              step="${this.getAmountStep()}"
+              value="${escapeHTML(pricing.serviceFee)}">
           </div>
         </div>
 
         <div class="form-group">
-          <label for="param-price-min-${this.serviceIndex}-${index}">Minimum Charge</label>
+          <label for="param-price-min-${this.serviceKey}-${index}">Minimum Charge</label>
           <input
             type="number"
-            id="param-price-min-${this.serviceIndex}-${index}"
+            id="param-price-min-${this.serviceKey}-${index}"
             class="param-pricing-input"
             data-pricing="minimumCharge"
             data-param-index="${index}"
             min="0"
-            step="0.01"
-            value="${pricing.minimumCharge !== undefined ? pricing.minimumCharge : ''}">
+            step="${this.getAmountStep()}"
+            value="${escapeHTML(pricing.minimumCharge)}">
         </div>
+
+        ${model === CONSTANTS.PRICING_MODELS.PER_UNIT ? this.renderPricingUnit(pricing, index) : ''}
+        ${model === CONSTANTS.PRICING_MODELS.TIERED ? this.renderPricingTiers(pricing, index) : ''}
+        ${this.renderTimeModifiers(pricing.timeModifiers || [], index)}
+        ${this.renderSeasons(pricing.seasons || [], index)}
       </div>
     `;
   }
 
   /**
-   * Attach event listeners
+   * Render the unit field for per-unit pricing
    */
-  attachEventListeners() {
-    if (!this.container) return;
+  renderPricingUnit(pricing, index) {
+    return `
+      <div class="form-group">
+        <label for="param-price-unit-${this.serviceKey}-${index}">
+          Unit <span class="required">*</span>
+        </label>
+        <input
+          type="text"
+          id="param-price-unit-${this.serviceKey}-${index}"
+          class="param-pricing-input"
+          data-pricing="unit"
+          data-param-index="${index}"
+          placeholder="e.g., guest, night"
+          maxlength="50"
+          value="${escapeHTML(pricing.unit || '')}">
+        <span class="help-text">What one unit of this parameter's value represents</span>
+      </div>
+    `;
+  }
 
-    // Add parameter button
-    const addButton = this.container.querySelector('.add-parameter-btn');
-    if (addButton) {
-      addButton.addEventListener('click', () => this.addParameter());
-    }
+  /**
+   * Render tiered pricing brackets
+   */
+  renderPricingTiers(pricing, index) {
+    const tiers = pricing.tiers || [];
 
-    // Remove parameter buttons
-    this.container.querySelectorAll('.remove-param-btn').forEach(button => {
-      button.addEventListener('click', (e) => {
-        const index = parseInt(e.target.dataset.paramIndex);
-        this.removeParameter(index);
-      });
-    });
+    return `
+      <fieldset class="pricing-rules">
+        <legend>Tiers</legend>
 
-    // Collapsible triggers
-    this.container.querySelectorAll('.collapsible-trigger').forEach(trigger => {
-      trigger.addEventListener('click', this.toggleCollapsible.bind(this));
-    });
+        <div class="form-group">
+          <label for="param-price-tier-mode-${this.serviceKey}-${index}">Tier Mode</label>
+          <select
+            id="param-price-tier-mode-${this.serviceKey}-${index}"
+            class="param-pricing-input"
+            data-pricing="tierMode"
+            data-param-index="${index}">
+            ${Object.entries(CONSTANTS.TIER_MODE_LABELS).map(([value, label]) => `
+              <option value="${value}" ${(pricing.tierMode || CONSTANTS.DEFAULT_VALUES.TIER_MODE) === value ? 'selected' : ''}>
+                ${label}
+              </option>
+            `).join('')}
+          </select>
+        </div>
 
-    // Input changes
-    this.attachInputChangeListeners();
+        ${tiers.map((tier, tierIndex) => `
+          <div class="form-row pricing-row" data-param-index="${index}" data-collection="tiers">
+            <div class="form-group">
+              <label for="param-tier-upto-${this.serviceKey}-${index}-${tierIndex}">Up to (quantity)</label>
+              <input
+                type="number"
+                id="param-tier-upto-${this.serviceKey}-${index}-${tierIndex}"
+                class="param-pricing-row-input"
+                data-field="upTo"
+                data-param-index="${index}"
+                min="1"
+                step="1"
+                placeholder="No limit"
+                value="${escapeHTML(tier.upTo)}">
+            </div>
 
-    // Type change listeners (to update constraints section)
-    this.container.querySelectorAll('.param-type-select').forEach(select => {
-      select.addEventListener('change', (e) => {
-        const index = parseInt(e.target.dataset.paramIndex);
-        this.handleTypeChange(index);
-      });
-    });
+            <div class="form-group">
+              <label for="param-tier-rate-${this.serviceKey}-${index}-${tierIndex}">Rate per Unit</label>
+              <input
+                type="number"
+                id="param-tier-rate-${this.serviceKey}-${index}-${tierIndex}"
+                class="param-pricing-row-input"
+                data-field="rate"
+                data-param-index="${index}"
+                min="0"
+                step="${this.getAmountStep()}"
+                value="${escapeHTML(tier.rate)}">
+            </div>
 
-    // Pricing checkbox
-    this.container.querySelectorAll('.param-has-pricing-checkbox').forEach(checkbox => {
-      checkbox.addEventListener('change', (e) => {
-        const index = parseInt(e.target.dataset.paramIndex);
-        const pricingFields = e.target.closest('.parameter-pricing').querySelector('.pricing-fields');
-        if (pricingFields) {
-          pricingFields.classList.toggle('hidden', !e.target.checked);
-        }
-        this.updateParameterFromInputs(index);
-      });
+            ${this.renderRemoveRowButton(index, 'tiers', tierIndex)}
+          </div>
+        `).join('')}
+
+        ${this.renderAddRowButton(index, 'tiers', '+ Add Tier', tiers.length, CONSTANTS.CONSTRAINTS.MAX_PRICING_TIERS)}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render time-of-day / day-of-week multipliers
+   */
+  renderTimeModifiers(timeModifiers, index) {
+    return `
+      <fieldset class="pricing-rules">
+        <legend>Time-Based Multipliers</legend>
+        <p class="help-text">Adjust the price on certain days or hours (e.g., 1.25 for weekend evenings)</p>
+
+        ${timeModifiers.map((modifier, ruleIndex) => `
+          <div class="pricing-row" data-param-index="${index}" data-collection="timeModifiers">
+            <div class="checkbox-group pricing-days">
+              ${CONSTANTS.DAYS_OF_WEEK.map((dayLabel, day) => `
+                <label class="checkbox-label">
+                  <input
+                    type="checkbox"
+                    class="param-pricing-row-input"
+                    data-field="days"
+                    data-param-index="${index}"
+                    value="${day}"
+                    ${(modifier.days || []).includes(day) ? 'checked' : ''}>
+                  <span>${dayLabel}</span>
+                </label>
+              `).join('')}
+            </div>
+
+            <div class="form-row">
+              <div class="form-group">
+                <label for="param-time-start-${this.serviceKey}-${index}-${ruleIndex}">From</label>
+                <input
+                  type="time"
+                  id="param-time-start-${this.serviceKey}-${index}-${ruleIndex}"
+                  class="param-pricing-row-input"
+                  data-field="startTime"
+                  data-param-index="${index}"
+                  value="${escapeHTML(modifier.startTime || '')}">
+              </div>
+
+              <div class="form-group">
+                <label for="param-time-end-${this.serviceKey}-${index}-${ruleIndex}">Until</label>
+                <input
+                  type="time"
+                  id="param-time-end-${this.serviceKey}-${index}-${ruleIndex}"
+                  class="param-pricing-row-input"
+                  data-field="endTime"
+                  data-param-index="${index}"
+                  value="${escapeHTML(modifier.endTime || '')}">
+              </div>
+
+              <div class="form-group">
+                <label for="param-time-multiplier-${this.serviceKey}-${index}-${ruleIndex}">Multiplier</label>
+                <input
+                  type="number"
+                  id="param-time-multiplier-${this.serviceKey}-${index}-${ruleIndex}"
+                  class="param-pricing-row-input"
+                  data-field="multiplier"
+                  data-param-index="${index}"
+                  min="0.01"
+                  max="10"
+                  step="0.01"
+                  value="${escapeHTML(modifier.multiplier)}">
+              </div>
+
+              ${this.renderRemoveRowButton(index, 'timeModifiers', ruleIndex)}
+            </div>
+          </div>
+        `).join('')}
+
+        ${this.renderAddRowButton(index, 'timeModifiers', '+ Add Time Rule', timeModifiers.length, CONSTANTS.CONSTRAINTS.MAX_PRICING_RULES)}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render seasonal multipliers
+   */
+  renderSeasons(seasons, index) {
+    return `
+      <fieldset class="pricing-rules">
+        <legend>Seasonal Multipliers</legend>
+        <p class="help-text">Recurring date ranges in MM-DD format (a range may wrap over the new year)</p>
+
+        ${seasons.map((season, seasonIndex) => `
+          <div class="form-row pricing-row" data-param-index="${index}" data-collection="seasons">
+            <div class="form-group">
+              <label for="param-season-name-${this.serviceKey}-${index}-${seasonIndex}">Season</label>
+              <input
+                type="text"
+                id="param-season-name-${this.serviceKey}-${index}-${seasonIndex}"
+                class="param-pricing-row-input"
+                data-field="name"
+                data-param-index="${index}"
+                placeholder="e.g., Summer"
+                maxlength="50"
+                value="${escapeHTML(season.name || '')}">
+            </div>
+
+            <div class="form-group">
+              <label for="param-season-start-${this.serviceKey}-${index}-${seasonIndex}">From (MM-DD)</label>
+              <input
+                type="text"
+                id="param-season-start-${this.serviceKey}-${index}-${seasonIndex}"
+                class="param-pricing-row-input"
+                data-field="startDate"
+                data-param-index="${index}"
+                placeholder="06-01"
+                pattern="\\d{2}-\\d{2}"
+                maxlength="5"
+                value="${escapeHTML(season.startDate || '')}">
+            </div>
+
+            <div class="form-group">
+              <label for="param-season-end-${this.serviceKey}-${index}-${seasonIndex}">Until (MM-DD)</label>
+              <input
+                type="text"
+                id="param-season-end-${this.serviceKey}-${index}-${seasonIndex}"
+                class="param-pricing-row-input"
+                data-field="endDate"
+                data-param-index="${index}"
+                placeholder="08-31"
+                pattern="\\d{2}-\\d{2}"
+                maxlength="5"
+                value="${escapeHTML(season.endDate || '')}">
+            </div>
+
+            <div class="form-group">
+              <label for="param-season-multiplier-${this.serviceKey}-${index}-${seasonIndex}">Multiplier</label>
+              <input
+                type="number"
+                id="param-season-multiplier-${this.serviceKey}-${index}-${seasonIndex}"
+                class="param-pricing-row-input"
+                data-field="multiplier"
+                data-param-index="${index}"
+                min="0.01"
+                max="10"
+                step="0.01"
+                value="${escapeHTML(season.multiplier)}">
+            </div>
+
+            ${this.renderRemoveRowButton(index, 'seasons', seasonIndex)}
+          </div>
+        `).join('')}
+
+        ${this.renderAddRowButton(index, 'seasons', '+ Add Season', seasons.length, CONSTANTS.CONSTRAINTS.MAX_PRICING_RULES)}
+      </fieldset>
+    `;
+  }
+
+  renderAddRowButton(index, collection, label, count, max) {
+    return `
+      <button type="button" class="pricing-add-row-btn" data-param-index="${index}"
+        data-collection="${collection}" ${count >= max ? 'disabled' : ''}>
+        ${label}
+      </button>
+    `;
+  }
+
+  renderRemoveRowButton(index, collection, rowIndex) {
+    return `
+      <button type="button" class="pricing-remove-row-btn" data-param-index="${index}"
+        data-collection="${collection}" data-row-index="${rowIndex}" aria-label="Remove">
+        Remove
+      </button>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    if (!this.container) return;
+
+    // Add parameter button
+    const addButton = this.container.querySelector('.add-parameter-btn');
+    if (addButton) {
+      addButton.addEventListener('click', () => this.addParameter());
+    }
+
+    // Remove parameter buttons
+    this.container.querySelectorAll('.remove-param-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const index = parseInt(e.target.dataset.paramIndex);
+        this.removeParameter(index);
+      });
+    });
+
+    // Reordering and duplication
+    this.attachReorderListeners();
+
+    // Parameter templates
+    this.container.querySelectorAll('.save-template-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.saveAsTemplate(parseInt(e.currentTarget.dataset.paramIndex));
+      });
+    });
+
+    const templateSelect = this.container.querySelector('.parameter-template-select');
+    this.container.querySelector('.insert-template-btn')?.addEventListener('click', () => {
+      this.insertTemplate(templateSelect.value);
+    });
+    this.container.querySelector('.delete-template-btn')?.addEventListener('click', () => {
+      this.deleteTemplate(templateSelect.value);
+    });
+
+    // Collapsible triggers
+    this.container.querySelectorAll('.collapsible-trigger').forEach(trigger => {
+      trigger.addEventListener('click', this.toggleCollapsible.bind(this));
+    });
+
+    // Input changes
+    this.attachInputChangeListeners();
+
+    // Type change listeners (to update constraints section)
+    this.container.querySelectorAll('.param-type-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        const index = parseInt(e.target.dataset.paramIndex);
+        this.handleTypeChange(index);
+      });
+    });
+
+    // Pricing model changes re-render the model-specific fields
+    this.container.querySelectorAll('.param-pricing-model-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.handlePricingModelChange(parseInt(e.target.dataset.paramIndex));
+      });
+    });
+
+    // Pricing rule rows (tiers, time rules, seasons)
+    this.container.querySelectorAll('.pricing-add-row-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { paramIndex, collection } = e.currentTarget.dataset;
+        this.addPricingRow(parseInt(paramIndex), collection);
+      });
+    });
+
+    this.container.querySelectorAll('.pricing-remove-row-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { paramIndex, collection, rowIndex } = e.currentTarget.dataset;
+        this.removePricingRow(parseInt(paramIndex), collection, parseInt(rowIndex));
+      });
+    });
+
+    // Condition parameter / operator changes re-render the value input for the new target;
+    // renamed parameters and the required flag change which rule fields other parameters offer
+    this.container.querySelectorAll('.param-rule-select, .param-name-input, .param-required-checkbox').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.handleTypeChange(parseInt(e.target.dataset.paramIndex));
+      });
+    });
+
+    // Array item / object property definitions
+    this.attachChildParameterListeners();
+
+    // Comparison rows
+    this.container.querySelectorAll('.comparison-add-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.addComparison(parseInt(e.currentTarget.dataset.paramIndex));
+      });
+    });
+
+    this.container.querySelectorAll('.comparison-remove-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { paramIndex, rowIndex } = e.currentTarget.dataset;
+        this.removeComparison(parseInt(paramIndex), parseInt(rowIndex));
+      });
+    });
+
+    // Pricing checkbox
+    this.container.querySelectorAll('.param-has-pricing-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        const index = parseInt(e.target.dataset.paramIndex);
+        const pricingFields = e.target.closest('.parameter-pricing').querySelector('.pricing-fields');
+        if (pricingFields) {
+          pricingFields.classList.toggle('hidden', !e.target.checked);
+        }
+        this.updateParameterFromInputs(index);
+      });
+    });
+  }
+
+  /**
+   * Attach move up/down, duplicate and drag-and-drop listeners
+   * Drops are only accepted from this builder (parameters do not move between services)
+   */
+  attachReorderListeners() {
+    this.container.querySelectorAll('.move-param-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const index = parseInt(e.currentTarget.dataset.paramIndex);
+        const direction = parseInt(e.currentTarget.dataset.direction);
+        this.moveParameter(index, index + direction);
+        this.focusMoveButton(index + direction, direction);
+      });
+    });
+
+    this.container.querySelectorAll('.duplicate-param-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.duplicateParameter(parseInt(e.currentTarget.dataset.paramIndex));
+      });
+    });
+
+    this.container.querySelectorAll('.parameter-header[draggable]').forEach(header => {
+      header.addEventListener('dragstart', (e) => {
+        e.stopPropagation();
+        e.dataTransfer.setData(PARAMETER_DRAG_TYPE, `${this.serviceKey}:${header.dataset.paramIndex}`);
+        e.dataTransfer.effectAllowed = 'move';
+        header.closest('.parameter-config').classList.add('dragging');
+      });
+
+      header.addEventListener('dragend', () => {
+        header.closest('.parameter-config').classList.remove('dragging');
+      });
+    });
+
+    this.container.querySelectorAll('.parameter-config').forEach(element => {
+      element.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes(PARAMETER_DRAG_TYPE)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        element.classList.add('drag-over');
+      });
+
+      element.addEventListener('dragleave', (e) => {
+        if (!element.contains(e.relatedTarget)) {
+          element.classList.remove('drag-over');
+        }
+      });
+
+      element.addEventListener('drop', (e) => {
+        if (!e.dataTransfer.types.includes(PARAMETER_DRAG_TYPE)) return;
+        e.preventDefault();
+        element.classList.remove('drag-over');
+
+        const [serviceKey, fromIndex] = e.dataTransfer.getData(PARAMETER_DRAG_TYPE).split(':');
+        if (serviceKey === String(this.serviceKey)) {
+          this.moveParameter(parseInt(fromIndex), parseInt(element.dataset.paramIndex));
+        }
+      });
+    });
+  }
+
+  /**
+   * Keep keyboard focus on a move button after re-rendering
+   * (falls back to the other direction at either end)
+   */
+  focusMoveButton(index, direction) {
+    const button = this.container.querySelector(`.move-param-btn[data-param-index="${index}"][data-direction="${direction}"]`);
+    const fallback = this.container.querySelector(`.move-param-btn[data-param-index="${index}"][data-direction="${-direction}"]`);
+    (button && !button.disabled ? button : fallback)?.focus();
+  }
+
+  /**
+   * Attach listeners for array item / object property definitions
+   * Child inputs update the definition they belong to directly; structural changes re-render
+   */
+  attachChildParameterListeners() {
+    this.container.querySelectorAll('.child-param-input').forEach(input => {
+      const event = input.type === 'checkbox' ? 'change' : 'input';
+      input.addEventListener(event, (e) => {
+        const definition = this.getChildDefinition(parseInt(e.target.dataset.paramIndex), e.target.dataset.path);
+        if (!definition) return;
+
+        definition[e.target.dataset.field] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        this.notifyUpdate();
+      });
+    });
+
+    this.container.querySelectorAll('.child-param-constraint-input').forEach(input => {
+      input.addEventListener('input', (e) => {
+        const definition = this.getChildDefinition(parseInt(e.target.dataset.paramIndex), e.target.dataset.path);
+        if (!definition) return;
+
+        const { constraint } = e.target.dataset;
+        const value = e.target.value;
+        if (value === '') {
+          delete definition.constraints[constraint];
+        } else if (constraint === 'enum') {
+          definition.constraints.enum = value.split(',').map(v => v.trim()).filter(v => v);
+        } else {
+          definition.constraints[constraint] = ['minimum', 'maximum'].includes(constraint) ? parseFloat(value) : parseInt(value);
+        }
+        this.notifyUpdate();
+      });
+    });
+
+    this.container.querySelectorAll('.child-param-type-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        this.handleChildTypeChange(parseInt(e.target.dataset.paramIndex), e.target.dataset.path, e.target.value);
+      });
+    });
+
+    this.container.querySelectorAll('.child-param-add-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { paramIndex, path } = e.currentTarget.dataset;
+        this.addChildProperty(parseInt(paramIndex), path);
+      });
+    });
+
+    this.container.querySelectorAll('.child-param-remove-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { paramIndex, path } = e.currentTarget.dataset;
+        this.removeChildProperty(parseInt(paramIndex), path);
+      });
     });
   }
 
@@ -560,7 +1463,8 @@ export default class ParameterBuilder {
     // All parameter inputs
     const inputs = this.container.querySelectorAll(
       '.param-name-input, .param-type-select, .param-description-input, ' +
-      '.param-required-checkbox, .param-default-input, .param-constraint-input, .param-pricing-input'
+      '.param-required-checkbox, .param-default-input, .param-constraint-input, .param-pricing-input, ' +
+      '.param-pricing-row-input, .param-rule-input:not(.param-rule-select), .param-comparison-input'
     );
 
     inputs.forEach(input => {
@@ -584,6 +1488,18 @@ export default class ParameterBuilder {
       const isOpen = content.style.display === 'block';
       content.style.display = isOpen ? 'none' : 'block';
       icon.textContent = isOpen ? '▼' : '▲';
+      trigger.setAttribute('aria-expanded', String(!isOpen));
+
+      const param = this.parameters[parseInt(trigger.dataset.paramIndex)];
+      if (param) {
+        const sections = this.openSections.get(param) || new Set();
+        if (isOpen) {
+          sections.delete(trigger.dataset.section);
+        } else {
+          sections.add(trigger.dataset.section);
+        }
+        this.openSections.set(param, sections);
+      }
     }
   }
 
@@ -603,6 +1519,9 @@ export default class ParameterBuilder {
       required: false,
       default: undefined,
       constraints: {},
+      requiredWhen: null,
+      visibleWhen: null,
+      comparisons: [],
       pricing: null
     };
 
@@ -618,6 +1537,212 @@ export default class ParameterBuilder {
     }
   }
 
+  /**
+   * Move a parameter to another position
+   * Parameters are edited in place, so re-rendering from the list keeps every value
+   */
+  moveParameter(fromIndex, toIndex) {
+    const count = this.parameters.length;
+    if (fromIndex === toIndex || fromIndex < 0 || fromIndex >= count || toIndex < 0 || toIndex >= count) {
+      return;
+    }
+
+    const [param] = this.parameters.splice(fromIndex, 1);
+    this.parameters.splice(toIndex, 0, param);
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Insert a copy of a parameter after it, named <name>_copy (numbered when taken)
+   */
+  duplicateParameter(index) {
+    if (this.parameters.length >= CONSTANTS.CONSTRAINTS.MAX_PARAMETERS_PER_SERVICE) {
+      alert(`Maximum ${CONSTANTS.CONSTRAINTS.MAX_PARAMETERS_PER_SERVICE} parameters allowed per service`);
+      return;
+    }
+
+    this.updateParameterFromInputs(index);
+    const original = this.parameters[index];
+    const copy = deepClone(original);
+
+    if (copy.name) {
+      const existingNames = this.parameters.map(param => param.name);
+      const baseName = `${original.name}_copy`;
+      copy.name = baseName;
+      for (let suffix = 2; existingNames.includes(copy.name); suffix++) {
+        copy.name = `${baseName}_${suffix}`;
+      }
+    }
+
+    this.parameters.splice(index + 1, 0, copy);
+    this.openSections.set(copy, new Set(this.openSections.get(original)));
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Find a template by its picker value ('library:<name>' or 'saved:<name>')
+   */
+  findTemplate(value) {
+    const [source, name] = value.split(':');
+    const templates = source === 'saved' ? getSavedTemplates() : getLibraryTemplates(this.businessType);
+    return templates.find(template => template.name === name) || null;
+  }
+
+  /**
+   * Add a parameter created from a library or saved template
+   */
+  insertTemplate(value) {
+    const template = value ? this.findTemplate(value) : null;
+    if (!template) return;
+
+    if (this.parameters.length >= CONSTANTS.CONSTRAINTS.MAX_PARAMETERS_PER_SERVICE) {
+      alert(`Maximum ${CONSTANTS.CONSTRAINTS.MAX_PARAMETERS_PER_SERVICE} parameters allowed per service`);
+      return;
+    }
+
+    this.parameters.push(createParameterFromTemplate(template, {
+      currency: this.currency,
+      existingNames: this.parameters.map(param => param.name)
+    }));
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Save a parameter as a reusable template
+   * Only parameters that pass validation on their own are saved
+   */
+  async saveAsTemplate(index) {
+    this.updateParameterFromInputs(index);
+    const param = this.parameters[index];
+
+    const validator = new BAISFormValidator();
+    validator.validateParameters([{ ...param, requiredWhen: null, visibleWhen: null, comparisons: [] }], 'Template');
+    if (validator.errors.length > 0) {
+      alert(`Cannot save template:\n${validator.errors.join('\n')}`);
+      return;
+    }
+
+    if (getSavedTemplates().some(template => template.name === param.name) &&
+        !confirm(`Replace the saved template "${param.name}"?`)) {
+      return;
+    }
+
+    if (!await saveParameterTemplate(param)) {
+      alert('Failed to save template');
+      return;
+    }
+
+    this.render();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Delete the selected saved template
+   */
+  async deleteTemplate(value) {
+    if (!value.startsWith('saved:')) {
+      alert('Select one of your saved templates to delete');
+      return;
+    }
+
+    const name = value.slice('saved:'.length);
+    if (!confirm(`Delete the saved template "${name}"?`)) {
+      return;
+    }
+
+    if (!await removeParameterTemplate(name)) {
+      alert('Failed to delete template');
+      return;
+    }
+
+    this.render();
+    this.attachEventListeners();
+  }
+
+  /**
+   * Update the business type whose library templates are offered
+   */
+  setBusinessType(businessType) {
+    this.businessType = businessType;
+    this.refreshTemplates();
+  }
+
+  /**
+   * Re-render with the current library and saved templates
+   */
+  refreshTemplates() {
+    if (this.container) {
+      this.render();
+      this.attachEventListeners();
+    }
+  }
+
+  /**
+   * Handle pricing model change (re-render model-specific fields)
+   */
+  handlePricingModelChange(index) {
+    this.updateParameterFromInputs(index);
+
+    const pricing = this.parameters[index].pricing;
+    if (pricing && pricing.model === CONSTANTS.PRICING_MODELS.TIERED && pricing.tiers.length === 0) {
+      pricing.tiers = [{ upTo: null, rate: pricing.baseRate || 0 }];
+    }
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Add a tier, time rule or season to a parameter's pricing
+   */
+  addPricingRow(index, collection) {
+    this.updateParameterFromInputs(index);
+    const pricing = this.parameters[index].pricing;
+    if (!pricing) return;
+
+    const rows = pricing[collection];
+    if (collection === 'tiers') {
+      const last = rows[rows.length - 1];
+      const previous = rows[rows.length - 2];
+      if (last && (last.upTo === null || last.upTo === undefined)) {
+        last.upTo = (previous && previous.upTo ? previous.upTo : 0) + 10;
+      }
+      rows.push({ upTo: null, rate: last ? last.rate : 0 });
+    } else if (collection === 'timeModifiers') {
+      rows.push({ days: [0, 6], startTime: '00:00', endTime: '23:59', multiplier: 1.25 });
+    } else if (collection === 'seasons') {
+      rows.push({ name: '', startDate: '', endDate: '', multiplier: 1 });
+    }
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Remove a tier, time rule or season from a parameter's pricing
+   */
+  removePricingRow(index, collection, rowIndex) {
+    this.updateParameterFromInputs(index);
+    const pricing = this.parameters[index].pricing;
+    if (!pricing) return;
+
+    pricing[collection].splice(rowIndex, 1);
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
   /**
    * Remove parameter by index
    */
@@ -626,7 +1751,8 @@ export default class ParameterBuilder {
       return;
     }
 
-    this.parameters.splice(index, 1);
+    const [removed] = this.parameters.splice(index, 1);
+    this.updateRuleReferences(removed.name, null);
     this.render();
     this.attachEventListeners();
     this.notifyUpdate();
@@ -651,14 +1777,20 @@ export default class ParameterBuilder {
     const prefix = `#param-`;
 
     // Basic fields
-    const nameInput = this.container.querySelector(`${prefix}name-${this.serviceIndex}-${index}`);
-    const typeSelect = this.container.querySelector(`${prefix}type-${this.serviceIndex}-${index}`);
-    const descInput = this.container.querySelector(`${prefix}description-${this.serviceIndex}-${index}`);
-    const requiredCheckbox = this.container.querySelector(`[name="param-required-${this.serviceIndex}-${index}"]`);
-    const defaultInput = this.container.querySelector(`${prefix}default-${this.serviceIndex}-${index}`);
-
-    if (nameInput) param.name = nameInput.value;
-    if (typeSelect) param.type = typeSelect.value;
+    const nameInput = this.container.querySelector(`${prefix}name-${this.serviceKey}-${index}`);
+    const typeSelect = this.container.querySelector(`${prefix}type-${this.serviceKey}-${index}`);
+    const descInput = this.container.querySelector(`${prefix}description-${this.serviceKey}-${index}`);
+    const requiredCheckbox = this.container.querySelector(`[name="param-required-${this.serviceKey}-${index}"]`);
+    const defaultInput = this.container.querySelector(`${prefix}default-${this.serviceKey}-${index}`);
+
+    if (nameInput && nameInput.value !== param.name) {
+      this.updateRuleReferences(param.name, nameInput.value);
+      param.name = nameInput.value;
+    }
+    if (typeSelect && typeSelect.value !== param.type) {
+      param.type = typeSelect.value;
+      this.normalizeNestedSchema(param);
+    }
     if (descInput) param.description = descInput.value;
     if (requiredCheckbox) param.required = requiredCheckbox.checked;
     if (defaultInput) {
@@ -675,6 +1807,215 @@ export default class ParameterBuilder {
     // Pricing
     this.updateParameterPricing(index);
 
+    // Conditions and comparisons
+    this.updateParameterRules(index);
+
+    this.notifyUpdate();
+  }
+
+  /**
+   * Create an empty array item or object property definition
+   */
+  createChildDefinition(type, named) {
+    const definition = {
+      ...(named ? { name: '' } : {}),
+      type,
+      description: '',
+      constraints: {}
+    };
+
+    if (named) {
+      definition.required = false;
+    }
+    this.normalizeNestedSchema(definition);
+
+    return definition;
+  }
+
+  /**
+   * Give a definition the nested keys its type needs (items for arrays, properties for objects)
+   */
+  normalizeNestedSchema(definition) {
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.ARRAY) {
+      definition.items = definition.items || null;
+    } else {
+      delete definition.items;
+    }
+
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.OBJECT) {
+      definition.properties = definition.properties || [];
+    } else {
+      delete definition.properties;
+    }
+  }
+
+  /**
+   * Find a child definition by its path below a parameter (e.g. 'items.properties.0')
+   */
+  getChildDefinition(index, path) {
+    let definition = this.parameters[index];
+    if (!path) return definition;
+
+    const segments = path.split('.');
+    for (let i = 0; i < segments.length && definition; i++) {
+      definition = segments[i] === 'properties'
+        ? (definition.properties || [])[parseInt(segments[++i])]
+        : definition[segments[i]];
+    }
+
+    return definition || null;
+  }
+
+  /**
+   * Change the type of a child definition ('' for array items means any item)
+   */
+  handleChildTypeChange(index, path, type) {
+    const segments = path.split('.');
+    const parent = this.getChildDefinition(index, segments.slice(0, -1).join('.'));
+
+    if (segments[segments.length - 1] === 'items') {
+      parent.items = type ? this.createChildDefinition(type, false) : null;
+    } else {
+      const definition = this.getChildDefinition(index, path);
+      definition.type = type;
+      definition.constraints = {};
+      this.normalizeNestedSchema(definition);
+    }
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Add a property to an object definition
+   */
+  addChildProperty(index, path) {
+    const definition = this.getChildDefinition(index, path);
+    if (!definition || definition.properties.length >= CONSTANTS.CONSTRAINTS.MAX_OBJECT_PROPERTIES) return;
+
+    definition.properties.push(this.createChildDefinition(CONSTANTS.PARAMETER_TYPES.STRING, true));
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Remove a property from an object definition
+   */
+  removeChildProperty(index, path) {
+    const segments = path.split('.');
+    const parent = this.getChildDefinition(index, segments.slice(0, -2).join('.'));
+    parent.properties.splice(parseInt(segments[segments.length - 1]), 1);
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Update parameter conditions and comparisons from inputs
+   */
+  updateParameterRules(index) {
+    const param = this.parameters[index];
+
+    ['requiredWhen', 'visibleWhen'].forEach(rule => {
+      const field = (name) => this.container.querySelector(
+        `.param-rule-input[data-param-index="${index}"][data-rule="${rule}"][data-field="${name}"]`
+      );
+      const parameterSelect = field('parameter');
+      if (!parameterSelect) return;
+
+      if (!parameterSelect.value || (rule === 'requiredWhen' && param.required)) {
+        param[rule] = null;
+        return;
+      }
+
+      const operatorSelect = field('operator');
+      const operator = operatorSelect ? operatorSelect.value : CONSTANTS.CONDITION_OPERATORS.EQUALS;
+      const condition = { parameter: parameterSelect.value, operator };
+
+      if (operator !== CONSTANTS.CONDITION_OPERATORS.IS_SET) {
+        const valueInput = field('value');
+        condition.value = this.parseConditionValue(valueInput ? valueInput.value : '', parameterSelect.value);
+      }
+
+      param[rule] = condition;
+    });
+
+    // Comparisons are only rendered once another parameter is named
+    if (!this.container.querySelector(`.comparison-add-btn[data-param-index="${index}"]`)) return;
+
+    const rows = this.container.querySelectorAll(`.comparison-row[data-param-index="${index}"]`);
+    param.comparisons = Array.from(rows).map(row => ({
+      operator: row.querySelector('[data-field="operator"]').value,
+      parameter: row.querySelector('[data-field="parameter"]').value
+    }));
+  }
+
+  /**
+   * Convert a condition value from its input to the referenced parameter's type
+   */
+  parseConditionValue(value, parameterName) {
+    const target = this.parameters.find(param => param.name === parameterName);
+    if (value === '' || !target) return value;
+
+    switch (target.type) {
+      case CONSTANTS.PARAMETER_TYPES.BOOLEAN:
+        return value === 'true';
+      case CONSTANTS.PARAMETER_TYPES.INTEGER:
+      case CONSTANTS.PARAMETER_TYPES.NUMBER:
+        return isNaN(parseFloat(value)) ? '' : parseFloat(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Keep conditions and comparisons pointing at a renamed parameter; drop them when it is removed
+   */
+  updateRuleReferences(oldName, newName) {
+    if (!oldName) return;
+
+    this.parameters.forEach(param => {
+      ['requiredWhen', 'visibleWhen'].forEach(rule => {
+        if (param[rule] && param[rule].parameter === oldName) {
+          param[rule] = newName ? { ...param[rule], parameter: newName } : null;
+        }
+      });
+
+      param.comparisons = (param.comparisons || [])
+        .filter(comparison => newName || comparison.parameter !== oldName)
+        .map(comparison => comparison.parameter === oldName ? { ...comparison, parameter: newName } : comparison);
+    });
+  }
+
+  /**
+   * Add a comparison with another parameter
+   */
+  addComparison(index) {
+    this.updateParameterFromInputs(index);
+    const param = this.parameters[index];
+    param.comparisons = [
+      ...(param.comparisons || []),
+      { operator: CONSTANTS.COMPARISON_OPERATORS.GREATER_THAN, parameter: '' }
+    ];
+
+    this.render();
+    this.attachEventListeners();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Remove a comparison
+   */
+  removeComparison(index, rowIndex) {
+    this.updateParameterFromInputs(index);
+    this.parameters[index].comparisons.splice(rowIndex, 1);
+
+    this.render();
+    this.attachEventListeners();
     this.notifyUpdate();
   }
 
@@ -733,6 +2074,43 @@ export default class ParameterBuilder {
 
       param.pricing[pricingField] = value;
     });
+
+    param.pricing.model = param.pricing.model || CONSTANTS.DEFAULT_VALUES.PRICING_MODEL;
+    param.pricing.currency = this.currency;
+    if (param.pricing.model === CONSTANTS.PRICING_MODELS.TIERED) {
+      param.pricing.tierMode = param.pricing.tierMode || CONSTANTS.DEFAULT_VALUES.TIER_MODE;
+      param.pricing.tiers = this.readPricingRows(index, 'tiers');
+    }
+    param.pricing.timeModifiers = this.readPricingRows(index, 'timeModifiers');
+    param.pricing.seasons = this.readPricingRows(index, 'seasons');
+  }
+
+  /**
+   * Read tier / time rule / season rows for a parameter from the DOM
+   */
+  readPricingRows(index, collection) {
+    const rows = this.container.querySelectorAll(`.pricing-row[data-param-index="${index}"][data-collection="${collection}"]`);
+
+    return Array.from(rows).map(row => {
+      const entry = {};
+
+      row.querySelectorAll('.param-pricing-row-input').forEach(input => {
+        const field = input.dataset.field;
+
+        if (field === 'days') {
+          entry.days = entry.days || [];
+          if (input.checked) entry.days.push(parseInt(input.value));
+        } else if (field === 'upTo') {
+          entry.upTo = input.value === '' ? null : parseInt(input.value);
+        } else if (input.type === 'number') {
+          entry[field] = parseFloat(input.value);
+        } else {
+          entry[field] = input.value;
+        }
+      });
+
+      return entry;
+    });
   }
 
   /**
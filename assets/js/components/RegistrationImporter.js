@@ -0,0 +1,175 @@
+/**
+ * Registration Importer
+ * Loads an existing BAIS registration (JSON or YAML) into onboarding form state
+ * and reports which fields were dropped, defaulted or normalized on the way in
+ */
+
+import { parseYAML } from '../core/yaml.js';
+import { ValidationError } from '../core/errorHandler.js';
+import { migrateAPIPayload, migrateFormState } from '../core/schemaMigrations.js';
+import BAISFormValidator from './BAISFormValidator.js';
+import FormDataTransformer from './FormDataTransformer.js';
+
+export default class RegistrationImporter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.createDefaultState - Returns a fresh default form state
+   * @param {Function} options.createEmptyService - Returns a fresh default service
+   * @param {FormDataTransformer} [options.transformer]
+   * @param {BAISFormValidator} [options.validator]
+   */
+  constructor(options) {
+    this.createDefaultState = options.createDefaultState;
+    this.createEmptyService = options.createEmptyService;
+    this.transformer = options.transformer || new FormDataTransformer();
+    this.validator = options.validator || new BAISFormValidator();
+  }
+
+  /**
+   * Parse registration text as JSON, falling back to YAML
+   * @param {string} text - File contents or pasted text
+   * @returns {Object} - API-formatted registration data
+   */
+  parse(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+      throw new ValidationError('The registration is empty');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (jsonError) {
+      if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        throw new ValidationError(`Invalid JSON: ${jsonError.message}`);
+      }
+      data = parseYAML(trimmed);
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new ValidationError('A registration must be a single JSON/YAML object');
+    }
+
+    return data;
+  }
+
+  /**
+   * Import a registration into form state
+   * @param {string} text - JSON or YAML registration
+   * @returns {Object} - { formState, report: { dropped, defaulted, normalized }, validation }
+   * @throws {SchemaVersionError} When the registration is newer than this client supports
+   */
+  importRegistration(text) {
+    const apiData = migrateAPIPayload(this.parse(text));
+    const formState = this.applyDefaults(this.transformer.transformFromAPIFormat(apiData));
+    const roundTrip = this.transformer.transformToAPIFormat(formState);
+
+    return {
+      formState,
+      report: this.buildReport(apiData, roundTrip),
+      validation: this.validator.validateComplete(formState)
+    };
+  }
+
+  /**
+   * Restore a saved draft, upgrading it to the current schema version
+   * @param {Object} draft - Form state as saved in a draft
+   * @returns {Object} - Form state with missing fields filled from the defaults
+   * @throws {SchemaVersionError} When the draft is newer than this client supports
+   */
+  restoreDraft(draft) {
+    return this.applyDefaults(migrateFormState(draft));
+  }
+
+  /**
+   * Fill fields missing from the import with the form's own defaults
+   */
+  applyDefaults(importedState) {
+    const defaults = this.createDefaultState();
+    const merged = this.mergeDefaults(defaults, importedState);
+
+    merged.services = (importedState.services || []).map(service =>
+      this.mergeDefaults(this.createEmptyService(), service)
+    );
+
+    if (merged.services.length === 0) {
+      merged.services = defaults.services;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Recursively merge a value over its defaults; undefined and null leaves take the default
+   */
+  mergeDefaults(defaults, value) {
+    if (value === undefined || value === null) {
+      return defaults;
+    }
+
+    if (!this.isPlainObject(defaults) || !this.isPlainObject(value)) {
+      return value;
+    }
+
+    const merged = { ...value };
+    Object.entries(defaults).forEach(([key, defaultValue]) => {
+      merged[key] = this.mergeDefaults(defaultValue, value[key]);
+    });
+
+    return merged;
+  }
+
+  /**
+   * Compare the imported document with its re-exported form
+   */
+  buildReport(source, roundTrip) {
+    const report = { dropped: [], defaulted: [], normalized: [] };
+    this.compareValues(source, roundTrip, '', report);
+    return report;
+  }
+
+  compareValues(source, roundTrip, path, report) {
+    const sourceMissing = source === undefined || source === null;
+    const roundTripMissing = roundTrip === undefined || roundTrip === null;
+
+    if (sourceMissing && roundTripMissing) return;
+
+    if (roundTripMissing) {
+      report.dropped.push(path);
+      return;
+    }
+
+    if (sourceMissing) {
+      report.defaulted.push(path);
+      return;
+    }
+
+    if (this.isContainer(source) && this.isContainer(roundTrip) && Array.isArray(source) === Array.isArray(roundTrip)) {
+      if (Array.isArray(source) && !source.some(item => this.isContainer(item))) {
+        if (JSON.stringify(source) !== JSON.stringify(roundTrip)) {
+          report.normalized.push(path);
+        }
+        return;
+      }
+
+      const keys = new Set([...Object.keys(source), ...Object.keys(roundTrip)]);
+      keys.forEach(key => {
+        const childPath = Array.isArray(source) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+        this.compareValues(source[key], roundTrip[key], childPath, report);
+      });
+      return;
+    }
+
+    if (JSON.stringify(source) !== JSON.stringify(roundTrip)) {
+      report.normalized.push(path);
+    }
+  }
+
+  isContainer(value) {
+    return value !== null && typeof value === 'object';
+  }
+
+  isPlainObject(value) {
+    return this.isContainer(value) && !Array.isArray(value);
+  }
+}
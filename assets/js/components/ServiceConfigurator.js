@@ -5,15 +5,66 @@
  */
 
 import CONSTANTS from '../core/constants.js';
+import { ValidationError } from '../core/errorHandler.js';
+import { calculateCancellation } from '../core/refundCalculator.js';
+import { calculateQuote } from '../core/quoteEngine.js';
+import { createDefaultSchedule, getScheduleTimezone } from '../core/availabilitySchedule.js';
+import { getAvailabilityCalendar } from '../core/availabilityEngine.js';
+import { formatDateTime, toInstant, toLocalDateTime } from '../core/dateTime.js';
+import { convertMinorUnits, formatMinorUnits, getMinorUnitDigits, OFFLINE_RATES_AS_OF } from '../core/money.js';
+import { escapeHTML, formatCurrency, generateId } from '../core/utils.js';
+import FormDataTransformer from './FormDataTransformer.js';
 import ParameterBuilder from './ParameterBuilder.js';
+import WorkflowSimulator, { SIMULATION_EVENT_LABELS, SIMULATION_EVENTS } from './WorkflowSimulator.js';
+
+/**
+ * Drag data type for reordering services (keeps service drags apart from parameter drags)
+ */
+const SERVICE_DRAG_TYPE = 'application/x-bais-service';
+
+/**
+ * Days shown in the availability preview calendar
+ */
+const AVAILABILITY_PREVIEW_DAYS = 7;
 
 export default class ServiceConfigurator {
-  constructor(serviceIndex, onUpdate, onRemove) {
+  /**
+   * @param {number} serviceIndex - Position of the service in the form
+   * @param {Function} onUpdate - Called with (serviceIndex, service) on every change
+   * @param {Function} onRemove - Called with (serviceIndex)
+   * @param {Function} onMove - Called with (fromIndex, toIndex)
+   * @param {Function} onDuplicate - Called with (serviceIndex)
+   */
+  constructor(serviceIndex, onUpdate, onRemove, onMove, onDuplicate) {
     this.serviceIndex = serviceIndex;
+    this.serviceCount = 1;
+    // Stable key for element IDs, so the service can move without re-rendering
+    this.serviceKey = generateId();
     this.onUpdate = onUpdate;
     this.onRemove = onRemove;
+    this.onMove = onMove;
+    this.onDuplicate = onDuplicate;
     this.parameterBuilder = null;
     this.container = null;
+    this.transformer = new FormDataTransformer();
+    this.simulator = null;
+    this.defaultCurrency = CONSTANTS.DEFAULT_VALUES.CURRENCY;
+    this.businessType = '';
+    this.locationTimezone = CONSTANTS.DEFAULT_VALUES.TIMEZONE;
+
+    const now = new Date();
+    now.setSeconds(0, 0);
+    this.quoteValues = {};
+    this.quoteAt = '';
+    this.quotePreviewCurrency = '';
+    this.refundPreview = {
+      price: 100,
+      bookingTime: new Date(now.getTime() + 48 * 60 * 60 * 1000),
+      cancellationTime: now
+    };
+    this.availabilityPreview = {
+      partySize: 1
+    };
   }
 
   /**
@@ -36,6 +87,7 @@ export default class ServiceConfigurator {
       id: '',
       description: '',
       category: '',
+      currency: '',
       workflow: {
         pattern: CONSTANTS.DEFAULT_VALUES.WORKFLOW_PATTERN,
         steps: []
@@ -45,7 +97,8 @@ export default class ServiceConfigurator {
         realTime: CONSTANTS.DEFAULT_VALUES.REAL_TIME_AVAILABILITY,
         cacheTimeoutSeconds: CONSTANTS.DEFAULT_VALUES.CACHE_TIMEOUT_SECONDS,
         advanceBookingDays: CONSTANTS.DEFAULT_VALUES.ADVANCE_BOOKING_DAYS,
-        endpoint: ''
+        endpoint: '',
+        schedule: null
       },
       cancellationPolicy: {
         type: CONSTANTS.DEFAULT_VALUES.CANCELLATION_POLICY_TYPE,
@@ -73,24 +126,34 @@ export default class ServiceConfigurator {
     if (!this.container) return;
 
     this.container.innerHTML = `
-      <div class="service-config" data-service-index="${this.serviceIndex}">
-        <div class="service-header">
-          <h3>Service ${this.serviceIndex + 1}</h3>
-          ${this.serviceIndex > 0 ? `
-            <button type="button" class="remove-service-btn" data-service-index="${this.serviceIndex}">
+      <div class="service-config" data-service-key="${this.serviceKey}">
+        <div class="service-header" draggable="true" title="Drag to reorder">
+          <h3>
+            <span class="drag-handle" aria-hidden="true">⠿</span>
+            <span class="service-title">Service ${this.serviceIndex + 1}</span>
+          </h3>
+          <div class="service-actions">
+            <button type="button" class="move-service-btn" data-direction="-1" aria-label="Move service up"
+              ${this.serviceIndex === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="move-service-btn" data-direction="1" aria-label="Move service down"
+              ${this.serviceIndex === this.serviceCount - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="duplicate-service-btn">Duplicate</button>
+            <button type="button" class="remove-service-btn" ${this.serviceCount === 1 ? 'hidden' : ''}>
               Remove Service
             </button>
-          ` : ''}
+          </div>
         </div>
 
         <div class="service-body">
           ${this.renderBasicInfo()}
           ${this.renderWorkflowConfig()}
-          <div id="parameters-container-${this.serviceIndex}"></div>
+          <div id="parameters-container-${this.serviceKey}"></div>
           ${this.renderAvailabilityConfig()}
           ${this.renderCancellationPolicy()}
           ${this.renderPaymentConfig()}
+          ${this.renderQuotePanel()}
           ${this.renderServicePolicies()}
+          ${this.renderSimulator()}
         </div>
       </div>
     `;
@@ -106,32 +169,32 @@ export default class ServiceConfigurator {
 
         <div class="form-row">
           <div class="form-group">
-            <label for="service-name-${this.serviceIndex}">
+            <label for="service-name-${this.serviceKey}">
               Service Name <span class="required">*</span>
             </label>
             <input
               type="text"
-              id="service-name-${this.serviceIndex}"
+              id="service-name-${this.serviceKey}"
               class="service-input"
               data-field="name"
               placeholder="e.g., Room Booking"
-              value="${this.service.name}"
+              value="${escapeHTML(this.service.name)}"
               required
               maxlength="100">
             <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.SERVICE_NAME}</span>
           </div>
 
           <div class="form-group">
-            <label for="service-id-${this.serviceIndex}">
+            <label for="service-id-${this.serviceKey}">
               Service ID <span class="required">*</span>
             </label>
             <input
               type="text"
-              id="service-id-${this.serviceIndex}"
+              id="service-id-${this.serviceKey}"
               class="service-input"
               data-field="id"
               placeholder="e.g., room_booking"
-              value="${this.service.id}"
+              value="${escapeHTML(this.service.id)}"
               required
               pattern="^[a-z0-9_]+$"
               maxlength="100">
@@ -140,33 +203,50 @@ export default class ServiceConfigurator {
         </div>
 
         <div class="form-group">
-          <label for="service-description-${this.serviceIndex}">
+          <label for="service-description-${this.serviceKey}">
             Description <span class="required">*</span>
           </label>
           <textarea
-            id="service-description-${this.serviceIndex}"
+            id="service-description-${this.serviceKey}"
             class="service-input"
             data-field="description"
             placeholder="Describe what this service offers"
             required
-            maxlength="500">${this.service.description}</textarea>
+            maxlength="500">${escapeHTML(this.service.description)}</textarea>
           <span class="char-count">${this.service.description.length}/500</span>
         </div>
 
-        <div class="form-group">
-          <label for="service-category-${this.serviceIndex}">
-            Category <span class="required">*</span>
-          </label>
-          <input
-            type="text"
-            id="service-category-${this.serviceIndex}"
-            class="service-input"
-            data-field="category"
-            placeholder="e.g., accommodation, dining, retail"
-            value="${this.service.category}"
-            required
-            maxlength="100">
-          <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.SERVICE_CATEGORY}</span>
+        <div class="form-row">
+          <div class="form-group">
+            <label for="service-category-${this.serviceKey}">
+              Category <span class="required">*</span>
+            </label>
+            <input
+              type="text"
+              id="service-category-${this.serviceKey}"
+              class="service-input"
+              data-field="category"
+              placeholder="e.g., accommodation, dining, retail"
+              value="${escapeHTML(this.service.category)}"
+              required
+              maxlength="100">
+            <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.SERVICE_CATEGORY}</span>
+          </div>
+
+          <div class="form-group">
+            <label for="service-currency-${this.serviceKey}">Currency</label>
+            <select id="service-currency-${this.serviceKey}" class="service-currency-select">
+              <option value="" ${!this.service.currency ? 'selected' : ''}>
+                Business default (${this.defaultCurrency})
+              </option>
+              ${Object.values(CONSTANTS.CURRENCIES).map(code => `
+                <option value="${code}" ${this.service.currency === code ? 'selected' : ''}>
+                  ${code}
+                </option>
+              `).join('')}
+            </select>
+            <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.SERVICE_CURRENCY}</span>
+          </div>
         </div>
       </div>
     `;
@@ -184,11 +264,11 @@ export default class ServiceConfigurator {
         </div>
         <div class="collapsible-content">
           <div class="form-group">
-            <label for="workflow-pattern-${this.serviceIndex}">
+            <label for="workflow-pattern-${this.serviceKey}">
               Workflow Pattern <span class="required">*</span>
             </label>
             <select
-              id="workflow-pattern-${this.serviceIndex}"
+              id="workflow-pattern-${this.serviceKey}"
               class="workflow-input"
               data-field="pattern"
               required>
@@ -201,14 +281,141 @@ export default class ServiceConfigurator {
             <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.WORKFLOW_PATTERN}</span>
           </div>
 
-          <div id="workflow-description-${this.serviceIndex}" class="workflow-description">
+          <div id="workflow-description-${this.serviceKey}" class="workflow-description">
             ${CONSTANTS.WORKFLOW_PATTERN_DESCRIPTIONS[this.service.workflow.pattern] || ''}
           </div>
+
+          <div id="workflow-steps-${this.serviceKey}" class="workflow-steps">
+            ${this.renderWorkflowSteps()}
+          </div>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Render the workflow step editor
+   */
+  renderWorkflowSteps() {
+    const steps = this.service.workflow.steps || [];
+    const maxSteps = CONSTANTS.CONSTRAINTS.MAX_WORKFLOW_STEPS;
+    const patternLabel = CONSTANTS.WORKFLOW_PATTERN_LABELS[this.service.workflow.pattern] || 'pattern';
+
+    return `
+      <div class="workflow-steps-header">
+        <h5>Workflow Steps</h5>
+        <button type="button" class="btn-secondary apply-pattern-steps-btn">
+          Use ${patternLabel} steps
+        </button>
+      </div>
+      <p class="help-text">${CONSTANTS.FIELD_HELP_TEXT.WORKFLOW_STEPS}</p>
+
+      ${steps.length === 0 ? '<p class="validation-hint">No custom steps - the standard steps for this pattern apply</p>' : ''}
+
+      <ol class="workflow-step-list">
+        ${steps.map((step, index) => this.renderWorkflowStep(step, index, steps.length)).join('')}
+      </ol>
+
+      <button type="button" class="add-step-btn" ${steps.length >= maxSteps ? 'disabled' : ''}>
+        + Add Step
+      </button>
+      ${steps.length >= maxSteps ? `<p class="validation-hint">Maximum ${maxSteps} steps per workflow</p>` : ''}
+    `;
+  }
+
+  /**
+   * Render a single workflow step
+   */
+  renderWorkflowStep(step, index, stepCount) {
+    const idPrefix = `step-${this.serviceKey}-${index}`;
+
+    return `
+      <li class="workflow-step" data-step-index="${index}">
+        <div class="workflow-step-header">
+          <h6>Step ${index + 1}</h6>
+          <div class="workflow-step-actions">
+            <button type="button" class="move-step-btn" data-step-index="${index}" data-direction="-1"
+              aria-label="Move step ${index + 1} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="move-step-btn" data-step-index="${index}" data-direction="1"
+              aria-label="Move step ${index + 1} down" ${index === stepCount - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="remove-step-btn" data-step-index="${index}">Remove</button>
+          </div>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label for="${idPrefix}-name">
+              Step Name <span class="required">*</span>
+            </label>
+            <input
+              type="text"
+              id="${idPrefix}-name"
+              class="workflow-step-input"
+              data-step-index="${index}"
+              data-field="name"
+              placeholder="e.g., negotiation"
+              value="${escapeHTML(step.name || '')}"
+              required
+              maxlength="100">
+          </div>
+
+          <div class="form-group">
+            <label for="${idPrefix}-description">Description</label>
+            <input
+              type="text"
+              id="${idPrefix}-description"
+              class="workflow-step-input"
+              data-step-index="${index}"
+              data-field="description"
+              placeholder="What happens in this step"
+              value="${escapeHTML(step.description || '')}"
+              maxlength="500">
+          </div>
+        </div>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label for="${idPrefix}-timeout">Timeout (minutes)</label>
+            <input
+              type="number"
+              id="${idPrefix}-timeout"
+              class="workflow-step-input"
+              data-step-index="${index}"
+              data-field="timeoutMinutes"
+              min="1"
+              max="1440"
+              value="${escapeHTML(step.timeoutMinutes)}">
+          </div>
+
+          <div class="form-group">
+            <label for="${idPrefix}-retries">Retry Attempts</label>
+            <input
+              type="number"
+              id="${idPrefix}-retries"
+              class="workflow-step-input"
+              data-step-index="${index}"
+              data-field="retryAttempts"
+              min="0"
+              max="10"
+              value="${escapeHTML(step.retryAttempts)}">
+          </div>
+        </div>
+
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input
+              type="checkbox"
+              class="workflow-step-input"
+              data-step-index="${index}"
+              data-field="required"
+              ${step.required ? 'checked' : ''}>
+            <span>Required Step</span>
+          </label>
+        </div>
+      </li>
+    `;
+  }
+
   /**
    * Render availability configuration
    */
@@ -224,7 +431,7 @@ export default class ServiceConfigurator {
             <label class="checkbox-label">
               <input
                 type="checkbox"
-                id="availability-realtime-${this.serviceIndex}"
+                id="availability-realtime-${this.serviceKey}"
                 class="availability-input"
                 data-field="realTime"
                 ${this.service.availability.realTime ? 'checked' : ''}>
@@ -234,54 +441,332 @@ export default class ServiceConfigurator {
 
           <div class="form-row">
             <div class="form-group">
-              <label for="availability-cache-${this.serviceIndex}">
+              <label for="availability-cache-${this.serviceKey}">
                 Cache Timeout (seconds)
               </label>
               <input
                 type="number"
-                id="availability-cache-${this.serviceIndex}"
+                id="availability-cache-${this.serviceKey}"
                 class="availability-input"
                 data-field="cacheTimeoutSeconds"
                 min="0"
                 max="3600"
-                value="${this.service.availability.cacheTimeoutSeconds}">
+                value="${escapeHTML(this.service.availability.cacheTimeoutSeconds)}">
               <span class="help-text">How long to cache availability data (0-3600)</span>
             </div>
 
             <div class="form-group">
-              <label for="availability-advance-${this.serviceIndex}">
+              <label for="availability-advance-${this.serviceKey}">
                 Advance Booking Days
               </label>
               <input
                 type="number"
-                id="availability-advance-${this.serviceIndex}"
+                id="availability-advance-${this.serviceKey}"
                 class="availability-input"
                 data-field="advanceBookingDays"
                 min="1"
                 max="730"
-                value="${this.service.availability.advanceBookingDays}">
+                value="${escapeHTML(this.service.availability.advanceBookingDays)}">
               <span class="help-text">How far in advance customers can book (1-730 days)</span>
             </div>
           </div>
 
           <div class="form-group">
-            <label for="availability-endpoint-${this.serviceIndex}">
+            <label for="availability-endpoint-${this.serviceKey}">
               Custom Availability Endpoint (optional)
             </label>
             <input
               type="url"
-              id="availability-endpoint-${this.serviceIndex}"
+              id="availability-endpoint-${this.serviceKey}"
               class="availability-input"
               data-field="endpoint"
               placeholder="https://api.yourbusiness.com/availability"
-              value="${this.service.availability.endpoint || ''}">
+              value="${escapeHTML(this.service.availability.endpoint || '')}">
             <span class="help-text">Leave blank to auto-generate</span>
           </div>
+
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input
+                type="checkbox"
+                id="availability-schedule-enabled-${this.serviceKey}"
+                class="schedule-toggle"
+                ${this.service.availability.schedule ? 'checked' : ''}>
+              <span>Publish a Booking Schedule</span>
+            </label>
+            <span class="help-text">${CONSTANTS.FIELD_HELP_TEXT.AVAILABILITY_SCHEDULE}</span>
+          </div>
+
+          <div id="availability-schedule-${this.serviceKey}" class="availability-schedule">
+            ${this.renderSchedule()}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the booking schedule editor (empty when the service has no schedule)
+   */
+  renderSchedule() {
+    const schedule = this.service.availability.schedule;
+    if (!schedule) return '';
+
+    const rules = CONSTANTS.VALIDATION_RULES;
+
+    return `
+      <div class="form-row">
+        <div class="form-group">
+          <label for="schedule-timezone-${this.serviceKey}">Schedule Timezone</label>
+          <select id="schedule-timezone-${this.serviceKey}" class="schedule-input" data-field="timezone">
+            <option value="" ${!schedule.timezone ? 'selected' : ''}>Business location timezone</option>
+            ${CONSTANTS.TIMEZONES.map(timezone => `
+              <option value="${timezone}" ${schedule.timezone === timezone ? 'selected' : ''}>${timezone}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="form-group">
+          <label for="schedule-slot-${this.serviceKey}">Slot Length (minutes)</label>
+          <input
+            type="number"
+            id="schedule-slot-${this.serviceKey}"
+            class="schedule-input"
+            data-field="slotDurationMinutes"
+            min="${rules.SLOT_DURATION_MINUTES.MIN}"
+            max="${rules.SLOT_DURATION_MINUTES.MAX}"
+            step="5"
+            value="${escapeHTML(schedule.slotDurationMinutes)}">
+        </div>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label for="schedule-lead-${this.serviceKey}">Minimum Notice (minutes)</label>
+          <input
+            type="number"
+            id="schedule-lead-${this.serviceKey}"
+            class="schedule-input"
+            data-field="leadTimeMinutes"
+            min="${rules.LEAD_TIME_MINUTES.MIN}"
+            max="${rules.LEAD_TIME_MINUTES.MAX}"
+            value="${escapeHTML(schedule.leadTimeMinutes)}">
+          <span class="help-text">How long before a slot starts it can still be booked</span>
+        </div>
+
+        <div class="form-group">
+          <label for="schedule-capacity-${this.serviceKey}">Bookings per Slot</label>
+          <input
+            type="number"
+            id="schedule-capacity-${this.serviceKey}"
+            class="schedule-input"
+            data-field="capacityPerSlot"
+            min="${rules.CAPACITY_PER_SLOT.MIN}"
+            max="${rules.CAPACITY_PER_SLOT.MAX}"
+            value="${escapeHTML(schedule.capacityPerSlot)}">
+          <span class="help-text">e.g. tables, rooms or staff available at the same time</span>
+        </div>
+      </div>
+
+      ${this.renderWeeklyHours(schedule.weeklyHours)}
+      ${this.renderBlackoutDates(schedule.blackoutDates)}
+      ${this.renderAvailabilityPreview()}
+    `;
+  }
+
+  /**
+   * Render the availability preview calendar
+   */
+  renderAvailabilityPreview() {
+    return `
+      <div class="availability-preview">
+        <h5>Availability Preview</h5>
+        <p class="help-text">The next ${AVAILABILITY_PREVIEW_DAYS} days as agents will see them, before any bookings</p>
+
+        <div class="form-group">
+          <label for="availability-party-${this.serviceKey}">Party Size</label>
+          <input
+            type="number"
+            id="availability-party-${this.serviceKey}"
+            class="availability-preview-input"
+            min="1"
+            value="${escapeHTML(this.availabilityPreview.partySize)}">
+        </div>
+
+        <div id="availability-preview-result-${this.serviceKey}" class="availability-preview-result" aria-live="polite">
+          ${this.renderAvailabilityPreviewResult()}
         </div>
       </div>
     `;
   }
 
+  /**
+   * Render the calendar of slots for the current schedule
+   */
+  renderAvailabilityPreviewResult() {
+    const schedule = this.service.availability.schedule;
+    const timezone = getScheduleTimezone(schedule, this.locationTimezone);
+
+    let calendar;
+    try {
+      calendar = getAvailabilityCalendar(this.transformer.transformService(this.service, this.locationTimezone, this.defaultCurrency), {
+        partySize: this.availabilityPreview.partySize,
+        timezone: this.locationTimezone,
+        days: AVAILABILITY_PREVIEW_DAYS
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `<p class="validation-hint">${escapeHTML(error.message)}</p>`;
+      }
+      throw error;
+    }
+
+    return `
+      <p class="help-text">Times in ${timezone}</p>
+      <dl class="availability-calendar">
+        ${calendar.map(day => `
+          <dt>${formatDateTime(day.date, { dateStyle: 'full' })}</dt>
+          <dd>
+            ${day.blackout ? `<span class="availability-closed">Closed${day.blackout.name ? ` (${escapeHTML(day.blackout.name)})` : ''}</span>` : ''}
+            ${!day.blackout && day.slots.length === 0 ? '<span class="availability-closed">Closed</span>' : ''}
+            ${!day.blackout ? day.slots.map(slot => `
+              <span
+                class="availability-slot ${slot.bookable ? 'available' : 'unavailable'}"
+                title="${slot.bookable ? `${slot.remaining} of ${schedule.capacityPerSlot} places free` : CONSTANTS.AVAILABILITY_REASON_LABELS[slot.reason]}">
+                ${formatDateTime(slot.start, { timezone, dateStyle: null })}
+              </span>
+            `).join('') : ''}
+          </dd>
+        `).join('')}
+      </dl>
+    `;
+  }
+
+  /**
+   * Render weekly opening hours
+   */
+  renderWeeklyHours(weeklyHours) {
+    return `
+      <fieldset class="schedule-rules">
+        <legend>Opening Hours</legend>
+        <p class="help-text">Add a row per set of hours (e.g. lunch and dinner); a closing time before the opening time runs past midnight</p>
+
+        ${weeklyHours.map((range, rowIndex) => `
+          <div class="schedule-row" data-collection="weeklyHours">
+            <div class="checkbox-group schedule-days">
+              ${CONSTANTS.DAYS_OF_WEEK.map((dayLabel, day) => `
+                <label class="checkbox-label">
+                  <input
+                    type="checkbox"
+                    class="schedule-row-input"
+                    data-field="days"
+                    value="${day}"
+                    ${(range.days || []).includes(day) ? 'checked' : ''}>
+                  <span>${dayLabel}</span>
+                </label>
+              `).join('')}
+            </div>
+
+            <div class="form-row">
+              <div class="form-group">
+                <label for="schedule-open-${this.serviceKey}-${rowIndex}">Opens</label>
+                <input
+                  type="time"
+                  id="schedule-open-${this.serviceKey}-${rowIndex}"
+                  class="schedule-row-input"
+                  data-field="open"
+                  value="${escapeHTML(range.open || '')}">
+              </div>
+
+              <div class="form-group">
+                <label for="schedule-close-${this.serviceKey}-${rowIndex}">Closes</label>
+                <input
+                  type="time"
+                  id="schedule-close-${this.serviceKey}-${rowIndex}"
+                  class="schedule-row-input"
+                  data-field="close"
+                  value="${escapeHTML(range.close || '')}">
+              </div>
+
+              ${this.renderRemoveScheduleRowButton('weeklyHours', rowIndex)}
+            </div>
+          </div>
+        `).join('')}
+
+        ${this.renderAddScheduleRowButton('weeklyHours', '+ Add Opening Hours', weeklyHours.length, CONSTANTS.CONSTRAINTS.MAX_OPENING_HOURS)}
+      </fieldset>
+    `;
+  }
+
+  /**
+   * Render blackout (closed) date ranges
+   */
+  renderBlackoutDates(blackoutDates) {
+    return `
+      <fieldset class="schedule-rules">
+        <legend>Blackout Dates</legend>
+        <p class="help-text">Holidays and other dates when nothing can be booked (inclusive)</p>
+
+        ${blackoutDates.map((blackout, rowIndex) => `
+          <div class="form-row schedule-row" data-collection="blackoutDates">
+            <div class="form-group">
+              <label for="schedule-blackout-name-${this.serviceKey}-${rowIndex}">Reason</label>
+              <input
+                type="text"
+                id="schedule-blackout-name-${this.serviceKey}-${rowIndex}"
+                class="schedule-row-input"
+                data-field="name"
+                maxlength="100"
+                placeholder="e.g., Christmas"
+                value="${escapeHTML(blackout.name || '')}">
+            </div>
+
+            <div class="form-group">
+              <label for="schedule-blackout-start-${this.serviceKey}-${rowIndex}">From</label>
+              <input
+                type="date"
+                id="schedule-blackout-start-${this.serviceKey}-${rowIndex}"
+                class="schedule-row-input"
+                data-field="startDate"
+                value="${escapeHTML(blackout.startDate || '')}">
+            </div>
+
+            <div class="form-group">
+              <label for="schedule-blackout-end-${this.serviceKey}-${rowIndex}">Until</label>
+              <input
+                type="date"
+                id="schedule-blackout-end-${this.serviceKey}-${rowIndex}"
+                class="schedule-row-input"
+                data-field="endDate"
+                value="${escapeHTML(blackout.endDate || '')}">
+            </div>
+
+            ${this.renderRemoveScheduleRowButton('blackoutDates', rowIndex)}
+          </div>
+        `).join('')}
+
+        ${this.renderAddScheduleRowButton('blackoutDates', '+ Add Blackout Dates', blackoutDates.length, CONSTANTS.CONSTRAINTS.MAX_BLACKOUT_DATES)}
+      </fieldset>
+    `;
+  }
+
+  renderAddScheduleRowButton(collection, label, count, max) {
+    return `
+      <button type="button" class="schedule-add-row-btn" data-collection="${collection}" ${count >= max ? 'disabled' : ''}>
+        ${label}
+      </button>
+    `;
+  }
+
+  renderRemoveScheduleRowButton(collection, rowIndex) {
+    return `
+      <button type="button" class="schedule-remove-row-btn" data-collection="${collection}"
+        data-row-index="${rowIndex}" aria-label="Remove">
+        Remove
+      </button>
+    `;
+  }
+
   /**
    * Render cancellation policy
    */
@@ -294,11 +779,11 @@ export default class ServiceConfigurator {
         </div>
         <div class="collapsible-content">
           <div class="form-group">
-            <label for="cancel-type-${this.serviceIndex}">
+            <label for="cancel-type-${this.serviceKey}">
               Policy Type <span class="required">*</span>
             </label>
             <select
-              id="cancel-type-${this.serviceIndex}"
+              id="cancel-type-${this.serviceKey}"
               class="cancellation-input"
               data-field="type"
               required>
@@ -312,52 +797,151 @@ export default class ServiceConfigurator {
 
           <div class="form-row">
             <div class="form-group">
-              <label for="cancel-free-until-${this.serviceIndex}">
+              <label for="cancel-free-until-${this.serviceKey}">
                 Free Cancellation Until (hours before)
               </label>
               <input
                 type="number"
-                id="cancel-free-until-${this.serviceIndex}"
+                id="cancel-free-until-${this.serviceKey}"
                 class="cancellation-input"
                 data-field="freeUntilHours"
                 min="0"
                 max="168"
-                value="${this.service.cancellationPolicy.freeUntilHours}">
+                value="${escapeHTML(this.service.cancellationPolicy.freeUntilHours)}">
             </div>
 
             <div class="form-group">
-              <label for="cancel-penalty-${this.serviceIndex}">
+              <label for="cancel-penalty-${this.serviceKey}">
                 Penalty Percentage (0-100)
               </label>
               <input
                 type="number"
-                id="cancel-penalty-${this.serviceIndex}"
+                id="cancel-penalty-${this.serviceKey}"
                 class="cancellation-input"
                 data-field="penaltyPercentage"
                 min="0"
                 max="100"
-                value="${this.service.cancellationPolicy.penaltyPercentage}">
+                value="${escapeHTML(this.service.cancellationPolicy.penaltyPercentage)}">
             </div>
           </div>
 
           <div class="form-group">
-            <label for="cancel-description-${this.serviceIndex}">
+            <label for="cancel-description-${this.serviceKey}">
               Policy Description <span class="required">*</span>
             </label>
             <textarea
-              id="cancel-description-${this.serviceIndex}"
+              id="cancel-description-${this.serviceKey}"
               class="cancellation-input"
               data-field="description"
               placeholder="Describe your cancellation policy in detail"
               required
-              maxlength="500">${this.service.cancellationPolicy.description}</textarea>
+              maxlength="500">${escapeHTML(this.service.cancellationPolicy.description)}</textarea>
             <span class="char-count">${this.service.cancellationPolicy.description.length}/500</span>
           </div>
+
+          ${this.renderRefundPreview()}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the refund preview widget
+   */
+  renderRefundPreview() {
+    return `
+      <div class="refund-preview">
+        <h5>Refund Preview</h5>
+        <p class="help-text">What a cancellation would cost under this policy and payment timing (times in ${this.locationTimezone})</p>
+
+        <div class="form-row">
+          <div class="form-group">
+            <label for="refund-price-${this.serviceKey}">Booking Price (${this.getCurrency()})</label>
+            <input
+              type="number"
+              id="refund-price-${this.serviceKey}"
+              class="refund-preview-input"
+              data-field="price"
+              min="0"
+              step="${this.getAmountStep()}"
+              value="${escapeHTML(this.refundPreview.price)}">
+          </div>
+
+          <div class="form-group">
+            <label for="refund-booking-${this.serviceKey}">Service Starts</label>
+            <input
+              type="datetime-local"
+              id="refund-booking-${this.serviceKey}"
+              class="refund-preview-input"
+              data-field="bookingTime"
+              value="${escapeHTML(this.toDateTimeLocal(this.refundPreview.bookingTime))}">
+          </div>
+
+          <div class="form-group">
+            <label for="refund-cancel-${this.serviceKey}">Cancelled At</label>
+            <input
+              type="datetime-local"
+              id="refund-cancel-${this.serviceKey}"
+              class="refund-preview-input"
+              data-field="cancellationTime"
+              value="${escapeHTML(this.toDateTimeLocal(this.refundPreview.cancellationTime))}">
+          </div>
+        </div>
+
+        <div id="refund-preview-result-${this.serviceKey}" class="refund-preview-result" aria-live="polite">
+          ${this.renderRefundPreviewResult()}
         </div>
       </div>
     `;
   }
 
+  /**
+   * Render the calculated refund for the current policy
+   */
+  renderRefundPreviewResult() {
+    let result;
+    try {
+      result = calculateCancellation(this.transformer.transformService(this.service, this.locationTimezone, this.defaultCurrency), {
+        ...this.refundPreview,
+        currency: this.getCurrency(),
+        timezone: this.locationTimezone
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `<p class="validation-hint">${escapeHTML(error.message)}</p>`;
+      }
+      throw error;
+    }
+
+    const currency = this.getCurrency();
+
+    return `
+      <dl>
+        <dt>Hours before start</dt>
+        <dd>${result.hoursBeforeStart}${result.withinFreePeriod ? ' (free cancellation)' : ''}</dd>
+        <dt>Paid in advance</dt>
+        <dd>${formatCurrency(result.amountPaid, currency)}</dd>
+        <dt>Penalty (${result.penaltyPercentage}%)</dt>
+        <dd>${formatCurrency(result.penalty, currency)}</dd>
+        <dt>Refund</dt>
+        <dd>${formatCurrency(result.refund, currency)}</dd>
+        <dt>Penalty still owed</dt>
+        <dd>${formatCurrency(result.amountOwed, currency)}</dd>
+        <dt>Modification fee</dt>
+        <dd>${formatCurrency(result.modificationFee, currency)}</dd>
+        <dt>No-show penalty</dt>
+        <dd>${formatCurrency(result.noShowPenalty, currency)}</dd>
+      </dl>
+    `;
+  }
+
+  /**
+   * Format a Date for a datetime-local input (business location time)
+   */
+  toDateTimeLocal(date) {
+    return isNaN(date.getTime()) ? '' : toLocalDateTime(date.getTime(), this.locationTimezone);
+  }
+
   /**
    * Render payment configuration
    */
@@ -376,7 +960,7 @@ export default class ServiceConfigurator {
                 <label class="checkbox-label">
                   <input
                     type="checkbox"
-                    name="payment-methods-${this.serviceIndex}"
+                    name="payment-methods-${this.serviceKey}"
                     value="${value}"
                     ${this.service.payment.methods.includes(value) ? 'checked' : ''}>
                   <span>${label}</span>
@@ -392,7 +976,7 @@ export default class ServiceConfigurator {
                 <label class="radio-label">
                   <input
                     type="radio"
-                    name="payment-timing-${this.serviceIndex}"
+                    name="payment-timing-${this.serviceKey}"
                     value="${value}"
                     ${this.service.payment.timing === value ? 'checked' : ''}>
                   <span>${label}</span>
@@ -405,7 +989,7 @@ export default class ServiceConfigurator {
             <label class="checkbox-label">
               <input
                 type="checkbox"
-                id="payment-deposit-${this.serviceIndex}"
+                id="payment-deposit-${this.serviceKey}"
                 class="payment-deposit-checkbox"
                 ${this.service.payment.depositRequired ? 'checked' : ''}>
               <span>Require Deposit</span>
@@ -413,17 +997,17 @@ export default class ServiceConfigurator {
           </div>
 
           <div class="form-group deposit-percentage ${this.service.payment.depositRequired ? '' : 'hidden'}">
-            <label for="payment-deposit-percent-${this.serviceIndex}">
+            <label for="payment-deposit-percent-${this.serviceKey}">
               Deposit Percentage (0-100)
             </label>
             <input
               type="number"
-              id="payment-deposit-percent-${this.serviceIndex}"
+              id="payment-deposit-percent-${this.serviceKey}"
               class="payment-input"
               data-field="depositPercentage"
               min="0"
               max="100"
-              value="${this.service.payment.depositPercentage || 0}">
+              value="${escapeHTML(this.service.payment.depositPercentage || 0)}">
           </div>
         </div>
       </div>
@@ -431,50 +1015,306 @@ export default class ServiceConfigurator {
   }
 
   /**
-   * Render service policies
+   * Render the "try it" price quote panel
    */
-  renderServicePolicies() {
+  renderQuotePanel() {
     return `
       <div class="form-section collapsible-section">
         <div class="collapsible-header">
-          <h4>Service Policies</h4>
+          <h4>Price Quote (Try It)</h4>
           <span class="collapsible-icon">▼</span>
         </div>
         <div class="collapsible-content">
-          <div class="form-row">
-            <div class="form-group">
-              <label for="policy-modification-${this.serviceIndex}">
-                Modification Fee
-              </label>
-              <input
-                type="number"
-                id="policy-modification-${this.serviceIndex}"
-                class="policy-input"
-                data-field="modificationFee"
-                min="0"
-                step="0.01"
-                value="${this.service.policies.modificationFee}">
-            </div>
+          <p class="help-text">Enter sample parameter values to see what an agent would be charged</p>
+          <div id="quote-inputs-${this.serviceKey}" class="quote-inputs">
+            ${this.renderQuoteInputs()}
+          </div>
+          <div id="quote-result-${this.serviceKey}" class="quote-result" aria-live="polite">
+            ${this.renderQuoteResult()}
+          </div>
+        </div>
+      </div>
+    `;
+  }
 
-            <div class="form-group">
-              <label for="policy-noshow-${this.serviceIndex}">
-                No-Show Penalty
-              </label>
+  /**
+   * Render sample value inputs for the priced parameters
+   */
+  renderQuoteInputs() {
+    const pricedParameters = this.service.parameters.filter(param => param.pricing && param.name);
+    if (pricedParameters.length === 0) {
+      return '<p class="validation-hint">Add pricing to a parameter to get a quote</p>';
+    }
+
+    return `
+      <div class="form-row">
+        ${pricedParameters.map(param => this.renderQuoteInput(param)).join('')}
+      </div>
+
+      <div class="form-group">
+        <label for="quote-at-${this.serviceKey}">Service Date &amp; Time (for time-based and seasonal rates)</label>
+        <input
+          type="datetime-local"
+          id="quote-at-${this.serviceKey}"
+          class="quote-at-input"
+          value="${escapeHTML(this.quoteAt)}">
+      </div>
+    `;
+  }
+
+  renderQuoteInput(param) {
+    const id = escapeHTML(`quote-${this.serviceKey}-${param.name}`);
+    const value = this.quoteValues[param.name];
+
+    if (param.type === CONSTANTS.PARAMETER_TYPES.BOOLEAN) {
+      return `
+        <div class="form-group">
+          <label class="checkbox-label">
+            <input type="checkbox" id="${id}" class="quote-value-input" data-param-name="${escapeHTML(param.name)}"
+              ${value === true ? 'checked' : ''}>
+            <span>${escapeHTML(param.name)}</span>
+          </label>
+        </div>
+      `;
+    }
+
+    const isNumeric = param.type === CONSTANTS.PARAMETER_TYPES.INTEGER || param.type === CONSTANTS.PARAMETER_TYPES.NUMBER;
+    return `
+      <div class="form-group">
+        <label for="${id}">${escapeHTML(param.name)}${param.pricing.unit ? ` (${escapeHTML(param.pricing.unit)})` : ''}</label>
+        <input
+          type="${isNumeric ? 'number' : 'text'}"
+          id="${id}"
+          class="quote-value-input"
+          data-param-name="${escapeHTML(param.name)}"
+          ${isNumeric ? 'min="0" step="any"' : ''}
+          placeholder="${escapeHTML(param.default)}"
+          value="${escapeHTML(value)}">
+      </div>
+    `;
+  }
+
+  /**
+   * Render the itemised quote for the current sample values
+   */
+  renderQuoteResult() {
+    if (!this.service.parameters.some(param => param.pricing && param.name)) {
+      return '';
+    }
+
+    let quote;
+    try {
+      quote = calculateQuote(this.transformer.transformService(this.service, this.locationTimezone, this.defaultCurrency), this.quoteValues, {
+        at: this.quoteAt,
+        timezone: this.locationTimezone
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return `<p class="validation-hint">${escapeHTML(error.message)}</p>`;
+      }
+      throw error;
+    }
+
+    const format = (minor) => formatMinorUnits(minor, quote.currency);
+
+    return `
+      <table class="quote-table">
+        <thead>
+          <tr><th>Parameter</th><th>Detail</th><th>Charge</th><th>Fee</th><th>Tax</th><th>Total</th></tr>
+        </thead>
+        <tbody>
+          ${quote.lineItems.map(item => `
+            <tr>
+              <td>${escapeHTML(item.parameter)}</td>
+              <td>
+                ${escapeHTML(CONSTANTS.PRICING_MODEL_LABELS[item.model] || item.model)}
+                ${item.model !== CONSTANTS.PRICING_MODELS.FLAT ? ` · ${item.quantity}${item.unit ? ` ${escapeHTML(item.unit)}` : ''}` : ''}
+                ${item.appliedRules.length > 0 ? ` · ${escapeHTML(item.appliedRules.join(', '))}` : ''}
+                ${item.minimumApplied ? ' · minimum charge applied' : ''}
+              </td>
+              <td>${format(item.amount)}</td>
+              <td>${format(item.serviceFee)}</td>
+              <td>${format(item.tax)}</td>
+              <td>${format(item.total)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+        <tfoot>
+          <tr><th colspan="5">Subtotal</th><td>${format(quote.subtotal)}</td></tr>
+          <tr><th colspan="5">Service fees</th><td>${format(quote.serviceFees)}</td></tr>
+          <tr><th colspan="5">Tax</th><td>${format(quote.tax)}</td></tr>
+          <tr><th colspan="5">Total</th><td><strong>${format(quote.total)}</strong></td></tr>
+        </tfoot>
+      </table>
+
+      <ul class="quote-payments">
+        ${quote.payments.map(payment => `
+          <li>${escapeHTML(CONSTANTS.PAYMENT_TIMING_LABELS[payment.timing] || payment.timing)}: <strong>${format(payment.amount)}</strong></li>
+        `).join('')}
+      </ul>
+
+      ${this.renderQuoteConversion(quote)}
+    `;
+  }
+
+  /**
+   * Render the quote total converted with the offline rate table
+   */
+  renderQuoteConversion(quote) {
+    const converted = this.quotePreviewCurrency
+      ? convertMinorUnits(quote.total, quote.currency, this.quotePreviewCurrency)
+      : null;
+
+    return `
+      <div class="quote-conversion">
+        <label for="quote-preview-currency-${this.serviceKey}">Preview total in</label>
+        <select id="quote-preview-currency-${this.serviceKey}" class="quote-preview-currency-select">
+          <option value="">—</option>
+          ${Object.values(CONSTANTS.CURRENCIES).filter(code => code !== quote.currency).map(code => `
+            <option value="${code}" ${this.quotePreviewCurrency === code ? 'selected' : ''}>${code}</option>
+          `).join('')}
+        </select>
+        ${converted !== null ? `
+          <span>≈ <strong>${formatMinorUnits(converted, this.quotePreviewCurrency)}</strong></span>
+          <span class="help-text">Indicative offline rates as of ${OFFLINE_RATES_AS_OF}; agents are charged in ${quote.currency}</span>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render service policies
+   */
+  renderServicePolicies() {
+    return `
+      <div class="form-section collapsible-section">
+        <div class="collapsible-header">
+          <h4>Service Policies</h4>
+          <span class="collapsible-icon">▼</span>
+        </div>
+        <div class="collapsible-content">
+          <div class="form-row">
+            <div class="form-group">
+              <label for="policy-modification-${this.serviceKey}">
+                Modification Fee (${this.getCurrency()})
+              </label>
               <input
                 type="number"
-                id="policy-noshow-${this.serviceIndex}"
+                id="policy-modification-${this.serviceKey}"
+                class="policy-input"
+                data-field="modificationFee"
+                min="0"
+                step="${this.getAmountStep()}"
+                value="${escapeHTML(this.service.policies.modificationFee)}">
+            </div>
+
+            <div class="form-group">
+              <label for="policy-noshow-${this.serviceKey}">
+                No-Show Penalty (${this.getCurrency()})
+              </label>
+              <input
+                type="number"
+                id="policy-noshow-${this.serviceKey}"
                 class="policy-input"
                 data-field="noShowPenalty"
                 min="0"
-                step="0.01"
-                value="${this.service.policies.noShowPenalty}">
+                step="${this.getAmountStep()}"
+                value="${escapeHTML(this.service.policies.noShowPenalty)}">
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the workflow simulator
+   */
+  renderSimulator() {
+    return `
+      <div class="form-section collapsible-section">
+        <div class="collapsible-header">
+          <h4>Workflow Simulator</h4>
+          <span class="collapsible-icon">▼</span>
+        </div>
+        <div class="collapsible-content">
+          <p class="help-text">
+            Dry-run this service's workflow before registering it. Reset after changing the configuration.
+          </p>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label for="sim-price-${this.serviceKey}">Booking Price (${this.getCurrency()})</label>
+              <input
+                type="number"
+                id="sim-price-${this.serviceKey}"
+                min="0"
+                step="${this.getAmountStep()}"
+                value="100">
+            </div>
+
+            <div class="form-group">
+              <label for="sim-hours-${this.serviceKey}">Cancellation Hours Before Start</label>
+              <input
+                type="number"
+                id="sim-hours-${this.serviceKey}"
+                min="0"
+                value="48">
             </div>
           </div>
+
+          <div id="simulator-${this.serviceKey}" class="workflow-simulator">
+            ${this.renderSimulatorState()}
+          </div>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Render simulator state, event buttons and log
+   */
+  renderSimulatorState() {
+    if (!this.simulator) {
+      return `
+        <button type="button" class="btn-secondary simulator-reset-btn">Start Simulation</button>
+      `;
+    }
+
+    const state = this.simulator.getState();
+    const availableEvents = this.simulator.getAvailableEvents();
+
+    return `
+      <div class="simulator-status" aria-live="polite">
+        <strong>State:</strong> ${state.status}${state.currentStep ? ` (step "${escapeHTML(state.currentStep)}", attempt ${state.attempt})` : ''}
+        · <strong>Paid:</strong> ${this.simulator.formatAmount(state.paid)}
+        · <strong>Due:</strong> ${this.simulator.formatAmount(state.due)}
+        · <strong>Refunded:</strong> ${this.simulator.formatAmount(state.refunded)}
+      </div>
+
+      <div class="simulator-events">
+        ${Object.values(SIMULATION_EVENTS).map(event => `
+          <button type="button" class="simulator-event-btn" data-event="${event}"
+            ${availableEvents.includes(event) ? '' : 'disabled'}>
+            ${SIMULATION_EVENT_LABELS[event]}
+          </button>
+        `).join('')}
+        <button type="button" class="btn-secondary simulator-reset-btn">Reset</button>
+      </div>
+
+      <ol class="simulator-log">
+        ${this.simulator.log.map(entry => `
+          <li>
+            <span>${escapeHTML(entry.message)}</span>
+            ${entry.webhooks.map(webhook => `
+              <code class="simulator-webhook">${webhook.event}</code>
+            `).join('')}
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
   /**
    * Attach event listeners
    */
@@ -491,6 +1331,9 @@ export default class ServiceConfigurator {
       });
     }
 
+    // Reordering and duplication
+    this.attachReorderListeners();
+
     // Collapsible sections
     this.container.querySelectorAll('.collapsible-header').forEach(header => {
       header.addEventListener('click', this.toggleCollapsible.bind(this));
@@ -501,17 +1344,34 @@ export default class ServiceConfigurator {
       input.addEventListener('input', this.handleServiceInput.bind(this));
     });
 
+    // Service currency
+    this.container.querySelector('.service-currency-select')?.addEventListener('change', (e) => {
+      this.service.currency = e.target.value;
+      this.applyCurrency();
+    });
+
     // Workflow inputs
     this.container.querySelectorAll('.workflow-input').forEach(input => {
       input.addEventListener('change', this.handleWorkflowInput.bind(this));
     });
 
+    // Workflow step editor
+    this.attachWorkflowStepListeners();
+
     // Availability inputs
     this.container.querySelectorAll('.availability-input').forEach(input => {
       const event = input.type === 'checkbox' ? 'change' : 'input';
       input.addEventListener(event, this.handleAvailabilityInput.bind(this));
     });
 
+    // Booking schedule
+    this.container.querySelector('.schedule-toggle')?.addEventListener('change', (e) => {
+      this.service.availability.schedule = e.target.checked ? createDefaultSchedule() : null;
+      this.refreshSchedule();
+      this.notifyUpdate();
+    });
+    this.attachScheduleListeners();
+
     // Cancellation inputs
     this.container.querySelectorAll('.cancellation-input').forEach(input => {
       const event = input.tagName === 'SELECT' ? 'change' : 'input';
@@ -519,12 +1379,12 @@ export default class ServiceConfigurator {
     });
 
     // Payment method checkboxes
-    this.container.querySelectorAll(`[name="payment-methods-${this.serviceIndex}"]`).forEach(checkbox => {
+    this.container.querySelectorAll(`[name="payment-methods-${this.serviceKey}"]`).forEach(checkbox => {
       checkbox.addEventListener('change', this.handlePaymentMethodsChange.bind(this));
     });
 
     // Payment timing radios
-    this.container.querySelectorAll(`[name="payment-timing-${this.serviceIndex}"]`).forEach(radio => {
+    this.container.querySelectorAll(`[name="payment-timing-${this.serviceKey}"]`).forEach(radio => {
       radio.addEventListener('change', this.handlePaymentTimingChange.bind(this));
     });
 
@@ -535,7 +1395,7 @@ export default class ServiceConfigurator {
     }
 
     // Deposit percentage input
-    const depositInput = this.container.querySelector(`#payment-deposit-percent-${this.serviceIndex}`);
+    const depositInput = this.container.querySelector(`#payment-deposit-percent-${this.serviceKey}`);
     if (depositInput) {
       depositInput.addEventListener('input', this.handlePaymentInput.bind(this));
     }
@@ -544,21 +1404,178 @@ export default class ServiceConfigurator {
     this.container.querySelectorAll('.policy-input').forEach(input => {
       input.addEventListener('input', this.handlePolicyInput.bind(this));
     });
+
+    // Quote panel inputs
+    this.attachQuoteListeners();
+    this.attachQuoteConversionListener();
+
+    // Refund preview inputs
+    this.container.querySelectorAll('.refund-preview-input').forEach(input => {
+      input.addEventListener('input', this.handleRefundPreviewInput.bind(this));
+    });
+
+    // Workflow simulator
+    this.attachSimulatorListeners();
+  }
+
+  /**
+   * Attach listeners for the simulator controls (re-run after the simulator is re-rendered)
+   */
+  attachSimulatorListeners() {
+    const simulatorContainer = this.container.querySelector(`#simulator-${this.serviceKey}`);
+    if (!simulatorContainer) return;
+
+    simulatorContainer.querySelector('.simulator-reset-btn')?.addEventListener('click', () => {
+      this.resetSimulator();
+    });
+
+    simulatorContainer.querySelectorAll('.simulator-event-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.dispatchSimulatorEvent(e.currentTarget.dataset.event);
+      });
+    });
+  }
+
+  /**
+   * Attach listeners for the quote inputs (re-run after the inputs are re-rendered)
+   */
+  attachQuoteListeners() {
+    const inputsContainer = this.container.querySelector(`#quote-inputs-${this.serviceKey}`);
+    if (!inputsContainer) return;
+
+    inputsContainer.querySelectorAll('.quote-value-input').forEach(input => {
+      const event = input.type === 'checkbox' ? 'change' : 'input';
+      input.addEventListener(event, (e) => {
+        const name = e.target.dataset.paramName;
+        this.quoteValues[name] = e.target.type === 'checkbox' ? e.target.checked :
+                                 (e.target.type === 'number' && e.target.value !== '' ? parseFloat(e.target.value) : e.target.value);
+        this.updateQuoteResult();
+      });
+    });
+
+    inputsContainer.querySelector('.quote-at-input')?.addEventListener('input', (e) => {
+      this.quoteAt = e.target.value;
+      this.updateQuoteResult();
+    });
+  }
+
+  /**
+   * Re-render quote inputs after the service's parameters change
+   */
+  refreshQuotePanel() {
+    const inputsContainer = this.container?.querySelector(`#quote-inputs-${this.serviceKey}`);
+    if (inputsContainer) {
+      inputsContainer.innerHTML = this.renderQuoteInputs();
+      this.attachQuoteListeners();
+    }
+    this.updateQuoteResult();
+  }
+
+  updateQuoteResult() {
+    const resultElement = this.container?.querySelector(`#quote-result-${this.serviceKey}`);
+    if (resultElement) {
+      resultElement.innerHTML = this.renderQuoteResult();
+      this.attachQuoteConversionListener();
+    }
+  }
+
+  attachQuoteConversionListener() {
+    this.container.querySelector(`#quote-preview-currency-${this.serviceKey}`)?.addEventListener('change', (e) => {
+      this.quotePreviewCurrency = e.target.value;
+      this.updateQuoteResult();
+    });
+  }
+
+  /**
+   * Start a fresh simulation from the current service configuration
+   */
+  resetSimulator() {
+    const priceInput = this.container.querySelector(`#sim-price-${this.serviceKey}`);
+    const price = parseFloat(priceInput?.value);
+
+    this.simulator = new WorkflowSimulator(this.transformer.transformService(this.service, this.locationTimezone, this.defaultCurrency), {
+      price: isNaN(price) ? 0 : price,
+      currency: this.getCurrency()
+    });
+    this.refreshSimulator();
+  }
+
+  /**
+   * Dispatch a simulator event from the UI
+   */
+  dispatchSimulatorEvent(event) {
+    const hoursInput = this.container.querySelector(`#sim-hours-${this.serviceKey}`);
+    const hoursBeforeStart = parseFloat(hoursInput?.value);
+
+    try {
+      this.simulator.dispatch(event, isNaN(hoursBeforeStart) ? {} : { hoursBeforeStart });
+    } catch (error) {
+      console.error('Simulation event failed:', error);
+      alert(error.message);
+    }
+    this.refreshSimulator();
+  }
+
+  refreshSimulator() {
+    const simulatorContainer = this.container.querySelector(`#simulator-${this.serviceKey}`);
+    if (simulatorContainer) {
+      simulatorContainer.innerHTML = this.renderSimulatorState();
+      this.attachSimulatorListeners();
+    }
+  }
+
+  /**
+   * Attach listeners for the workflow step editor (re-run after the step list is re-rendered)
+   */
+  attachWorkflowStepListeners() {
+    const stepsContainer = this.container.querySelector(`#workflow-steps-${this.serviceKey}`);
+    if (!stepsContainer) return;
+
+    stepsContainer.querySelector('.apply-pattern-steps-btn')?.addEventListener('click', () => {
+      const hasCustomSteps = this.service.workflow.steps.length > 0 &&
+                             !this.isPatternSteps(this.service.workflow.steps, this.service.workflow.pattern);
+      if (!hasCustomSteps || confirm('Replace the current steps with the standard steps for this pattern?')) {
+        this.service.workflow.steps = this.createPatternSteps(this.service.workflow.pattern);
+        this.refreshWorkflowSteps();
+      }
+    });
+
+    stepsContainer.querySelector('.add-step-btn')?.addEventListener('click', () => this.addWorkflowStep());
+
+    stepsContainer.querySelectorAll('.remove-step-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        this.removeWorkflowStep(parseInt(e.currentTarget.dataset.stepIndex));
+      });
+    });
+
+    stepsContainer.querySelectorAll('.move-step-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { stepIndex, direction } = e.currentTarget.dataset;
+        this.moveWorkflowStep(parseInt(stepIndex), parseInt(direction));
+      });
+    });
+
+    stepsContainer.querySelectorAll('.workflow-step-input').forEach(input => {
+      const event = input.type === 'checkbox' ? 'change' : 'input';
+      input.addEventListener(event, this.handleWorkflowStepInput.bind(this));
+    });
   }
 
   /**
    * Initialize parameter builder
    */
   initializeParameterBuilder() {
-    const parametersContainer = this.container.querySelector(`#parameters-container-${this.serviceIndex}`);
+    const parametersContainer = this.container.querySelector(`#parameters-container-${this.serviceKey}`);
     if (!parametersContainer) return;
 
     this.parameterBuilder = new ParameterBuilder(
-      this.serviceIndex,
+      this.serviceKey,
       (parameters) => {
         this.service.parameters = parameters;
         this.notifyUpdate();
-      }
+      },
+      this.getCurrency(),
+      this.businessType
     );
 
     this.parameterBuilder.initialize(parametersContainer, this.service.parameters);
@@ -594,14 +1611,119 @@ export default class ServiceConfigurator {
    */
   handleWorkflowInput(e) {
     const field = e.target.dataset.field;
+    const previousPattern = this.service.workflow.pattern;
     this.service.workflow[field] = e.target.value;
 
     // Update workflow description
-    const descElement = this.container.querySelector(`#workflow-description-${this.serviceIndex}`);
+    const descElement = this.container.querySelector(`#workflow-description-${this.serviceKey}`);
     if (descElement && field === 'pattern') {
       descElement.textContent = CONSTANTS.WORKFLOW_PATTERN_DESCRIPTIONS[e.target.value] || '';
     }
 
+    if (field === 'pattern') {
+      // Standard steps follow the pattern; custom steps are kept as they are
+      if (this.isPatternSteps(this.service.workflow.steps, previousPattern)) {
+        this.service.workflow.steps = this.createPatternSteps(e.target.value);
+      }
+      this.refreshWorkflowSteps();
+      return;
+    }
+
+    this.notifyUpdate();
+  }
+
+  /**
+   * Handle workflow step input changes
+   */
+  handleWorkflowStepInput(e) {
+    const index = parseInt(e.target.dataset.stepIndex);
+    const field = e.target.dataset.field;
+    const step = this.service.workflow.steps[index];
+    if (!step) return;
+
+    if (e.target.type === 'checkbox') {
+      step[field] = e.target.checked;
+    } else if (e.target.type === 'number') {
+      const value = parseInt(e.target.value);
+      if (isNaN(value)) return;
+      step[field] = value;
+    } else {
+      step[field] = e.target.value;
+    }
+
+    this.notifyUpdate();
+  }
+
+  /**
+   * Create the standard steps for a workflow pattern
+   */
+  createPatternSteps(pattern) {
+    return (CONSTANTS.WORKFLOW_PATTERN_STEPS[pattern] || []).map(step => ({
+      name: step.name,
+      description: step.description,
+      required: true,
+      timeoutMinutes: step.timeoutMinutes,
+      retryAttempts: step.retryAttempts
+    }));
+  }
+
+  /**
+   * Check whether steps are exactly the standard steps for a pattern
+   */
+  isPatternSteps(steps, pattern) {
+    return JSON.stringify(steps) === JSON.stringify(this.createPatternSteps(pattern));
+  }
+
+  /**
+   * Add an empty workflow step
+   */
+  addWorkflowStep() {
+    if (this.service.workflow.steps.length >= CONSTANTS.CONSTRAINTS.MAX_WORKFLOW_STEPS) {
+      alert(`Maximum ${CONSTANTS.CONSTRAINTS.MAX_WORKFLOW_STEPS} steps allowed per workflow`);
+      return;
+    }
+
+    this.service.workflow.steps.push({
+      name: '',
+      description: '',
+      required: true,
+      timeoutMinutes: CONSTANTS.DEFAULT_VALUES.TIMEOUT_MINUTES,
+      retryAttempts: CONSTANTS.DEFAULT_VALUES.RETRY_ATTEMPTS
+    });
+    this.refreshWorkflowSteps();
+  }
+
+  /**
+   * Remove a workflow step
+   */
+  removeWorkflowStep(index) {
+    this.service.workflow.steps.splice(index, 1);
+    this.refreshWorkflowSteps();
+  }
+
+  /**
+   * Move a workflow step up (-1) or down (+1)
+   */
+  moveWorkflowStep(index, direction) {
+    const steps = this.service.workflow.steps;
+    const target = index + direction;
+    if (target < 0 || target >= steps.length) return;
+
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    this.refreshWorkflowSteps();
+
+    this.container.querySelector(`.move-step-btn[data-step-index="${target}"][data-direction="${direction}"]:not([disabled])`)?.focus();
+  }
+
+  /**
+   * Re-render the step editor after a structural change
+   */
+  refreshWorkflowSteps() {
+    const stepsContainer = this.container.querySelector(`#workflow-steps-${this.serviceKey}`);
+    if (stepsContainer) {
+      stepsContainer.innerHTML = this.renderWorkflowSteps();
+      this.attachWorkflowStepListeners();
+    }
     this.notifyUpdate();
   }
 
@@ -616,6 +1738,132 @@ export default class ServiceConfigurator {
     this.notifyUpdate();
   }
 
+  /**
+   * Attach booking schedule editor listeners
+   */
+  attachScheduleListeners() {
+    const scheduleContainer = this.container.querySelector(`#availability-schedule-${this.serviceKey}`);
+    if (!scheduleContainer) return;
+
+    scheduleContainer.querySelectorAll('.schedule-input, .schedule-row-input').forEach(input => {
+      const event = input.tagName === 'SELECT' || input.type === 'checkbox' ? 'change' : 'input';
+      input.addEventListener(event, () => {
+        this.updateScheduleFromInputs();
+        this.notifyUpdate();
+      });
+    });
+
+    scheduleContainer.querySelector('.availability-preview-input')?.addEventListener('input', (e) => {
+      this.availabilityPreview.partySize = parseInt(e.target.value);
+      this.updateAvailabilityPreview();
+    });
+
+    scheduleContainer.querySelectorAll('.schedule-add-row-btn').forEach(button => {
+      button.addEventListener('click', (e) => this.addScheduleRow(e.currentTarget.dataset.collection));
+    });
+
+    scheduleContainer.querySelectorAll('.schedule-remove-row-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const { collection, rowIndex } = e.currentTarget.dataset;
+        this.removeScheduleRow(collection, parseInt(rowIndex));
+      });
+    });
+  }
+
+  /**
+   * Read the booking schedule from the editor
+   */
+  updateScheduleFromInputs() {
+    const schedule = this.service.availability.schedule;
+    const scheduleContainer = this.container.querySelector(`#availability-schedule-${this.serviceKey}`);
+    if (!schedule || !scheduleContainer) return;
+
+    scheduleContainer.querySelectorAll('.schedule-input').forEach(input => {
+      const field = input.dataset.field;
+      schedule[field] = input.type === 'number' ? parseInt(input.value) : input.value;
+    });
+
+    schedule.weeklyHours = this.readScheduleRows(scheduleContainer, 'weeklyHours');
+    schedule.blackoutDates = this.readScheduleRows(scheduleContainer, 'blackoutDates');
+  }
+
+  /**
+   * Read opening hours or blackout rows from the editor
+   */
+  readScheduleRows(scheduleContainer, collection) {
+    const rows = scheduleContainer.querySelectorAll(`.schedule-row[data-collection="${collection}"]`);
+
+    return Array.from(rows).map(row => {
+      const entry = {};
+
+      row.querySelectorAll('.schedule-row-input').forEach(input => {
+        const field = input.dataset.field;
+
+        if (field === 'days') {
+          entry.days = entry.days || [];
+          if (input.checked) entry.days.push(parseInt(input.value));
+        } else {
+          entry[field] = input.value;
+        }
+      });
+
+      return entry;
+    });
+  }
+
+  /**
+   * Add opening hours (a copy of the last row) or a blackout date range
+   */
+  addScheduleRow(collection) {
+    this.updateScheduleFromInputs();
+    const schedule = this.service.availability.schedule;
+    if (!schedule) return;
+
+    if (collection === 'weeklyHours') {
+      const last = schedule.weeklyHours[schedule.weeklyHours.length - 1];
+      schedule.weeklyHours.push(last ? { ...last, days: [] } : { days: [], open: '09:00', close: '17:00' });
+    } else if (collection === 'blackoutDates') {
+      schedule.blackoutDates.push({ name: '', startDate: '', endDate: '' });
+    }
+
+    this.refreshSchedule();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Remove opening hours or a blackout date range
+   */
+  removeScheduleRow(collection, rowIndex) {
+    this.updateScheduleFromInputs();
+    const schedule = this.service.availability.schedule;
+    if (!schedule) return;
+
+    schedule[collection].splice(rowIndex, 1);
+    this.refreshSchedule();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Recalculate the availability preview
+   */
+  updateAvailabilityPreview() {
+    const resultElement = this.container?.querySelector(`#availability-preview-result-${this.serviceKey}`);
+    if (resultElement && this.service.availability.schedule) {
+      resultElement.innerHTML = this.renderAvailabilityPreviewResult();
+    }
+  }
+
+  /**
+   * Re-render the schedule editor after a structural change
+   */
+  refreshSchedule() {
+    const scheduleContainer = this.container.querySelector(`#availability-schedule-${this.serviceKey}`);
+    if (scheduleContainer) {
+      scheduleContainer.innerHTML = this.renderSchedule();
+      this.attachScheduleListeners();
+    }
+  }
+
   /**
    * Handle cancellation input changes
    */
@@ -626,11 +1874,48 @@ export default class ServiceConfigurator {
     this.notifyUpdate();
   }
 
+  /**
+   * Handle refund preview input changes
+   */
+  handleRefundPreviewInput(e) {
+    const field = e.target.dataset.field;
+    if (field === 'price') {
+      this.refundPreview.price = parseFloat(e.target.value);
+    } else {
+      const time = toInstant(e.target.value, this.locationTimezone);
+      this.refundPreview[field] = new Date(time === null ? NaN : time);
+    }
+    this.updateRefundPreview();
+  }
+
+  /**
+   * Re-render the refund preview so its times show in the current location timezone
+   */
+  refreshRefundPreview() {
+    const previewElement = this.container?.querySelector('.refund-preview');
+    if (previewElement) {
+      previewElement.outerHTML = this.renderRefundPreview();
+      this.container.querySelectorAll('.refund-preview-input').forEach(input => {
+        input.addEventListener('input', this.handleRefundPreviewInput.bind(this));
+      });
+    }
+  }
+
+  /**
+   * Recalculate the refund preview
+   */
+  updateRefundPreview() {
+    const resultElement = this.container?.querySelector(`#refund-preview-result-${this.serviceKey}`);
+    if (resultElement) {
+      resultElement.innerHTML = this.renderRefundPreviewResult();
+    }
+  }
+
   /**
    * Handle payment methods change
    */
   handlePaymentMethodsChange() {
-    const checkboxes = this.container.querySelectorAll(`[name="payment-methods-${this.serviceIndex}"]:checked`);
+    const checkboxes = this.container.querySelectorAll(`[name="payment-methods-${this.serviceKey}"]:checked`);
     this.service.payment.methods = Array.from(checkboxes).map(cb => cb.value);
     this.notifyUpdate();
   }
@@ -673,6 +1958,156 @@ export default class ServiceConfigurator {
     this.notifyUpdate();
   }
 
+  /**
+   * Currency every price in this service uses (its override, else the business default)
+   */
+  getCurrency() {
+    return this.service?.currency || this.defaultCurrency;
+  }
+
+  /**
+   * Smallest amount the service currency can express (0.01, or 1 for currencies without minor units)
+   */
+  getAmountStep() {
+    return Math.pow(10, -getMinorUnitDigits(this.getCurrency()));
+  }
+
+  /**
+   * Update the business default currency; services without an override follow it
+   */
+  setDefaultCurrency(currency) {
+    this.defaultCurrency = currency;
+    if (this.service && !this.service.currency) {
+      this.applyCurrency();
+    }
+  }
+
+  /**
+   * Attach move up/down, duplicate and drag-and-drop listeners
+   */
+  attachReorderListeners() {
+    this.container.querySelectorAll('.move-service-btn').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const direction = parseInt(e.currentTarget.dataset.direction);
+        this.onMove(this.serviceIndex, this.serviceIndex + direction);
+        this.focusMoveButton(direction);
+      });
+    });
+
+    this.container.querySelector('.duplicate-service-btn')?.addEventListener('click', () => {
+      this.onDuplicate(this.serviceIndex);
+    });
+
+    const serviceElement = this.container.querySelector('.service-config');
+    const header = this.container.querySelector('.service-header');
+
+    header?.addEventListener('dragstart', (e) => {
+      e.dataTransfer.setData(SERVICE_DRAG_TYPE, String(this.serviceIndex));
+      e.dataTransfer.effectAllowed = 'move';
+      serviceElement.classList.add('dragging');
+    });
+
+    header?.addEventListener('dragend', () => {
+      serviceElement.classList.remove('dragging');
+    });
+
+    serviceElement?.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(SERVICE_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      serviceElement.classList.add('drag-over');
+    });
+
+    serviceElement?.addEventListener('dragleave', (e) => {
+      if (!serviceElement.contains(e.relatedTarget)) {
+        serviceElement.classList.remove('drag-over');
+      }
+    });
+
+    serviceElement?.addEventListener('drop', (e) => {
+      if (!e.dataTransfer.types.includes(SERVICE_DRAG_TYPE)) return;
+      e.preventDefault();
+      serviceElement.classList.remove('drag-over');
+      this.onMove(parseInt(e.dataTransfer.getData(SERVICE_DRAG_TYPE)), this.serviceIndex);
+    });
+  }
+
+  /**
+   * Keep keyboard focus on a move button after the service has moved
+   * (moving the element drops focus); falls back to the other direction at either end
+   */
+  focusMoveButton(direction) {
+    const button = this.container?.querySelector(`.move-service-btn[data-direction="${direction}"]`);
+    const fallback = this.container?.querySelector(`.move-service-btn[data-direction="${-direction}"]`);
+    (button && !button.disabled ? button : fallback)?.focus();
+  }
+
+  /**
+   * Update the position of this service in the form without re-rendering
+   * @param {number} serviceIndex - New position
+   * @param {number} serviceCount - Number of services in the form
+   */
+  setPosition(serviceIndex, serviceCount) {
+    this.serviceIndex = serviceIndex;
+    this.serviceCount = serviceCount;
+    if (!this.container) return;
+
+    const title = this.container.querySelector('.service-title');
+    if (title) title.textContent = `Service ${serviceIndex + 1}`;
+
+    const [upButton, downButton] = this.container.querySelectorAll('.move-service-btn');
+    if (upButton) upButton.disabled = serviceIndex === 0;
+    if (downButton) downButton.disabled = serviceIndex === serviceCount - 1;
+
+    const removeButton = this.container.querySelector('.remove-service-btn');
+    if (removeButton) removeButton.hidden = serviceCount === 1;
+  }
+
+  /**
+   * Update the business location timezone (used by schedules without their own)
+   */
+  setLocationTimezone(timezone) {
+    this.locationTimezone = timezone || CONSTANTS.DEFAULT_VALUES.TIMEZONE;
+    this.refreshRefundPreview();
+    this.updateAvailabilityPreview();
+  }
+
+  /**
+   * Update the business type whose parameter library is offered
+   */
+  setBusinessType(businessType) {
+    this.businessType = businessType;
+    this.parameterBuilder?.setBusinessType(businessType);
+  }
+
+  /**
+   * Re-render the parameter template picker (after saved templates load)
+   */
+  refreshTemplates() {
+    this.parameterBuilder?.refreshTemplates();
+  }
+
+  /**
+   * Move all parameter pricing to the service currency and re-render amounts in it
+   * Amounts are kept as entered, not converted
+   */
+  applyCurrency() {
+    const currency = this.getCurrency();
+    this.service.parameters.forEach(param => {
+      if (param.pricing) {
+        param.pricing.currency = currency;
+      }
+    });
+
+    this.simulator = null;
+    if (this.container) {
+      this.render();
+      this.attachEventListeners();
+      this.initializeParameterBuilder();
+    }
+    this.notifyUpdate();
+  }
+
   /**
    * Get service configuration
    */
@@ -696,6 +2131,10 @@ export default class ServiceConfigurator {
    * Notify parent of updates
    */
   notifyUpdate() {
+    this.updateRefundPreview();
+    this.updateAvailabilityPreview();
+    this.refreshQuotePanel();
+
     if (this.onUpdate) {
       this.onUpdate(this.serviceIndex, this.service);
     }
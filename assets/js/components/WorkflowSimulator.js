@@ -0,0 +1,418 @@
+/**
+ * Workflow Simulator
+ * Dry-runs a transformed (API-format) service's workflow in the browser
+ * Steps through events and reports the resulting state, fired webhooks and money movements
+ */
+
+import CONSTANTS from '../core/constants.js';
+import { ValidationError } from '../core/errorHandler.js';
+import { getDepositAmount, getPenaltyPercentage } from '../core/refundCalculator.js';
+import { fromMinorUnits, toMinorUnits } from '../core/money.js';
+import { formatCurrency } from '../core/utils.js';
+
+const { WEBHOOK_EVENTS, PAYMENT_TIMING } = CONSTANTS;
+
+export const SIMULATION_STATES = {
+  IDLE: 'idle',
+  IN_PROGRESS: 'in_progress',
+  CONFIRMED: 'confirmed',
+  IN_SERVICE: 'in_service',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed'
+};
+
+export const SIMULATION_EVENTS = {
+  START: 'start',
+  COMPLETE_STEP: 'complete_step',
+  TIMEOUT: 'timeout',
+  PAY: 'pay',
+  PAYMENT_FAILED: 'payment_failed',
+  MODIFY: 'modify',
+  CANCEL: 'cancel',
+  NO_SHOW: 'no_show',
+  START_SERVICE: 'start_service',
+  COMPLETE_SERVICE: 'complete_service'
+};
+
+export const SIMULATION_EVENT_LABELS = {
+  [SIMULATION_EVENTS.START]: 'Start',
+  [SIMULATION_EVENTS.COMPLETE_STEP]: 'Complete Step',
+  [SIMULATION_EVENTS.TIMEOUT]: 'Step Timeout',
+  [SIMULATION_EVENTS.PAY]: 'Payment Succeeds',
+  [SIMULATION_EVENTS.PAYMENT_FAILED]: 'Payment Fails',
+  [SIMULATION_EVENTS.MODIFY]: 'Modify Booking',
+  [SIMULATION_EVENTS.CANCEL]: 'Cancel',
+  [SIMULATION_EVENTS.NO_SHOW]: 'No-Show',
+  [SIMULATION_EVENTS.START_SERVICE]: 'Start Service',
+  [SIMULATION_EVENTS.COMPLETE_SERVICE]: 'Complete Service'
+};
+
+/**
+ * Events accepted in each state
+ */
+const TRANSITIONS = {
+  [SIMULATION_STATES.IDLE]: [SIMULATION_EVENTS.START],
+  [SIMULATION_STATES.IN_PROGRESS]: [
+    SIMULATION_EVENTS.COMPLETE_STEP,
+    SIMULATION_EVENTS.TIMEOUT,
+    SIMULATION_EVENTS.CANCEL
+  ],
+  [SIMULATION_STATES.CONFIRMED]: [
+    SIMULATION_EVENTS.PAY,
+    SIMULATION_EVENTS.PAYMENT_FAILED,
+    SIMULATION_EVENTS.MODIFY,
+    SIMULATION_EVENTS.CANCEL,
+    SIMULATION_EVENTS.NO_SHOW,
+    SIMULATION_EVENTS.START_SERVICE
+  ],
+  [SIMULATION_STATES.IN_SERVICE]: [
+    SIMULATION_EVENTS.PAY,
+    SIMULATION_EVENTS.PAYMENT_FAILED,
+    SIMULATION_EVENTS.COMPLETE_SERVICE
+  ],
+  [SIMULATION_STATES.COMPLETED]: [
+    SIMULATION_EVENTS.PAY,
+    SIMULATION_EVENTS.PAYMENT_FAILED
+  ],
+  [SIMULATION_STATES.CANCELLED]: [],
+  [SIMULATION_STATES.FAILED]: []
+};
+
+/**
+ * Events that only apply while an amount is due
+ */
+const PAYMENT_EVENTS = [SIMULATION_EVENTS.PAY, SIMULATION_EVENTS.PAYMENT_FAILED];
+
+export default class WorkflowSimulator {
+  /**
+   * @param {Object} apiService - Service as produced by FormDataTransformer.transformService
+   * @param {Object} options
+   * @param {number} [options.price=100] - Booking price used for payments, penalties and refunds
+   * @param {string[]} [options.subscribedEvents] - Webhook events the business subscribes to
+   * @param {string} [options.currency] - Currency of the price (defaults to the service's currency)
+   */
+  constructor(apiService, options = {}) {
+    this.service = apiService;
+    this.price = options.price !== undefined ? options.price : 100;
+    this.subscribedEvents = options.subscribedEvents || null;
+    this.currency = options.currency || apiService.currency || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+    this.steps = this.resolveSteps(apiService);
+    this.reset();
+  }
+
+  /**
+   * Configured steps, or the standard steps for the workflow pattern
+   */
+  resolveSteps(apiService) {
+    if (apiService.workflow_steps && apiService.workflow_steps.length > 0) {
+      return apiService.workflow_steps;
+    }
+
+    return (CONSTANTS.WORKFLOW_PATTERN_STEPS[apiService.workflow_pattern] || []).map(step => ({
+      name: step.name,
+      description: step.description,
+      required: true,
+      timeout_minutes: step.timeoutMinutes,
+      retry_attempts: step.retryAttempts
+    }));
+  }
+
+  /**
+   * Return to the initial state
+   */
+  reset() {
+    this.state = {
+      status: SIMULATION_STATES.IDLE,
+      stepIndex: 0,
+      attempt: 1,
+      paymentAttempts: 0,
+      paid: 0,
+      due: 0,
+      refunded: 0,
+      penalty: 0,
+      elapsedMinutes: 0
+    };
+    this.log = [];
+  }
+
+  /**
+   * Snapshot of the current state
+   */
+  getState() {
+    return {
+      ...this.state,
+      currentStep: this.getCurrentStep()?.name || null
+    };
+  }
+
+  getCurrentStep() {
+    return this.state.status === SIMULATION_STATES.IN_PROGRESS ? this.steps[this.state.stepIndex] : undefined;
+  }
+
+  /**
+   * Events that can be dispatched from the current state
+   */
+  getAvailableEvents() {
+    return (TRANSITIONS[this.state.status] || []).filter(event =>
+      !PAYMENT_EVENTS.includes(event) || this.state.due > 0
+    );
+  }
+
+  /**
+   * Dispatch a single event
+   * @param {string} event - One of SIMULATION_EVENTS
+   * @param {Object} payload - Event data ({ hoursBeforeStart } for cancellations)
+   * @returns {Object} - Log entry: { event, from, to, message, webhooks, state }
+   */
+  dispatch(event, payload = {}) {
+    if (!this.getAvailableEvents().includes(event)) {
+      throw new ValidationError(`Event "${event}" is not allowed while the workflow is ${this.state.status}`);
+    }
+
+    const from = this.state.status;
+    const webhooks = [];
+    const fire = (webhookEvent) => webhooks.push({
+      event: webhookEvent,
+      delivered: this.subscribedEvents ? this.subscribedEvents.includes(webhookEvent) : true
+    });
+
+    const message = this.apply(event, payload, fire);
+
+    const entry = {
+      event,
+      from,
+      to: this.state.status,
+      message,
+      webhooks,
+      state: this.getState()
+    };
+    this.log.push(entry);
+    return entry;
+  }
+
+  /**
+   * Run a scripted sequence of events
+   * @param {Array<string|Object>} events - Event names or { type, ...payload } objects
+   * @returns {Object[]} - Log entries in order
+   */
+  run(events) {
+    return events.map(item => {
+      const { type, ...payload } = typeof item === 'string' ? { type: item } : item;
+      return this.dispatch(type, payload);
+    });
+  }
+
+  /**
+   * Apply an event to the state machine
+   */
+  apply(event, payload, fire) {
+    switch (event) {
+      case SIMULATION_EVENTS.START:
+        this.state.status = SIMULATION_STATES.IN_PROGRESS;
+        this.state.stepIndex = 0;
+        this.state.attempt = 1;
+        if (this.steps.length === 0) {
+          return `Workflow started. ${this.confirm(fire)}`;
+        }
+        return `Workflow started at step "${this.steps[0].name}"`;
+
+      case SIMULATION_EVENTS.COMPLETE_STEP: {
+        const step = this.getCurrentStep();
+        this.state.elapsedMinutes += step.timeout_minutes || 0;
+        return `Step "${step.name}" completed. ${this.advanceStep(fire)}`;
+      }
+
+      case SIMULATION_EVENTS.TIMEOUT:
+        return this.handleTimeout(fire);
+
+      case SIMULATION_EVENTS.PAY: {
+        const amount = this.state.due;
+        this.state.paid = this.roundAmount(this.state.paid + amount);
+        this.state.due = 0;
+        this.state.paymentAttempts = 0;
+        fire(WEBHOOK_EVENTS.PAYMENT_PROCESSED);
+        return `Payment of ${this.formatAmount(amount)} processed`;
+      }
+
+      case SIMULATION_EVENTS.PAYMENT_FAILED:
+        return this.handlePaymentFailure(fire);
+
+      case SIMULATION_EVENTS.MODIFY: {
+        const fee = this.service.policies?.modification_fee || 0;
+        this.state.due = this.roundAmount(this.state.due + fee);
+        fire(WEBHOOK_EVENTS.BOOKING_MODIFIED);
+        return fee > 0 ? `Booking modified; modification fee of ${this.formatAmount(fee)} is due` : 'Booking modified';
+      }
+
+      case SIMULATION_EVENTS.CANCEL:
+        return this.handleCancellation(payload, fire);
+
+      case SIMULATION_EVENTS.NO_SHOW: {
+        const penalty = Math.min(this.service.policies?.no_show_penalty || 0, this.price);
+        return `Customer did not show up. ${this.settle(penalty, fire)}`;
+      }
+
+      case SIMULATION_EVENTS.START_SERVICE:
+        this.state.status = SIMULATION_STATES.IN_SERVICE;
+        fire(WEBHOOK_EVENTS.SERVICE_STARTED);
+        return `Service started. ${this.charge(this.getChargeAt('service_start'))}`;
+
+      case SIMULATION_EVENTS.COMPLETE_SERVICE:
+        this.state.status = SIMULATION_STATES.COMPLETED;
+        fire(WEBHOOK_EVENTS.SERVICE_COMPLETED);
+        return `Service completed. ${this.charge(this.getChargeAt('service_complete'))}`;
+
+      default:
+        throw new ValidationError(`Unknown event "${event}"`);
+    }
+  }
+
+  /**
+   * Move to the next step, or confirm when the last step is done
+   */
+  advanceStep(fire) {
+    this.state.stepIndex++;
+    this.state.attempt = 1;
+
+    if (this.state.stepIndex >= this.steps.length) {
+      return this.confirm(fire);
+    }
+
+    return `Next step: "${this.steps[this.state.stepIndex].name}"`;
+  }
+
+  /**
+   * Retry, skip or fail the current step after a timeout
+   */
+  handleTimeout(fire) {
+    const step = this.getCurrentStep();
+    const maxAttempts = (step.retry_attempts || 0) + 1;
+    this.state.elapsedMinutes += step.timeout_minutes || 0;
+
+    if (this.state.attempt < maxAttempts) {
+      this.state.attempt++;
+      return `Step "${step.name}" timed out after ${step.timeout_minutes} minutes; retrying (attempt ${this.state.attempt} of ${maxAttempts})`;
+    }
+
+    if (step.required === false) {
+      return `Optional step "${step.name}" timed out and was skipped. ${this.advanceStep(fire)}`;
+    }
+
+    this.state.status = SIMULATION_STATES.FAILED;
+    return `Required step "${step.name}" timed out after ${maxAttempts} attempt(s); workflow failed`;
+  }
+
+  /**
+   * Record a failed payment; the booking is cancelled once retries are exhausted
+   */
+  handlePaymentFailure(fire) {
+    const maxAttempts = CONSTANTS.DEFAULT_VALUES.RETRY_ATTEMPTS + 1;
+    this.state.paymentAttempts++;
+    fire(WEBHOOK_EVENTS.PAYMENT_FAILED);
+
+    if (this.state.paymentAttempts < maxAttempts) {
+      return `Payment of ${this.formatAmount(this.state.due)} failed (attempt ${this.state.paymentAttempts} of ${maxAttempts})`;
+    }
+
+    const refund = this.state.paid;
+    this.state.status = SIMULATION_STATES.FAILED;
+    this.state.due = 0;
+    this.refund(refund, fire);
+    fire(WEBHOOK_EVENTS.BOOKING_CANCELLED);
+    return `Payment failed ${maxAttempts} times; booking cancelled` +
+           (refund > 0 ? ` and ${this.formatAmount(refund)} refunded` : '');
+  }
+
+  /**
+   * Cancel according to the service's cancellation policy
+   */
+  handleCancellation(payload, fire) {
+    if (this.state.status === SIMULATION_STATES.IN_PROGRESS) {
+      this.state.status = SIMULATION_STATES.CANCELLED;
+      return 'Cancelled before confirmation; nothing was charged';
+    }
+
+    const hoursBeforeStart = payload.hoursBeforeStart !== undefined ? Number(payload.hoursBeforeStart) : Infinity;
+    const penaltyPercentage = getPenaltyPercentage(this.service.cancellation_policy, hoursBeforeStart);
+
+    const penalty = this.roundAmount(this.price * penaltyPercentage / 100);
+    const timing = Number.isFinite(hoursBeforeStart) ? ` ${hoursBeforeStart} hours before start` : '';
+    return `Cancelled${timing} (${penaltyPercentage}% penalty). ${this.settle(penalty, fire)}`;
+  }
+
+  /**
+   * Close a booking: keep the penalty from what was paid and refund the rest
+   */
+  settle(penalty, fire) {
+    const retained = Math.min(penalty, this.state.paid);
+    const refund = this.roundAmount(this.state.paid - retained);
+
+    this.state.status = SIMULATION_STATES.CANCELLED;
+    this.state.penalty = penalty;
+    this.state.due = 0;
+    fire(WEBHOOK_EVENTS.BOOKING_CANCELLED);
+    this.refund(refund, fire);
+
+    const parts = [`Penalty ${this.formatAmount(penalty)}`, `refund ${this.formatAmount(refund)}`];
+    if (penalty > retained) {
+      parts.push(`${this.formatAmount(this.roundAmount(penalty - retained))} of the penalty was never collected`);
+    }
+    return parts.join(', ');
+  }
+
+  refund(amount, fire) {
+    if (amount <= 0) return;
+    this.state.paid = this.roundAmount(this.state.paid - amount);
+    this.state.refunded = this.roundAmount(this.state.refunded + amount);
+    fire(WEBHOOK_EVENTS.PAYMENT_REFUNDED);
+  }
+
+  /**
+   * Confirm the booking once every step is done
+   */
+  confirm(fire) {
+    this.state.status = SIMULATION_STATES.CONFIRMED;
+    fire(WEBHOOK_EVENTS.BOOKING_CONFIRMED);
+    return `Booking confirmed. ${this.charge(this.getChargeAt('confirmation'))}`;
+  }
+
+  charge(amount) {
+    if (amount <= 0) {
+      return 'Nothing to charge now';
+    }
+    this.state.due = this.roundAmount(this.state.due + amount);
+    return `${this.formatAmount(amount)} is due`;
+  }
+
+  /**
+   * Amount charged at a point in the lifecycle, based on payment timing and deposit
+   * @param {string} point - 'confirmation', 'service_start' or 'service_complete'
+   */
+  getChargeAt(point) {
+    const payment = this.service.payment_config || {};
+    const deposit = getDepositAmount(payment, this.price, this.currency);
+    const balance = this.roundAmount(this.price - deposit);
+
+    switch (point) {
+      case 'confirmation':
+        return payment.timing === PAYMENT_TIMING.AT_BOOKING ? this.price : deposit;
+      case 'service_start':
+        return payment.timing === PAYMENT_TIMING.ON_ARRIVAL || payment.timing === PAYMENT_TIMING.DEPOSIT_THEN_BALANCE
+          ? balance
+          : 0;
+      case 'service_complete':
+        return payment.timing === PAYMENT_TIMING.AFTER_SERVICE ? balance : 0;
+      default:
+        return 0;
+    }
+  }
+
+  roundAmount(amount) {
+    return fromMinorUnits(toMinorUnits(amount, this.currency), this.currency);
+  }
+
+  formatAmount(amount) {
+    return formatCurrency(amount, this.currency);
+  }
+}
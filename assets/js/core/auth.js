@@ -0,0 +1,90 @@
+/**
+ * Auth Session
+ * Sign-in token and user details in the storage module's auth namespace
+ * "Remember me" sign-ins are kept for AUTH_SESSION_TTL_MS; others end with the browser session
+ */
+
+import { STORAGE_NAMESPACES, getStorage } from './storage.js';
+
+export const AUTH_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const AUTH_KEYS = {
+  TOKEN: 'token',
+  EMAIL: 'email',
+  BUSINESS_NAME: 'business_name'
+};
+
+const rememberedAuth = () => getStorage(STORAGE_NAMESPACES.AUTH);
+const sessionAuth = () => getStorage(STORAGE_NAMESPACES.AUTH, { session: true });
+
+/**
+ * The signed-in user, if any
+ * @returns {Promise<Object|null>} - { token, email, businessName }
+ */
+export const getAuthSession = async () => {
+  for (const store of [rememberedAuth(), sessionAuth()]) {
+    const token = await store.get(AUTH_KEYS.TOKEN);
+    if (token) {
+      return {
+        token,
+        email: await store.get(AUTH_KEYS.EMAIL),
+        businessName: await store.get(AUTH_KEYS.BUSINESS_NAME)
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Token of the signed-in user
+ * @returns {Promise<string|null>}
+ */
+export const getAuthToken = async () => {
+  const session = await getAuthSession();
+  return session ? session.token : null;
+};
+
+/**
+ * Check whether a user is signed in
+ * @returns {Promise<boolean>}
+ */
+export const isAuthenticated = async () => !!(await getAuthToken());
+
+/**
+ * Store a sign-in, replacing any previous one
+ * @param {Object} session - { token, email?, businessName? }
+ * @param {Object} [options]
+ * @param {boolean} [options.remember] - Keep the sign-in after the browser closes
+ */
+export const saveAuthSession = async (session, options = {}) => {
+  await clearAuthSession();
+
+  const store = options.remember ? rememberedAuth() : sessionAuth();
+  const storeOptions = options.remember ? { ttl: AUTH_SESSION_TTL_MS } : {};
+
+  await store.set(AUTH_KEYS.TOKEN, session.token, storeOptions);
+  if (session.email) {
+    await store.set(AUTH_KEYS.EMAIL, session.email, storeOptions);
+  }
+  if (session.businessName) {
+    await store.set(AUTH_KEYS.BUSINESS_NAME, session.businessName, storeOptions);
+  }
+};
+
+/**
+ * Sign out (forget both remembered and session sign-ins)
+ * @returns {Promise<boolean>} Whether both are gone
+ */
+export const clearAuthSession = async () => {
+  const cleared = await Promise.all([rememberedAuth().clear(), sessionAuth().clear()]);
+  return cleared.every(Boolean);
+};
+
+export default {
+  AUTH_SESSION_TTL_MS,
+  getAuthSession,
+  getAuthToken,
+  isAuthenticated,
+  saveAuthSession,
+  clearAuthSession
+};
@@ -0,0 +1,263 @@
+/**
+ * Availability Engine
+ * Answers whether a slot can be booked, and lists the next bookable slots, from a service's
+ * published schedule and its existing bookings, without calling the business
+ * Works on API-format services (FormDataTransformer.transformService) like the refund calculator,
+ * so the onboarding preview and the dashboards get the same answer
+ *
+ * Slots start at each opening time and repeat every slot_duration_minutes while they end by
+ * closing time. A booking takes party size places in every slot it overlaps; a slot can be booked
+ * while the places taken plus the requested party size stay within capacity_per_slot.
+ *
+ * Bookings are { start, end?, partySize?, status? }: end defaults to one slot after start and
+ * cancelled bookings take no places.
+ *
+ * Date/time strings without a UTC offset ("2026-07-06T10:00") are local times in the schedule
+ * timezone, whatever the timezone of the browser or server running the check.
+ */
+
+import CONSTANTS from './constants.js';
+import { ValidationError } from './errorHandler.js';
+import { MINUTES_PER_DAY, getRangeMinutes, getScheduleTimezone, parseTimeOfDay } from './availabilitySchedule.js';
+import { MS_PER_MINUTE, getLocalDate, resolveWallClockTime, toInstant } from './dateTime.js';
+
+const { AVAILABILITY_REASONS } = CONSTANTS;
+
+const MS_PER_DAY = MINUTES_PER_DAY * MS_PER_MINUTE;
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Parse a Date, timestamp or date string (read in the schedule timezone when it has no UTC offset)
+ */
+const toTime = (value, field, timezone) => {
+  const time = toInstant(value, timezone);
+  if (time === null) {
+    throw new ValidationError(`Invalid ${field}`, field);
+  }
+  return time;
+};
+
+const toDayNumber = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+};
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+
+/**
+ * Blackout range covering a local date, if any
+ * @param {Object} schedule - API-format schedule
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null}
+ */
+export const getBlackout = (schedule, date) => {
+  return (schedule.blackout_dates || []).find(blackout =>
+    blackout.start_date <= date && date <= blackout.end_date
+  ) || null;
+};
+
+/**
+ * Slots that open on a local date (including ones that run past midnight), ignoring blackouts
+ * @returns {Array} - [{ start, end, date }] with start and end as timestamps and date the local start date
+ */
+const getOpeningSlots = (schedule, date, timezone) => {
+  const dayNumber = toDayNumber(date);
+  const weekday = new Date(dayNumber * MS_PER_DAY).getUTCDay();
+  const duration = schedule.slot_duration_minutes;
+  const slots = [];
+
+  (schedule.weekly_hours || []).forEach(range => {
+    if (!range.days.includes(weekday)) return;
+
+    const open = parseTimeOfDay(range.open);
+    const length = getRangeMinutes(range.open, range.close);
+
+    for (let offset = 0; offset + duration <= length; offset += duration) {
+      const minutes = open + offset;
+      const { instant: start } = resolveWallClockTime(dayNumber * MS_PER_DAY + minutes * MS_PER_MINUTE, timezone);
+      slots.push({
+        start,
+        end: start + duration * MS_PER_MINUTE,
+        date: fromDayNumber(dayNumber + Math.floor(minutes / MINUTES_PER_DAY))
+      });
+    }
+  });
+
+  // A slot in a daylight saving gap runs into the next hour and can land on another slot
+  const unique = new Map(slots.map(slot => [slot.start, slot]));
+  return [...unique.values()].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Places taken in a slot by existing bookings
+ */
+const getPlacesTaken = (slot, context) => {
+  const duration = context.schedule.slot_duration_minutes;
+
+  return context.bookings.reduce((taken, booking) => {
+    if (booking.status === 'cancelled') return taken;
+
+    const start = toTime(booking.start, 'booking start', context.timezone);
+    const end = booking.end ? toTime(booking.end, 'booking end', context.timezone) : start + duration * MS_PER_MINUTE;
+    return start < slot.end && slot.start < end ? taken + (booking.partySize || 1) : taken;
+  }, 0);
+};
+
+/**
+ * Resolve the schedule and options shared by every check
+ */
+const createContext = (service, options = {}) => {
+  const schedule = service.availability?.schedule || null;
+  const partySize = options.partySize !== undefined ? Number(options.partySize) : 1;
+  if (!Number.isInteger(partySize) || partySize < 1) {
+    throw new ValidationError('Party size must be a whole number of at least 1', 'partySize');
+  }
+
+  const timezone = getScheduleTimezone(schedule || {}, options.timezone);
+  const now = options.now !== undefined ? toTime(options.now, 'now', timezone) : Date.now();
+  const advanceBookingDays = service.availability?.advance_booking_days || CONSTANTS.DEFAULT_VALUES.ADVANCE_BOOKING_DAYS;
+
+  return {
+    schedule,
+    timezone,
+    partySize,
+    bookings: options.bookings || [],
+    now,
+    earliest: schedule ? now + schedule.lead_time_minutes * MS_PER_MINUTE : now,
+    latest: now + advanceBookingDays * MS_PER_DAY
+  };
+};
+
+/**
+ * Decide whether an opening slot can be booked
+ */
+const evaluateSlot = (slot, context) => {
+  const { schedule, partySize } = context;
+  const capacity = schedule.capacity_per_slot;
+  const remaining = Math.max(0, capacity - getPlacesTaken(slot, context));
+
+  let reason = null;
+  if (getBlackout(schedule, slot.date)) {
+    reason = AVAILABILITY_REASONS.BLACKOUT;
+  } else if (slot.start < context.earliest) {
+    reason = AVAILABILITY_REASONS.TOO_SOON;
+  } else if (slot.start > context.latest) {
+    reason = AVAILABILITY_REASONS.TOO_FAR_AHEAD;
+  } else if (partySize > capacity) {
+    reason = AVAILABILITY_REASONS.PARTY_TOO_LARGE;
+  } else if (remaining < partySize) {
+    reason = AVAILABILITY_REASONS.FULL;
+  }
+
+  return {
+    start: new Date(slot.start),
+    end: new Date(slot.end),
+    date: slot.date,
+    remaining,
+    bookable: reason === null,
+    reason
+  };
+};
+
+/**
+ * Check whether a slot can be booked
+ * @param {Object} service - API-format service (availability with schedule)
+ * @param {Object} options
+ * @param {Date|string|number} options.start - Requested start time (local strings are in the schedule timezone)
+ * @param {number} [options.partySize] - Places the booking needs (default 1)
+ * @param {Array} [options.bookings] - Existing bookings
+ * @param {string} [options.timezone] - Business location timezone (used when the schedule has none)
+ * @param {Date|string|number} [options.now] - Current time (defaults to now)
+ * @returns {Object} - { bookable, reason, start, end, date, remaining }; reason is one of
+ *                     AVAILABILITY_REASONS (null when bookable)
+ */
+export const checkSlot = (service, options) => {
+  const context = createContext(service, options);
+  const start = toTime(options.start, 'start', context.timezone);
+
+  const unavailable = (reason) => ({
+    bookable: false,
+    reason,
+    start: new Date(start),
+    end: null,
+    date: null,
+    remaining: 0
+  });
+
+  if (!context.schedule) {
+    return unavailable(AVAILABILITY_REASONS.NO_SCHEDULE);
+  }
+
+  // Slots that start on this date may open on the day before and run past midnight
+  const date = getLocalDate(start, context.timezone);
+  const slot = [fromDayNumber(toDayNumber(date) - 1), date]
+    .flatMap(openingDate => getOpeningSlots(context.schedule, openingDate, context.timezone))
+    .find(candidate => candidate.start === start);
+
+  return slot ? evaluateSlot(slot, context) : unavailable(AVAILABILITY_REASONS.OUTSIDE_HOURS);
+};
+
+/**
+ * Every slot opening on each local date from a start date, with whether it can be booked
+ * @param {Object} service - API-format service
+ * @param {Object} [options] - partySize, bookings, timezone and now as for checkSlot, plus:
+ * @param {string} [options.from] - First local date (YYYY-MM-DD, defaults to today in the schedule timezone)
+ * @param {number} [options.days] - Number of dates (default 7)
+ * @returns {Array} - [{ date, weekday, blackout, slots }] with slots as checkSlot results (empty without a schedule)
+ */
+export const getAvailabilityCalendar = (service, options = {}) => {
+  const context = createContext(service, options);
+  if (!context.schedule) return [];
+
+  const first = toDayNumber(options.from || getLocalDate(context.now, context.timezone));
+  const days = Math.min(options.days || 7, MAX_CALENDAR_DAYS);
+
+  return Array.from({ length: days }, (_, index) => {
+    const date = fromDayNumber(first + index);
+    return {
+      date,
+      weekday: new Date((first + index) * MS_PER_DAY).getUTCDay(),
+      blackout: getBlackout(context.schedule, date),
+      slots: getOpeningSlots(context.schedule, date, context.timezone).map(slot => evaluateSlot(slot, context))
+    };
+  });
+};
+
+/**
+ * Next slots that can be booked
+ * @param {Object} service - API-format service
+ * @param {Object} [options] - partySize, bookings, timezone and now as for checkSlot, plus:
+ * @param {Date|string|number} [options.after] - Earliest start (defaults to now)
+ * @param {number} [options.count] - Most slots to return (default 10)
+ * @returns {Array} - checkSlot results, earliest first
+ */
+export const findAvailableSlots = (service, options = {}) => {
+  const context = createContext(service, options);
+  if (!context.schedule) return [];
+
+  const after = Math.max(options.after !== undefined ? toTime(options.after, 'after', context.timezone) : context.now, context.earliest);
+  const count = options.count || 10;
+  const last = toDayNumber(getLocalDate(context.latest, context.timezone));
+  const slots = [];
+
+  // Start a day early for slots that open the day before and run past midnight
+  for (let day = toDayNumber(getLocalDate(after, context.timezone)) - 1; day <= last && slots.length < count; day++) {
+    getOpeningSlots(context.schedule, fromDayNumber(day), context.timezone)
+      .filter(slot => slot.start >= after)
+      .map(slot => evaluateSlot(slot, context))
+      .filter(slot => slot.bookable)
+      .forEach(slot => slots.push(slot));
+  }
+
+  return slots.sort((a, b) => a.start - b.start).slice(0, count);
+};
+
+export { getLocalDate };
+
+export default {
+  getLocalDate,
+  getBlackout,
+  checkSlot,
+  getAvailabilityCalendar,
+  findAvailableSlots
+};
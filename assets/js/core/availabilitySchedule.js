@@ -0,0 +1,118 @@
+/**
+ * Availability Schedule
+ * Structured booking schedule of a service: weekly opening hours in a timezone, blackout
+ * date ranges, slot length, minimum notice (lead time) and bookings allowed per slot
+ *
+ * Opening hours are { days, open, close } with days 0 (Sunday) to 6 and HH:MM times; a range
+ * whose close is earlier than its open runs past midnight into the next day.
+ * Blackout dates are { name, startDate, endDate } with inclusive YYYY-MM-DD dates.
+ * All times are local to the schedule timezone ('' for the business location's timezone).
+ */
+
+import CONSTANTS from './constants.js';
+
+export const MINUTES_PER_DAY = 24 * 60;
+export const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Schedule a service starts with: weekdays 09:00-17:00 in the location timezone
+ * @returns {Object} Form-state schedule
+ */
+export const createDefaultSchedule = () => ({
+  timezone: '',
+  weeklyHours: [{ days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00' }],
+  blackoutDates: [],
+  slotDurationMinutes: CONSTANTS.DEFAULT_VALUES.SLOT_DURATION_MINUTES,
+  leadTimeMinutes: CONSTANTS.DEFAULT_VALUES.LEAD_TIME_MINUTES,
+  capacityPerSlot: CONSTANTS.DEFAULT_VALUES.CAPACITY_PER_SLOT
+});
+
+/**
+ * Timezone a schedule's times are in
+ * @param {Object} schedule - Form-state schedule
+ * @param {string} locationTimezone - Timezone of the business location
+ * @returns {string} IANA timezone
+ */
+export const getScheduleTimezone = (schedule, locationTimezone) => {
+  return schedule.timezone || locationTimezone || CONSTANTS.DEFAULT_VALUES.TIMEZONE;
+};
+
+/**
+ * Minutes after midnight of an HH:MM time
+ */
+export const parseTimeOfDay = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Length of an opening range in minutes (a range past midnight ends the next day)
+ */
+export const getRangeMinutes = (open, close) => {
+  const start = parseTimeOfDay(open);
+  const end = parseTimeOfDay(close);
+  return end > start ? end - start : end + MINUTES_PER_DAY - start;
+};
+
+/**
+ * Opening hours as intervals of minutes from Sunday 00:00, one per day of each range
+ * An interval that starts on Saturday may end past the end of the week
+ * @param {Array} weeklyHours - Opening ranges with valid days and HH:MM times
+ * @returns {Array} - [{ start, end, day, rangeIndex }]
+ */
+export const getWeeklyIntervals = (weeklyHours) => {
+  return weeklyHours.flatMap((range, rangeIndex) => range.days.map(day => {
+    const start = day * MINUTES_PER_DAY + parseTimeOfDay(range.open);
+    return { start, end: start + getRangeMinutes(range.open, range.close), day, rangeIndex };
+  }));
+};
+
+/**
+ * Opening ranges that overlap one another (including across midnight and the week boundary)
+ * @param {Array} weeklyHours - Opening ranges with valid days and HH:MM times
+ * @returns {Array} - [[rangeIndex, rangeIndex]] pairs, each listed once
+ */
+export const findOverlappingHours = (weeklyHours) => {
+  const intervals = getWeeklyIntervals(weeklyHours);
+  const pairs = new Map();
+
+  intervals.forEach((a, i) => {
+    intervals.slice(i + 1).forEach(b => {
+      const overlaps = [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]
+        .some(shift => a.start < b.end + shift && b.start + shift < a.end);
+      if (overlaps) {
+        const pair = [Math.min(a.rangeIndex, b.rangeIndex), Math.max(a.rangeIndex, b.rangeIndex)];
+        pairs.set(pair.join(':'), pair);
+      }
+    });
+  });
+
+  return [...pairs.values()];
+};
+
+/**
+ * Short summary of opening hours, e.g. "Mon, Tue 09:00-17:00; Sat 10:00-14:00"
+ * @param {Array} weeklyHours - Opening ranges ({ days, open, close })
+ * @returns {string}
+ */
+export const describeWeeklyHours = (weeklyHours) => {
+  return weeklyHours
+    .filter(range => range.days.length > 0)
+    .map(range => {
+      const days = [...range.days].sort((a, b) => a - b).map(day => CONSTANTS.DAYS_OF_WEEK[day]);
+      return `${days.join(', ')} ${range.open}-${range.close}`;
+    })
+    .join('; ');
+};
+
+export default {
+  MINUTES_PER_DAY,
+  MINUTES_PER_WEEK,
+  createDefaultSchedule,
+  getScheduleTimezone,
+  parseTimeOfDay,
+  getRangeMinutes,
+  getWeeklyIntervals,
+  findOverlappingHours,
+  describeWeeklyHours
+};
@@ -53,7 +53,6 @@ const CONFIG = {
   // Validation Rules
   VALIDATION: {
     EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    PHONE_REGEX: /^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/,
     MIN_MESSAGE_LENGTH: 10,
     MAX_MESSAGE_LENGTH: 1000,
   },
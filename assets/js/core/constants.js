@@ -50,6 +50,31 @@ export const WORKFLOW_PATTERN_DESCRIPTIONS = {
   [WORKFLOW_PATTERNS.QUOTE_NEGOTIATION_CONTRACT]: 'Quote provided, negotiated, then contract signed'
 };
 
+/**
+ * Standard step sequence for each workflow pattern (used to prefill the step editor)
+ */
+export const WORKFLOW_PATTERN_STEPS = {
+  [WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT]: [
+    { name: 'booking', description: 'Customer selects a slot and submits booking details', timeoutMinutes: 30, retryAttempts: 3 },
+    { name: 'confirmation', description: 'Business confirms the booking', timeoutMinutes: 60, retryAttempts: 3 },
+    { name: 'payment', description: 'Payment is collected for the confirmed booking', timeoutMinutes: 30, retryAttempts: 3 }
+  ],
+  [WORKFLOW_PATTERNS.REQUEST_APPROVAL_PAYMENT]: [
+    { name: 'request', description: 'Customer submits a service request', timeoutMinutes: 30, retryAttempts: 3 },
+    { name: 'approval', description: 'Business reviews and approves the request', timeoutMinutes: 1440, retryAttempts: 0 },
+    { name: 'payment', description: 'Payment is collected for the approved request', timeoutMinutes: 30, retryAttempts: 3 }
+  ],
+  [WORKFLOW_PATTERNS.INSTANT_PURCHASE]: [
+    { name: 'purchase', description: 'Customer selects the item and pays immediately', timeoutMinutes: 15, retryAttempts: 3 },
+    { name: 'fulfillment', description: 'Purchase is confirmed and fulfilled', timeoutMinutes: 30, retryAttempts: 3 }
+  ],
+  [WORKFLOW_PATTERNS.QUOTE_NEGOTIATION_CONTRACT]: [
+    { name: 'quote', description: 'Business prepares a quote for the request', timeoutMinutes: 1440, retryAttempts: 1 },
+    { name: 'negotiation', description: 'Customer and business agree on terms', timeoutMinutes: 1440, retryAttempts: 0 },
+    { name: 'contract', description: 'Contract is signed and the service is scheduled', timeoutMinutes: 1440, retryAttempts: 1 }
+  ]
+};
+
 export const PARAMETER_TYPES = {
   STRING: 'string',
   INTEGER: 'integer',
@@ -152,6 +177,107 @@ export const CURRENCIES = {
   INR: 'INR'
 };
 
+/**
+ * Number of decimal places in each currency's minor unit (ISO 4217)
+ */
+export const CURRENCY_MINOR_UNITS = {
+  [CURRENCIES.USD]: 2,
+  [CURRENCIES.EUR]: 2,
+  [CURRENCIES.GBP]: 2,
+  [CURRENCIES.CAD]: 2,
+  [CURRENCIES.AUD]: 2,
+  [CURRENCIES.JPY]: 0,
+  [CURRENCIES.CNY]: 2,
+  [CURRENCIES.INR]: 2
+};
+
+export const PRICING_MODELS = {
+  FLAT: 'flat',
+  PER_UNIT: 'per_unit',
+  TIERED: 'tiered'
+};
+
+export const PRICING_MODEL_LABELS = {
+  [PRICING_MODELS.FLAT]: 'Flat Rate',
+  [PRICING_MODELS.PER_UNIT]: 'Per Unit (e.g., per guest, per night)',
+  [PRICING_MODELS.TIERED]: 'Tiered / Volume Brackets'
+};
+
+export const TIER_MODES = {
+  VOLUME: 'volume',
+  GRADUATED: 'graduated'
+};
+
+export const TIER_MODE_LABELS = {
+  [TIER_MODES.VOLUME]: 'Volume (whole quantity at the bracket rate)',
+  [TIER_MODES.GRADUATED]: 'Graduated (each bracket priced separately)'
+};
+
+export const DAYS_OF_WEEK = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Why the availability engine says a slot cannot be booked
+ */
+export const AVAILABILITY_REASONS = {
+  NO_SCHEDULE: 'no_schedule',
+  OUTSIDE_HOURS: 'outside_hours',
+  BLACKOUT: 'blackout',
+  TOO_SOON: 'too_soon',
+  TOO_FAR_AHEAD: 'too_far_ahead',
+  PARTY_TOO_LARGE: 'party_too_large',
+  FULL: 'full'
+};
+
+export const AVAILABILITY_REASON_LABELS = {
+  [AVAILABILITY_REASONS.NO_SCHEDULE]: 'No schedule published',
+  [AVAILABILITY_REASONS.OUTSIDE_HOURS]: 'Not a slot in the opening hours',
+  [AVAILABILITY_REASONS.BLACKOUT]: 'Closed (blackout date)',
+  [AVAILABILITY_REASONS.TOO_SOON]: 'Inside the minimum notice',
+  [AVAILABILITY_REASONS.TOO_FAR_AHEAD]: 'Beyond the advance booking window',
+  [AVAILABILITY_REASONS.PARTY_TOO_LARGE]: 'Party is larger than the slot capacity',
+  [AVAILABILITY_REASONS.FULL]: 'Fully booked'
+};
+
+/**
+ * Operators for conditions on another parameter's value (required-when / visible-when)
+ */
+export const CONDITION_OPERATORS = {
+  EQUALS: 'equals',
+  NOT_EQUALS: 'not_equals',
+  IS_SET: 'is_set',
+  GREATER_THAN: 'greater_than',
+  LESS_THAN: 'less_than'
+};
+
+export const CONDITION_OPERATOR_LABELS = {
+  [CONDITION_OPERATORS.EQUALS]: 'equals',
+  [CONDITION_OPERATORS.NOT_EQUALS]: 'does not equal',
+  [CONDITION_OPERATORS.IS_SET]: 'is provided',
+  [CONDITION_OPERATORS.GREATER_THAN]: 'is greater than',
+  [CONDITION_OPERATORS.LESS_THAN]: 'is less than'
+};
+
+/**
+ * Operators for comparing a parameter's value with another parameter's value
+ */
+export const COMPARISON_OPERATORS = {
+  GREATER_THAN: 'greater_than',
+  GREATER_THAN_OR_EQUAL: 'greater_than_or_equal',
+  LESS_THAN: 'less_than',
+  LESS_THAN_OR_EQUAL: 'less_than_or_equal',
+  EQUALS: 'equals',
+  NOT_EQUALS: 'not_equals'
+};
+
+export const COMPARISON_OPERATOR_LABELS = {
+  [COMPARISON_OPERATORS.GREATER_THAN]: 'must be after / greater than',
+  [COMPARISON_OPERATORS.GREATER_THAN_OR_EQUAL]: 'must be on or after / at least',
+  [COMPARISON_OPERATORS.LESS_THAN]: 'must be before / less than',
+  [COMPARISON_OPERATORS.LESS_THAN_OR_EQUAL]: 'must be on or before / at most',
+  [COMPARISON_OPERATORS.EQUALS]: 'must equal',
+  [COMPARISON_OPERATORS.NOT_EQUALS]: 'must differ from'
+};
+
 export const WEBHOOK_EVENTS = {
   BOOKING_CONFIRMED: 'booking_confirmed',
   BOOKING_MODIFIED: 'booking_modified',
@@ -206,6 +332,8 @@ export const TIMEZONES = [
   'Pacific/Honolulu',
   'America/Toronto',
   'America/Vancouver',
+  'America/Mexico_City',
+  'America/Sao_Paulo',
   'Europe/London',
   'Europe/Paris',
   'Europe/Berlin',
@@ -213,6 +341,8 @@ export const TIMEZONES = [
   'Europe/Madrid',
   'Europe/Amsterdam',
   'Europe/Stockholm',
+  'Europe/Helsinki',
+  'Asia/Kolkata',
   'Asia/Tokyo',
   'Asia/Shanghai',
   'Asia/Hong_Kong',
@@ -307,6 +437,21 @@ export const VALIDATION_RULES = {
     MAX: 3600,
     DEFAULT: 300
   },
+  SLOT_DURATION_MINUTES: {
+    MIN: 5,
+    MAX: 1440,
+    DEFAULT: 60
+  },
+  LEAD_TIME_MINUTES: {
+    MIN: 0,
+    MAX: 43200,
+    DEFAULT: 0
+  },
+  CAPACITY_PER_SLOT: {
+    MIN: 1,
+    MAX: 10000,
+    DEFAULT: 1
+  },
   FREE_CANCELLATION_HOURS: {
     MIN: 0,
     MAX: 168,
@@ -321,6 +466,8 @@ export const VALIDATION_RULES = {
 
 export const DEFAULT_VALUES = {
   CURRENCY: 'USD',
+  PRICING_MODEL: PRICING_MODELS.FLAT,
+  TIER_MODE: TIER_MODES.VOLUME,
   COUNTRY: 'US',
   TIMEZONE: 'UTC',
   WORKFLOW_PATTERN: WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT,
@@ -329,6 +476,9 @@ export const DEFAULT_VALUES = {
   REAL_TIME_AVAILABILITY: true,
   CACHE_TIMEOUT_SECONDS: 300,
   ADVANCE_BOOKING_DAYS: 365,
+  SLOT_DURATION_MINUTES: 60,
+  LEAD_TIME_MINUTES: 0,
+  CAPACITY_PER_SLOT: 1,
   FREE_CANCELLATION_HOURS: 24,
   PENALTY_PERCENTAGE: 0,
   DEPOSIT_REQUIRED: false,
@@ -337,14 +487,26 @@ export const DEFAULT_VALUES = {
   AP2_MANDATE_EXPIRY_HOURS: 24,
   AUTO_GENERATE_ENDPOINTS: true,
   RETRY_ATTEMPTS: 3,
-  TIMEOUT_MINUTES: 30
+  TIMEOUT_MINUTES: 30,
+  WEBHOOK_EVENTS: [
+    WEBHOOK_EVENTS.BOOKING_CONFIRMED,
+    WEBHOOK_EVENTS.PAYMENT_PROCESSED,
+    WEBHOOK_EVENTS.BOOKING_CANCELLED
+  ]
 };
 
 export const CONSTRAINTS = {
   MAX_SERVICES: 20,
   MAX_PARAMETERS_PER_SERVICE: 50,
   MAX_WORKFLOW_STEPS: 10,
-  MIN_PARAMETERS_PER_SERVICE: 1
+  MIN_PARAMETERS_PER_SERVICE: 1,
+  MAX_PRICING_TIERS: 10,
+  MAX_PRICING_RULES: 10,
+  MAX_PARAMETER_COMPARISONS: 5,
+  MAX_PARAMETER_DEPTH: 3,
+  MAX_OBJECT_PROPERTIES: 20,
+  MAX_OPENING_HOURS: 21,
+  MAX_BLACKOUT_DATES: 50
 };
 
 export const ERROR_MESSAGES = {
@@ -374,10 +536,20 @@ export const FIELD_HELP_TEXT = {
   BUSINESS_NAME: 'The legal or operating name of your business',
   BUSINESS_TYPE: 'Select the category that best describes your business',
   BUSINESS_DESCRIPTION: 'Brief description of your business and what makes it unique',
+  DEFAULT_CURRENCY: 'Prices are in this currency unless a service sets its own',
+  ADDRESS_LOOKUP: 'Start typing to look up the city, postal code, coordinates and timezone',
+  SERVICE_CURRENCY: 'Every price in this service uses this currency',
   SERVICE_ID: 'Unique identifier (lowercase, underscores only) - e.g., "room_booking"',
   SERVICE_NAME: 'Display name for this service - e.g., "Room Booking"',
   SERVICE_CATEGORY: 'Category helps agents understand the type of service',
   WORKFLOW_PATTERN: 'How customers interact with this service from start to finish',
+  PARAMETER_RULES: 'Make this parameter depend on the values of other parameters',
+  PARAMETER_ITEMS: 'Describe each item in the list, e.g. a guest with a name and an age',
+  PARAMETER_PROPERTIES: 'Fields of this object; leave empty to accept any fields',
+  PARAMETER_LIBRARY: 'Insert a predefined parameter for your business type or one of your saved templates',
+  SERVICE_TEMPLATE: 'Start from a blank service or a prefilled example for your industry',
+  WORKFLOW_STEPS: 'Steps run in order; each step times out after the given minutes and is retried before the workflow fails',
+  AVAILABILITY_SCHEDULE: 'Publish when this service can be booked so agents can offer times without asking you',
   PARAMETER_NAME: 'Technical name (lowercase, underscores) - e.g., "check_in_date"',
   PARAMETER_TYPE: 'The data type for this parameter',
   CANCELLATION_POLICY: 'Define how customers can cancel and what penalties apply',
@@ -395,6 +567,7 @@ export default {
   WORKFLOW_PATTERNS,
   WORKFLOW_PATTERN_LABELS,
   WORKFLOW_PATTERN_DESCRIPTIONS,
+  WORKFLOW_PATTERN_STEPS,
   PARAMETER_TYPES,
   PARAMETER_TYPE_LABELS,
   PARAMETER_FORMATS,
@@ -406,6 +579,18 @@ export default {
   PAYMENT_TIMING,
   PAYMENT_TIMING_LABELS,
   CURRENCIES,
+  CURRENCY_MINOR_UNITS,
+  PRICING_MODELS,
+  PRICING_MODEL_LABELS,
+  TIER_MODES,
+  TIER_MODE_LABELS,
+  DAYS_OF_WEEK,
+  AVAILABILITY_REASONS,
+  AVAILABILITY_REASON_LABELS,
+  CONDITION_OPERATORS,
+  CONDITION_OPERATOR_LABELS,
+  COMPARISON_OPERATORS,
+  COMPARISON_OPERATOR_LABELS,
   WEBHOOK_EVENTS,
   WEBHOOK_EVENT_LABELS,
   COUNTRIES,
@@ -0,0 +1,463 @@
+/**
+ * Country Formats
+ * Phone numbers and addresses as written in each country of the COUNTRIES list
+ *
+ * Phone numbers are read as typed, either international ("+44 20 7946 0018", "0044...") or national
+ * for the given country ("020 7946 0018"), and sent to the API in E.164 ("+442079460018"). They are
+ * shown in the country's national format, or international format when the number belongs to
+ * another country. Numbers with a calling code not in the list are accepted when E.164 allows them.
+ *
+ * Addresses differ in what the region is called and whether it is part of the address at all
+ * (state, province, prefecture, or nothing), and in the order of city, region and postal code.
+ */
+
+import CONSTANTS from './constants.js';
+
+export const E164_MAX_DIGITS = 15;
+const E164_MIN_DIGITS = 8;
+
+/**
+ * JSON Schema pattern for an E.164 number ("+14155550123")
+ */
+export const E164_PATTERN = `^\\+[1-9]\\d{${E164_MIN_DIGITS - 1},${E164_MAX_DIGITS - 1}}$`;
+
+/**
+ * phone.callingCode: country calling code without the +
+ * phone.trunkPrefix: digits dialled before national numbers inside the country ('' when none)
+ * phone.pattern: national significant number (without trunk prefix)
+ * phone.formats: [{ pattern, national, international }] tried in order; pattern groups fill $1, $2...
+ * phone.example: national significant number used in hints
+ * address.region: label of the state/province field (null when addresses have no region)
+ * address.regionRequired: whether the region is needed for mail to arrive
+ * address.postalCode: label of the postal code field
+ * address.lines: address lines with {address}, {city}, {state} and {postalCode} placeholders
+ */
+export const COUNTRY_FORMATS = {
+  US: {
+    phone: {
+      callingCode: '1',
+      trunkPrefix: '1',
+      pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+      formats: [{ pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '($1) $2-$3', international: '$1-$2-$3' }],
+      example: '4155550123'
+    },
+    address: { region: 'State', regionRequired: true, postalCode: 'ZIP Code', lines: ['{address}', '{city}, {state} {postalCode}'] }
+  },
+  CA: {
+    phone: {
+      callingCode: '1',
+      trunkPrefix: '1',
+      pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+      formats: [{ pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '($1) $2-$3', international: '$1-$2-$3' }],
+      example: '4165550123'
+    },
+    address: { region: 'Province', regionRequired: true, postalCode: 'Postal Code', lines: ['{address}', '{city} {state} {postalCode}'] }
+  },
+  GB: {
+    phone: {
+      callingCode: '44',
+      trunkPrefix: '0',
+      pattern: /^[1-357-9]\d{8,9}$/,
+      formats: [
+        { pattern: /^(2\d)(\d{4})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^([389]\d{2})(\d{3})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d{4})(\d{5,6})$/, national: '0$1 $2', international: '$1 $2' }
+      ],
+      example: '2079460018'
+    },
+    address: { region: 'County', regionRequired: false, postalCode: 'Postcode', lines: ['{address}', '{city}', '{postalCode}'] }
+  },
+  AU: {
+    phone: {
+      callingCode: '61',
+      trunkPrefix: '0',
+      pattern: /^[2-478]\d{8}$/,
+      formats: [
+        { pattern: /^(4\d{2})(\d{3})(\d{3})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d)(\d{4})(\d{4})$/, national: '(0$1) $2 $3', international: '$1 $2 $3' }
+      ],
+      example: '291234567'
+    },
+    address: { region: 'State', regionRequired: true, postalCode: 'Postcode', lines: ['{address}', '{city} {state} {postalCode}'] }
+  },
+  DE: {
+    phone: {
+      callingCode: '49',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{5,10}$/,
+      formats: [
+        { pattern: /^(1[5-7]\d)(\d{7,8})$/, national: '0$1 $2', international: '$1 $2' },
+        { pattern: /^(30|40|69|89)(\d{4,9})$/, national: '0$1 $2', international: '$1 $2' },
+        { pattern: /^(\d{3})(\d{3,8})$/, national: '0$1 $2', international: '$1 $2' }
+      ],
+      example: '30123456'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  FR: {
+    phone: {
+      callingCode: '33',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{8}$/,
+      formats: [{ pattern: /^(\d)(\d{2})(\d{2})(\d{2})(\d{2})$/, national: '0$1 $2 $3 $4 $5', international: '$1 $2 $3 $4 $5' }],
+      example: '142685300'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  IT: {
+    phone: {
+      callingCode: '39',
+      trunkPrefix: '',
+      pattern: /^(0\d{5,10}|3\d{8,9})$/,
+      formats: [
+        { pattern: /^(0[26])(\d{4})(\d{2,5})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(3\d{2})(\d{3})(\d{3,4})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(0\d{2,3})(\d{3,7})$/, national: '$1 $2', international: '$1 $2' }
+      ],
+      example: '0669812345'
+    },
+    address: { region: 'Province', regionRequired: true, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city} {state}'] }
+  },
+  ES: {
+    phone: {
+      callingCode: '34',
+      trunkPrefix: '',
+      pattern: /^[5-9]\d{8}$/,
+      formats: [{ pattern: /^(\d{3})(\d{3})(\d{3})$/, national: '$1 $2 $3', international: '$1 $2 $3' }],
+      example: '912345678'
+    },
+    address: { region: 'Province', regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}', '{state}'] }
+  },
+  NL: {
+    phone: {
+      callingCode: '31',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{8}$/,
+      formats: [
+        { pattern: /^(6)(\d{8})$/, national: '0$1 $2', international: '$1 $2' },
+        { pattern: /^(\d{2})(\d{7})$/, national: '0$1 $2', international: '$1 $2' }
+      ],
+      example: '201234567'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  SE: {
+    phone: {
+      callingCode: '46',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{6,9}$/,
+      formats: [
+        { pattern: /^(7\d)(\d{3})(\d{2})(\d{2})$/, national: '0$1-$2 $3 $4', international: '$1 $2 $3 $4' },
+        { pattern: /^(8)(\d{3})(\d{2})(\d{2,3})$/, national: '0$1-$2 $3 $4', international: '$1 $2 $3 $4' },
+        { pattern: /^(\d{2})(\d{3})(\d{2,5})$/, national: '0$1-$2 $3', international: '$1 $2 $3' }
+      ],
+      example: '81234567'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  NO: {
+    phone: {
+      callingCode: '47',
+      trunkPrefix: '',
+      pattern: /^[2-9]\d{7}$/,
+      formats: [
+        { pattern: /^([49]\d{2})(\d{2})(\d{3})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/, national: '$1 $2 $3 $4', international: '$1 $2 $3 $4' }
+      ],
+      example: '22123456'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  DK: {
+    phone: {
+      callingCode: '45',
+      trunkPrefix: '',
+      pattern: /^[2-9]\d{7}$/,
+      formats: [{ pattern: /^(\d{2})(\d{2})(\d{2})(\d{2})$/, national: '$1 $2 $3 $4', international: '$1 $2 $3 $4' }],
+      example: '32123456'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  FI: {
+    phone: {
+      callingCode: '358',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{4,10}$/,
+      formats: [
+        { pattern: /^(\d{2})(\d{3})(\d{3,4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d)(\d{3})(\d{3,4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' }
+      ],
+      example: '401234567'
+    },
+    address: { region: null, regionRequired: false, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}'] }
+  },
+  IE: {
+    phone: {
+      callingCode: '353',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{6,9}$/,
+      formats: [
+        { pattern: /^(1)(\d{3})(\d{3,4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d{2})(\d{3})(\d{3,4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' }
+      ],
+      example: '12345678'
+    },
+    address: { region: 'County', regionRequired: false, postalCode: 'Eircode', lines: ['{address}', '{city}', '{state}', '{postalCode}'] }
+  },
+  JP: {
+    phone: {
+      callingCode: '81',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{8,9}$/,
+      formats: [
+        { pattern: /^([789]0)(\d{4})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' },
+        { pattern: /^([36])(\d{4})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' },
+        { pattern: /^(\d{2})(\d{3})(\d{4})$/, national: '0$1-$2-$3', international: '$1-$2-$3' }
+      ],
+      example: '312345678'
+    },
+    address: { region: 'Prefecture', regionRequired: true, postalCode: 'Postal Code', lines: ['{address}', '{city}, {state} {postalCode}'] }
+  },
+  CN: {
+    phone: {
+      callingCode: '86',
+      trunkPrefix: '0',
+      pattern: /^(1[3-9]\d{9}|[2-9]\d{8,10}|10\d{8})$/,
+      formats: [
+        { pattern: /^(1[3-9]\d)(\d{4})(\d{4})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(10|2\d)(\d{4})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d{3})(\d{3,4})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' }
+      ],
+      example: '1012345678'
+    },
+    address: { region: 'Province', regionRequired: true, postalCode: 'Postal Code', lines: ['{address}', '{city}, {state} {postalCode}'] }
+  },
+  IN: {
+    phone: {
+      callingCode: '91',
+      trunkPrefix: '0',
+      pattern: /^[1-9]\d{9}$/,
+      formats: [
+        { pattern: /^([6-9]\d{4})(\d{5})$/, national: '0$1 $2', international: '$1 $2' },
+        { pattern: /^(11|2[02]|33|4[04]|80)(\d{4})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '0$1 $2 $3', international: '$1 $2 $3' }
+      ],
+      example: '1123456789'
+    },
+    address: { region: 'State', regionRequired: true, postalCode: 'PIN Code', lines: ['{address}', '{city} {postalCode}', '{state}'] }
+  },
+  BR: {
+    phone: {
+      callingCode: '55',
+      trunkPrefix: '0',
+      pattern: /^[1-9]{2}9?\d{8}$/,
+      formats: [{ pattern: /^(\d{2})(9?\d{4})(\d{4})$/, national: '($1) $2-$3', international: '$1 $2-$3' }],
+      example: '1123456789'
+    },
+    address: { region: 'State', regionRequired: true, postalCode: 'CEP', lines: ['{address}', '{city} - {state}', '{postalCode}'] }
+  },
+  MX: {
+    phone: {
+      callingCode: '52',
+      trunkPrefix: '',
+      pattern: /^[1-9]\d{9}$/,
+      formats: [
+        { pattern: /^(33|55|56|81)(\d{4})(\d{4})$/, national: '$1 $2 $3', international: '$1 $2 $3' },
+        { pattern: /^(\d{3})(\d{3})(\d{4})$/, national: '$1 $2 $3', international: '$1 $2 $3' }
+      ],
+      example: '5512345678'
+    },
+    address: { region: 'State', regionRequired: true, postalCode: 'Postal Code', lines: ['{address}', '{postalCode} {city}, {state}'] }
+  }
+};
+
+/**
+ * Address format of a country that is not listed
+ */
+const DEFAULT_ADDRESS_FORMAT = {
+  region: 'State/Province',
+  regionRequired: false,
+  postalCode: 'Postal Code',
+  lines: ['{address}', '{city} {state} {postalCode}']
+};
+
+const getPhoneFormat = (country) => COUNTRY_FORMATS[country]?.phone || null;
+
+/**
+ * Countries using a calling code (+1 is shared by the US and Canada)
+ */
+const getCallingCodeCountries = (callingCode) => {
+  return Object.keys(COUNTRY_FORMATS).filter(code => COUNTRY_FORMATS[code].phone.callingCode === callingCode);
+};
+
+/**
+ * Split international digits into a listed calling code and the national number
+ * Calling codes are prefix-free, so at most one listed code matches
+ */
+const splitCallingCode = (digits) => {
+  for (let length = 1; length <= 3; length++) {
+    const callingCode = digits.slice(0, length);
+    if (getCallingCodeCountries(callingCode).length > 0) {
+      return { callingCode, nationalNumber: digits.slice(length) };
+    }
+  }
+  return null;
+};
+
+/**
+ * Read a phone number as typed
+ * @param {string} phone - Phone number in international or national format
+ * @param {string} [country] - ISO 3166-1 alpha-2 code national numbers belong to
+ * @returns {Object|null} - { country, callingCode, nationalNumber, e164 }; country is null for calling
+ *                          codes not in the list. Null when the number is not valid.
+ */
+export const parsePhoneNumber = (phone, country) => {
+  if (typeof phone !== 'string') return null;
+
+  const trimmed = phone.trim();
+  if (trimmed === '' || /[^\d\s()+.\-/]/.test(trimmed)) return null;
+
+  let digits = trimmed.replace(/\D/g, '');
+  const isInternational = trimmed.startsWith('+') || digits.startsWith('00');
+  if (!isInternational) {
+    const format = getPhoneFormat(country);
+    if (!format) return null;
+
+    // National numbers may be typed with or without the trunk prefix
+    const nationalNumber = format.trunkPrefix && digits.startsWith(format.trunkPrefix) && !format.pattern.test(digits)
+      ? digits.slice(format.trunkPrefix.length)
+      : digits;
+    if (!format.pattern.test(nationalNumber)) return null;
+    return { country, callingCode: format.callingCode, nationalNumber, e164: `+${format.callingCode}${nationalNumber}` };
+  }
+
+  if (!trimmed.startsWith('+')) digits = digits.slice(2);
+  if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS || digits.startsWith('0')) return null;
+
+  const split = splitCallingCode(digits);
+  if (!split) {
+    return { country: null, callingCode: null, nationalNumber: digits, e164: `+${digits}` };
+  }
+
+  // +1 numbers belong to the given country when it shares the code, else to the first that accepts them
+  const candidates = getCallingCodeCountries(split.callingCode);
+  const ordered = candidates.includes(country) ? [country, ...candidates.filter(code => code !== country)] : candidates;
+
+  // Some write the trunk prefix after the calling code ("+44 (0)20 ...")
+  const match = ordered.flatMap(code => {
+    const { pattern, trunkPrefix } = COUNTRY_FORMATS[code].phone;
+    const numbers = trunkPrefix && split.nationalNumber.startsWith(trunkPrefix)
+      ? [split.nationalNumber, split.nationalNumber.slice(trunkPrefix.length)]
+      : [split.nationalNumber];
+    return numbers.filter(number => pattern.test(number)).map(number => ({ code, number }));
+  })[0];
+  if (!match) return null;
+
+  return {
+    country: match.code,
+    callingCode: split.callingCode,
+    nationalNumber: match.number,
+    e164: `+${split.callingCode}${match.number}`
+  };
+};
+
+/**
+ * Phone number in E.164 ("+14155550123")
+ * @returns {string|null} Null when the number is not valid
+ */
+export const toE164 = (phone, country) => parsePhoneNumber(phone, country)?.e164 || null;
+
+/**
+ * Check whether a phone number is valid (national numbers are read for the country)
+ */
+export const isValidPhoneNumber = (phone, country) => parsePhoneNumber(phone, country) !== null;
+
+const applyFormat = (phone, style) => {
+  const format = phone.country ? COUNTRY_FORMATS[phone.country].phone : null;
+  const rule = format?.formats.find(candidate => candidate.pattern.test(phone.nationalNumber));
+  if (style === 'national') {
+    return rule
+      ? phone.nationalNumber.replace(rule.pattern, rule.national)
+      : `${format.trunkPrefix === '0' ? '0' : ''}${phone.nationalNumber}`;
+  }
+  if (!phone.callingCode) return phone.e164;
+  const nationalNumber = rule ? phone.nationalNumber.replace(rule.pattern, rule.international) : phone.nationalNumber;
+  return `+${phone.callingCode} ${nationalNumber}`;
+};
+
+/**
+ * Show a phone number the way it is written in a country
+ * @param {string} phone - Phone number (E.164 or as typed)
+ * @param {string} [country] - Country of the person reading it
+ * @param {Object} [options]
+ * @param {boolean} [options.international] - Always include the calling code
+ * @returns {string} National format for numbers of that country, international format otherwise,
+ *                   or the value unchanged when it is not a valid number
+ */
+export const formatPhoneNumber = (phone, country, options = {}) => {
+  const parsed = parsePhoneNumber(phone, country);
+  if (!parsed) return phone || '';
+
+  const isNational = !options.international && parsed.country === country &&
+    parsed.callingCode === getPhoneFormat(country)?.callingCode;
+  return applyFormat(parsed, isNational ? 'national' : 'international');
+};
+
+/**
+ * Example phone number for hints and error messages, in international format
+ */
+export const getPhoneExample = (country) => {
+  const format = getPhoneFormat(country) || getPhoneFormat(CONSTANTS.DEFAULT_VALUES.COUNTRY);
+  return formatPhoneNumber(`+${format.callingCode}${format.example}`, null, { international: true });
+};
+
+/**
+ * Address fields of a country
+ * @returns {Object} - { region, regionRequired, postalCode, lines }; region is null when addresses
+ *                     have no state/province
+ */
+export const getAddressFormat = (country) => COUNTRY_FORMATS[country]?.address || DEFAULT_ADDRESS_FORMAT;
+
+/**
+ * Write an address the way it is addressed in its country
+ * @param {Object} location - { address, city, state, postalCode, country } (form state)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCountry] - End with the country name
+ * @returns {Array} - Non-empty address lines
+ */
+export const formatAddress = (location, options = {}) => {
+  const format = getAddressFormat(location.country);
+  const values = {
+    address: location.address || '',
+    city: location.city || '',
+    state: format.region ? location.state || '' : '',
+    postalCode: location.postalCode || ''
+  };
+
+  const lines = format.lines
+    .map(line => line
+      .replace(/\{(\w+)\}/g, (_, field) => values[field])
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,-]+|[\s,-]+$/g, '')
+      .replace(/\s+,/g, ','))
+    .filter(Boolean);
+
+  if (options.includeCountry) {
+    const country = CONSTANTS.COUNTRIES.find(entry => entry.code === location.country);
+    if (country) lines.push(country.name);
+  }
+  return lines;
+};
+
+export default {
+  E164_MAX_DIGITS,
+  E164_PATTERN,
+  COUNTRY_FORMATS,
+  parsePhoneNumber,
+  toE164,
+  isValidPhoneNumber,
+  formatPhoneNumber,
+  getPhoneExample,
+  getAddressFormat,
+  formatAddress
+};
@@ -0,0 +1,252 @@
+/**
+ * Date & Time
+ * Service dates and times are wall-clock times in the business location's timezone. They are sent
+ * to the API as ISO 8601 with the UTC offset in force at that moment, and shown to the person
+ * viewing them in their own locale.
+ *
+ * Local date/times are "YYYY-MM-DDTHH:MM[:SS]" strings without an offset. Around a daylight saving
+ * change a local time can be skipped (clocks jump over it: a gap) or happen twice (clocks go back:
+ * an overlap); resolveLocalDateTime reports which.
+ */
+
+export const MS_PER_MINUTE = 60 * 1000;
+export const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+export const LOCAL_TIME_STATUS = {
+  VALID: 'valid',
+  GAP: 'gap',
+  OVERLAP: 'overlap'
+};
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+const wallClockFormatters = new Map();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const getWallClockFormatter = (timezone) => {
+  if (!wallClockFormatters.has(timezone)) {
+    wallClockFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return wallClockFormatters.get(timezone);
+};
+
+/**
+ * Check whether the runtime knows an IANA timezone
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    getWallClockFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a date/time string carries its own UTC offset (or Z)
+ */
+export const hasUTCOffset = (value) => typeof value === 'string' && OFFSET_PATTERN.test(value);
+
+/**
+ * Wall-clock time a timezone shows at an instant, as milliseconds of the same reading in UTC
+ * @param {number} time - Instant (milliseconds)
+ * @param {string} timezone - IANA timezone
+ * @returns {number}
+ */
+export const getWallClockTime = (time, timezone) => {
+  const parts = {};
+  getWallClockFormatter(timezone).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) +
+         (time % 1000 + 1000) % 1000;
+};
+
+/**
+ * UTC offset of a timezone at an instant
+ * @returns {number} Minutes east of UTC
+ */
+export const getUTCOffsetMinutes = (time, timezone) => {
+  return Math.round((getWallClockTime(time, timezone) - time) / MS_PER_MINUTE);
+};
+
+/**
+ * Instant(s) at which a timezone's clocks show a wall-clock time
+ * Offsets a day either side cover any single daylight saving change
+ * @param {number} wallTime - Wall-clock time as milliseconds of the same reading in UTC
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { status, instant, instants }: instants lists every matching instant (none in
+ *                     a gap, two in an overlap); instant is the earlier one, or in a gap the instant
+ *                     the skipped time runs into (02:30 in a 02:00-03:00 gap resolves to 03:30)
+ */
+export const resolveWallClockTime = (wallTime, timezone) => {
+  const offsetBefore = getWallClockTime(wallTime - MS_PER_DAY, timezone) - (wallTime - MS_PER_DAY);
+  const offsetAfter = getWallClockTime(wallTime + MS_PER_DAY, timezone) - (wallTime + MS_PER_DAY);
+
+  const instants = [...new Set([wallTime - offsetBefore, wallTime - offsetAfter])]
+    .filter(instant => getWallClockTime(instant, timezone) === wallTime)
+    .sort((a, b) => a - b);
+
+  if (instants.length === 0) {
+    return { status: LOCAL_TIME_STATUS.GAP, instant: wallTime - offsetBefore, instants };
+  }
+  return {
+    status: instants.length > 1 ? LOCAL_TIME_STATUS.OVERLAP : LOCAL_TIME_STATUS.VALID,
+    instant: instants[0],
+    instants
+  };
+};
+
+/**
+ * Parse a local date or date/time string
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]"
+ * @returns {number|null} Wall-clock time as milliseconds of the same reading in UTC, or null when invalid
+ */
+export const parseLocalDateTime = (value) => {
+  const match = typeof value === 'string' ? value.match(LOCAL_DATE_TIME_PATTERN) : null;
+  if (!match) return null;
+
+  const [year, month, day, hours = 0, minutes = 0, seconds = 0] = match.slice(1).map(part => Number(part || 0));
+  const wallTime = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const date = new Date(wallTime);
+
+  const isReal = date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day &&
+                 hours < 24 && minutes < 60 && seconds < 60;
+  return isReal ? wallTime : null;
+};
+
+/**
+ * Resolve a local date/time in a timezone
+ * @param {string} value - "YYYY-MM-DDTHH:MM[:SS]"
+ * @param {string} timezone - IANA timezone
+ * @returns {Object|null} - resolveWallClockTime result, or null when the value is not a local date/time
+ */
+export const resolveLocalDateTime = (value, timezone) => {
+  const wallTime = parseLocalDateTime(value);
+  return wallTime === null ? null : resolveWallClockTime(wallTime, timezone);
+};
+
+/**
+ * Parse a date/time: strings with an offset, Dates and timestamps are instants; local strings
+ * are read in the timezone
+ * @param {Date|string|number} value
+ * @param {string} timezone - IANA timezone for local strings
+ * @returns {number|null} Instant (milliseconds), or null when invalid
+ */
+export const toInstant = (value, timezone) => {
+  if (value instanceof Date || typeof value === 'number') {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+  if (hasUTCOffset(value)) {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+  }
+  const resolved = resolveLocalDateTime(value, timezone);
+  return resolved ? resolved.instant : null;
+};
+
+/**
+ * Format a UTC offset, e.g. +05:30 or -04:00
+ * @param {number} minutes - Minutes east of UTC
+ */
+export const formatUTCOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Local date/time an instant falls on in a timezone (seconds only when not zero)
+ * @returns {string} - "YYYY-MM-DDTHH:MM[:SS]", as used by datetime-local inputs
+ */
+export const toLocalDateTime = (time, timezone) => {
+  const wallClock = new Date(getWallClockTime(time, timezone)).toISOString();
+  return wallClock.endsWith(':00.000Z') ? wallClock.slice(0, 16) : wallClock.slice(0, 19);
+};
+
+/**
+ * Local date an instant falls on in a timezone
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export const getLocalDate = (time, timezone) => {
+  return new Date(getWallClockTime(time, timezone)).toISOString().slice(0, 10);
+};
+
+/**
+ * ISO 8601 date/time of an instant with the timezone's offset at that moment
+ * @returns {string} - e.g. "2026-03-08T03:30:00-04:00"
+ */
+export const toZonedISOString = (time, timezone) => {
+  const wallClock = new Date(getWallClockTime(time, timezone)).toISOString().slice(0, 19);
+  return `${wallClock}${formatUTCOffset(getUTCOffsetMinutes(time, timezone))}`;
+};
+
+/**
+ * Normalize a date/time to ISO 8601 with an offset
+ * Local strings are read in the timezone (times in an overlap take the earlier offset)
+ * @param {Date|string|number} value
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} - Normalized value, or null when invalid
+ */
+export const normalizeDateTime = (value, timezone) => {
+  const time = toInstant(value, timezone);
+  return time === null ? null : toZonedISOString(time, timezone);
+};
+
+/**
+ * Show a date/time in the viewer's locale
+ * Calendar dates ("YYYY-MM-DD") are shown as that date wherever the viewer is, and so are local
+ * date/times when no timezone is given (there is no instant to convert)
+ * @param {Date|string|number} value
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - Timezone local strings are in and times are shown in
+ *                                      (defaults to the viewer's for instants)
+ * @param {string} [options.locale] - Locale (defaults to the viewer's)
+ * @param {string} [options.dateStyle] - Intl date style (default 'medium'; null to omit)
+ * @param {string} [options.timeStyle] - Intl time style (default 'short'; null to omit)
+ * @returns {string} Formatted value, or '' when invalid
+ */
+export const formatDateTime = (value, options = {}) => {
+  const isCalendarDate = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const isAsWritten = isCalendarDate || (typeof value === 'string' && !options.timezone && !hasUTCOffset(value));
+  const time = isAsWritten ? parseLocalDateTime(value) : toInstant(value, options.timezone);
+  if (time === null) return '';
+
+  const format = {
+    timeZone: isAsWritten ? 'UTC' : options.timezone,
+    dateStyle: options.dateStyle === undefined ? 'medium' : options.dateStyle || undefined,
+    timeStyle: isCalendarDate ? undefined : (options.timeStyle === undefined ? 'short' : options.timeStyle || undefined)
+  };
+  return new Intl.DateTimeFormat(options.locale, format).format(new Date(time));
+};
+
+export default {
+  LOCAL_TIME_STATUS,
+  isValidTimezone,
+  hasUTCOffset,
+  getWallClockTime,
+  getUTCOffsetMinutes,
+  resolveWallClockTime,
+  parseLocalDateTime,
+  resolveLocalDateTime,
+  toInstant,
+  formatUTCOffset,
+  toLocalDateTime,
+  getLocalDate,
+  toZonedISOString,
+  normalizeDateTime,
+  formatDateTime
+};
@@ -0,0 +1,172 @@
+/**
+ * Draft Store
+ * Named onboarding drafts in the storage module's drafts namespace, plus a channel that tells
+ * other tabs which draft is open and when it is saved
+ *
+ * Keys:
+ * - index: [{ id, name, updatedAt }] for the draft picker
+ * - draft:<id>: { id, name, updatedAt, tabId, formState }
+ * - legacy: the single draft older versions saved, moved into a named draft on first use
+ */
+
+import { STORAGE_NAMESPACES, getStorage } from './storage.js';
+import { generateId } from './utils.js';
+
+export const DRAFT_INDEX_KEY = 'index';
+export const DRAFT_KEY_PREFIX = 'draft:';
+export const LEGACY_DRAFT_KEY = 'legacy';
+export const DRAFT_CHANNEL_NAME = 'bais-onboarding-drafts';
+export const DRAFT_SIGNAL_KEY = 'bais-draft-signal';
+
+export const DRAFT_MESSAGES = {
+  OPENED: 'opened',
+  PRESENT: 'present',
+  SAVED: 'saved',
+  CLOSED: 'closed'
+};
+
+const draftStorage = getStorage(STORAGE_NAMESPACES.DRAFTS);
+
+const readIndex = async () => {
+  const index = await draftStorage.get(DRAFT_INDEX_KEY, []);
+  return Array.isArray(index) ? index : [];
+};
+
+/**
+ * Storage key of a draft
+ */
+export const getDraftKey = (draftId) => `${DRAFT_KEY_PREFIX}${draftId}`;
+
+/**
+ * Move the draft older versions saved as their only draft into a named draft
+ */
+export const migrateLegacyDraft = async () => {
+  const formState = await draftStorage.get(LEGACY_DRAFT_KEY);
+  if (!formState) return;
+
+  await saveDraft({ name: formState.businessInfo?.name || 'Previous draft', formState });
+  await draftStorage.remove(LEGACY_DRAFT_KEY);
+};
+
+/**
+ * Saved drafts, most recently saved first
+ * @returns {Promise<Array>} - [{ id, name, updatedAt }]
+ */
+export const listDrafts = async () => {
+  await migrateLegacyDraft();
+  const index = await readIndex();
+  return index.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Read a saved draft
+ * @returns {Promise<Object|null>} - { id, name, updatedAt, tabId, formState }
+ */
+export const getDraft = (draftId) => draftStorage.get(getDraftKey(draftId));
+
+/**
+ * Save a draft (new when it has no id)
+ * @param {Object} draft - { id?, name, formState, tabId? }
+ * @returns {Promise<Object>} The stored draft, with its id and updatedAt
+ * @throws {StorageQuotaError} When storage is full
+ */
+export const saveDraft = async (draft) => {
+  const record = {
+    id: draft.id || generateId(),
+    name: draft.name || 'Untitled draft',
+    updatedAt: new Date().toISOString(),
+    tabId: draft.tabId || null,
+    formState: draft.formState
+  };
+
+  await draftStorage.set(getDraftKey(record.id), record);
+  const index = await readIndex();
+  await draftStorage.set(DRAFT_INDEX_KEY, [
+    ...index.filter(entry => entry.id !== record.id),
+    { id: record.id, name: record.name, updatedAt: record.updatedAt }
+  ]);
+
+  return record;
+};
+
+/**
+ * Delete a saved draft
+ */
+export const deleteDraft = async (draftId) => {
+  await draftStorage.remove(getDraftKey(draftId));
+  const index = await readIndex();
+  await draftStorage.set(DRAFT_INDEX_KEY, index.filter(entry => entry.id !== draftId));
+};
+
+/**
+ * Messages between tabs about open drafts
+ * Uses BroadcastChannel where available, otherwise storage events on a signal key in localStorage
+ */
+export class DraftChannel {
+  /**
+   * @param {string} tabId - Id of this tab
+   * @param {Function} onMessage - Called with { type, draftId, tabId, updatedAt } from other tabs
+   */
+  constructor(tabId, onMessage) {
+    this.tabId = tabId;
+    this.onMessage = onMessage;
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(DRAFT_CHANNEL_NAME) : null;
+
+    this.handleChannelMessage = (e) => {
+      if (e.data?.tabId !== this.tabId) this.onMessage(e.data);
+    };
+    this.handleStorage = (e) => {
+      if (e.key !== DRAFT_SIGNAL_KEY || !e.newValue) return;
+      try {
+        const message = JSON.parse(e.newValue);
+        if (message.tabId !== this.tabId) this.onMessage(message);
+      } catch (error) {
+        console.error('Failed to read draft message from another tab:', error);
+      }
+    };
+
+    if (this.channel) {
+      this.channel.addEventListener('message', this.handleChannelMessage);
+    } else {
+      window.addEventListener('storage', this.handleStorage);
+    }
+  }
+
+  /**
+   * Tell other tabs about a draft
+   */
+  post(type, draftId, updatedAt = null) {
+    const message = { type, draftId, tabId: this.tabId, updatedAt };
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    try {
+      // sentAt makes repeated messages distinct, so each one fires a storage event
+      localStorage.setItem(DRAFT_SIGNAL_KEY, JSON.stringify({ ...message, sentAt: Date.now() }));
+    } catch (error) {
+      console.error('Failed to send draft message to other tabs:', error);
+    }
+  }
+
+  close() {
+    if (this.channel) {
+      this.channel.removeEventListener('message', this.handleChannelMessage);
+      this.channel.close();
+    } else {
+      window.removeEventListener('storage', this.handleStorage);
+    }
+  }
+}
+
+export default {
+  DRAFT_MESSAGES,
+  getDraftKey,
+  migrateLegacyDraft,
+  listDrafts,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  DraftChannel
+};
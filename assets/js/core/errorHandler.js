@@ -31,6 +31,22 @@ export class ConfigurationError extends Error {
   }
 }
 
+export class SchemaVersionError extends Error {
+  constructor(message, version = null) {
+    super(message);
+    this.name = 'SchemaVersionError';
+    this.version = version;
+  }
+}
+
+export class StorageQuotaError extends Error {
+  constructor(message, key = null) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.key = key;
+  }
+}
+
 /**
  * Error handler class
  */
@@ -97,6 +113,9 @@ export class ErrorHandler {
       case 'ConfigurationError':
         return 'There was a configuration error. Please contact support.';
       
+      case 'SchemaVersionError':
+        return error.message;
+      
       default:
         return 'An unexpected error occurred. Please try again.';
     }
@@ -0,0 +1,109 @@
+/**
+ * Form History
+ * Undo/redo over snapshots of the onboarding form state
+ * Each entry is the serialized state after a change plus a label describing the change;
+ * memory is bounded by both the number of entries and their total size
+ */
+
+export const DEFAULT_HISTORY_LIMITS = {
+  MAX_ENTRIES: 100,
+  MAX_BYTES: 2 * 1024 * 1024
+};
+
+export class FormHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Most states kept (including the current one)
+   * @param {number} [options.maxBytes] - Most serialized characters kept across all states
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_HISTORY_LIMITS.MAX_ENTRIES;
+    this.maxBytes = options.maxBytes || DEFAULT_HISTORY_LIMITS.MAX_BYTES;
+    this.entries = [];
+    this.index = -1;
+    this.size = 0;
+  }
+
+  /**
+   * Start a new history from a state (nothing to undo or redo)
+   */
+  reset(state) {
+    const snapshot = JSON.stringify(state);
+    this.entries = [{ label: null, snapshot }];
+    this.index = 0;
+    this.size = snapshot.length;
+  }
+
+  /**
+   * Record the state after a change
+   * Drops anything that could have been redone; does nothing when the state is unchanged
+   * @param {Object} state - Current state
+   * @param {string} label - Description of the change, e.g. "Remove Service"
+   * @returns {boolean} Whether an entry was added
+   */
+  record(state, label) {
+    const snapshot = JSON.stringify(state);
+    if (this.index >= 0 && this.entries[this.index].snapshot === snapshot) {
+      return false;
+    }
+
+    this.entries.splice(this.index + 1).forEach(entry => {
+      this.size -= entry.snapshot.length;
+    });
+
+    this.entries.push({ label, snapshot });
+    this.size += snapshot.length;
+    this.index = this.entries.length - 1;
+
+    while (this.entries.length > 1 && (this.entries.length > this.maxEntries || this.size > this.maxBytes)) {
+      this.size -= this.entries.shift().snapshot.length;
+      this.index--;
+    }
+
+    return true;
+  }
+
+  /**
+   * Step back to the state before the last change
+   * @returns {Object|null} A fresh copy of that state, or null when there is nothing to undo
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.index--;
+    return JSON.parse(this.entries[this.index].snapshot);
+  }
+
+  /**
+   * Re-apply the last undone change
+   * @returns {Object|null} A fresh copy of the state, or null when there is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    this.index++;
+    return JSON.parse(this.entries[this.index].snapshot);
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.entries.length - 1;
+  }
+
+  /**
+   * Label of the change undo would revert
+   */
+  getUndoLabel() {
+    return this.canUndo() ? this.entries[this.index].label : null;
+  }
+
+  /**
+   * Label of the change redo would re-apply
+   */
+  getRedoLabel() {
+    return this.canRedo() ? this.entries[this.index + 1].label : null;
+  }
+}
+
+export default FormHistory;
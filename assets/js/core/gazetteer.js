@@ -0,0 +1,145 @@
+/**
+ * Gazetteer
+ * Offline geocoding provider over a small built-in list of cities (two per country in COUNTRIES),
+ * for local development and tests where no geocoding service is configured
+ *
+ * A query matches the places whose city, state or postal code it contains. Results have no
+ * street-level precision: coordinates are the city centre, and the postal code is the one in the
+ * query ('' when it has none valid for the place's country).
+ * Not for production use: pages set it with setGeocodingProvider only in local development.
+ */
+
+import { findPostalCode } from './postalCodes.js';
+import { formatAddress } from './countryFormats.js';
+
+/**
+ * { city, state, postalCode, country, latitude, longitude, timezone }
+ */
+export const GAZETTEER_PLACES = [
+  { city: 'San Francisco', state: 'CA', postalCode: '94103', country: 'US', latitude: 37.7749, longitude: -122.4194, timezone: 'America/Los_Angeles' },
+  { city: 'New York', state: 'NY', postalCode: '10001', country: 'US', latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York' },
+  { city: 'Chicago', state: 'IL', postalCode: '60601', country: 'US', latitude: 41.8781, longitude: -87.6298, timezone: 'America/Chicago' },
+  { city: 'Denver', state: 'CO', postalCode: '80202', country: 'US', latitude: 39.7392, longitude: -104.9903, timezone: 'America/Denver' },
+  { city: 'Toronto', state: 'ON', postalCode: 'M5H 2N2', country: 'CA', latitude: 43.6532, longitude: -79.3832, timezone: 'America/Toronto' },
+  { city: 'Vancouver', state: 'BC', postalCode: 'V6B 1A1', country: 'CA', latitude: 49.2827, longitude: -123.1207, timezone: 'America/Vancouver' },
+  { city: 'London', state: 'England', postalCode: 'SW1A 1AA', country: 'GB', latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London' },
+  { city: 'Edinburgh', state: 'Scotland', postalCode: 'EH1 1YZ', country: 'GB', latitude: 55.9533, longitude: -3.1883, timezone: 'Europe/London' },
+  { city: 'Sydney', state: 'NSW', postalCode: '2000', country: 'AU', latitude: -33.8688, longitude: 151.2093, timezone: 'Australia/Sydney' },
+  { city: 'Melbourne', state: 'VIC', postalCode: '3000', country: 'AU', latitude: -37.8136, longitude: 144.9631, timezone: 'Australia/Melbourne' },
+  { city: 'Berlin', state: 'Berlin', postalCode: '10115', country: 'DE', latitude: 52.52, longitude: 13.405, timezone: 'Europe/Berlin' },
+  { city: 'Munich', state: 'Bavaria', postalCode: '80331', country: 'DE', latitude: 48.1351, longitude: 11.582, timezone: 'Europe/Berlin' },
+  { city: 'Paris', state: 'Île-de-France', postalCode: '75001', country: 'FR', latitude: 48.8566, longitude: 2.3522, timezone: 'Europe/Paris' },
+  { city: 'Lyon', state: 'Auvergne-Rhône-Alpes', postalCode: '69001', country: 'FR', latitude: 45.764, longitude: 4.8357, timezone: 'Europe/Paris' },
+  { city: 'Rome', state: 'Lazio', postalCode: '00184', country: 'IT', latitude: 41.9028, longitude: 12.4964, timezone: 'Europe/Rome' },
+  { city: 'Milan', state: 'Lombardy', postalCode: '20121', country: 'IT', latitude: 45.4642, longitude: 9.19, timezone: 'Europe/Rome' },
+  { city: 'Madrid', state: 'Madrid', postalCode: '28013', country: 'ES', latitude: 40.4168, longitude: -3.7038, timezone: 'Europe/Madrid' },
+  { city: 'Barcelona', state: 'Catalonia', postalCode: '08001', country: 'ES', latitude: 41.3874, longitude: 2.1686, timezone: 'Europe/Madrid' },
+  { city: 'Amsterdam', state: 'North Holland', postalCode: '1012 AB', country: 'NL', latitude: 52.3676, longitude: 4.9041, timezone: 'Europe/Amsterdam' },
+  { city: 'Rotterdam', state: 'South Holland', postalCode: '3011 AA', country: 'NL', latitude: 51.9244, longitude: 4.4777, timezone: 'Europe/Amsterdam' },
+  { city: 'Stockholm', state: 'Stockholm', postalCode: '111 20', country: 'SE', latitude: 59.3293, longitude: 18.0686, timezone: 'Europe/Stockholm' },
+  { city: 'Gothenburg', state: 'Västra Götaland', postalCode: '411 04', country: 'SE', latitude: 57.7089, longitude: 11.9746, timezone: 'Europe/Stockholm' },
+  { city: 'Oslo', state: 'Oslo', postalCode: '0150', country: 'NO', latitude: 59.9139, longitude: 10.7522, timezone: 'Europe/Oslo' },
+  { city: 'Bergen', state: 'Vestland', postalCode: '5003', country: 'NO', latitude: 60.3913, longitude: 5.3221, timezone: 'Europe/Oslo' },
+  { city: 'Copenhagen', state: 'Capital Region', postalCode: '1050', country: 'DK', latitude: 55.6761, longitude: 12.5683, timezone: 'Europe/Copenhagen' },
+  { city: 'Aarhus', state: 'Central Denmark', postalCode: '8000', country: 'DK', latitude: 56.1629, longitude: 10.2039, timezone: 'Europe/Copenhagen' },
+  { city: 'Helsinki', state: 'Uusimaa', postalCode: '00100', country: 'FI', latitude: 60.1699, longitude: 24.9384, timezone: 'Europe/Helsinki' },
+  { city: 'Tampere', state: 'Pirkanmaa', postalCode: '33100', country: 'FI', latitude: 61.4978, longitude: 23.761, timezone: 'Europe/Helsinki' },
+  { city: 'Dublin', state: 'Dublin', postalCode: 'D02 X285', country: 'IE', latitude: 53.3498, longitude: -6.2603, timezone: 'Europe/Dublin' },
+  { city: 'Cork', state: 'Cork', postalCode: 'T12 X70A', country: 'IE', latitude: 51.8985, longitude: -8.4756, timezone: 'Europe/Dublin' },
+  { city: 'Tokyo', state: 'Tokyo', postalCode: '100-0001', country: 'JP', latitude: 35.6762, longitude: 139.6503, timezone: 'Asia/Tokyo' },
+  { city: 'Osaka', state: 'Osaka', postalCode: '530-0001', country: 'JP', latitude: 34.6937, longitude: 135.5023, timezone: 'Asia/Tokyo' },
+  { city: 'Beijing', state: 'Beijing', postalCode: '100000', country: 'CN', latitude: 39.9042, longitude: 116.4074, timezone: 'Asia/Shanghai' },
+  { city: 'Shanghai', state: 'Shanghai', postalCode: '200000', country: 'CN', latitude: 31.2304, longitude: 121.4737, timezone: 'Asia/Shanghai' },
+  { city: 'New Delhi', state: 'Delhi', postalCode: '110001', country: 'IN', latitude: 28.6139, longitude: 77.209, timezone: 'Asia/Kolkata' },
+  { city: 'Mumbai', state: 'Maharashtra', postalCode: '400001', country: 'IN', latitude: 19.076, longitude: 72.8777, timezone: 'Asia/Kolkata' },
+  { city: 'São Paulo', state: 'SP', postalCode: '01310-100', country: 'BR', latitude: -23.5505, longitude: -46.6333, timezone: 'America/Sao_Paulo' },
+  { city: 'Rio de Janeiro', state: 'RJ', postalCode: '20040-002', country: 'BR', latitude: -22.9068, longitude: -43.1729, timezone: 'America/Sao_Paulo' },
+  { city: 'Mexico City', state: 'CDMX', postalCode: '06000', country: 'MX', latitude: 19.4326, longitude: -99.1332, timezone: 'America/Mexico_City' },
+  { city: 'Guadalajara', state: 'Jalisco', postalCode: '44100', country: 'MX', latitude: 20.6597, longitude: -103.3496, timezone: 'America/Mexico_City' }
+];
+
+const DEFAULT_LIMIT = 5;
+
+/**
+ * Lower-case words without accents ("São Paulo" and "sao paulo" both give ['sao', 'paulo'])
+ */
+const toWords = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const containsPhrase = (words, phrase) => {
+  const target = toWords(phrase);
+  if (target.length === 0) return false;
+  return words.some((_, start) => target.every((word, offset) => words[start + offset] === word));
+};
+
+/**
+ * How well a query matches a place (0 when it mentions neither the city, the state nor the
+ * place's own postal code)
+ * The city counts most, then the postal code, state and country
+ */
+const scorePlace = (words, place, postalCode) => {
+  let score = 0;
+  if (containsPhrase(words, place.city)) score += 4;
+  if (postalCode === place.postalCode) score += 3;
+  if (containsPhrase(words, place.state)) score += 2;
+  if (score > 0 && words.includes(place.country.toLowerCase())) score += 1;
+  return score;
+};
+
+/**
+ * Street part of a query: everything before the first mention of the place's city (or the
+ * first comma), without the postal code
+ */
+const getStreetAddress = (query, place, postalCode) => {
+  const index = query.toLowerCase().indexOf(place.city.toLowerCase());
+  const street = index >= 0 ? query.slice(0, index) : query.split(',')[0];
+  const withoutCode = postalCode && street.toUpperCase().includes(postalCode)
+    ? street.slice(0, street.toUpperCase().indexOf(postalCode))
+    : street;
+  return withoutCode.replace(/[\s,]+$/, '').trim();
+};
+
+/**
+ * Create a geocoding provider over a list of places
+ * @param {Array} [places] - Places as in GAZETTEER_PLACES (defaults to them)
+ * @returns {Object} - Geocoding provider (see geocoding.js)
+ */
+export const createGazetteerProvider = (places = GAZETTEER_PLACES) => ({
+  name: 'gazetteer',
+
+  async geocode(query, options = {}) {
+    const words = toWords(query);
+    if (words.length === 0) return [];
+
+    return places
+      .filter(place => !options.country || place.country === options.country)
+      .map(place => {
+        const postalCode = findPostalCode(query, place.country);
+        return { place, postalCode, score: scorePlace(words, place, postalCode) };
+      })
+      .filter(match => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || DEFAULT_LIMIT)
+      .map(({ place, postalCode }) => {
+        const result = {
+          address: getStreetAddress(query, place, postalCode),
+          city: place.city,
+          state: place.state,
+          postalCode: postalCode || '',
+          country: place.country,
+          coordinates: { latitude: place.latitude, longitude: place.longitude },
+          timezone: place.timezone
+        };
+        return { label: formatAddress(result, { includeCountry: true }).join(', '), ...result };
+      });
+  }
+});
+
+export default {
+  GAZETTEER_PLACES,
+  createGazetteerProvider
+};
@@ -0,0 +1,84 @@
+/**
+ * Geocoding
+ * Looks up an address with the configured geocoding provider and suggests the TIMEZONES entry
+ * for the place found
+ *
+ * A provider is { name, geocode(query, options) } where geocode resolves to an array of
+ * { label, address, city, state, postalCode, country, coordinates, timezone }, best match first:
+ * - options.country - ISO 3166-1 alpha-2 code to restrict results to
+ * - options.limit - most results to return
+ * - coordinates is { latitude, longitude } or null; timezone is an IANA timezone or ''
+ * No provider is set by default, so address lookup is off until the page sets one (the onboarding
+ * page uses the offline gazetteer in local development).
+ */
+
+import CONSTANTS from './constants.js';
+import { ConfigurationError } from './errorHandler.js';
+import { getUTCOffsetMinutes, isValidTimezone } from './dateTime.js';
+
+let provider = null;
+
+/**
+ * Use a geocoding provider for every later lookup
+ * @param {Object} nextProvider - { name, geocode(query, options) }
+ */
+export const setGeocodingProvider = (nextProvider) => {
+  if (!nextProvider || typeof nextProvider.geocode !== 'function') {
+    throw new ConfigurationError('Geocoding provider must have a geocode(query, options) method');
+  }
+  provider = nextProvider;
+};
+
+/**
+ * The geocoding provider in use (null when none is set)
+ */
+export const getGeocodingProvider = () => provider;
+
+/**
+ * Whether addresses can be looked up
+ */
+export const hasGeocodingProvider = () => provider !== null;
+
+/**
+ * TIMEZONES entry to offer for an IANA timezone
+ * Zones not in the list map to the first entry that keeps the same offsets in January and July
+ * (Europe/Dublin gives Europe/London)
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} TIMEZONES entry, or null when none keeps the same time
+ */
+export const suggestTimezone = (timezone) => {
+  if (CONSTANTS.TIMEZONES.includes(timezone)) return timezone;
+  if (!isValidTimezone(timezone)) return null;
+
+  const year = new Date().getUTCFullYear();
+  const samples = [Date.UTC(year, 0, 15), Date.UTC(year, 6, 15)];
+  const offsets = (zone) => samples.map(time => getUTCOffsetMinutes(time, zone)).join(',');
+  const target = offsets(timezone);
+
+  return CONSTANTS.TIMEZONES.find(zone => offsets(zone) === target) || null;
+};
+
+/**
+ * Look up an address
+ * @param {string} query - Address as typed
+ * @param {Object} [options] - country and limit as for the provider
+ * @returns {Promise<Array>} - Provider results, each with suggestedTimezone (a TIMEZONES entry or null);
+ *                            empty without a provider
+ */
+export const geocodeAddress = async (query, options = {}) => {
+  if (!provider || typeof query !== 'string' || query.trim() === '') return [];
+
+  const results = await provider.geocode(query.trim(), options);
+  return results.map(result => ({
+    ...result,
+    suggestedTimezone: suggestTimezone(result.timezone)
+  }));
+};
+
+export default {
+  setGeocodingProvider,
+  getGeocodingProvider,
+  hasGeocodingProvider,
+  suggestTimezone,
+  geocodeAddress
+};
@@ -0,0 +1,128 @@
+/**
+ * Money Utilities
+ * Currency-correct arithmetic on integer minor units (cents, pence, yen)
+ * Amounts are converted to minor units once, combined as integers and only
+ * converted back for display, so totals never pick up floating point drift
+ */
+
+import CONSTANTS from './constants.js';
+import { formatCurrency } from './utils.js';
+
+/**
+ * Indicative exchange rates (units of each currency per 1 USD), bundled so price
+ * previews work offline. Not for settlement: agents are always charged in the service's currency.
+ */
+export const OFFLINE_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+  JPY: 149.5,
+  CNY: 7.24,
+  INR: 83.2
+};
+
+export const OFFLINE_RATES_AS_OF = '2026-01-01';
+
+/**
+ * Decimal places for a currency (2 when unknown)
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Minor unit digits
+ */
+export const getMinorUnitDigits = (currency) => {
+  const digits = CONSTANTS.CURRENCY_MINOR_UNITS[currency];
+  return digits !== undefined ? digits : 2;
+};
+
+/**
+ * Convert a major-unit amount (e.g. 12.34) to integer minor units (1234)
+ * Shifts the decimal point in the number's string form to avoid binary rounding (1.005 → 101)
+ * @param {number|string} amount - Major-unit amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Integer minor units
+ */
+export const toMinorUnits = (amount, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+
+  const digits = getMinorUnitDigits(currency);
+  const [mantissa, exponent = '0'] = String(value).split('e');
+  return Math.round(Number(`${mantissa}e${Number(exponent) + digits}`));
+};
+
+/**
+ * Convert integer minor units back to a major-unit number
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Major-unit amount
+ */
+export const fromMinorUnits = (minor, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY) => {
+  const digits = getMinorUnitDigits(currency);
+  return Number(`${minor}e-${digits}`);
+};
+
+/**
+ * Multiply minor units by a factor (quantity, multiplier or rate), rounding half up to a whole minor unit
+ * @param {number} minor - Integer minor units
+ * @param {number} factor - Multiplier
+ * @returns {number} Integer minor units
+ */
+export const multiplyMinor = (minor, factor) => {
+  return Math.round(minor * factor);
+};
+
+/**
+ * Percentage of an amount in minor units
+ * @param {number} minor - Integer minor units
+ * @param {number} percentage - 0-100
+ * @returns {number} Integer minor units
+ */
+export const percentageOf = (minor, percentage) => {
+  return multiplyMinor(minor, percentage / 100);
+};
+
+/**
+ * Convert minor units between currencies using a rate table
+ * @param {number} minor - Integer minor units in the source currency
+ * @param {string} from - Source ISO 4217 code
+ * @param {string} to - Target ISO 4217 code
+ * @param {Object} rates - Units of each currency per 1 USD (defaults to the offline table)
+ * @returns {number|null} Integer minor units in the target currency, or null when a rate is missing
+ */
+export const convertMinorUnits = (minor, from, to, rates = OFFLINE_EXCHANGE_RATES) => {
+  if (from === to) {
+    return minor;
+  }
+  if (!rates[from] || !rates[to]) {
+    return null;
+  }
+
+  const digitShift = getMinorUnitDigits(to) - getMinorUnitDigits(from);
+  return Math.round(minor * (rates[to] / rates[from]) * Math.pow(10, digitShift));
+};
+
+/**
+ * Format minor units for display with the currency's decimal places
+ * @param {number} minor - Integer minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale] - BCP 47 locale (defaults to the user's locale)
+ * @returns {string} Formatted amount, e.g. "$12.34" or "¥1,200"
+ */
+export const formatMinorUnits = (minor, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY, locale = undefined) => {
+  return formatCurrency(fromMinorUnits(minor, currency), currency, locale);
+};
+
+export default {
+  OFFLINE_EXCHANGE_RATES,
+  OFFLINE_RATES_AS_OF,
+  getMinorUnitDigits,
+  toMinorUnits,
+  fromMinorUnits,
+  multiplyMinor,
+  percentageOf,
+  convertMinorUnits,
+  formatMinorUnits
+};
@@ -0,0 +1,334 @@
+/**
+ * Parameter Library
+ * Predefined parameter definitions by business type, plus the business's own saved templates
+ * Templates are form-state parameters (the shape ParameterBuilder edits) without conditions or
+ * comparisons, since those reference other parameters of the service they came from
+ */
+
+import CONSTANTS from './constants.js';
+import { STORAGE_NAMESPACES, getStorage } from './storage.js';
+import { deepClone } from './utils.js';
+
+const { PARAMETER_TYPES, PARAMETER_FORMATS, PRICING_MODELS, BUSINESS_TYPES } = CONSTANTS;
+
+export const SAVED_TEMPLATES_STORAGE_KEY = 'parameters';
+
+const templateStorage = getStorage(STORAGE_NAMESPACES.TEMPLATES);
+
+// Saved templates as last loaded or stored, so pickers can render synchronously
+let savedTemplates = [];
+
+/**
+ * Build a complete template from the fields that differ from an empty parameter
+ */
+const template = (name, type, description, fields = {}) => ({
+  name,
+  type,
+  description,
+  required: false,
+  constraints: {},
+  pricing: null,
+  ...fields
+});
+
+/**
+ * Flat or per-unit pricing in the service currency (set on insert)
+ */
+const pricing = (model, baseRate, fields = {}) => ({
+  model,
+  baseRate,
+  taxRate: 0,
+  serviceFee: 0,
+  timeModifiers: [],
+  seasons: [],
+  ...fields
+});
+
+/**
+ * Parameters most services need, whatever the business type
+ */
+export const COMMON_PARAMETERS = [
+  template('customer_name', PARAMETER_TYPES.STRING, 'Full name of the customer', {
+    required: true,
+    constraints: { minLength: 1, maxLength: 100 }
+  }),
+  template('customer_email', PARAMETER_TYPES.STRING, 'Email address for confirmations', {
+    required: true,
+    constraints: { format: PARAMETER_FORMATS.EMAIL }
+  }),
+  template('customer_phone', PARAMETER_TYPES.STRING, 'Phone number in international format', {
+    constraints: { format: PARAMETER_FORMATS.PHONE }
+  }),
+  template('special_requests', PARAMETER_TYPES.STRING, 'Special requests or notes for the business', {
+    constraints: { maxLength: 500 }
+  })
+];
+
+/**
+ * Parameters specific to each business type
+ */
+export const PARAMETER_LIBRARY = {
+  [BUSINESS_TYPES.HOSPITALITY]: [
+    template('check_in_date', PARAMETER_TYPES.DATE, 'Arrival date', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATE }
+    }),
+    template('check_out_date', PARAMETER_TYPES.DATE, 'Departure date', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATE }
+    }),
+    template('guests', PARAMETER_TYPES.INTEGER, 'Number of guests staying', {
+      required: true,
+      default: 2,
+      constraints: { minimum: 1, maximum: 10 }
+    }),
+    template('room_type', PARAMETER_TYPES.STRING, 'Room category', {
+      constraints: { enum: ['standard', 'deluxe', 'suite'] }
+    }),
+    template('extra_bed', PARAMETER_TYPES.BOOLEAN, 'Add an extra bed to the room', {
+      default: false,
+      pricing: pricing(PRICING_MODELS.FLAT, 25)
+    })
+  ],
+  [BUSINESS_TYPES.FOOD_SERVICE]: [
+    template('reservation_date', PARAMETER_TYPES.DATE, 'Date of the reservation', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATE }
+    }),
+    template('reservation_time', PARAMETER_TYPES.TIME, 'Time of the reservation', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.TIME }
+    }),
+    template('party_size', PARAMETER_TYPES.INTEGER, 'Number of people in the party', {
+      required: true,
+      default: 2,
+      constraints: { minimum: 1, maximum: 20 }
+    }),
+    template('dietary_requirements', PARAMETER_TYPES.ARRAY, 'Dietary requirements to accommodate', {
+      constraints: { maxItems: 10 },
+      items: { type: PARAMETER_TYPES.STRING, description: '', constraints: { maxLength: 50 } }
+    })
+  ],
+  [BUSINESS_TYPES.RETAIL]: [
+    template('product_sku', PARAMETER_TYPES.STRING, 'Stock keeping unit of the product', {
+      required: true,
+      constraints: { maxLength: 64 }
+    }),
+    template('quantity', PARAMETER_TYPES.INTEGER, 'Number of items to order', {
+      required: true,
+      default: 1,
+      constraints: { minimum: 1, maximum: 100 }
+    }),
+    template('gift_wrap', PARAMETER_TYPES.BOOLEAN, 'Gift wrap the order', {
+      default: false,
+      pricing: pricing(PRICING_MODELS.FLAT, 5)
+    })
+  ],
+  [BUSINESS_TYPES.HEALTHCARE]: [
+    template('appointment_datetime', PARAMETER_TYPES.DATETIME, 'Requested appointment date and time', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATETIME }
+    }),
+    template('patient_date_of_birth', PARAMETER_TYPES.DATE, 'Patient date of birth', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATE }
+    }),
+    template('visit_reason', PARAMETER_TYPES.STRING, 'Reason for the visit', {
+      constraints: { maxLength: 500 }
+    }),
+    template('new_patient', PARAMETER_TYPES.BOOLEAN, 'First visit to this practice', {
+      default: false
+    })
+  ],
+  [BUSINESS_TYPES.FINANCE]: [
+    template('consultation_datetime', PARAMETER_TYPES.DATETIME, 'Requested consultation date and time', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATETIME }
+    }),
+    template('consultation_topic', PARAMETER_TYPES.STRING, 'Topic of the consultation', {
+      required: true,
+      constraints: { enum: ['tax', 'investments', 'retirement', 'loans', 'other'] }
+    })
+  ],
+  [BUSINESS_TYPES.PROFESSIONAL_SERVICES]: [
+    template('appointment_datetime', PARAMETER_TYPES.DATETIME, 'Requested appointment date and time', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATETIME }
+    }),
+    template('duration_hours', PARAMETER_TYPES.NUMBER, 'Hours of work booked', {
+      required: true,
+      default: 1,
+      constraints: { minimum: 0.5, maximum: 40 },
+      pricing: pricing(PRICING_MODELS.PER_UNIT, 100, { unit: 'hour' })
+    })
+  ],
+  [BUSINESS_TYPES.EDUCATION]: [
+    template('session_date', PARAMETER_TYPES.DATE, 'Date of the class or session', {
+      required: true,
+      constraints: { format: PARAMETER_FORMATS.DATE }
+    }),
+    template('participants', PARAMETER_TYPES.INTEGER, 'Number of participants', {
+      required: true,
+      default: 1,
+      constraints: { minimum: 1, maximum: 30 },
+      pricing: pricing(PRICING_MODELS.PER_UNIT, 40, { unit: 'participant' })
+    }),
+    template('skill_level', PARAMETER_TYPES.STRING, 'Experience level of the participants', {
+      constraints: { enum: ['beginner', 'intermediate', 'advanced'] }
+    })
+  ],
+  [BUSINESS_TYPES.TECHNOLOGY]: [
+    template('plan', PARAMETER_TYPES.STRING, 'Subscription plan', {
+      required: true,
+      constraints: { enum: ['basic', 'pro', 'enterprise'] }
+    }),
+    template('seats', PARAMETER_TYPES.INTEGER, 'Number of user seats', {
+      required: true,
+      default: 1,
+      constraints: { minimum: 1, maximum: 1000 },
+      pricing: pricing(PRICING_MODELS.PER_UNIT, 10, { unit: 'seat' })
+    }),
+    template('callback_url', PARAMETER_TYPES.STRING, 'URL notified when provisioning completes', {
+      constraints: { format: PARAMETER_FORMATS.URL }
+    })
+  ],
+  [BUSINESS_TYPES.CREATIVE]: [
+    template('project_brief', PARAMETER_TYPES.STRING, 'Description of the work requested', {
+      required: true,
+      constraints: { minLength: 10, maxLength: 2000 }
+    }),
+    template('deadline', PARAMETER_TYPES.DATE, 'Date the work is needed by', {
+      constraints: { format: PARAMETER_FORMATS.DATE }
+    }),
+    template('revisions', PARAMETER_TYPES.INTEGER, 'Rounds of revisions included', {
+      default: 2,
+      constraints: { minimum: 0, maximum: 10 }
+    })
+  ],
+  [BUSINESS_TYPES.OTHER]: []
+};
+
+/**
+ * Library templates offered for a business type (common parameters first)
+ * @param {string} businessType - One of BUSINESS_TYPES (empty for none selected)
+ * @returns {Array} Form-state parameter templates
+ */
+export const getLibraryTemplates = (businessType) => {
+  return [...COMMON_PARAMETERS, ...(PARAMETER_LIBRARY[businessType] || [])];
+};
+
+/**
+ * Find a library template by name in any business type
+ * @param {string} name - Parameter name
+ * @returns {Object|null} Form-state parameter template
+ */
+export const findLibraryTemplate = (name) => {
+  const templates = [COMMON_PARAMETERS, ...Object.values(PARAMETER_LIBRARY)].flat();
+  return templates.find(template => template.name === name) || null;
+};
+
+/**
+ * Load the templates the business has saved from its own parameters
+ * @returns {Promise<Array>} Form-state parameter templates
+ */
+export const loadSavedTemplates = async () => {
+  const templates = await templateStorage.get(SAVED_TEMPLATES_STORAGE_KEY, []);
+  savedTemplates = Array.isArray(templates) ? templates : [];
+  return savedTemplates;
+};
+
+/**
+ * Saved templates as of the last load or change (empty until loadSavedTemplates resolves)
+ * @returns {Array} Form-state parameter templates
+ */
+export const getSavedTemplates = () => savedTemplates;
+
+/**
+ * Store the saved templates
+ * @returns {Promise<boolean>} Whether they were stored
+ */
+const storeSavedTemplates = async (templates) => {
+  try {
+    await templateStorage.set(SAVED_TEMPLATES_STORAGE_KEY, templates);
+    savedTemplates = templates;
+    return true;
+  } catch (error) {
+    console.error('Failed to store parameter templates:', error);
+    return false;
+  }
+};
+
+/**
+ * Copy a parameter into a template, dropping conditions and comparisons
+ * @param {Object} parameter - Form-state parameter
+ * @returns {Object} Template
+ */
+export const createTemplateFromParameter = (parameter) => {
+  const { requiredWhen, visibleWhen, comparisons, ...fields } = deepClone(parameter);
+  return fields;
+};
+
+/**
+ * Save a parameter as a template, replacing any saved template with the same name
+ * @param {Object} parameter - Form-state parameter
+ * @returns {Promise<boolean>} Whether the template was stored
+ */
+export const saveParameterTemplate = (parameter) => {
+  const templates = savedTemplates.filter(saved => saved.name !== parameter.name);
+  return storeSavedTemplates([...templates, createTemplateFromParameter(parameter)]);
+};
+
+/**
+ * Delete a saved template
+ * @param {string} name - Template (parameter) name
+ * @returns {Promise<boolean>} Whether the change was stored
+ */
+export const removeParameterTemplate = (name) => {
+  return storeSavedTemplates(savedTemplates.filter(saved => saved.name !== name));
+};
+
+/**
+ * Create a parameter from a template, ready to add to a service
+ * Pricing moves to the service currency (amounts are kept as entered) and the name gets a
+ * numeric suffix when the service already has a parameter with it
+ * @param {Object} parameterTemplate - Library or saved template
+ * @param {Object} options
+ * @param {string} [options.currency] - Service currency
+ * @param {string[]} [options.existingNames] - Names already used in the service
+ * @returns {Object} Form-state parameter
+ */
+export const createParameterFromTemplate = (parameterTemplate, options = {}) => {
+  const { currency = CONSTANTS.DEFAULT_VALUES.CURRENCY, existingNames = [] } = options;
+  const parameter = {
+    ...createTemplateFromParameter(parameterTemplate),
+    requiredWhen: null,
+    visibleWhen: null,
+    comparisons: []
+  };
+
+  let name = parameter.name;
+  for (let suffix = 2; existingNames.includes(name); suffix++) {
+    name = `${parameter.name}_${suffix}`;
+  }
+  parameter.name = name;
+
+  if (parameter.pricing) {
+    parameter.pricing.currency = currency;
+  }
+
+  return parameter;
+};
+
+export default {
+  SAVED_TEMPLATES_STORAGE_KEY,
+  COMMON_PARAMETERS,
+  PARAMETER_LIBRARY,
+  getLibraryTemplates,
+  findLibraryTemplate,
+  loadSavedTemplates,
+  getSavedTemplates,
+  createTemplateFromParameter,
+  saveParameterTemplate,
+  removeParameterTemplate,
+  createParameterFromTemplate
+};
@@ -0,0 +1,180 @@
+/**
+ * Parameter Rules
+ * Evaluates conditional and cross-parameter rules on parameter values
+ * Conditions ({ parameter, operator, value }) and comparisons ({ operator, parameter }) have the
+ * same shape in form state and API payloads, so these helpers serve the validator and the quote engine alike
+ */
+
+import CONSTANTS from './constants.js';
+
+const { CONDITION_OPERATORS, COMPARISON_OPERATORS } = CONSTANTS;
+
+/**
+ * Check whether a value counts as provided
+ */
+export const isValueSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Order two values: numbers numerically, everything else as strings
+ * (ISO dates, date-times and HH:MM times order correctly as strings)
+ * @returns {number} Negative, zero or positive
+ */
+const orderValues = (left, right) => {
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  return String(left) < String(right) ? -1 : (String(left) > String(right) ? 1 : 0);
+};
+
+/**
+ * Compare two values with a comparison operator
+ * @param {*} left - Value of the parameter that owns the rule
+ * @param {*} right - Value of the parameter it is compared with
+ * @param {string} operator - One of COMPARISON_OPERATORS
+ * @returns {boolean}
+ */
+export const compareValues = (left, right, operator) => {
+  const order = orderValues(left, right);
+
+  switch (operator) {
+    case COMPARISON_OPERATORS.GREATER_THAN:
+      return order > 0;
+    case COMPARISON_OPERATORS.GREATER_THAN_OR_EQUAL:
+      return order >= 0;
+    case COMPARISON_OPERATORS.LESS_THAN:
+      return order < 0;
+    case COMPARISON_OPERATORS.LESS_THAN_OR_EQUAL:
+      return order <= 0;
+    case COMPARISON_OPERATORS.EQUALS:
+      return order === 0;
+    case COMPARISON_OPERATORS.NOT_EQUALS:
+      return order !== 0;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Check whether a condition on another parameter holds
+ * @param {Object|null} condition - { parameter, operator, value }
+ * @param {Object} values - Parameter values keyed by name
+ * @returns {boolean} True when there is no condition
+ */
+export const isConditionMet = (condition, values) => {
+  if (!condition) {
+    return true;
+  }
+
+  const actual = values[condition.parameter];
+  if (condition.operator === CONDITION_OPERATORS.IS_SET) {
+    return isValueSet(actual);
+  }
+  if (!isValueSet(actual)) {
+    return condition.operator === CONDITION_OPERATORS.NOT_EQUALS;
+  }
+
+  switch (condition.operator) {
+    case CONDITION_OPERATORS.EQUALS:
+      return actual === condition.value;
+    case CONDITION_OPERATORS.NOT_EQUALS:
+      return actual !== condition.value;
+    case CONDITION_OPERATORS.GREATER_THAN:
+      return orderValues(actual, condition.value) > 0;
+    case CONDITION_OPERATORS.LESS_THAN:
+      return orderValues(actual, condition.value) < 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Human-readable form of a condition, e.g. 'has_pets equals true'
+ */
+export const describeCondition = (condition) => {
+  const label = CONSTANTS.CONDITION_OPERATOR_LABELS[condition.operator] || condition.operator;
+  return condition.operator === CONDITION_OPERATORS.IS_SET
+    ? `${condition.parameter} ${label}`
+    : `${condition.parameter} ${label} ${condition.value}`;
+};
+
+/**
+ * Human-readable form of a comparison, e.g. 'end_date must be after / greater than start_date'
+ */
+export const describeComparison = (name, comparison) => {
+  const label = CONSTANTS.COMPARISON_OPERATOR_LABELS[comparison.operator] || comparison.operator;
+  return `${name} ${label} ${comparison.parameter}`;
+};
+
+/**
+ * Values with each parameter's default filled in where no value was given
+ * @param {Object} parameters - API-format parameters keyed by name
+ * @param {Object} values - Supplied values keyed by name
+ */
+export const resolveParameterValues = (parameters, values = {}) => {
+  const resolved = { ...values };
+  Object.entries(parameters).forEach(([name, config]) => {
+    if (!isValueSet(resolved[name]) && config.default !== undefined && config.default !== null) {
+      resolved[name] = config.default;
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Check supplied values against the parameters' conditional and comparison rules
+ * Defaults count towards conditions, requirements and comparisons; only explicitly
+ * supplied values are reported for parameters that do not apply
+ * @param {Object} parameters - API-format parameters keyed by name
+ * @param {Object} values - Supplied values keyed by name
+ * @param {string[]} [names] - Only check these parameters (defaults to all)
+ * @returns {Array} - [{ parameter, message }]
+ */
+export const checkParameterValues = (parameters, values = {}, names = Object.keys(parameters)) => {
+  const resolved = resolveParameterValues(parameters, values);
+  const violations = [];
+
+  names.forEach(name => {
+    const config = parameters[name];
+    if (!config) return;
+
+    if (!isConditionMet(config.visible_when, resolved)) {
+      if (isValueSet(values[name])) {
+        violations.push({
+          parameter: name,
+          message: `"${name}" only applies when ${describeCondition(config.visible_when)}`
+        });
+      }
+      return;
+    }
+
+    const required = config.required || (config.required_when && isConditionMet(config.required_when, resolved));
+    if (required && !isValueSet(resolved[name])) {
+      violations.push({
+        parameter: name,
+        message: config.required_when
+          ? `"${name}" is required when ${describeCondition(config.required_when)}`
+          : `"${name}" is required`
+      });
+      return;
+    }
+
+    (config.comparisons || []).forEach(comparison => {
+      const other = resolved[comparison.parameter];
+      if (isValueSet(resolved[name]) && isValueSet(other) && !compareValues(resolved[name], other, comparison.operator)) {
+        violations.push({ parameter: name, message: describeComparison(name, comparison) });
+      }
+    });
+  });
+
+  return violations;
+};
+
+export default {
+  isValueSet,
+  compareValues,
+  isConditionMet,
+  describeCondition,
+  describeComparison,
+  resolveParameterValues,
+  checkParameterValues
+};
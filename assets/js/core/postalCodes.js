@@ -0,0 +1,103 @@
+/**
+ * Postal Codes
+ * Postal code formats for the COUNTRIES list
+ *
+ * Codes are checked with spaces and hyphens removed and written back in the country's standard
+ * form (upper case, separator where the post office puts it): "sw1a1aa" in GB is "SW1A 1AA".
+ * Countries without a listed format accept any code of VALIDATION_RULES.POSTAL_CODE length.
+ */
+
+import CONSTANTS from './constants.js';
+
+/**
+ * pattern: the code without spaces or hyphens
+ * separator: [position, character] inserted into the compact code (negative counts from the end)
+ * separatorFrom: only insert the separator when the compact code is at least this long
+ */
+export const POSTAL_CODE_FORMATS = {
+  US: { pattern: /^\d{5}(\d{4})?$/, example: '94103', separator: [5, '-'], separatorFrom: 9 },
+  CA: { pattern: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\d[ABCEGHJ-NPRSTV-Z]\d$/, example: 'K1A 0B1', separator: [3, ' '] },
+  GB: { pattern: /^([A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}|GIR0AA)$/, example: 'SW1A 1AA', separator: [-3, ' '] },
+  AU: { pattern: /^\d{4}$/, example: '2000' },
+  DE: { pattern: /^\d{5}$/, example: '10115' },
+  FR: { pattern: /^\d{5}$/, example: '75001' },
+  IT: { pattern: /^\d{5}$/, example: '00184' },
+  ES: { pattern: /^(0[1-9]|[1-4]\d|5[0-2])\d{3}$/, example: '28013' },
+  NL: { pattern: /^[1-9]\d{3}(?!SA|SD|SS)[A-Z]{2}$/, example: '1012 AB', separator: [4, ' '] },
+  SE: { pattern: /^[1-9]\d{4}$/, example: '114 55', separator: [3, ' '] },
+  NO: { pattern: /^\d{4}$/, example: '0150' },
+  DK: { pattern: /^[1-9]\d{3}$/, example: '1050' },
+  FI: { pattern: /^\d{5}$/, example: '00100' },
+  IE: { pattern: /^([AC-FHKNPRTV-Y]\d{2}|D6W)[\dAC-FHKNPRTV-Y]{4}$/, example: 'D02 X285', separator: [3, ' '] },
+  JP: { pattern: /^\d{7}$/, example: '100-0001', separator: [3, '-'] },
+  CN: { pattern: /^\d{6}$/, example: '100000' },
+  IN: { pattern: /^[1-9]\d{5}$/, example: '110001' },
+  BR: { pattern: /^\d{8}$/, example: '01310-100', separator: [5, '-'] },
+  MX: { pattern: /^\d{5}$/, example: '06000' }
+};
+
+const compact = (value) => String(value).toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Write a postal code in its country's standard form
+ * @param {string} value - Postal code as typed
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {string|null} Standard form, the trimmed code for countries without a listed format,
+ *                        or null when the code is not valid for the country
+ */
+export const normalizePostalCode = (value, country) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const format = POSTAL_CODE_FORMATS[country];
+  if (!format) {
+    const rules = CONSTANTS.VALIDATION_RULES.POSTAL_CODE;
+    const trimmed = value.trim();
+    return trimmed.length >= rules.MIN_LENGTH && trimmed.length <= rules.MAX_LENGTH ? trimmed : null;
+  }
+
+  const code = compact(value);
+  if (!format.pattern.test(code)) return null;
+  if (!format.separator || code.length < (format.separatorFrom || 0)) return code;
+
+  const [position, character] = format.separator;
+  const index = position < 0 ? code.length + position : position;
+  return `${code.slice(0, index)}${character}${code.slice(index)}`;
+};
+
+/**
+ * Check whether a postal code is valid for a country
+ */
+export const isValidPostalCode = (value, country) => normalizePostalCode(value, country) !== null;
+
+/**
+ * Example postal code for a country (for placeholders and error messages)
+ */
+export const getPostalCodeExample = (country) => POSTAL_CODE_FORMATS[country]?.example || '';
+
+/**
+ * Find a postal code valid for a country inside free text (e.g. a typed address)
+ * Addresses end with the postal code, so the last candidate wins over house numbers before it
+ * @returns {string|null} The code in standard form
+ */
+export const findPostalCode = (text, country) => {
+  const format = POSTAL_CODE_FORMATS[country];
+  if (!format || typeof text !== 'string') return null;
+
+  // Candidates of one to three words ending at each word, longest first ("SW1A 1AA" before "1AA")
+  const words = text.toUpperCase().split(/[\s,]+/).filter(Boolean);
+  for (let end = words.length; end > 0; end--) {
+    for (let length = Math.min(3, end); length >= 1; length--) {
+      const code = normalizePostalCode(words.slice(end - length, end).join(' '), country);
+      if (code) return code;
+    }
+  }
+  return null;
+};
+
+export default {
+  POSTAL_CODE_FORMATS,
+  normalizePostalCode,
+  isValidPostalCode,
+  getPostalCodeExample,
+  findPostalCode
+};
@@ -0,0 +1,298 @@
+/**
+ * Quote Engine
+ * Answers "what would an agent be charged for these parameters?" for an API-format service
+ * (FormDataTransformer.transformService). All arithmetic is done in integer minor units.
+ *
+ * Pricing rules, per priced parameter that has a value:
+ * - flat: base_rate (boolean parameters are only charged when true)
+ * - per_unit: base_rate × quantity
+ * - tiered: base_rate once, plus the quantity priced by tier; volume prices the whole
+ *   quantity at the rate of the tier it falls in, graduated prices each tier's slice separately
+ * - Every matching time-based rule and season multiplies the charge (multipliers compound)
+ * - minimum_charge raises the charge after multipliers; service_fee is then added once
+ * - tax_rate applies to the charge plus its service fee
+ * - Parameters whose visible_when condition does not hold are not charged
+ */
+
+import CONSTANTS from './constants.js';
+import { ValidationError } from './errorHandler.js';
+import { multiplyMinor, percentageOf, toMinorUnits } from './money.js';
+import { checkParameterValues, isConditionMet, resolveParameterValues } from './parameterRules.js';
+import { getWallClockTime, hasUTCOffset } from './dateTime.js';
+
+const { PRICING_MODELS, TIER_MODES, PAYMENT_TIMING, PARAMETER_TYPES } = CONSTANTS;
+
+/**
+ * Split a service time into wall-clock parts
+ * Local strings are read as written ("2026-07-04T19:30" is 19:30 on a Saturday wherever the quote
+ * runs); Dates and strings with a UTC offset are read in the timezone
+ * @param {Date|string} at - Service date/time
+ * @param {string} [timezone] - Business location timezone (defaults to the runtime's)
+ * @returns {Object|null} { monthDay: 'MM-DD', time: 'HH:MM', day: 0-6 } or null when not given
+ */
+export const getServiceTimeParts = (at, timezone) => {
+  if (at === undefined || at === null || at === '') {
+    return null;
+  }
+
+  let year, month, date, hours, minutes;
+
+  if (at instanceof Date || hasUTCOffset(at)) {
+    const instant = new Date(at);
+    if (isNaN(instant.getTime())) throw new ValidationError('Invalid service date/time', 'at');
+
+    if (timezone) {
+      const wallClock = new Date(getWallClockTime(instant.getTime(), timezone));
+      [year, month, date, hours, minutes] = [wallClock.getUTCFullYear(), wallClock.getUTCMonth() + 1,
+        wallClock.getUTCDate(), wallClock.getUTCHours(), wallClock.getUTCMinutes()];
+    } else {
+      [year, month, date, hours, minutes] = [instant.getFullYear(), instant.getMonth() + 1, instant.getDate(),
+        instant.getHours(), instant.getMinutes()];
+    }
+  } else {
+    const match = String(at).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+    if (!match) throw new ValidationError('Invalid service date/time', 'at');
+    [year, month, date, hours, minutes] = match.slice(1).map(part => Number(part || 0));
+  }
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    monthDay: `${pad(month)}-${pad(date)}`,
+    time: `${pad(hours)}:${pad(minutes)}`,
+    day: new Date(Date.UTC(year, month - 1, date)).getUTCDay()
+  };
+};
+
+/**
+ * Check whether a time-based rule applies (end time is exclusive; ranges may run past midnight)
+ */
+const matchesTimeModifier = (modifier, parts) => {
+  if (!(modifier.days || []).includes(parts.day)) return false;
+
+  const { start_time: start, end_time: end } = modifier;
+  return start < end
+    ? parts.time >= start && parts.time < end
+    : parts.time >= start || parts.time < end;
+};
+
+/**
+ * Check whether a season applies (inclusive MM-DD range; may wrap over the new year)
+ */
+const matchesSeason = (season, parts) => {
+  const { start_date: start, end_date: end } = season;
+  return start <= end
+    ? parts.monthDay >= start && parts.monthDay <= end
+    : parts.monthDay >= start || parts.monthDay <= end;
+};
+
+/**
+ * Combined multiplier and the names of the rules that produced it
+ */
+const getMultiplier = (pricing, parts) => {
+  if (!parts) {
+    return { multiplier: 1, appliedRules: [] };
+  }
+
+  const appliedRules = [];
+  let multiplier = 1;
+
+  (pricing.time_modifiers || []).forEach(modifier => {
+    if (matchesTimeModifier(modifier, parts)) {
+      multiplier *= modifier.multiplier;
+      appliedRules.push(`${modifier.start_time}-${modifier.end_time} ×${modifier.multiplier}`);
+    }
+  });
+
+  (pricing.seasons || []).forEach(season => {
+    if (matchesSeason(season, parts)) {
+      multiplier *= season.multiplier;
+      appliedRules.push(`${season.name} ×${season.multiplier}`);
+    }
+  });
+
+  return { multiplier, appliedRules };
+};
+
+/**
+ * Charge for a quantity under tiered pricing, in minor units
+ */
+const getTieredAmount = (pricing, quantity, currency) => {
+  const tiers = pricing.tiers || [];
+
+  if (pricing.tier_mode === TIER_MODES.GRADUATED) {
+    let amount = 0;
+    let lowerBound = 0;
+
+    for (const tier of tiers) {
+      const upperBound = tier.up_to === null || tier.up_to === undefined ? Infinity : tier.up_to;
+      const slice = Math.min(quantity, upperBound) - lowerBound;
+      if (slice <= 0) break;
+      amount += multiplyMinor(toMinorUnits(tier.rate, currency), slice);
+      lowerBound = upperBound;
+    }
+
+    return amount;
+  }
+
+  const tier = tiers.find(candidate => candidate.up_to === null || candidate.up_to === undefined || quantity <= candidate.up_to) ||
+               tiers[tiers.length - 1];
+  return tier ? multiplyMinor(toMinorUnits(tier.rate, currency), quantity) : 0;
+};
+
+/**
+ * Price a single parameter
+ * @returns {Object|null} Line item, or null when the parameter is not charged
+ */
+const priceParameter = (config, value, parts, currency) => {
+  const pricing = config.pricing;
+  const model = pricing.model || PRICING_MODELS.FLAT;
+  if (!Object.values(PRICING_MODELS).includes(model)) {
+    throw new ValidationError(`"${config.name}" has an unknown pricing model "${model}"`, config.name);
+  }
+
+  const baseRate = toMinorUnits(pricing.base_rate || 0, currency);
+  let quantity = 1;
+  let amount;
+
+  if (model === PRICING_MODELS.FLAT) {
+    if (config.type === PARAMETER_TYPES.BOOLEAN && value !== true) {
+      return null;
+    }
+    amount = baseRate;
+  } else {
+    quantity = Number(value);
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw new ValidationError(`"${config.name}" must be a non-negative number to be priced`, config.name);
+    }
+    amount = model === PRICING_MODELS.TIERED
+      ? baseRate + getTieredAmount(pricing, quantity, currency)
+      : multiplyMinor(baseRate, quantity);
+  }
+
+  const { multiplier, appliedRules } = getMultiplier(pricing, parts);
+  const baseAmount = amount;
+  amount = multiplyMinor(amount, multiplier);
+
+  const minimumCharge = pricing.minimum_charge !== undefined && pricing.minimum_charge !== null
+    ? toMinorUnits(pricing.minimum_charge, currency)
+    : 0;
+  const minimumApplied = amount < minimumCharge;
+  if (minimumApplied) {
+    amount = minimumCharge;
+  }
+
+  const serviceFee = toMinorUnits(pricing.service_fee || 0, currency);
+  const tax = multiplyMinor(amount + serviceFee, pricing.tax_rate || 0);
+
+  return {
+    parameter: config.name,
+    model,
+    quantity,
+    unit: pricing.unit,
+    baseAmount,
+    multiplier,
+    appliedRules,
+    minimumApplied,
+    amount,
+    serviceFee,
+    tax,
+    total: amount + serviceFee + tax
+  };
+};
+
+/**
+ * Split a total into payments according to payment timing and deposit
+ * @param {Object} paymentConfig - API-format payment_config
+ * @param {number} total - Total in minor units
+ * @returns {Object} - { deposit, payments: [{ timing, amount }] }
+ * @throws {ValidationError} When the payment timing is not one of PAYMENT_TIMING
+ */
+export const splitPayments = (paymentConfig = {}, total) => {
+  const timing = paymentConfig.timing || PAYMENT_TIMING.AT_BOOKING;
+  if (!Object.values(PAYMENT_TIMING).includes(timing)) {
+    throw new ValidationError(`Unknown payment timing "${timing}"`, 'timing');
+  }
+
+  const hasDeposit = paymentConfig.deposit_required || timing === PAYMENT_TIMING.DEPOSIT_THEN_BALANCE;
+  const deposit = hasDeposit && timing !== PAYMENT_TIMING.AT_BOOKING
+    ? percentageOf(total, paymentConfig.deposit_percentage || 0)
+    : 0;
+
+  const balanceTiming = timing === PAYMENT_TIMING.DEPOSIT_THEN_BALANCE ? PAYMENT_TIMING.ON_ARRIVAL : timing;
+  const payments = [];
+
+  if (timing === PAYMENT_TIMING.AT_BOOKING) {
+    payments.push({ timing: PAYMENT_TIMING.AT_BOOKING, amount: total });
+  } else {
+    if (deposit > 0) {
+      payments.push({ timing: PAYMENT_TIMING.AT_BOOKING, amount: deposit });
+    }
+    payments.push({ timing: balanceTiming, amount: total - deposit });
+  }
+
+  return { deposit, payments };
+};
+
+/**
+ * Build an itemised quote
+ * @param {Object} service - API-format service
+ * @param {Object} values - Parameter values keyed by parameter name
+ * @param {Object} options
+ * @param {Date|string} [options.at] - Service date/time used for time-based and seasonal rules
+ * @param {string} [options.timezone] - Business location timezone that rules are in
+ * @returns {Object} - { currency, lineItems, subtotal, serviceFees, tax, total, deposit, payments }
+ *                     (all amounts in integer minor units of currency)
+ * @throws {ValidationError} When a priced value breaks a parameter rule (required, required-when,
+ *                           visible-when, comparison), a quantity is invalid, currencies differ or
+ *                           the pricing model or payment timing is unknown
+ */
+export const calculateQuote = (service, values = {}, options = {}) => {
+  const parameters = service.parameters || {};
+  const pricedParameters = Object.entries(parameters)
+    .filter(([, config]) => config.pricing)
+    .map(([name, config]) => ({ ...config, name }));
+
+  const currencies = [...new Set(pricedParameters.map(config => config.pricing.currency || CONSTANTS.DEFAULT_VALUES.CURRENCY))];
+  if (currencies.length > 1) {
+    throw new ValidationError(`All priced parameters must use the same currency (found ${currencies.join(', ')})`, 'currency');
+  }
+  const currency = currencies[0] || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+
+  const [violation] = checkParameterValues(parameters, values, pricedParameters.map(config => config.name));
+  if (violation) {
+    throw new ValidationError(violation.message, violation.parameter);
+  }
+
+  const resolved = resolveParameterValues(parameters, values);
+  const parts = getServiceTimeParts(options.at, options.timezone);
+  const lineItems = pricedParameters
+    .map(config => {
+      const value = resolved[config.name];
+      if (value === undefined || value === null || value === '' || !isConditionMet(config.visible_when, resolved)) {
+        return null;
+      }
+      return priceParameter(config, value, parts, currency);
+    })
+    .filter(Boolean);
+
+  const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+  const serviceFees = lineItems.reduce((sum, item) => sum + item.serviceFee, 0);
+  const tax = lineItems.reduce((sum, item) => sum + item.tax, 0);
+  const total = subtotal + serviceFees + tax;
+
+  return {
+    currency,
+    lineItems,
+    subtotal,
+    serviceFees,
+    tax,
+    total,
+    ...splitPayments(service.payment_config, total)
+  };
+};
+
+export default {
+  getServiceTimeParts,
+  splitPayments,
+  calculateQuote
+};
@@ -0,0 +1,133 @@
+/**
+ * Refund Calculator
+ * Deterministic reference for what a cancellation costs under a service's configured policy
+ * Works on API-format services (FormDataTransformer.transformService) so agents and staff
+ * get the same answer from the same registration
+ */
+
+import CONSTANTS from './constants.js';
+import { ValidationError } from './errorHandler.js';
+import { fromMinorUnits, toMinorUnits } from './money.js';
+import { toInstant } from './dateTime.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Round a major-unit amount to the currency's minor unit (cents, or whole yen)
+ */
+const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+/**
+ * Parse a Date, timestamp or date string (read in the timezone when it has no UTC offset)
+ */
+const toTime = (value, field, timezone) => {
+  const time = toInstant(value, timezone);
+  if (time === null) {
+    throw new ValidationError(`Invalid ${field}`, field);
+  }
+  return time;
+};
+
+/**
+ * Hours between cancellation and the start of the booked service (negative once it has started)
+ * @param {Date|string|number} bookingTime - Start time of the booked service
+ * @param {Date|string|number} cancellationTime - When the customer cancels
+ * @param {string} [timezone] - Business location timezone that date/time strings without a UTC offset are in
+ * @returns {number} Hours before start
+ */
+export const getHoursBeforeStart = (bookingTime, cancellationTime, timezone = CONSTANTS.DEFAULT_VALUES.TIMEZONE) => {
+  return (toTime(bookingTime, 'bookingTime', timezone) - toTime(cancellationTime, 'cancellationTime', timezone)) / MS_PER_HOUR;
+};
+
+/**
+ * Deposit amount for a price under a payment configuration
+ * @param {Object} paymentConfig - API-format payment_config
+ * @param {number} price - Total booking price
+ * @param {string} [currency] - ISO 4217 code used for rounding
+ * @returns {number} Deposit amount (0 when no deposit applies)
+ */
+export const getDepositAmount = (paymentConfig = {}, price, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY) => {
+  const hasDeposit = paymentConfig.deposit_required ||
+                     paymentConfig.timing === CONSTANTS.PAYMENT_TIMING.DEPOSIT_THEN_BALANCE;
+  return hasDeposit ? roundAmount(price * (paymentConfig.deposit_percentage || 0) / 100, currency) : 0;
+};
+
+/**
+ * Amount the customer has paid before the service starts
+ * At booking: the full price. Deposit then balance: the deposit only (the balance is due at the service).
+ * On arrival / after service: the deposit when one is required, otherwise nothing.
+ * @param {Object} paymentConfig - API-format payment_config
+ * @param {number} price - Total booking price
+ * @param {string} [currency] - ISO 4217 code used for rounding
+ * @returns {number} Amount paid in advance
+ */
+export const getAmountPaidBeforeStart = (paymentConfig = {}, price, currency = CONSTANTS.DEFAULT_VALUES.CURRENCY) => {
+  if (paymentConfig.timing === CONSTANTS.PAYMENT_TIMING.AT_BOOKING) {
+    return roundAmount(price, currency);
+  }
+  return getDepositAmount(paymentConfig, price, currency);
+};
+
+/**
+ * Penalty percentage for a cancellation under a policy
+ * @param {Object} policy - API-format cancellation_policy
+ * @param {number} hoursBeforeStart - Hours between cancellation and start
+ * @returns {number} Penalty percentage (0-100)
+ */
+export const getPenaltyPercentage = (policy = {}, hoursBeforeStart) => {
+  if (policy.type === CONSTANTS.CANCELLATION_POLICY_TYPES.NON_REFUNDABLE) {
+    return 100;
+  }
+  return hoursBeforeStart >= (policy.free_until_hours || 0) ? 0 : (policy.penalty_percentage || 0);
+};
+
+/**
+ * Calculate the financial outcome of cancelling a booking
+ * @param {Object} service - API-format service (cancellation_policy, payment_config, policies)
+ * @param {Object} options
+ * @param {number} options.price - Total booking price
+ * @param {Date|string|number} options.bookingTime - Start time of the booked service
+ * @param {Date|string|number} options.cancellationTime - When the customer cancels
+ * @param {number} [options.amountPaid] - Amount actually paid so far (defaults to what the payment timing collects before start)
+ * @param {string} [options.currency] - Currency of the amounts (defaults to the service's currency)
+ * @param {string} [options.timezone] - Business location timezone that date/time strings without a UTC offset are in
+ * @returns {Object} - { hoursBeforeStart, withinFreePeriod, penaltyPercentage, amountPaid, penalty,
+ *                       refund, amountOwed, modificationFee, noShowPenalty }
+ */
+export const calculateCancellation = (service, options) => {
+  const price = Number(options.price);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new ValidationError('Price must be a non-negative number', 'price');
+  }
+
+  const currency = options.currency || service.currency || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+  const hoursBeforeStart = getHoursBeforeStart(options.bookingTime, options.cancellationTime, options.timezone);
+  const penaltyPercentage = getPenaltyPercentage(service.cancellation_policy, hoursBeforeStart);
+  const amountPaid = options.amountPaid !== undefined
+    ? roundAmount(options.amountPaid, currency)
+    : getAmountPaidBeforeStart(service.payment_config, price, currency);
+
+  const penalty = roundAmount(price * penaltyPercentage / 100, currency);
+  const retained = Math.min(penalty, amountPaid);
+
+  return {
+    hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+    withinFreePeriod: service.cancellation_policy?.type !== CONSTANTS.CANCELLATION_POLICY_TYPES.NON_REFUNDABLE &&
+                      hoursBeforeStart >= (service.cancellation_policy?.free_until_hours || 0),
+    penaltyPercentage,
+    amountPaid,
+    penalty,
+    refund: roundAmount(amountPaid - retained, currency),
+    amountOwed: roundAmount(penalty - retained, currency),
+    modificationFee: roundAmount(service.policies?.modification_fee || 0, currency),
+    noShowPenalty: roundAmount(Math.min(service.policies?.no_show_penalty || 0, price), currency)
+  };
+};
+
+export default {
+  getHoursBeforeStart,
+  getDepositAmount,
+  getAmountPaidBeforeStart,
+  getPenaltyPercentage,
+  calculateCancellation
+};
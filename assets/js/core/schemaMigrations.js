@@ -0,0 +1,353 @@
+/**
+ * Schema Migrations
+ * Versioning for BAIS form state (drafts) and API payloads (registrations)
+ * Older documents are upgraded one version at a time through registered migrations
+ */
+
+import CONSTANTS from './constants.js';
+import { deepClone } from './utils.js';
+import { hasUTCOffset, isValidTimezone, normalizeDateTime } from './dateTime.js';
+import { SchemaVersionError } from './errorHandler.js';
+import { toE164 } from './countryFormats.js';
+
+/**
+ * Schema version written by this client
+ * Version 1 is the original, unversioned shape
+ */
+export const CURRENT_SCHEMA_VERSION = 9;
+
+export const SCHEMA_KINDS = {
+  FORM_STATE: 'formState',
+  API_PAYLOAD: 'apiPayload'
+};
+
+const VERSION_FIELDS = {
+  [SCHEMA_KINDS.FORM_STATE]: 'schemaVersion',
+  [SCHEMA_KINDS.API_PAYLOAD]: 'schema_version'
+};
+
+const KIND_LABELS = {
+  [SCHEMA_KINDS.FORM_STATE]: 'draft',
+  [SCHEMA_KINDS.API_PAYLOAD]: 'registration'
+};
+
+const migrations = {
+  [SCHEMA_KINDS.FORM_STATE]: {},
+  [SCHEMA_KINDS.API_PAYLOAD]: {}
+};
+
+/**
+ * Register a migration that upgrades a document from one version to the next
+ * @param {string} kind - One of SCHEMA_KINDS
+ * @param {number} fromVersion - Version the migration accepts
+ * @param {Function} migrate - (document) => document at fromVersion + 1
+ */
+export const registerMigration = (kind, fromVersion, migrate) => {
+  if (!migrations[kind]) {
+    throw new Error(`Unknown schema kind "${kind}"`);
+  }
+  migrations[kind][fromVersion] = migrate;
+};
+
+/**
+ * Read the schema version of a document (unversioned documents are version 1)
+ * @param {string} kind - One of SCHEMA_KINDS
+ * @param {Object} document - Form state or API payload
+ * @returns {number} Schema version
+ */
+export const getSchemaVersion = (kind, document) => {
+  const version = document?.[VERSION_FIELDS[kind]];
+  return version === undefined || version === null ? 1 : Number(version);
+};
+
+/**
+ * Upgrade a document to the current schema version
+ * @param {string} kind - One of SCHEMA_KINDS
+ * @param {Object} document - Form state or API payload
+ * @returns {Object} Migrated copy stamped with CURRENT_SCHEMA_VERSION
+ * @throws {SchemaVersionError} When the document is newer than this client or cannot be migrated
+ */
+export const migrateDocument = (kind, document) => {
+  const label = KIND_LABELS[kind];
+  let version = getSchemaVersion(kind, document);
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new SchemaVersionError(`This ${label} has an invalid schema version "${document[VERSION_FIELDS[kind]]}".`, version);
+  }
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new SchemaVersionError(
+      `This ${label} uses schema version ${version}, but this page only understands up to version ${CURRENT_SCHEMA_VERSION}. ` +
+      'Please reload the page to get the latest version before opening it.',
+      version
+    );
+  }
+
+  let migrated = deepClone(document);
+
+  while (version < CURRENT_SCHEMA_VERSION) {
+    const migrate = migrations[kind][version];
+    if (!migrate) {
+      throw new SchemaVersionError(`No migration available to upgrade this ${label} from schema version ${version}.`, version);
+    }
+    migrated = migrate(migrated);
+    version++;
+    migrated[VERSION_FIELDS[kind]] = version;
+  }
+
+  migrated[VERSION_FIELDS[kind]] = CURRENT_SCHEMA_VERSION;
+  return migrated;
+};
+
+/**
+ * Upgrade a saved draft (form state) to the current schema version
+ */
+export const migrateFormState = (formState) => migrateDocument(SCHEMA_KINDS.FORM_STATE, formState);
+
+/**
+ * Upgrade an API payload (registration) to the current schema version
+ */
+export const migrateAPIPayload = (payload) => migrateDocument(SCHEMA_KINDS.API_PAYLOAD, payload);
+
+/**
+ * v1 → v2 (form state)
+ * - Empty webhook event lists meant "use the defaults"; they are now explicit
+ * - Workflow steps imported in API snake_case are converted to camelCase
+ * - Parameter constraints no longer carry keys with undefined/null values
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 1, (state) => {
+  const webhooks = state.integration?.webhooks;
+  if (webhooks && (!webhooks.events || webhooks.events.length === 0)) {
+    webhooks.events = [...CONSTANTS.DEFAULT_VALUES.WEBHOOK_EVENTS];
+  }
+
+  (state.services || []).forEach(service => {
+    if (service.workflow?.steps) {
+      service.workflow.steps = service.workflow.steps.map(step => ({
+        name: step.name,
+        description: step.description || '',
+        required: step.required !== false,
+        timeoutMinutes: step.timeoutMinutes || step.timeout_minutes || CONSTANTS.DEFAULT_VALUES.TIMEOUT_MINUTES,
+        retryAttempts: step.retryAttempts !== undefined ? step.retryAttempts :
+                       (step.retry_attempts !== undefined ? step.retry_attempts : CONSTANTS.DEFAULT_VALUES.RETRY_ATTEMPTS)
+      }));
+    }
+
+    (service.parameters || []).forEach(param => {
+      param.constraints = Object.fromEntries(
+        Object.entries(param.constraints || {}).filter(([, value]) => value !== undefined && value !== null)
+      );
+    });
+  });
+
+  return state;
+});
+
+/**
+ * v1 → v2 (API payload)
+ * The payload shape is unchanged; version 2 only adds schema_version
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 1, (payload) => payload);
+
+/**
+ * v2 → v3 (form state)
+ * Parameter pricing gains a model plus time-of-day and seasonal modifiers;
+ * existing pricing is a flat rate without modifiers
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 2, (state) => {
+  (state.services || []).forEach(service => {
+    (service.parameters || []).forEach(param => {
+      if (param.pricing) {
+        param.pricing.model = param.pricing.model || CONSTANTS.DEFAULT_VALUES.PRICING_MODEL;
+        param.pricing.timeModifiers = param.pricing.timeModifiers || [];
+        param.pricing.seasons = param.pricing.seasons || [];
+      }
+    });
+  });
+
+  return state;
+});
+
+/**
+ * v2 → v3 (API payload)
+ * Pricing without a model is a flat rate, which is also the default when reading it
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 2, (payload) => payload);
+
+/**
+ * Currency of the first priced parameter in a list, or null when nothing is priced
+ */
+const getFirstPricingCurrency = (parameters) => {
+  const priced = parameters.find(param => param && param.pricing && param.pricing.currency);
+  return priced ? priced.pricing.currency : null;
+};
+
+/**
+ * v3 → v4 (form state)
+ * Currency moves up to the business (default) and service (override) level.
+ * The business default is the first priced parameter's currency; a service whose
+ * pricing uses a different currency gets it as an override.
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 3, (state) => {
+  const services = state.services || [];
+  const defaultCurrency = services
+    .map(service => getFirstPricingCurrency(service.parameters || []))
+    .find(Boolean) || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+
+  state.businessInfo = { ...state.businessInfo, currency: defaultCurrency };
+  services.forEach(service => {
+    const currency = getFirstPricingCurrency(service.parameters || []);
+    service.currency = currency && currency !== defaultCurrency ? currency : '';
+  });
+
+  return state;
+});
+
+/**
+ * v3 → v4 (API payload)
+ * Same promotion as the form state: default_currency on the registration, currency on services that differ
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 3, (payload) => {
+  const services = payload.services_config || [];
+  const defaultCurrency = payload.default_currency || services
+    .map(service => getFirstPricingCurrency(Object.values(service.parameters || {})))
+    .find(Boolean) || CONSTANTS.DEFAULT_VALUES.CURRENCY;
+
+  payload.default_currency = defaultCurrency;
+  services.forEach(service => {
+    const currency = service.currency || getFirstPricingCurrency(Object.values(service.parameters || {}));
+    if (currency && currency !== defaultCurrency) {
+      service.currency = currency;
+    }
+  });
+
+  return payload;
+});
+
+/**
+ * v4 → v5 (form state)
+ * Parameters gain conditional rules (requiredWhen, visibleWhen) and cross-parameter comparisons
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 4, (state) => {
+  (state.services || []).forEach(service => {
+    (service.parameters || []).forEach(param => {
+      param.requiredWhen = param.requiredWhen || null;
+      param.visibleWhen = param.visibleWhen || null;
+      param.comparisons = param.comparisons || [];
+    });
+  });
+
+  return state;
+});
+
+/**
+ * v4 → v5 (API payload)
+ * The rule fields are optional and absent from older payloads
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 4, (payload) => payload);
+
+/**
+ * v5 → v6 (form state)
+ * Array parameters gain an item definition and object parameters a list of properties
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 5, (state) => {
+  (state.services || []).forEach(service => {
+    (service.parameters || []).forEach(param => {
+      if (param.type === CONSTANTS.PARAMETER_TYPES.ARRAY) {
+        param.items = param.items || null;
+      } else if (param.type === CONSTANTS.PARAMETER_TYPES.OBJECT) {
+        param.properties = param.properties || [];
+      }
+    });
+  });
+
+  return state;
+});
+
+/**
+ * v5 → v6 (API payload)
+ * items and properties are optional and absent from older payloads
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 5, (payload) => payload);
+
+/**
+ * v6 → v7 (form state)
+ * Service availability gains an optional booking schedule
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 6, (state) => {
+  (state.services || []).forEach(service => {
+    if (service.availability) {
+      service.availability.schedule = service.availability.schedule || null;
+    }
+  });
+
+  return state;
+});
+
+/**
+ * v6 → v7 (API payload)
+ * schedule is optional and absent from older payloads
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 6, (payload) => payload);
+
+/**
+ * v7 → v8 (form state)
+ * Date/time defaults were already local to the business location
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 7, (state) => state);
+
+/**
+ * v7 → v8 (API payload)
+ * Date/time defaults without a UTC offset were local to the business location; they gain its offset
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 7, (payload) => {
+  const timezone = payload.location?.timezone || CONSTANTS.DEFAULT_VALUES.TIMEZONE;
+  if (!isValidTimezone(timezone)) return payload;
+
+  (payload.services_config || []).forEach(service => {
+    Object.values(service.parameters || {}).forEach(config => {
+      if (config.type === CONSTANTS.PARAMETER_TYPES.DATETIME &&
+          typeof config.default === 'string' && !hasUTCOffset(config.default)) {
+        config.default = normalizeDateTime(config.default, timezone) || config.default;
+      }
+    });
+  });
+
+  return payload;
+});
+
+/**
+ * v8 → v9 (form state)
+ * Phone numbers were stored as "+1-XXX-XXX-XXXX" or as typed; valid ones become E.164
+ */
+registerMigration(SCHEMA_KINDS.FORM_STATE, 8, (state) => {
+  if (state.contact?.phone) {
+    state.contact.phone = toE164(state.contact.phone, state.location?.country || CONSTANTS.DEFAULT_VALUES.COUNTRY) ||
+      state.contact.phone;
+  }
+
+  return state;
+});
+
+/**
+ * v8 → v9 (API payload)
+ * Phone numbers were sent as "+1-XXX-XXX-XXXX" or as typed; valid ones become E.164
+ */
+registerMigration(SCHEMA_KINDS.API_PAYLOAD, 8, (payload) => {
+  if (payload.contact_info?.phone) {
+    payload.contact_info.phone = toE164(payload.contact_info.phone,
+      payload.location?.country || CONSTANTS.DEFAULT_VALUES.COUNTRY) || payload.contact_info.phone;
+  }
+
+  return payload;
+});
+
+export default {
+  CURRENT_SCHEMA_VERSION,
+  SCHEMA_KINDS,
+  registerMigration,
+  getSchemaVersion,
+  migrateDocument,
+  migrateFormState,
+  migrateAPIPayload
+};
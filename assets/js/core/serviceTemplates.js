@@ -0,0 +1,291 @@
+/**
+ * Service Templates
+ * Starter services by business type: a complete service (workflow, parameters, cancellation
+ * policy, payment) that onboarding prefills instead of an empty one
+ * Parameters come from the parameter library; comparisons between them are added here
+ */
+
+import CONSTANTS from './constants.js';
+import { createParameterFromTemplate, findLibraryTemplate } from './parameterLibrary.js';
+import { deepClone } from './utils.js';
+
+const {
+  BUSINESS_TYPES,
+  WORKFLOW_PATTERNS,
+  PARAMETER_TYPES,
+  PRICING_MODELS,
+  COMPARISON_OPERATORS,
+  CANCELLATION_POLICY_TYPES,
+  PAYMENT_METHODS,
+  PAYMENT_TIMING
+} = CONSTANTS;
+
+/**
+ * A library parameter with service-specific overrides
+ */
+const libraryParameter = (name, overrides = {}) => ({ ...findLibraryTemplate(name), ...overrides });
+
+/**
+ * Per-unit pricing in the service currency (set when the service is created)
+ */
+const perUnitPricing = (baseRate, unit) => ({
+  model: PRICING_MODELS.PER_UNIT,
+  baseRate,
+  unit,
+  taxRate: 0,
+  serviceFee: 0,
+  timeModifiers: [],
+  seasons: []
+});
+
+export const SERVICE_TEMPLATES = {
+  [BUSINESS_TYPES.HOSPITALITY]: [
+    {
+      id: 'hotel_room_booking',
+      label: 'Hotel Room Booking',
+      service: {
+        name: 'Hotel Room Booking',
+        id: 'room_booking',
+        description: 'Book a room for one or more nights',
+        category: 'accommodation',
+        workflow: { pattern: WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT },
+        parameters: [
+          libraryParameter('check_in_date'),
+          libraryParameter('check_out_date', {
+            comparisons: [{ operator: COMPARISON_OPERATORS.GREATER_THAN, parameter: 'check_in_date' }]
+          }),
+          {
+            name: 'nights',
+            type: PARAMETER_TYPES.INTEGER,
+            description: 'Number of nights to stay',
+            required: true,
+            default: 1,
+            constraints: { minimum: 1, maximum: 30 },
+            pricing: perUnitPricing(150, 'night')
+          },
+          libraryParameter('guests'),
+          libraryParameter('room_type', { required: true }),
+          libraryParameter('extra_bed'),
+          libraryParameter('customer_name'),
+          libraryParameter('customer_email')
+        ],
+        cancellationPolicy: {
+          type: CANCELLATION_POLICY_TYPES.MODERATE,
+          freeUntilHours: 48,
+          penaltyPercentage: 50,
+          description: 'Free cancellation up to 48 hours before check-in; 50% of the booking after that'
+        },
+        payment: {
+          methods: [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.DEBIT_CARD],
+          timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE,
+          depositRequired: true,
+          depositPercentage: 20
+        },
+        policies: { modificationFee: 0, noShowPenalty: 150 }
+      }
+    }
+  ],
+  [BUSINESS_TYPES.FOOD_SERVICE]: [
+    {
+      id: 'restaurant_table_reservation',
+      label: 'Restaurant Table Reservation',
+      service: {
+        name: 'Table Reservation',
+        id: 'table_reservation',
+        description: 'Reserve a table for a party at a given date and time',
+        category: 'dining',
+        workflow: { pattern: WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT },
+        parameters: [
+          libraryParameter('reservation_date'),
+          libraryParameter('reservation_time'),
+          libraryParameter('party_size'),
+          libraryParameter('dietary_requirements'),
+          libraryParameter('customer_name'),
+          libraryParameter('customer_phone', { required: true }),
+          libraryParameter('special_requests')
+        ],
+        cancellationPolicy: {
+          type: CANCELLATION_POLICY_TYPES.FLEXIBLE,
+          freeUntilHours: 2,
+          penaltyPercentage: 0,
+          description: 'Cancel free of charge up to 2 hours before the reservation'
+        },
+        payment: {
+          methods: [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.CASH],
+          timing: PAYMENT_TIMING.AFTER_SERVICE,
+          depositRequired: false,
+          depositPercentage: 0
+        },
+        policies: { modificationFee: 0, noShowPenalty: 20 }
+      }
+    }
+  ],
+  [BUSINESS_TYPES.RETAIL]: [
+    {
+      id: 'retail_instant_purchase',
+      label: 'Retail Instant Purchase',
+      service: {
+        name: 'Product Purchase',
+        id: 'product_purchase',
+        description: 'Buy a product and pay immediately',
+        category: 'retail',
+        workflow: { pattern: WORKFLOW_PATTERNS.INSTANT_PURCHASE },
+        parameters: [
+          libraryParameter('product_sku'),
+          libraryParameter('quantity', { pricing: perUnitPricing(20, 'item') }),
+          libraryParameter('gift_wrap'),
+          libraryParameter('customer_name'),
+          libraryParameter('customer_email')
+        ],
+        cancellationPolicy: {
+          type: CANCELLATION_POLICY_TYPES.FLEXIBLE,
+          freeUntilHours: 24,
+          penaltyPercentage: 0,
+          description: 'Orders can be cancelled for a full refund within 24 hours of purchase'
+        },
+        payment: {
+          methods: [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.DEBIT_CARD, PAYMENT_METHODS.DIGITAL_WALLET],
+          timing: PAYMENT_TIMING.AT_BOOKING,
+          depositRequired: false,
+          depositPercentage: 0
+        },
+        policies: { modificationFee: 0, noShowPenalty: 0 }
+      }
+    }
+  ],
+  [BUSINESS_TYPES.PROFESSIONAL_SERVICES]: [
+    {
+      id: 'salon_appointment',
+      label: 'Salon Appointment',
+      service: {
+        name: 'Salon Appointment',
+        id: 'salon_appointment',
+        description: 'Book a treatment with one of our stylists',
+        category: 'beauty',
+        workflow: { pattern: WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT },
+        parameters: [
+          libraryParameter('appointment_datetime'),
+          {
+            name: 'treatment',
+            type: PARAMETER_TYPES.STRING,
+            description: 'Treatment to book',
+            required: true,
+            constraints: { enum: ['haircut', 'colour', 'styling', 'manicure'] },
+            pricing: null
+          },
+          {
+            name: 'stylist',
+            type: PARAMETER_TYPES.STRING,
+            description: 'Preferred stylist, if any',
+            required: false,
+            constraints: { maxLength: 100 },
+            pricing: null
+          },
+          libraryParameter('customer_name'),
+          libraryParameter('customer_phone', { required: true })
+        ],
+        cancellationPolicy: {
+          type: CANCELLATION_POLICY_TYPES.MODERATE,
+          freeUntilHours: 24,
+          penaltyPercentage: 50,
+          description: 'Free cancellation up to 24 hours before the appointment; 50% of the treatment after that'
+        },
+        payment: {
+          methods: [PAYMENT_METHODS.CREDIT_CARD, PAYMENT_METHODS.CASH],
+          timing: PAYMENT_TIMING.ON_ARRIVAL,
+          depositRequired: false,
+          depositPercentage: 0
+        },
+        policies: { modificationFee: 0, noShowPenalty: 25 }
+      }
+    },
+    {
+      id: 'consulting_quote',
+      label: 'Consulting Quote',
+      service: {
+        name: 'Consulting Engagement',
+        id: 'consulting_engagement',
+        description: 'Request a quote for a consulting engagement',
+        category: 'consulting',
+        workflow: { pattern: WORKFLOW_PATTERNS.QUOTE_NEGOTIATION_CONTRACT },
+        parameters: [
+          libraryParameter('project_brief'),
+          libraryParameter('duration_hours', { pricing: perUnitPricing(150, 'hour') }),
+          libraryParameter('deadline'),
+          libraryParameter('customer_name'),
+          libraryParameter('customer_email')
+        ],
+        cancellationPolicy: {
+          type: CANCELLATION_POLICY_TYPES.STRICT,
+          freeUntilHours: 168,
+          penaltyPercentage: 50,
+          description: 'Free cancellation up to 7 days before work starts; 50% of the agreed fee after that'
+        },
+        payment: {
+          methods: [PAYMENT_METHODS.BANK_TRANSFER, PAYMENT_METHODS.CREDIT_CARD],
+          timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE,
+          depositRequired: true,
+          depositPercentage: 30
+        },
+        policies: { modificationFee: 0, noShowPenalty: 0 }
+      }
+    }
+  ]
+};
+
+/**
+ * Find a service template by id in any business type
+ * @param {string} templateId - Template id
+ * @returns {Object|null} Template
+ */
+export const getServiceTemplate = (templateId) => {
+  const templates = Object.values(SERVICE_TEMPLATES).flat();
+  return templates.find(template => template.id === templateId) || null;
+};
+
+/**
+ * Create a service from a template
+ * The template fills in an empty service; its workflow gets the pattern's standard steps,
+ * parameter pricing uses the given currency and the id gets a numeric suffix when already taken
+ * @param {Object} template - Service template
+ * @param {Object} emptyService - Service with every field at its default
+ * @param {Object} options
+ * @param {string} [options.currency] - Currency the service is priced in
+ * @param {string[]} [options.existingIds] - Service ids already in use
+ * @returns {Object} Form-state service
+ */
+export const createServiceFromTemplate = (template, emptyService, options = {}) => {
+  const { currency = CONSTANTS.DEFAULT_VALUES.CURRENCY, existingIds = [] } = options;
+  const { workflow, parameters, ...fields } = deepClone(template.service);
+
+  let id = fields.id;
+  for (let suffix = 2; existingIds.includes(id); suffix++) {
+    id = `${fields.id}_${suffix}`;
+  }
+
+  return {
+    ...emptyService,
+    ...fields,
+    id,
+    workflow: {
+      pattern: workflow.pattern,
+      steps: (CONSTANTS.WORKFLOW_PATTERN_STEPS[workflow.pattern] || []).map(step => ({
+        name: step.name,
+        description: step.description,
+        required: true,
+        timeoutMinutes: step.timeoutMinutes,
+        retryAttempts: step.retryAttempts
+      }))
+    },
+    parameters: parameters.map(parameter => ({
+      ...createParameterFromTemplate(parameter, { currency }),
+      comparisons: parameter.comparisons || []
+    }))
+  };
+};
+
+export default {
+  SERVICE_TEMPLATES,
+  getServiceTemplate,
+  createServiceFromTemplate
+};
@@ -0,0 +1,335 @@
+/**
+ * Storage
+ * Async key-value storage backed by IndexedDB, falling back to localStorage where IndexedDB
+ * is unavailable (private browsing, old browsers)
+ *
+ * Keys are grouped in namespaces (drafts, auth, ...) and entries can expire after a TTL.
+ * Storage layout:
+ * - IndexedDB: database "bais", object store "entries", key "<namespace>:<key>"
+ * - localStorage / sessionStorage: key "bais:<namespace>:<key>"
+ * Each entry is stored as { value, expiresAt } (expiresAt is null when the entry never expires)
+ *
+ * Values older versions wrote directly to localStorage / sessionStorage under bais_* and
+ * bais-onboarding-draft* keys are moved into their namespace the first time storage is used
+ */
+
+import { StorageQuotaError } from './errorHandler.js';
+
+export const STORAGE_DB_NAME = 'bais';
+export const STORAGE_DB_VERSION = 1;
+export const STORAGE_STORE_NAME = 'entries';
+export const WEB_STORAGE_PREFIX = 'bais:';
+
+export const STORAGE_NAMESPACES = {
+  APP: 'app',
+  AUTH: 'auth',
+  DRAFTS: 'drafts',
+  TEMPLATES: 'templates'
+};
+
+/**
+ * Keys older versions wrote directly, and where their values live now
+ * Values are JSON unless marked json: false
+ */
+export const LEGACY_KEYS = {
+  'bais-onboarding-draft': { namespace: STORAGE_NAMESPACES.DRAFTS, key: 'legacy' },
+  'bais-onboarding-drafts': { namespace: STORAGE_NAMESPACES.DRAFTS, key: 'index' },
+  'bais_parameter_templates': { namespace: STORAGE_NAMESPACES.TEMPLATES, key: 'parameters' },
+  'bais_auth_token': { namespace: STORAGE_NAMESPACES.AUTH, key: 'token', json: false },
+  'bais_user_email': { namespace: STORAGE_NAMESPACES.AUTH, key: 'email', json: false },
+  'bais_business_name': { namespace: STORAGE_NAMESPACES.AUTH, key: 'business_name', json: false }
+};
+
+const LEGACY_DRAFT_PREFIX = 'bais-onboarding-draft:';
+const LEGACY_APP_PREFIX = 'bais_';
+
+/**
+ * Check whether a storage error means the quota is used up
+ * (browsers disagree on the name and code)
+ */
+export const isQuotaExceededError = (error) => {
+  return error instanceof DOMException && (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+};
+
+/**
+ * Where a key written by an older version lives now
+ * @param {string} key - localStorage / sessionStorage key
+ * @returns {Object|null} - { namespace, key, json } or null when the key is not ours
+ */
+export const getLegacyKeyTarget = (key) => {
+  if (LEGACY_KEYS[key]) {
+    return { json: true, ...LEGACY_KEYS[key] };
+  }
+  if (key.startsWith(LEGACY_DRAFT_PREFIX)) {
+    return { namespace: STORAGE_NAMESPACES.DRAFTS, key: `draft:${key.slice(LEGACY_DRAFT_PREFIX.length)}`, json: true };
+  }
+  if (key.startsWith(LEGACY_APP_PREFIX)) {
+    return { namespace: STORAGE_NAMESPACES.APP, key: key.slice(LEGACY_APP_PREFIX.length), json: true };
+  }
+  return null;
+};
+
+const webStorageKeys = (webStorage) => {
+  const keys = [];
+  for (let i = 0; i < webStorage.length; i++) {
+    keys.push(webStorage.key(i));
+  }
+  return keys;
+};
+
+/**
+ * Backend over an IndexedDB database
+ * Every operation is its own transaction and resolves once the transaction completes,
+ * so write errors (including quota errors) reject the returned promise
+ */
+const createIndexedDBBackend = (db) => {
+  const run = (mode, operation) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORAGE_STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORAGE_STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || request.error);
+  });
+
+  return {
+    read: (key) => run('readonly', store => store.get(key)),
+    write: (key, entry) => run('readwrite', store => store.put(entry, key)),
+    delete: (key) => run('readwrite', store => store.delete(key)),
+    keys: (prefix) => run('readonly', store => store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`)))
+  };
+};
+
+/**
+ * Backend over localStorage or sessionStorage (entries serialized as JSON)
+ */
+const createWebStorageBackend = (webStorage) => ({
+  read: async (key) => {
+    const item = webStorage.getItem(`${WEB_STORAGE_PREFIX}${key}`);
+    return item ? JSON.parse(item) : undefined;
+  },
+  write: async (key, entry) => {
+    webStorage.setItem(`${WEB_STORAGE_PREFIX}${key}`, JSON.stringify(entry));
+  },
+  delete: async (key) => {
+    webStorage.removeItem(`${WEB_STORAGE_PREFIX}${key}`);
+  },
+  keys: async (prefix) => {
+    return webStorageKeys(webStorage)
+      .filter(key => key.startsWith(`${WEB_STORAGE_PREFIX}${prefix}`))
+      .map(key => key.slice(WEB_STORAGE_PREFIX.length));
+  }
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(STORAGE_STORE_NAME);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Move values older versions wrote directly to web storage into a backend
+ * Values that fail to move are left in place and retried on the next page load
+ */
+export const migrateLegacyKeys = async (webStorage, backend) => {
+  for (const key of webStorageKeys(webStorage)) {
+    const target = getLegacyKeyTarget(key);
+    if (!target) continue;
+
+    const item = webStorage.getItem(key);
+    let value = item;
+    if (target.json) {
+      try {
+        value = JSON.parse(item);
+      } catch (error) {
+        // Stored as a plain string
+      }
+    }
+
+    try {
+      await backend.write(`${target.namespace}:${target.key}`, { value, expiresAt: null });
+      webStorage.removeItem(key);
+    } catch (error) {
+      console.error(`Failed to migrate ${key}:`, error);
+    }
+  }
+};
+
+let persistentBackend = null;
+let sessionBackend = null;
+
+/**
+ * Backend for data kept across browser sessions, opened (and migrated) on first use
+ */
+const getPersistentBackend = () => {
+  if (!persistentBackend) {
+    persistentBackend = (async () => {
+      let backend;
+      try {
+        if (typeof indexedDB === 'undefined') {
+          throw new Error('IndexedDB is not supported');
+        }
+        backend = createIndexedDBBackend(await openDatabase());
+      } catch (error) {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        backend = createWebStorageBackend(localStorage);
+      }
+
+      await migrateLegacyKeys(localStorage, backend);
+      return backend;
+    })();
+  }
+  return persistentBackend;
+};
+
+/**
+ * Backend for data that ends with the browser session (sessionStorage)
+ */
+const getSessionBackend = () => {
+  if (!sessionBackend) {
+    sessionBackend = (async () => {
+      const backend = createWebStorageBackend(sessionStorage);
+      await migrateLegacyKeys(sessionStorage, backend);
+      return backend;
+    })();
+  }
+  return sessionBackend;
+};
+
+/**
+ * Storage for one namespace
+ * Reads resolve to the default value when the entry is missing, expired or unreadable, and
+ * deletes resolve to false when they fail (both log the error); writes reject, with
+ * StorageQuotaError when storage is full
+ */
+export class NamespacedStorage {
+  /**
+   * @param {string} namespace - One of STORAGE_NAMESPACES
+   * @param {Function} getBackend - Resolves to the backend to use
+   */
+  constructor(namespace, getBackend) {
+    this.namespace = namespace;
+    this.getBackend = getBackend;
+  }
+
+  getStorageKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key within the namespace
+   * @param {*} defaultValue - Returned when there is no live entry
+   * @returns {Promise<*>}
+   */
+  async get(key, defaultValue = null) {
+    try {
+      const backend = await this.getBackend();
+      const entry = await backend.read(this.getStorageKey(key));
+      if (!entry) return defaultValue;
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await backend.delete(this.getStorageKey(key));
+        return defaultValue;
+      }
+      return entry.value;
+    } catch (error) {
+      console.error('Storage get error:', error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-compatible value
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Milliseconds until the entry expires (never when omitted)
+   * @throws {StorageQuotaError} When storage is full
+   */
+  async set(key, value, options = {}) {
+    const entry = { value, expiresAt: options.ttl ? Date.now() + options.ttl : null };
+    try {
+      const backend = await this.getBackend();
+      await backend.write(this.getStorageKey(key), entry);
+    } catch (error) {
+      if (isQuotaExceededError(error)) {
+        throw new StorageQuotaError('Browser storage is full. Delete drafts or templates you no longer need and try again.', key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a value
+   * @returns {Promise<boolean>} Whether the value is gone
+   */
+  async remove(key) {
+    try {
+      const backend = await this.getBackend();
+      await backend.delete(this.getStorageKey(key));
+      return true;
+    } catch (error) {
+      console.error('Storage remove error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Keys in the namespace (including entries that have expired but not been read since)
+   * @returns {Promise<string[]>} Empty when the keys cannot be read
+   */
+  async keys() {
+    try {
+      const backend = await this.getBackend();
+      const prefix = this.getStorageKey('');
+      const keys = await backend.keys(prefix);
+      return keys.map(key => key.slice(prefix.length));
+    } catch (error) {
+      console.error('Storage keys error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete every value in the namespace
+   * @returns {Promise<boolean>} Whether every value is gone
+   */
+  async clear() {
+    const keys = await this.keys();
+    const removed = await Promise.all(keys.map(key => this.remove(key)));
+    return removed.every(Boolean);
+  }
+}
+
+const storages = new Map();
+
+/**
+ * Storage for a namespace
+ * @param {string} namespace - One of STORAGE_NAMESPACES
+ * @param {Object} [options]
+ * @param {boolean} [options.session] - Keep values only for the browser session
+ * @returns {NamespacedStorage}
+ */
+export const getStorage = (namespace, options = {}) => {
+  const id = `${options.session ? 'session' : 'persistent'}:${namespace}`;
+  if (!storages.has(id)) {
+    storages.set(id, new NamespacedStorage(namespace, options.session ? getSessionBackend : getPersistentBackend));
+  }
+  return storages.get(id);
+};
+
+export default {
+  STORAGE_NAMESPACES,
+  LEGACY_KEYS,
+  isQuotaExceededError,
+  getLegacyKeyTarget,
+  migrateLegacyKeys,
+  getStorage,
+  NamespacedStorage
+};
@@ -3,6 +3,10 @@
  * Reusable helper functions following pure function principles
  */
 
+import CONSTANTS from './constants.js';
+import { formatDateTime } from './dateTime.js';
+import { isValidPhoneNumber } from './countryFormats.js';
+
 /**
  * Debounce function execution
  * @param {Function} func - Function to debounce
@@ -39,16 +43,14 @@ export const throttle = (func, limit) => {
 };
 
 /**
- * Format date to readable string
+ * Format date to readable string in the viewer's locale
+ * Calendar dates ("2026-07-04"), and local date/times when no timezone is given, are shown as written
  * @param {Date|string} date - Date to format
+ * @param {Object} [options] - { timezone, locale } (default: the viewer's)
  * @returns {string} Formatted date string
  */
-export const formatDate = (date) => {
-  return new Intl.DateTimeFormat('en-US', {
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric',
-  }).format(new Date(date));
+export const formatDate = (date, options = {}) => {
+  return formatDateTime(date, { dateStyle: 'long', timeStyle: null, ...options });
 };
 
 /**
@@ -62,6 +64,22 @@ export const sanitizeInput = (input) => {
   return div.innerHTML;
 };
 
+/**
+ * Escape a value for an HTML template, as element text or a quoted attribute value
+ * (sanitizeInput leaves quotes as they are, so a value with a quote would end the attribute)
+ * @param {*} value - Value to show (null and undefined give '')
+ * @returns {string} Escaped string
+ */
+export const escapeHTML = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -75,11 +93,11 @@ export const isValidEmail = (email) => {
 /**
  * Validate phone number format
  * @param {string} phone - Phone number to validate
+ * @param {string} [country] - Country national numbers belong to
  * @returns {boolean} True if valid phone
  */
-export const isValidPhone = (phone) => {
-  const regex = /^[\+]?[(]?[0-9]{3}[)]?[-\s\.]?[0-9]{3}[-\s\.]?[0-9]{4,6}$/;
-  return regex.test(phone);
+export const isValidPhone = (phone, country = CONSTANTS.DEFAULT_VALUES.COUNTRY) => {
+  return isValidPhoneNumber(phone, country);
 };
 
 /**
@@ -169,63 +187,22 @@ export const setQueryParam = (param, value) => {
 };
 
 /**
- * Format currency
+ * Format currency with the currency's own number of decimal places (JPY has none)
  * @param {number} amount - Amount to format
  * @param {string} currency - Currency code
+ * @param {string} [locale] - BCP 47 locale (defaults to the user's locale)
  * @returns {string} Formatted currency string
  */
-export const formatCurrency = (amount, currency = 'USD') => {
-  return new Intl.NumberFormat('en-US', {
+export const formatCurrency = (amount, currency = 'USD', locale = undefined) => {
+  const digits = CONSTANTS.CURRENCY_MINOR_UNITS[currency] !== undefined ? CONSTANTS.CURRENCY_MINOR_UNITS[currency] : 2;
+  return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
   }).format(amount);
 };
 
-/**
- * Storage utilities with error handling
- */
-export const storage = {
-  set: (key, value) => {
-    try {
-      localStorage.setItem(key, JSON.stringify(value));
-      return true;
-    } catch (error) {
-      console.error('Storage set error:', error);
-      return false;
-    }
-  },
-  
-  get: (key, defaultValue = null) => {
-    try {
-      const item = localStorage.getItem(key);
-      return item ? JSON.parse(item) : defaultValue;
-    } catch (error) {
-      console.error('Storage get error:', error);
-      return defaultValue;
-    }
-  },
-  
-  remove: (key) => {
-    try {
-      localStorage.removeItem(key);
-      return true;
-    } catch (error) {
-      console.error('Storage remove error:', error);
-      return false;
-    }
-  },
-  
-  clear: () => {
-    try {
-      localStorage.clear();
-      return true;
-    } catch (error) {
-      console.error('Storage clear error:', error);
-      return false;
-    }
-  },
-};
-
 /**
  * Cookie utilities
  */
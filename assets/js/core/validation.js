@@ -4,6 +4,8 @@
  */
 
 import CONFIG from './config.js';
+import CONSTANTS from './constants.js';
+import { getPhoneExample, isValidPhoneNumber } from './countryFormats.js';
 
 /**
  * Field validation result object
@@ -37,14 +39,27 @@ export const emailValidator = {
 
 /**
  * Phone validation utility
+ * National numbers are read for the country; international ones for any country
  */
 export const phoneValidator = {
-  isValid: (phone) => {
+  isValid: (phone, country = CONSTANTS.DEFAULT_VALUES.COUNTRY) => {
     if (!phone) return false;
-    return CONFIG.VALIDATION.PHONE_REGEX.test(phone);
+    return isValidPhoneNumber(phone, country);
   },
 
-  getErrorMessage: () => 'Please enter a valid phone number'
+  getErrorMessage: (country = CONSTANTS.DEFAULT_VALUES.COUNTRY) => {
+    return `Please enter a valid phone number (e.g., ${getPhoneExample(country)})`;
+  }
+};
+
+/**
+ * Country a phone field's national numbers belong to: its data-country attribute, else the
+ * form's country field, else the default country
+ */
+export const getFieldCountry = (field) => {
+  return field.dataset?.country ||
+    field.form?.elements?.namedItem('country')?.value ||
+    CONSTANTS.DEFAULT_VALUES.COUNTRY;
 };
 
 /**
@@ -144,10 +159,12 @@ export class FieldValidator {
           ? ValidationResult.success()
           : ValidationResult.error(emailValidator.getErrorMessage());
       
-      case 'tel':
-        return phoneValidator.isValid(this.value)
+      case 'tel': {
+        const country = getFieldCountry(this.field);
+        return phoneValidator.isValid(this.value, country)
           ? ValidationResult.success()
-          : ValidationResult.error(phoneValidator.getErrorMessage());
+          : ValidationResult.error(phoneValidator.getErrorMessage(country));
+      }
       
       default:
         return ValidationResult.success();
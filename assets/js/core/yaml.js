@@ -0,0 +1,459 @@
+/**
+ * YAML Utilities
+ * Minimal YAML parser for importing registration files without a build step
+ * Supports block mappings and sequences, flow collections, quoted and plain scalars,
+ * block scalars (| and >) and comments. Anchors, aliases and tags are not supported.
+ */
+
+import { ValidationError } from './errorHandler.js';
+
+const NULL_PATTERN = /^(null|Null|NULL|~)?$/;
+const TRUE_PATTERN = /^(true|True|TRUE)$/;
+const FALSE_PATTERN = /^(false|False|FALSE)$/;
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const FLOAT_PATTERN = /^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value
+ */
+export const parseYAML = (text) => {
+  return new YAMLParser(text).parse();
+};
+
+/**
+ * Add a mapping entry as an own property, as JSON.parse does
+ * (plain assignment would set the prototype for a "__proto__" key and drop the entry)
+ */
+const setEntry = (mapping, key, value) => {
+  Object.defineProperty(mapping, key, { value, enumerable: true, writable: true, configurable: true });
+};
+
+/**
+ * Resolve a plain (unquoted) scalar to its typed value
+ * @param {string} value - Plain scalar text
+ * @returns {*} null, boolean, number or string
+ */
+export const resolveScalar = (value) => {
+  const trimmed = value.trim();
+
+  if (NULL_PATTERN.test(trimmed)) return null;
+  if (TRUE_PATTERN.test(trimmed)) return true;
+  if (FALSE_PATTERN.test(trimmed)) return false;
+  if (INTEGER_PATTERN.test(trimmed)) return parseInt(trimmed, 10);
+  if (FLOAT_PATTERN.test(trimmed)) return parseFloat(trimmed);
+
+  return trimmed;
+};
+
+/**
+ * Line-based recursive descent parser
+ */
+class YAMLParser {
+  constructor(text) {
+    this.lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    this.index = 0;
+  }
+
+  parse() {
+    this.skipIgnorable();
+    if (this.isDone()) return null;
+
+    const value = this.parseBlock(this.currentIndent());
+
+    this.skipIgnorable();
+    if (!this.isDone()) {
+      this.fail('Unexpected content');
+    }
+
+    return value;
+  }
+
+  isDone() {
+    return this.index >= this.lines.length || this.lines[this.index].trim() === '...';
+  }
+
+  skipIgnorable() {
+    while (this.index < this.lines.length) {
+      const trimmed = this.lines[this.index].trim();
+      if (trimmed === '' || trimmed.startsWith('#') || trimmed === '---' || trimmed.startsWith('%')) {
+        this.index++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  currentIndent() {
+    const line = this.lines[this.index];
+    const match = line.match(/^( *)(\t?)/);
+    if (match[2]) {
+      this.fail('Tabs are not allowed for indentation');
+    }
+    return match[1].length;
+  }
+
+  currentContent() {
+    return this.lines[this.index].trim();
+  }
+
+  isSequenceLine(content) {
+    return content === '-' || content.startsWith('- ');
+  }
+
+  parseBlock(indent) {
+    const content = this.currentContent();
+
+    if (this.isSequenceLine(content)) {
+      return this.parseSequence(indent);
+    }
+
+    if (this.splitKeyValue(content)) {
+      return this.parseMapping(indent);
+    }
+
+    this.index++;
+    return this.parseInlineValue(content);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+
+    while (true) {
+      this.skipIgnorable();
+      if (this.isDone() || this.currentIndent() !== indent || !this.isSequenceLine(this.currentContent())) {
+        break;
+      }
+
+      const line = this.lines[this.index];
+      const rest = line.slice(indent + 1);
+
+      if (rest.trim() === '' || rest.trim().startsWith('#')) {
+        this.index++;
+        items.push(this.parseNestedValue(indent));
+        continue;
+      }
+
+      // Re-read the item content as if it started on its own line at the item's column
+      const itemIndent = indent + 1 + (rest.length - rest.trimStart().length);
+      this.lines[this.index] = ' '.repeat(itemIndent) + rest.trimStart();
+      items.push(this.parseBlock(itemIndent));
+    }
+
+    return items;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+
+    while (true) {
+      this.skipIgnorable();
+      if (this.isDone() || this.currentIndent() !== indent) {
+        break;
+      }
+
+      const content = this.currentContent();
+      const entry = this.splitKeyValue(content);
+      if (!entry || this.isSequenceLine(content)) {
+        break;
+      }
+
+      this.index++;
+      const rest = this.stripComment(entry.rest).trim();
+
+      if (rest === '') {
+        setEntry(mapping, entry.key, this.parseNestedValue(indent, true));
+      } else if (/^[|>][-+]?$/.test(rest)) {
+        setEntry(mapping, entry.key, this.parseBlockScalar(indent, rest));
+      } else {
+        setEntry(mapping, entry.key, this.parseInlineValue(rest));
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Parse the value of an empty key or sequence item from the following lines
+   */
+  parseNestedValue(parentIndent, allowSameIndentSequence = false) {
+    this.skipIgnorable();
+    if (this.isDone()) return null;
+
+    const nextIndent = this.currentIndent();
+    if (nextIndent > parentIndent) {
+      return this.parseBlock(nextIndent);
+    }
+
+    if (allowSameIndentSequence && nextIndent === parentIndent && this.isSequenceLine(this.currentContent())) {
+      return this.parseSequence(parentIndent);
+    }
+
+    return null;
+  }
+
+  parseBlockScalar(parentIndent, header) {
+    const folded = header.startsWith('>');
+    const chomping = header.length > 1 ? header[1] : '';
+    const rawLines = [];
+
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      if (line.trim() !== '' && line.length - line.trimStart().length <= parentIndent) {
+        break;
+      }
+      rawLines.push(line);
+      this.index++;
+    }
+
+    const firstContent = rawLines.find(line => line.trim() !== '');
+    const contentIndent = firstContent ? firstContent.length - firstContent.trimStart().length : 0;
+    const lines = rawLines.map(line => line.slice(contentIndent));
+
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '' && chomping !== '+') {
+      lines.pop();
+    }
+
+    const body = folded
+      ? lines.reduce((text, line, i) => {
+        if (line === '') return `${text}\n`;
+        if (i === 0 || lines[i - 1] === '') return `${text}${line}`;
+        return `${text} ${line}`;
+      }, '')
+      : lines.join('\n');
+
+    return chomping === '-' ? body : `${body}\n`;
+  }
+
+  /**
+   * Split "key: value" into its parts, honouring quoted keys
+   * @returns {Object|null} { key, rest } or null when the line is not a mapping entry
+   */
+  splitKeyValue(content) {
+    if (content.startsWith('"') || content.startsWith('\'')) {
+      const end = this.findClosingQuote(content, 0);
+      if (end === -1 || content[end + 1] !== ':') return null;
+      const after = content.slice(end + 2);
+      if (after !== '' && !after.startsWith(' ')) return null;
+      return { key: this.unquote(content.slice(0, end + 1)), rest: after };
+    }
+
+    if (content.startsWith('[') || content.startsWith('{') || content.startsWith('#')) {
+      return null;
+    }
+
+    const match = content.match(/^([^#]*?):(\s|$)/);
+    if (!match) return null;
+
+    return { key: match[1].trim(), rest: content.slice(match[0].length) };
+  }
+
+  parseInlineValue(text) {
+    const value = this.stripComment(text).trim();
+
+    if (value.startsWith('[') || value.startsWith('{')) {
+      const parser = new FlowParser(value, (message) => this.fail(message));
+      return parser.parse();
+    }
+
+    if (value.startsWith('"') || value.startsWith('\'')) {
+      return this.unquote(value);
+    }
+
+    return resolveScalar(value);
+  }
+
+  stripComment(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\' && quote === '"') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+        return text.slice(0, i);
+      }
+    }
+
+    return text;
+  }
+
+  findClosingQuote(text, start) {
+    const quote = text[start];
+
+    for (let i = start + 1; i < text.length; i++) {
+      if (quote === '"' && text[i] === '\\') {
+        i++;
+      } else if (text[i] === quote) {
+        if (quote === '\'' && text[i + 1] === '\'') {
+          i++;
+        } else {
+          return i;
+        }
+      }
+    }
+
+    return -1;
+  }
+
+  unquote(value) {
+    if (value.startsWith('\'')) {
+      if (!value.endsWith('\'') || value.length < 2) this.fail('Unterminated string');
+      return value.slice(1, -1).replace(/''/g, '\'');
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      this.fail('Invalid double-quoted string');
+    }
+  }
+
+  fail(message) {
+    throw new ValidationError(`YAML parse error on line ${Math.min(this.index, this.lines.length - 1) + 1}: ${message}`);
+  }
+}
+
+/**
+ * Single-line flow collection parser ([a, b], {key: value})
+ */
+class FlowParser {
+  constructor(text, fail) {
+    this.text = text;
+    this.position = 0;
+    this.fail = fail;
+  }
+
+  parse() {
+    const value = this.parseValue();
+    this.skipWhitespace();
+    if (this.position < this.text.length) {
+      this.fail('Unexpected characters after flow collection');
+    }
+    return value;
+  }
+
+  skipWhitespace() {
+    while (this.position < this.text.length && /\s/.test(this.text[this.position])) {
+      this.position++;
+    }
+  }
+
+  parseValue() {
+    this.skipWhitespace();
+    const char = this.text[this.position];
+
+    if (char === '[') return this.parseSequence();
+    if (char === '{') return this.parseMapping();
+    if (char === '"' || char === '\'') return this.parseQuoted();
+
+    return resolveScalar(this.readPlain());
+  }
+
+  parseSequence() {
+    const items = [];
+    this.position++;
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.text[this.position] === ']') {
+        this.position++;
+        return items;
+      }
+
+      items.push(this.parseValue());
+      this.skipWhitespace();
+
+      const separator = this.text[this.position++];
+      if (separator === ']') return items;
+      if (separator !== ',') this.fail('Expected "," or "]" in flow sequence');
+    }
+  }
+
+  parseMapping() {
+    const mapping = {};
+    this.position++;
+
+    while (true) {
+      this.skipWhitespace();
+      if (this.text[this.position] === '}') {
+        this.position++;
+        return mapping;
+      }
+
+      const char = this.text[this.position];
+      const key = char === '"' || char === '\'' ? this.parseQuoted() : this.readPlain(true);
+      this.skipWhitespace();
+
+      if (this.text[this.position] !== ':') this.fail('Expected ":" in flow mapping');
+      this.position++;
+
+      setEntry(mapping, key, this.parseValue());
+      this.skipWhitespace();
+
+      const separator = this.text[this.position++];
+      if (separator === '}') return mapping;
+      if (separator !== ',') this.fail('Expected "," or "}" in flow mapping');
+    }
+  }
+
+  parseQuoted() {
+    const quote = this.text[this.position];
+    let end = this.position + 1;
+
+    while (end < this.text.length) {
+      if (quote === '"' && this.text[end] === '\\') {
+        end += 2;
+        continue;
+      }
+      if (this.text[end] === quote) {
+        if (quote === '\'' && this.text[end + 1] === '\'') {
+          end += 2;
+          continue;
+        }
+        break;
+      }
+      end++;
+    }
+
+    if (end >= this.text.length) this.fail('Unterminated string');
+
+    const raw = this.text.slice(this.position, end + 1);
+    this.position = end + 1;
+
+    if (quote === '\'') {
+      return raw.slice(1, -1).replace(/''/g, '\'');
+    }
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      this.fail('Invalid double-quoted string');
+    }
+  }
+
+  readPlain(isKey = false) {
+    const start = this.position;
+
+    while (this.position < this.text.length) {
+      const char = this.text[this.position];
+      if (char === ',' || char === ']' || char === '}') break;
+      if (isKey && char === ':') break;
+      this.position++;
+    }
+
+    return this.text.slice(start, this.position).trim();
+  }
+}
+
+export default {
+  parseYAML,
+  resolveScalar
+};
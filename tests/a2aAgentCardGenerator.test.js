@@ -0,0 +1,52 @@
+/**
+ * A2A agent card
+ * The discovery document lists one skill per service and points at the agent URL
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import A2AAgentCardGenerator, { A2A_PROTOCOL_VERSION } from '../assets/js/components/A2AAgentCardGenerator.js';
+import { createFormState, createService } from './helpers/fixtures.js';
+
+const generator = new A2AAgentCardGenerator();
+
+test('the card describes the business and lists one skill per service', () => {
+  const card = generator.generateAgentCard(createFormState({
+    services: [
+      createService(),
+      createService({ id: 'gift_card', name: 'Gift Card', workflow: { pattern: CONSTANTS.WORKFLOW_PATTERNS.INSTANT_PURCHASE, steps: [] } })
+    ]
+  }), { baseUrl: 'https://api.example.com' });
+
+  assert.equal(card.protocolVersion, A2A_PROTOCOL_VERSION);
+  assert.equal(card.name, 'Harbor Bistro');
+  assert.equal(card.url, 'https://api.example.com/a2a/harbor-bistro');
+  assert.deepEqual(card.skills.map(skill => skill.id), ['table_booking', 'gift_card']);
+  assert.deepEqual(card.skills[0].tags, ['dining', CONSTANTS.WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT]);
+  assert.deepEqual(card.skills[1].examples, ['Buy Gift Card now']);
+  assert.equal(card.metadata.contact.email, 'hello@harborbistro.example.com');
+});
+
+test('a custom discovery URL gives the agent URL it is served under', () => {
+  const formState = createFormState({
+    integration: {
+      mcp: { autoGenerate: true, endpoint: '' },
+      a2a: { autoGenerate: false, discoveryUrl: 'https://agents.harborbistro.example.com/.well-known/agent.json' },
+      webhooks: { autoGenerate: true, endpoint: '', events: [] }
+    }
+  });
+
+  assert.equal(generator.getAgentUrl(formState), 'https://agents.harborbistro.example.com');
+});
+
+test('serialize drops unset fields', () => {
+  const card = generator.generateAgentCard(createFormState({
+    businessInfo: { ...createFormState().businessInfo, website: '' }
+  }));
+
+  const published = JSON.parse(generator.serialize(card));
+  assert.equal('url' in published, false);
+  assert.equal('url' in published.provider, false);
+});
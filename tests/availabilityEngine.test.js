@@ -0,0 +1,140 @@
+/**
+ * Availability engine
+ * Slots past midnight, across DST changes and under capacity from overlapping bookings,
+ * checked against the schedule published in API format
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { ValidationError } from '../assets/js/core/errorHandler.js';
+import { checkSlot, findAvailableSlots, getAvailabilityCalendar } from '../assets/js/core/availabilityEngine.js';
+
+const { AVAILABILITY_REASONS } = CONSTANTS;
+
+const NOW = '2026-07-01T00:00:00Z';
+
+const createScheduledService = (schedule = {}, advanceBookingDays = 30) => ({
+  availability: {
+    advance_booking_days: advanceBookingDays,
+    schedule: {
+      timezone: 'Europe/London',
+      weekly_hours: [{ days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00' }],
+      blackout_dates: [],
+      slot_duration_minutes: 60,
+      lead_time_minutes: 0,
+      capacity_per_slot: 1,
+      ...schedule
+    }
+  }
+});
+
+const starts = (slots) => slots.map(slot => slot.start.toISOString());
+
+test('slots open in the schedule timezone and outside them nothing can be booked', () => {
+  const service = createScheduledService();
+
+  const slot = checkSlot(service, { start: '2026-07-06T09:00:00+01:00', now: NOW });
+  assert.equal(slot.bookable, true);
+  assert.equal(slot.reason, null);
+  assert.equal(slot.date, '2026-07-06');
+  assert.equal(slot.end.toISOString(), '2026-07-06T09:00:00.000Z');
+
+  assert.equal(checkSlot(service, { start: '2026-07-06T09:30:00+01:00', now: NOW }).reason, AVAILABILITY_REASONS.OUTSIDE_HOURS);
+  assert.equal(checkSlot(service, { start: '2026-07-06T17:00:00+01:00', now: NOW }).reason, AVAILABILITY_REASONS.OUTSIDE_HOURS);
+  assert.equal(checkSlot(service, { start: '2026-07-04T09:00:00+01:00', now: NOW }).reason, AVAILABILITY_REASONS.OUTSIDE_HOURS);
+  assert.equal(checkSlot({ availability: {} }, { start: '2026-07-06T09:00:00+01:00', now: NOW }).reason, AVAILABILITY_REASONS.NO_SCHEDULE);
+});
+
+test('hours past midnight belong to the day they open, and blackouts follow the slot date', () => {
+  const service = createScheduledService({
+    weekly_hours: [{ days: [5], open: '22:00', close: '02:00' }],
+    blackout_dates: [{ start_date: '2026-07-04', end_date: '2026-07-04' }]
+  });
+
+  const [friday] = getAvailabilityCalendar(service, { from: '2026-07-03', days: 1, now: NOW });
+  assert.deepEqual(starts(friday.slots), [
+    '2026-07-03T21:00:00.000Z',
+    '2026-07-03T22:00:00.000Z',
+    '2026-07-03T23:00:00.000Z',
+    '2026-07-04T00:00:00.000Z'
+  ]);
+  assert.deepEqual(friday.slots.map(slot => slot.date), ['2026-07-03', '2026-07-03', '2026-07-04', '2026-07-04']);
+
+  assert.equal(checkSlot(service, { start: '2026-07-03T23:00:00+01:00', now: NOW }).bookable, true);
+  assert.equal(checkSlot(service, { start: '2026-07-04T00:00:00+01:00', now: NOW }).reason, AVAILABILITY_REASONS.BLACKOUT);
+  assert.equal(checkSlot(service, { start: '2026-07-04T02:00:00+01:00', now: NOW }).reason, AVAILABILITY_REASONS.OUTSIDE_HOURS);
+});
+
+test('wall times skipped or repeated by DST changes give one slot each', () => {
+  const service = createScheduledService({
+    timezone: 'America/New_York',
+    weekly_hours: [{ days: [0], open: '00:00', close: '05:00' }]
+  }, 365);
+  const options = { days: 1, now: '2026-01-01T00:00:00Z' };
+
+  // Clocks go forward at 02:00 on 8 March: there is no 02:00 slot
+  const [springForward] = getAvailabilityCalendar(service, { ...options, from: '2026-03-08' });
+  assert.deepEqual(starts(springForward.slots), [
+    '2026-03-08T05:00:00.000Z',
+    '2026-03-08T06:00:00.000Z',
+    '2026-03-08T07:00:00.000Z',
+    '2026-03-08T08:00:00.000Z'
+  ]);
+  assert.equal(checkSlot(service, { ...options, start: '2026-03-08T03:00:00-04:00' }).bookable, true);
+
+  // Clocks go back at 02:00 on 1 November: 01:00 is the first of the two
+  const [fallBack] = getAvailabilityCalendar(service, { ...options, from: '2026-11-01' });
+  assert.deepEqual(starts(fallBack.slots), [
+    '2026-11-01T04:00:00.000Z',
+    '2026-11-01T05:00:00.000Z',
+    '2026-11-01T07:00:00.000Z',
+    '2026-11-01T08:00:00.000Z',
+    '2026-11-01T09:00:00.000Z'
+  ]);
+  assert.equal(checkSlot(service, { ...options, start: '2026-11-01T01:00:00-05:00' }).reason, AVAILABILITY_REASONS.OUTSIDE_HOURS);
+});
+
+test('overlapping bookings take places in every slot they cover', () => {
+  const service = createScheduledService({ capacity_per_slot: 4 });
+  const bookings = [
+    { start: '2026-07-06T09:00:00+01:00', partySize: 2 },
+    { start: '2026-07-06T09:30:00+01:00', end: '2026-07-06T11:00:00+01:00' },
+    { start: '2026-07-06T10:00:00+01:00', partySize: 4, status: 'cancelled' },
+    { start: '2026-07-06T11:00:00+01:00', partySize: 3 }
+  ];
+  const check = (start, partySize) => checkSlot(service, { start, partySize, bookings, now: NOW });
+
+  assert.equal(check('2026-07-06T09:00:00+01:00', 1).remaining, 1);
+  assert.equal(check('2026-07-06T09:00:00+01:00', 1).bookable, true);
+  assert.equal(check('2026-07-06T09:00:00+01:00', 2).reason, AVAILABILITY_REASONS.FULL);
+  assert.equal(check('2026-07-06T10:00:00+01:00', 3).remaining, 3);
+  assert.equal(check('2026-07-06T10:00:00+01:00', 3).bookable, true);
+  assert.equal(check('2026-07-06T11:00:00+01:00', 1).remaining, 1);
+  assert.equal(check('2026-07-06T12:00:00+01:00', 5).reason, AVAILABILITY_REASONS.PARTY_TOO_LARGE);
+
+  assert.throws(() => check('2026-07-06T12:00:00+01:00', 0), ValidationError);
+  assert.throws(() => check('not a time', 1), ValidationError);
+});
+
+test('minimum notice and the advance booking window bound what can be booked', () => {
+  const service = createScheduledService({ lead_time_minutes: 120 }, 7);
+  const now = '2026-07-06T08:30:00+01:00';
+
+  assert.equal(checkSlot(service, { start: '2026-07-06T10:00:00+01:00', now }).reason, AVAILABILITY_REASONS.TOO_SOON);
+  assert.equal(checkSlot(service, { start: '2026-07-06T11:00:00+01:00', now }).bookable, true);
+  assert.equal(checkSlot(service, { start: '2026-07-14T09:00:00+01:00', now }).reason, AVAILABILITY_REASONS.TOO_FAR_AHEAD);
+});
+
+test('the next bookable slots skip full slots and closed days', () => {
+  const service = createScheduledService({ weekly_hours: [{ days: [1, 5], open: '09:00', close: '11:00' }] });
+  const bookings = [{ start: '2026-07-03T09:00:00+01:00' }];
+
+  assert.deepEqual(starts(findAvailableSlots(service, { bookings, now: '2026-07-03T07:00:00Z', count: 3 })), [
+    '2026-07-03T09:00:00.000Z',
+    '2026-07-06T08:00:00.000Z',
+    '2026-07-06T09:00:00.000Z'
+  ]);
+  assert.deepEqual(findAvailableSlots({ availability: {} }), []);
+});
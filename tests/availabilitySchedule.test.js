@@ -0,0 +1,117 @@
+/**
+ * Availability schedules
+ * Opening hours past midnight and across the week boundary, overlap detection, and the
+ * validator's checks on hours, blackout dates and slot settings
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+import {
+  MINUTES_PER_DAY,
+  createDefaultSchedule,
+  describeWeeklyHours,
+  findOverlappingHours,
+  getRangeMinutes,
+  getScheduleTimezone,
+  getWeeklyIntervals
+} from '../assets/js/core/availabilitySchedule.js';
+
+const validateSchedule = (schedule, advanceBookingDays = 30) => {
+  const validator = new BAISFormValidator();
+  validator.validateSchedule({ ...createDefaultSchedule(), ...schedule }, advanceBookingDays, 'Service 1');
+  return validator.errors;
+};
+
+test('a range whose close is before its open runs into the next day', () => {
+  assert.equal(getRangeMinutes('09:00', '17:00'), 8 * 60);
+  assert.equal(getRangeMinutes('22:00', '02:00'), 4 * 60);
+  assert.equal(getRangeMinutes('00:00', '00:00'), MINUTES_PER_DAY);
+
+  assert.deepEqual(getWeeklyIntervals([{ days: [6], open: '22:00', close: '02:00' }]), [
+    { start: 6 * MINUTES_PER_DAY + 22 * 60, end: 7 * MINUTES_PER_DAY + 2 * 60, day: 6, rangeIndex: 0 }
+  ]);
+});
+
+test('overlapping opening hours are found across midnight and the week boundary', () => {
+  assert.deepEqual(findOverlappingHours([
+    { days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00' },
+    { days: [6, 0], open: '10:00', close: '14:00' }
+  ]), []);
+
+  assert.deepEqual(findOverlappingHours([
+    { days: [5], open: '20:00', close: '03:00' },
+    { days: [6], open: '01:00', close: '06:00' }
+  ]), [[0, 1]]);
+
+  assert.deepEqual(findOverlappingHours([
+    { days: [0], open: '00:00', close: '04:00' },
+    { days: [2], open: '09:00', close: '12:00' },
+    { days: [6], open: '23:00', close: '01:00' }
+  ]), [[0, 2]]);
+
+  // Back-to-back ranges touch but do not overlap
+  assert.deepEqual(findOverlappingHours([
+    { days: [1], open: '09:00', close: '12:00' },
+    { days: [1], open: '12:00', close: '15:00' }
+  ]), []);
+});
+
+test('hours are summarized by day and the timezone falls back to the location', () => {
+  assert.equal(describeWeeklyHours([
+    { days: [2, 1], open: '09:00', close: '17:00' },
+    { days: [], open: '10:00', close: '12:00' },
+    { days: [6], open: '10:00', close: '14:00' }
+  ]), 'Mon, Tue 09:00-17:00; Sat 10:00-14:00');
+
+  assert.equal(getScheduleTimezone({ timezone: '' }, 'Europe/London'), 'Europe/London');
+  assert.equal(getScheduleTimezone({ timezone: 'Asia/Tokyo' }, 'Europe/London'), 'Asia/Tokyo');
+  assert.equal(getScheduleTimezone({ timezone: '' }, ''), 'UTC');
+});
+
+test('the default schedule is valid', () => {
+  assert.deepEqual(validateSchedule({}), []);
+});
+
+test('the validator reports invalid hours, blackout dates and slot settings', () => {
+  assert.deepEqual(validateSchedule({ weeklyHours: [] }), ['Service 1: Add opening hours to the schedule']);
+  assert.deepEqual(validateSchedule({
+    weeklyHours: [
+      { days: [], open: '09:00', close: '17:00' },
+      { days: [1], open: '9am', close: '17:00' },
+      { days: [2], open: '10:00', close: '10:00' }
+    ]
+  }), [
+    'Service 1, Opening Hours 1: Select at least one day of the week',
+    'Service 1, Opening Hours 2: Opening and closing times must be in HH:MM format',
+    'Service 1, Opening Hours 3: Opening and closing times must differ'
+  ]);
+  assert.deepEqual(validateSchedule({
+    weeklyHours: [
+      { days: [5], open: '18:00', close: '02:00' },
+      { days: [6], open: '01:00', close: '03:00' }
+    ],
+    slotDurationMinutes: 600
+  }), [
+    'Service 1: Opening Hours 1 and 2 overlap',
+    'Service 1: Slot length is longer than any opening hours, so no slot can be booked'
+  ]);
+
+  assert.deepEqual(validateSchedule({
+    blackoutDates: [
+      { name: 'Holidays', startDate: '2026-12-24', endDate: '2026-12-26' },
+      { name: '', startDate: '2026-02-30', endDate: '2026-03-01' },
+      { name: '', startDate: '2026-08-10', endDate: '2026-08-01' }
+    ]
+  }), [
+    'Service 1, Blackout 2: Start and end dates must be valid YYYY-MM-DD dates',
+    'Service 1, Blackout 3: End date must not be before the start date'
+  ]);
+
+  assert.deepEqual(validateSchedule({ timezone: 'Mars/Olympus_Mons', capacityPerSlot: 0, leadTimeMinutes: 2 * MINUTES_PER_DAY }, 2), [
+    'Service 1: Select a schedule timezone from the list',
+    'Service 1: Bookings per slot must be a whole number between 1 and 10000',
+    'Service 1: Minimum notice must be shorter than the advance booking window'
+  ]);
+});
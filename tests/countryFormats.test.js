@@ -0,0 +1,104 @@
+/**
+ * Country formats
+ * Phone numbers typed nationally or internationally become E.164 and show the way each country
+ * writes them; addresses follow the country's region and line order
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { getFieldCountry, phoneValidator } from '../assets/js/core/validation.js';
+import {
+  COUNTRY_FORMATS,
+  formatAddress,
+  formatPhoneNumber,
+  getAddressFormat,
+  getPhoneExample,
+  parsePhoneNumber,
+  toE164
+} from '../assets/js/core/countryFormats.js';
+
+test('every country has a format whose example number is valid there', () => {
+  CONSTANTS.COUNTRIES.forEach(({ code }) => {
+    const { phone } = COUNTRY_FORMATS[code];
+    assert.ok(phone.pattern.test(phone.example), code);
+    assert.equal(toE164(phone.example, code), `+${phone.callingCode}${phone.example}`, code);
+  });
+});
+
+test('national numbers are read for the country, with or without the trunk prefix', () => {
+  assert.deepEqual(parsePhoneNumber('(415) 555-0123', 'US'), {
+    country: 'US',
+    callingCode: '1',
+    nationalNumber: '4155550123',
+    e164: '+14155550123'
+  });
+  assert.equal(toE164('1 416 555 0123', 'CA'), '+14165550123');
+  assert.equal(toE164('020 7946 0018', 'GB'), '+442079460018');
+  assert.equal(toE164('03-1234-5678', 'JP'), '+81312345678');
+
+  assert.equal(toE164('020 7946 0018', 'US'), null);
+  assert.equal(toE164('12345', 'US'), null);
+  assert.equal(toE164('555-CALL', 'US'), null);
+  assert.equal(toE164('4155550123', 'ZZ'), null);
+});
+
+test('international numbers keep their own country whatever the given one', () => {
+  assert.equal(toE164('+44 (0)20 7946 0018', 'US'), '+442079460018');
+  assert.equal(toE164('0044 20 7946 0018', 'US'), '+442079460018');
+  assert.equal(parsePhoneNumber('+1 416 555 0123', 'CA').country, 'CA');
+  assert.equal(parsePhoneNumber('+1 416 555 0123', 'GB').country, 'US');
+
+  // Calling codes outside the list are accepted when E.164 allows them
+  assert.equal(parsePhoneNumber('+999 1234 5678', 'US').country, null);
+  assert.equal(toE164('+999 1234 5678', 'US'), '+99912345678');
+  assert.equal(toE164('+1234567', 'US'), null);
+  assert.equal(toE164('+1234567890123456', 'US'), null);
+});
+
+test('numbers show in national format at home and international format abroad', () => {
+  assert.equal(formatPhoneNumber('+442079460018', 'GB'), '020 7946 0018');
+  assert.equal(formatPhoneNumber('+442079460018', 'US'), '+44 20 7946 0018');
+  assert.equal(formatPhoneNumber('+14155550123', 'US'), '(415) 555-0123');
+  assert.equal(formatPhoneNumber('+14155550123', 'US', { international: true }), '+1 415-555-0123');
+  assert.equal(formatPhoneNumber('ask at the bar', 'US'), 'ask at the bar');
+
+  assert.equal(getPhoneExample('GB'), '+44 20 7946 0018');
+  assert.equal(getPhoneExample('ZZ'), getPhoneExample(CONSTANTS.DEFAULT_VALUES.COUNTRY));
+});
+
+test('phone fields validate for the country of their form', () => {
+  const field = { dataset: {}, form: { elements: { namedItem: () => ({ value: 'GB' }) } } };
+  assert.equal(getFieldCountry(field), 'GB');
+  assert.equal(getFieldCountry({ ...field, dataset: { country: 'JP' } }), 'JP');
+  assert.equal(getFieldCountry({ dataset: {} }), CONSTANTS.DEFAULT_VALUES.COUNTRY);
+
+  assert.equal(phoneValidator.isValid('020 7946 0018', 'GB'), true);
+  assert.equal(phoneValidator.isValid('020 7946 0018', 'US'), false);
+  assert.equal(phoneValidator.getErrorMessage('GB'), 'Please enter a valid phone number (e.g., +44 20 7946 0018)');
+});
+
+test('addresses follow the country region and line order', () => {
+  assert.deepEqual(formatAddress({
+    address: '1 Market St',
+    city: 'San Francisco',
+    state: 'CA',
+    postalCode: '94103',
+    country: 'US'
+  }, { includeCountry: true }), ['1 Market St', 'San Francisco, CA 94103', 'United States']);
+
+  // German addresses have no region line: the state is left out
+  assert.deepEqual(formatAddress({
+    address: 'Unter den Linden 1',
+    city: 'Berlin',
+    state: 'Berlin',
+    postalCode: '10117',
+    country: 'DE'
+  }), ['Unter den Linden 1', '10117 Berlin']);
+  assert.equal(getAddressFormat('DE').region, null);
+  assert.equal(getAddressFormat('JP').region, 'Prefecture');
+
+  assert.deepEqual(formatAddress({ address: '', city: 'Springfield', state: '', postalCode: '', country: 'US' }), ['Springfield']);
+  assert.equal(getAddressFormat('ZZ').regionRequired, false);
+});
@@ -0,0 +1,126 @@
+/**
+ * Date & time
+ * Local date/times resolve in the business timezone (reporting daylight saving gaps and overlaps),
+ * travel with their UTC offset, and calendar dates show as written in any timezone
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+import { formatDate } from '../assets/js/core/utils.js';
+import {
+  LOCAL_TIME_STATUS,
+  formatDateTime,
+  formatUTCOffset,
+  getLocalDate,
+  getUTCOffsetMinutes,
+  hasUTCOffset,
+  isValidTimezone,
+  normalizeDateTime,
+  parseLocalDateTime,
+  resolveLocalDateTime,
+  toInstant,
+  toLocalDateTime
+} from '../assets/js/core/dateTime.js';
+
+const NEW_YORK = 'America/New_York';
+
+test('local date/times parse only when the calendar date and time exist', () => {
+  assert.equal(parseLocalDateTime('2026-07-04T19:30'), Date.UTC(2026, 6, 4, 19, 30));
+  assert.equal(parseLocalDateTime('2026-07-04'), Date.UTC(2026, 6, 4));
+  assert.equal(parseLocalDateTime('2028-02-29T00:00:00'), Date.UTC(2028, 1, 29));
+  assert.equal(parseLocalDateTime('2026-02-29T00:00'), null);
+  assert.equal(parseLocalDateTime('2026-07-04T24:00'), null);
+  assert.equal(parseLocalDateTime('2026-07-04T19:30Z'), null);
+
+  assert.equal(hasUTCOffset('2026-07-04T19:30:00Z'), true);
+  assert.equal(hasUTCOffset('2026-07-04T19:30:00+05:30'), true);
+  assert.equal(hasUTCOffset('2026-07-04T19:30'), false);
+  assert.equal(isValidTimezone('Asia/Kolkata'), true);
+  assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidTimezone(''), false);
+});
+
+test('daylight saving gaps and overlaps are reported', () => {
+  assert.deepEqual(resolveLocalDateTime('2026-07-04T19:30', NEW_YORK), {
+    status: LOCAL_TIME_STATUS.VALID,
+    instant: Date.parse('2026-07-04T23:30:00Z'),
+    instants: [Date.parse('2026-07-04T23:30:00Z')]
+  });
+
+  // 02:30 is skipped on 8 March and runs into 03:30
+  const gap = resolveLocalDateTime('2026-03-08T02:30', NEW_YORK);
+  assert.equal(gap.status, LOCAL_TIME_STATUS.GAP);
+  assert.deepEqual(gap.instants, []);
+  assert.equal(toLocalDateTime(gap.instant, NEW_YORK), '2026-03-08T03:30');
+
+  // 01:30 happens twice on 1 November; the earlier one is daylight time
+  const overlap = resolveLocalDateTime('2026-11-01T01:30', NEW_YORK);
+  assert.equal(overlap.status, LOCAL_TIME_STATUS.OVERLAP);
+  assert.deepEqual(overlap.instants, [Date.parse('2026-11-01T05:30:00Z'), Date.parse('2026-11-01T06:30:00Z')]);
+  assert.equal(overlap.instant, overlap.instants[0]);
+
+  assert.equal(resolveLocalDateTime('not a date', NEW_YORK), null);
+});
+
+test('date/times normalize to ISO 8601 with the offset in force', () => {
+  assert.equal(normalizeDateTime('2026-07-04T19:30', NEW_YORK), '2026-07-04T19:30:00-04:00');
+  assert.equal(normalizeDateTime('2026-01-15T19:30', NEW_YORK), '2026-01-15T19:30:00-05:00');
+  assert.equal(normalizeDateTime('2026-07-04T19:30', 'Asia/Kolkata'), '2026-07-04T19:30:00+05:30');
+  assert.equal(normalizeDateTime('2026-07-04T23:30:00Z', NEW_YORK), '2026-07-04T19:30:00-04:00');
+  assert.equal(normalizeDateTime('2026-11-01T01:30', NEW_YORK), '2026-11-01T01:30:00-04:00');
+  assert.equal(normalizeDateTime('someday', NEW_YORK), null);
+
+  assert.equal(toInstant(new Date('2026-07-04T23:30:00Z'), NEW_YORK), Date.parse('2026-07-04T23:30:00Z'));
+  assert.equal(toInstant(new Date('invalid'), NEW_YORK), null);
+  assert.equal(toLocalDateTime(Date.parse('2026-07-04T23:30:15Z'), NEW_YORK), '2026-07-04T19:30:15');
+  assert.equal(getLocalDate(Date.parse('2026-07-03T23:30:00Z'), 'Europe/London'), '2026-07-04');
+  assert.equal(getLocalDate(Date.parse('2026-07-03T23:30:00Z'), NEW_YORK), '2026-07-03');
+
+  assert.equal(getUTCOffsetMinutes(Date.parse('2026-07-04T12:00:00Z'), 'Asia/Kathmandu'), 345);
+  assert.equal(formatUTCOffset(345), '+05:45');
+  assert.equal(formatUTCOffset(-210), '-03:30');
+  assert.equal(formatUTCOffset(0), '+00:00');
+});
+
+test('calendar dates show as written whatever the timezone', () => {
+  assert.equal(formatDateTime('2026-07-04', { locale: 'en-US', timezone: 'Pacific/Honolulu' }), 'Jul 4, 2026');
+  // ICU versions differ on the space before AM
+  assert.equal(formatDateTime('2026-07-04T23:30:00Z', { locale: 'en-US', timezone: 'Asia/Tokyo' }).replace(/\s/g, ' '), 'Jul 5, 2026, 8:30 AM');
+  assert.equal(formatDateTime('2026-07-04T23:30:00Z', { locale: 'en-GB', timezone: NEW_YORK, dateStyle: null }), '19:30');
+  assert.equal(formatDateTime('not a date'), '');
+  assert.equal(formatDate('2026-07-04', { locale: 'en-US', timezone: 'Pacific/Kiritimati' }), 'July 4, 2026');
+});
+
+test('local date/times without a timezone show as written wherever the viewer is', (t) => {
+  const { TZ } = process.env;
+  t.after(() => {
+    if (TZ === undefined) delete process.env.TZ;
+    else process.env.TZ = TZ;
+  });
+  process.env.TZ = 'Pacific/Honolulu';
+
+  assert.equal(formatDateTime('2026-07-04T19:30', { locale: 'en-GB' }), '4 Jul 2026, 19:30');
+  assert.equal(formatDate('2026-01-01T00:15:30', { locale: 'en-US' }), 'January 1, 2026');
+  assert.equal(formatDateTime('2026-07-04T19:30', { locale: 'en-GB', timezone: 'Asia/Tokyo' }), '4 Jul 2026, 19:30');
+  assert.equal(formatDateTime('2026-07-04T19:30:00Z', { locale: 'en-GB' }), '4 Jul 2026, 09:30');
+  assert.equal(formatDateTime('2026-02-30T10:00'), '');
+});
+
+test('date/time defaults must happen exactly once in the business timezone', () => {
+  const validate = (type, value) => {
+    const validator = new BAISFormValidator();
+    validator.validateDateTimeDefault({ type, default: value }, 'Service 1, Parameter 1', NEW_YORK);
+    return validator.errors;
+  };
+
+  assert.deepEqual(validate('datetime', '2026-07-04T19:30'), []);
+  assert.deepEqual(validate('datetime', '2026-07-04'), ['Service 1, Parameter 1: Default must be a valid date and time']);
+  assert.deepEqual(validate('datetime', '2026-03-08T02:30'), [
+    'Service 1, Parameter 1: Default 2026-03-08T02:30 does not exist in America/New_York (clocks skip it when daylight saving time starts)'
+  ]);
+  assert.match(validate('datetime', '2026-11-01T01:30')[0], /happens twice in America\/New_York/);
+  assert.deepEqual(validate('date', '2026-02-30'), ['Service 1, Parameter 1: Default must be a valid YYYY-MM-DD date']);
+  assert.deepEqual(validate('time', '7pm'), ['Service 1, Parameter 1: Default must be a valid HH:MM time']);
+});
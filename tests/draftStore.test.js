@@ -0,0 +1,133 @@
+/**
+ * Draft store
+ * Named drafts with an index for the picker, the legacy single draft moved into it, full storage
+ * reported as StorageQuotaError, and tabs told about each other's drafts
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { StorageQuotaError } from '../assets/js/core/errorHandler.js';
+import { STORAGE_NAMESPACES, getStorage } from '../assets/js/core/storage.js';
+import {
+  DRAFT_INDEX_KEY,
+  DRAFT_MESSAGES,
+  DRAFT_SIGNAL_KEY,
+  DraftChannel,
+  LEGACY_DRAFT_KEY,
+  deleteDraft,
+  getDraft,
+  listDrafts,
+  saveDraft
+} from '../assets/js/core/draftStore.js';
+import { createFormState } from './helpers/fixtures.js';
+import { installLocalStorage } from './helpers/memoryStorage.js';
+
+const localStorage = installLocalStorage();
+const draftStorage = getStorage(STORAGE_NAMESPACES.DRAFTS);
+
+const quietly = async (method, callback) => {
+  const original = console[method];
+  console[method] = () => {};
+  try {
+    return await callback();
+  } finally {
+    console[method] = original;
+  }
+};
+
+// No IndexedDB here; open the localStorage fallback without its warning
+await quietly('warn', () => draftStorage.keys());
+
+test.beforeEach(() => localStorage.clear());
+
+test('drafts are listed most recently saved first', async () => {
+  const first = await saveDraft({ name: 'Harbor Bistro', formState: createFormState() });
+  await delay(5);
+  const second = await saveDraft({ name: '', formState: createFormState() });
+  await delay(5);
+  await saveDraft({ ...first, name: 'Harbor Bistro (renamed)' });
+
+  assert.deepEqual((await listDrafts()).map(draft => draft.name), ['Harbor Bistro (renamed)', 'Untitled draft']);
+  assert.equal((await getDraft(second.id)).formState.businessInfo.name, 'Harbor Bistro');
+
+  await deleteDraft(first.id);
+  assert.deepEqual((await listDrafts()).map(draft => draft.id), [second.id]);
+  assert.equal(await getDraft(first.id), null);
+});
+
+test('the legacy single draft becomes a named draft', async () => {
+  await draftStorage.set(LEGACY_DRAFT_KEY, createFormState());
+
+  const [draft] = await listDrafts();
+  assert.equal(draft.name, 'Harbor Bistro');
+  assert.equal(await draftStorage.get(LEGACY_DRAFT_KEY), null);
+  assert.deepEqual((await getDraft(draft.id)).formState, createFormState());
+});
+
+test('an unreadable index lists no drafts', async () => {
+  localStorage.setItem(`bais:${STORAGE_NAMESPACES.DRAFTS}:${DRAFT_INDEX_KEY}`, '{broken');
+
+  assert.deepEqual(await quietly('error', () => listDrafts()), []);
+});
+
+test('full storage is reported as StorageQuotaError', async () => {
+  const { setItem } = localStorage;
+  localStorage.setItem = () => {
+    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  };
+
+  try {
+    await assert.rejects(saveDraft({ name: 'Harbor Bistro', formState: createFormState() }), StorageQuotaError);
+  } finally {
+    localStorage.setItem = setItem;
+  }
+});
+
+test('tabs hear about drafts opened in other tabs', async () => {
+  const received = [];
+  const channel = new DraftChannel('tab-a', message => received.push(message));
+  const otherTab = new DraftChannel('tab-b', () => {});
+
+  try {
+    otherTab.post(DRAFT_MESSAGES.OPENED, 'draft-1');
+    channel.post(DRAFT_MESSAGES.OPENED, 'draft-1');
+    await delay(20);
+
+    assert.deepEqual(received, [{ type: DRAFT_MESSAGES.OPENED, draftId: 'draft-1', tabId: 'tab-b', updatedAt: null }]);
+  } finally {
+    channel.close();
+    otherTab.close();
+  }
+});
+
+test('without BroadcastChannel, tabs signal each other through storage events', () => {
+  const { BroadcastChannel } = globalThis;
+  delete globalThis.BroadcastChannel;
+  const received = [];
+  const channel = new DraftChannel('tab-a', message => received.push(message));
+  const otherTab = new DraftChannel('tab-b', () => {});
+
+  try {
+    otherTab.post(DRAFT_MESSAGES.SAVED, 'draft-1', '2026-07-04T12:00:00.000Z');
+    const storageEvent = Object.assign(new Event('storage'), {
+      key: DRAFT_SIGNAL_KEY,
+      newValue: localStorage.getItem(DRAFT_SIGNAL_KEY)
+    });
+    window.dispatchEvent(storageEvent);
+
+    assert.equal(received.length, 1);
+    assert.deepEqual({ ...received[0], sentAt: undefined }, {
+      type: DRAFT_MESSAGES.SAVED,
+      draftId: 'draft-1',
+      tabId: 'tab-b',
+      updatedAt: '2026-07-04T12:00:00.000Z',
+      sentAt: undefined
+    });
+  } finally {
+    channel.close();
+    otherTab.close();
+    globalThis.BroadcastChannel = BroadcastChannel;
+  }
+});
@@ -0,0 +1,25 @@
+/**
+ * HTML escaping
+ * Imported names and descriptions are shown through template strings, so quotes must not end
+ * the attribute they are written into
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHTML } from '../assets/js/core/utils.js';
+
+test('escapeHTML escapes markup and both quote characters', () => {
+  assert.equal(
+    escapeHTML(`Bob's "Spa" <b>&</b>`),
+    'Bob&#39;s &quot;Spa&quot; &lt;b&gt;&amp;&lt;/b&gt;'
+  );
+  assert.equal(escapeHTML('" onfocus="alert(1)'), '&quot; onfocus=&quot;alert(1)');
+});
+
+test('escapeHTML shows null and undefined as empty and other values as text', () => {
+  assert.equal(escapeHTML(undefined), '');
+  assert.equal(escapeHTML(null), '');
+  assert.equal(escapeHTML(0), '0');
+  assert.equal(escapeHTML(false), 'false');
+});
@@ -0,0 +1,68 @@
+/**
+ * Form history
+ * Undo and redo over form state snapshots, bounded by entry count and total size
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import FormHistory from '../assets/js/core/formHistory.js';
+
+test('undo and redo step through recorded states with their labels', () => {
+  const history = new FormHistory();
+  history.reset({ name: '' });
+  assert.equal(history.canUndo(), false);
+
+  history.record({ name: 'Harbor' }, 'Edit Name');
+  history.record({ name: 'Harbor', services: 1 }, 'Add Service');
+
+  assert.equal(history.getUndoLabel(), 'Add Service');
+  assert.deepEqual(history.undo(), { name: 'Harbor' });
+  assert.equal(history.getRedoLabel(), 'Add Service');
+  assert.deepEqual(history.undo(), { name: '' });
+  assert.equal(history.undo(), null);
+  assert.deepEqual(history.redo(), { name: 'Harbor' });
+  assert.equal(history.getUndoLabel(), 'Edit Name');
+});
+
+test('returned states are copies', () => {
+  const history = new FormHistory();
+  history.reset({ services: [] });
+  history.record({ services: ['a'] }, 'Add Service');
+
+  history.undo().services.push('changed');
+  assert.deepEqual(history.redo(), { services: ['a'] });
+  assert.deepEqual(history.undo(), { services: [] });
+});
+
+test('unchanged states are not recorded and a new change drops the redo branch', () => {
+  const history = new FormHistory();
+  history.reset({ step: 0 });
+  assert.equal(history.record({ step: 0 }, 'Nothing'), false);
+
+  history.record({ step: 1 }, 'One');
+  history.record({ step: 2 }, 'Two');
+  history.undo();
+  assert.equal(history.record({ step: 3 }, 'Three'), true);
+
+  assert.equal(history.canRedo(), false);
+  assert.deepEqual(history.undo(), { step: 1 });
+  assert.equal(history.size, history.entries.reduce((sum, entry) => sum + entry.snapshot.length, 0));
+});
+
+test('the oldest states are dropped beyond the entry and size limits', () => {
+  const byCount = new FormHistory({ maxEntries: 3 });
+  byCount.reset({ step: 0 });
+  [1, 2, 3, 4].forEach(step => byCount.record({ step }, `Step ${step}`));
+  assert.deepEqual(byCount.entries.map(entry => JSON.parse(entry.snapshot).step), [2, 3, 4]);
+  assert.deepEqual(byCount.undo(), { step: 3 });
+
+  const bySize = new FormHistory({ maxBytes: 30 });
+  bySize.reset({ text: 'a'.repeat(10) });
+  bySize.record({ text: 'b'.repeat(10) }, 'B');
+  assert.equal(bySize.entries.length, 1);
+  assert.equal(bySize.canUndo(), false);
+
+  bySize.record({ text: 'c'.repeat(40) }, 'C');
+  assert.equal(bySize.entries.length, 1, 'the current state is kept even when larger than the limit');
+});
@@ -0,0 +1,320 @@
+/**
+ * Form state round trip
+ * transformFromAPIFormat(transformToAPIFormat(state)) deep-equals any canonical form state
+ * (see the canonical form rules in FormDataTransformer), and normalizeFormState maps other
+ * form states onto canonical ones
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { CURRENT_SCHEMA_VERSION } from '../assets/js/core/schemaMigrations.js';
+import { getPostalCodeExample } from '../assets/js/core/postalCodes.js';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+import { createRandom } from './helpers/random.js';
+
+const RUNS = 500;
+
+const transformer = new FormDataTransformer();
+const roundTrip = (state) => transformer.transformFromAPIFormat(transformer.transformToAPIFormat(state));
+
+/**
+ * Generator of canonical form states
+ */
+const createGenerator = (random) => {
+  const { int, bool, pick, word } = random;
+  const optional = () => (bool(0.3) ? '' : word());
+
+  const constraints = (type) => {
+    const result = {};
+    if (bool(0.3)) return result;
+    if (type === CONSTANTS.PARAMETER_TYPES.NUMBER || type === CONSTANTS.PARAMETER_TYPES.INTEGER) {
+      if (bool()) result.minimum = int(0, 10);
+      if (bool()) result.maximum = int(11, 100);
+    }
+    if (type === CONSTANTS.PARAMETER_TYPES.STRING) {
+      if (bool()) result.minLength = int(0, 5);
+      if (bool()) result.maxLength = int(6, 50);
+      if (bool(0.3)) result.pattern = '^[a-z]+$';
+      if (bool(0.3)) result.enum = ['a', 'b'];
+      if (bool(0.3)) result.format = 'email';
+    }
+    if (type === CONSTANTS.PARAMETER_TYPES.ARRAY && bool()) {
+      result.minItems = int(0, 3);
+    }
+    return result;
+  };
+
+  const child = (depth, named) => {
+    const type = pick(Object.values(CONSTANTS.PARAMETER_TYPES));
+    const definition = { type, description: optional(), constraints: constraints(type) };
+    if (named) {
+      definition.name = `field_${int(0, 999)}`;
+      definition.required = bool();
+    }
+    nest(definition, depth);
+    return definition;
+  };
+
+  const nest = (definition, depth) => {
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.ARRAY) {
+      definition.items = depth < 3 && bool(0.7) ? child(depth + 1, false) : null;
+    }
+    if (definition.type === CONSTANTS.PARAMETER_TYPES.OBJECT) {
+      const names = new Set();
+      definition.properties = depth < 3
+        ? Array.from({ length: int(0, 3) }, () => child(depth + 1, true))
+          .filter(property => !names.has(property.name) && names.add(property.name))
+        : [];
+    }
+  };
+
+  const pricing = () => {
+    const result = {
+      model: pick(Object.values(CONSTANTS.PRICING_MODELS)),
+      baseRate: int(0, 500),
+      currency: pick(Object.values(CONSTANTS.CURRENCIES)),
+      taxRate: pick([0, 0.1, 0.2]),
+      serviceFee: int(0, 9),
+      timeModifiers: bool() ? [] : [{ days: [0, 6], startTime: '18:00', endTime: '23:00', multiplier: 1.5 }],
+      seasons: bool() ? [] : [{ name: 'Summer', startDate: '06-01', endDate: '08-31', multiplier: 1.2 }]
+    };
+    if (bool()) result.minimumCharge = int(0, 100);
+    if (result.model === CONSTANTS.PRICING_MODELS.PER_UNIT) result.unit = pick(['', 'guest']);
+    if (result.model === CONSTANTS.PRICING_MODELS.TIERED) {
+      result.tierMode = pick(Object.values(CONSTANTS.TIER_MODES));
+      result.tiers = [{ upTo: 5, rate: 10 }, { upTo: null, rate: 8 }].slice(int(0, 1));
+    }
+    return result;
+  };
+
+  const schedule = () => ({
+    timezone: bool() ? '' : pick(CONSTANTS.TIMEZONES),
+    weeklyHours: [
+      { days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00' },
+      { days: [5, 6], open: '22:00', close: '02:00' }
+    ].slice(0, int(0, 2)),
+    blackoutDates: bool() ? [] : [{ name: optional(), startDate: '2026-12-24', endDate: '2026-12-26' }],
+    slotDurationMinutes: int(5, 240),
+    leadTimeMinutes: int(0, 2880),
+    capacityPerSlot: int(1, 20)
+  });
+
+  const parameter = (index) => {
+    const type = pick(Object.values(CONSTANTS.PARAMETER_TYPES));
+    const definition = {
+      name: `param_${index}`,
+      type,
+      description: optional(),
+      required: bool(),
+      constraints: constraints(type),
+      pricing: bool() ? null : pricing(),
+      requiredWhen: bool() ? null : pick([
+        { parameter: 'param_0', operator: 'is_set' },
+        { parameter: 'param_1', operator: 'equals', value: true },
+        { parameter: 'param_0', operator: 'greater_than', value: 3 }
+      ]),
+      visibleWhen: bool() ? null : { parameter: 'param_1', operator: 'not_equals', value: 'x' },
+      comparisons: bool() ? [] : [{ operator: 'greater_than', parameter: 'param_0' }]
+    };
+    if (bool(0.4)) {
+      definition.default = type === CONSTANTS.PARAMETER_TYPES.DATETIME
+        ? pick(['2026-07-04T19:30', '2026-01-15T08:05:30'])
+        : pick([1, 'x', true, false, 2.5]);
+    }
+    nest(definition, 1);
+    return definition;
+  };
+
+  const service = (index, defaultCurrency) => {
+    const depositRequired = bool();
+    return {
+      id: `service_${index}`,
+      name: word(),
+      description: optional(),
+      category: optional(),
+      currency: bool() ? '' : pick(Object.values(CONSTANTS.CURRENCIES).filter(code => code !== defaultCurrency)),
+      workflow: {
+        pattern: pick(Object.values(CONSTANTS.WORKFLOW_PATTERNS)),
+        steps: Array.from({ length: int(0, 3) }, () => ({
+          name: word(),
+          description: optional(),
+          required: bool(),
+          timeoutMinutes: int(1, 1440),
+          retryAttempts: int(0, 10)
+        }))
+      },
+      parameters: Array.from({ length: int(0, 4) }, (_, index) => parameter(index)),
+      availability: {
+        realTime: bool(),
+        cacheTimeoutSeconds: int(0, 3600),
+        advanceBookingDays: int(1, 730),
+        endpoint: bool() ? '' : 'https://api.example.com/availability',
+        schedule: bool() ? null : schedule()
+      },
+      cancellationPolicy: {
+        type: pick(Object.values(CONSTANTS.CANCELLATION_POLICY_TYPES)),
+        freeUntilHours: int(0, 168),
+        penaltyPercentage: int(0, 100),
+        description: optional()
+      },
+      payment: {
+        methods: ['credit_card'],
+        timing: pick(Object.values(CONSTANTS.PAYMENT_TIMING)),
+        depositRequired,
+        depositPercentage: depositRequired ? int(0, 100) : 0
+      },
+      policies: { modificationFee: int(0, 50), noShowPenalty: int(0, 50) }
+    };
+  };
+
+  const formState = () => {
+    const mcpAuto = bool();
+    const a2aAuto = bool();
+    const webhookAuto = bool();
+    const country = pick(CONSTANTS.COUNTRIES).code;
+    const currency = pick(Object.values(CONSTANTS.CURRENCIES));
+
+    return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      businessInfo: {
+        name: word(),
+        type: pick(Object.values(CONSTANTS.BUSINESS_TYPES)),
+        description: optional(),
+        website: bool() ? '' : 'https://business.example.com',
+        establishedDate: bool() ? '' : '2020-01-01',
+        capacity: bool() ? null : int(1, 500),
+        currency
+      },
+      location: {
+        address: word(),
+        city: word(),
+        state: optional(),
+        postalCode: bool() ? optional() : getPostalCodeExample(country),
+        country,
+        timezone: pick(CONSTANTS.TIMEZONES),
+        coordinates: bool() ? null : {
+          latitude: Number((random.next() * 180 - 90).toFixed(6)),
+          longitude: Number((random.next() * 360 - 180).toFixed(6))
+        }
+      },
+      contact: {
+        email: 'owner@business.example.com',
+        phone: pick(['', '+14155550123', '+442079460018', 'ask at the bar']),
+        secondaryEmail: optional(),
+        businessHours: optional()
+      },
+      services: Array.from({ length: int(0, 3) }, (_, index) => service(index, currency)),
+      integration: {
+        mcp: { autoGenerate: mcpAuto, endpoint: mcpAuto ? '' : 'https://business.example.com/mcp' },
+        a2a: { autoGenerate: a2aAuto, discoveryUrl: a2aAuto ? '' : 'https://business.example.com/.well-known/agent.json' },
+        webhooks: {
+          autoGenerate: webhookAuto,
+          endpoint: webhookAuto ? '' : 'https://business.example.com/webhooks',
+          events: bool() ? [] : [CONSTANTS.WEBHOOK_EVENTS.BOOKING_CONFIRMED]
+        }
+      },
+      ap2: bool()
+        ? { enabled: true, verificationRequired: bool(), mandateExpiryHours: int(1, 168) }
+        : { enabled: false, verificationRequired: true, mandateExpiryHours: 24 }
+    };
+  };
+
+  return { formState, service };
+};
+
+test('fromAPI(toAPI(state)) equals canonical form states', () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const state = createGenerator(createRandom(seed)).formState();
+    assert.deepEqual(roundTrip(state), state, `seed ${seed}`);
+  }
+});
+
+test('normalizeFormState gives canonical form states', () => {
+  for (let seed = 1; seed <= RUNS; seed++) {
+    const random = createRandom(seed);
+    const state = createGenerator(random).formState();
+
+    // Unset values the way older drafts and hand-built states leave them
+    delete state.location.coordinates;
+    state.services.forEach(service => {
+      service.workflow.steps.forEach(step => {
+        delete step.required;
+        delete step.retryAttempts;
+      });
+      service.parameters.forEach(parameter => {
+        if (random.bool()) delete parameter.pricing;
+        if (random.bool()) parameter.constraints = { minimum: undefined };
+      });
+    });
+
+    const normalized = transformer.normalizeFormState(state);
+    assert.equal(normalized.location.coordinates, null, `seed ${seed}`);
+    normalized.services.forEach(service => {
+      service.parameters.forEach(parameter => {
+        assert.ok(parameter.pricing === null || typeof parameter.pricing === 'object', `seed ${seed}`);
+        assert.ok(!Object.values(parameter.constraints).includes(undefined), `seed ${seed}`);
+      });
+      service.workflow.steps.forEach(step => {
+        assert.equal(typeof step.required, 'boolean', `seed ${seed}`);
+        assert.equal(typeof step.retryAttempts, 'number', `seed ${seed}`);
+      });
+    });
+    assert.deepEqual(roundTrip(normalized), normalized, `seed ${seed}`);
+  }
+});
+
+test('empty constraints, missing pricing and no workflow steps survive the round trip', () => {
+  const generator = createGenerator(createRandom(7));
+  const state = generator.formState();
+  state.services = [{
+    ...generator.service(0),
+    id: 'plain',
+    name: 'Plain',
+    workflow: { pattern: CONSTANTS.WORKFLOW_PATTERNS.INSTANT_PURCHASE, steps: [] },
+    parameters: [{
+      name: 'notes',
+      type: CONSTANTS.PARAMETER_TYPES.STRING,
+      description: '',
+      required: false,
+      constraints: {},
+      pricing: null,
+      requiredWhen: null,
+      visibleWhen: null,
+      comparisons: []
+    }]
+  }];
+
+  const normalized = transformer.normalizeFormState(state);
+  assert.deepEqual(normalized.services[0].parameters[0].constraints, {});
+  assert.equal(normalized.services[0].parameters[0].pricing, null);
+  assert.deepEqual(normalized.services[0].workflow.steps, []);
+  assert.deepEqual(roundTrip(normalized), normalized);
+});
+
+test('services carry their effective currency to the API and pricing without one takes it', () => {
+  const generator = createGenerator(createRandom(11));
+  const state = generator.formState();
+  state.businessInfo.currency = 'JPY';
+  state.services = [
+    { ...generator.service(0, 'JPY'), currency: '' },
+    { ...generator.service(1, 'JPY'), currency: 'JPY' },
+    { ...generator.service(2, 'JPY'), currency: 'EUR' }
+  ];
+  state.services.forEach(service => service.parameters.forEach(parameter => {
+    if (parameter.pricing) delete parameter.pricing.currency;
+  }));
+
+  const apiData = transformer.transformToAPIFormat(state);
+  assert.deepEqual(apiData.services_config.map(service => service.currency), ['JPY', 'JPY', 'EUR']);
+  const priced = apiData.services_config.flatMap(service => Object.values(service.parameters)
+    .filter(parameter => parameter.pricing)
+    .map(parameter => [parameter.pricing.currency, service.currency]));
+  assert.ok(priced.length > 0);
+  priced.forEach(([pricingCurrency, serviceCurrency]) => assert.equal(pricingCurrency, serviceCurrency));
+
+  const normalized = transformer.normalizeFormState(state);
+  assert.deepEqual(normalized.services.map(service => service.currency), ['', '', 'EUR']);
+  assert.deepEqual(roundTrip(normalized), normalized);
+});
@@ -0,0 +1,96 @@
+/**
+ * Geocoding
+ * Address lookup is off until a provider is set; the offline gazetteer finds places by city,
+ * state or postal code and only reports postal codes found in the query; results suggest the
+ * TIMEZONES entry keeping the same time
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigurationError } from '../assets/js/core/errorHandler.js';
+import { GAZETTEER_PLACES, createGazetteerProvider } from '../assets/js/core/gazetteer.js';
+import {
+  geocodeAddress,
+  getGeocodingProvider,
+  hasGeocodingProvider,
+  setGeocodingProvider,
+  suggestTimezone
+} from '../assets/js/core/geocoding.js';
+import { isValidPostalCode } from '../assets/js/core/postalCodes.js';
+
+test('address lookup is off without a provider', async () => {
+  assert.equal(hasGeocodingProvider(), false);
+  assert.equal(getGeocodingProvider(), null);
+  assert.deepEqual(await geocodeAddress('1 Market St, San Francisco'), []);
+});
+
+test('every gazetteer place has a valid postal code and a known timezone', () => {
+  GAZETTEER_PLACES.forEach(place => {
+    assert.ok(isValidPostalCode(place.postalCode, place.country), place.city);
+    assert.ok(suggestTimezone(place.timezone), place.city);
+  });
+});
+
+test('the gazetteer matches the city and keeps the street and postal code typed', async () => {
+  setGeocodingProvider(createGazetteerProvider());
+  assert.equal(hasGeocodingProvider(), true);
+
+  const [result] = await geocodeAddress('10 Downing Street, London SW1A 2AA');
+  assert.deepEqual(result, {
+    label: '10 Downing Street, London, SW1A 2AA, United Kingdom',
+    address: '10 Downing Street',
+    city: 'London',
+    state: 'England',
+    postalCode: 'SW1A 2AA',
+    country: 'GB',
+    coordinates: { latitude: 51.5074, longitude: -0.1278 },
+    timezone: 'Europe/London',
+    suggestedTimezone: 'Europe/London'
+  });
+
+  const [saoPaulo] = await geocodeAddress('Av. Paulista 1578, sao paulo');
+  assert.equal(saoPaulo.city, 'São Paulo');
+
+  assert.deepEqual((await geocodeAddress('94103')).map(place => place.city), ['San Francisco']);
+  assert.deepEqual(await geocodeAddress('London', { country: 'US' }), []);
+  assert.deepEqual(await geocodeAddress('   '), []);
+});
+
+test('the gazetteer only reports postal codes found in the query', async () => {
+  setGeocodingProvider(createGazetteerProvider());
+
+  const [withoutCode] = await geocodeAddress('Shibuya, Tokyo');
+  assert.equal(withoutCode.city, 'Tokyo');
+  assert.equal(withoutCode.postalCode, '');
+  assert.equal(withoutCode.suggestedTimezone, 'Asia/Tokyo');
+
+  const [withCode] = await geocodeAddress('1 Market St, San Francisco 94105');
+  assert.equal(withCode.address, '1 Market St');
+  assert.equal(withCode.postalCode, '94105');
+});
+
+test('timezones outside the list map to one keeping the same time', () => {
+  assert.equal(suggestTimezone('Europe/London'), 'Europe/London');
+  assert.equal(suggestTimezone('Europe/Dublin'), 'Europe/London');
+  assert.equal(suggestTimezone('Pacific/Chatham'), null);
+  assert.equal(suggestTimezone('Mars/Olympus_Mons'), null);
+});
+
+test('a configured provider receives the trimmed query and options', async () => {
+  const queries = [];
+  setGeocodingProvider({
+    name: 'test',
+    geocode: async (query, options) => {
+      queries.push([query, options]);
+      return [{ label: 'Somewhere', timezone: 'America/Detroit' }];
+    }
+  });
+
+  const [result] = await geocodeAddress(' 1 Main St ', { country: 'US', limit: 1 });
+  assert.deepEqual(queries, [['1 Main St', { country: 'US', limit: 1 }]]);
+  assert.equal(result.suggestedTimezone, 'America/New_York');
+
+  assert.throws(() => setGeocodingProvider({ name: 'broken' }), ConfigurationError);
+  assert.equal(getGeocodingProvider().name, 'test');
+});
@@ -0,0 +1,10 @@
+/**
+ * Browser globals the modules read at import time (core/config.js reads window.location)
+ * Import before any module under assets/js
+ */
+
+if (!globalThis.window) {
+  const window = new EventTarget();
+  window.location = { hostname: 'localhost', href: 'http://localhost/' };
+  globalThis.window = window;
+}
@@ -0,0 +1,61 @@
+/**
+ * Sample form state for tests
+ * A small restaurant with one bookable service, in the shape BAISOnboardingForm keeps
+ */
+
+import CONSTANTS from '../../assets/js/core/constants.js';
+import { CURRENT_SCHEMA_VERSION } from '../../assets/js/core/schemaMigrations.js';
+
+export const createService = (overrides = {}) => ({
+  id: 'table_booking',
+  name: 'Table Booking',
+  description: 'Reserve a table',
+  category: 'dining',
+  currency: '',
+  workflow: { pattern: CONSTANTS.WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT, steps: [] },
+  parameters: [
+    { name: 'party_size', type: 'integer', description: 'Number of guests', required: true, constraints: { minimum: 1, maximum: 12 } },
+    { name: 'notes', type: 'string', description: 'Requests', required: false, constraints: {} }
+  ],
+  availability: { realTime: true, cacheTimeoutSeconds: 300, advanceBookingDays: 30, endpoint: '', schedule: null },
+  cancellationPolicy: { type: 'flexible', freeUntilHours: 24, penaltyPercentage: 50, description: '' },
+  payment: { methods: ['credit_card'], timing: 'at_booking', depositRequired: false, depositPercentage: 0 },
+  policies: { modificationFee: 0, noShowPenalty: 0 },
+  ...overrides
+});
+
+export const createFormState = (overrides = {}) => ({
+  schemaVersion: CURRENT_SCHEMA_VERSION,
+  businessInfo: {
+    name: 'Harbor Bistro',
+    type: CONSTANTS.BUSINESS_TYPES.FOOD_SERVICE,
+    description: 'Seafood by the water',
+    website: 'https://harborbistro.example.com',
+    establishedDate: '',
+    capacity: 80,
+    currency: 'USD'
+  },
+  location: {
+    address: '1 Pier Road',
+    city: 'San Francisco',
+    state: 'CA',
+    postalCode: '94111',
+    country: 'US',
+    timezone: 'America/Los_Angeles',
+    coordinates: null
+  },
+  contact: {
+    email: 'hello@harborbistro.example.com',
+    phone: '+14155550123',
+    secondaryEmail: '',
+    businessHours: 'Daily 11:00-22:00'
+  },
+  services: [createService()],
+  integration: {
+    mcp: { autoGenerate: true, endpoint: '' },
+    a2a: { autoGenerate: true, discoveryUrl: '' },
+    webhooks: { autoGenerate: true, endpoint: '', events: [] }
+  },
+  ap2: { enabled: false, verificationRequired: true, mandateExpiryHours: 24 },
+  ...overrides
+});
@@ -0,0 +1,23 @@
+/**
+ * In-memory localStorage for modules that persist to the browser
+ * Each call installs a fresh, empty store on globalThis and returns it; core/storage.js keeps
+ * the store it sees first, so install once per test file before touching storage
+ */
+
+export const installLocalStorage = () => {
+  const items = new Map();
+
+  const localStorage = {
+    get length() {
+      return items.size;
+    },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+
+  globalThis.localStorage = localStorage;
+  return localStorage;
+};
@@ -0,0 +1,16 @@
+/**
+ * Seeded random values for property-style tests
+ * The same seed gives the same sequence, so a failing case can be replayed from its seed
+ */
+
+export const createRandom = (seed) => {
+  let state = seed % 2147483647 || 1;
+  const next = () => (state = (state * 16807) % 2147483647) / 2147483647;
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const bool = (probability = 0.5) => next() < probability;
+  const pick = (values) => values[Math.floor(next() * values.length)];
+  const word = () => Array.from({ length: int(1, 8) }, () => pick('abcdefghijklmnopqrstuvwxyz0123456789')).join('');
+
+  return { next, int, bool, pick, word };
+};
@@ -0,0 +1,98 @@
+/**
+ * Local date/times
+ * Date/time strings without a UTC offset are read in the business timezone, so the answer does not
+ * depend on the TZ of the browser or server running the check
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSlot, findAvailableSlots, getAvailabilityCalendar } from '../assets/js/core/availabilityEngine.js';
+import { calculateCancellation } from '../assets/js/core/refundCalculator.js';
+
+const RUNTIME_TIMEZONES = ['UTC', 'Asia/Tokyo', 'America/New_York', 'Australia/Sydney'];
+
+const service = {
+  availability: {
+    advance_booking_days: 30,
+    schedule: {
+      timezone: 'America/New_York',
+      weekly_hours: [{ days: [1], open: '09:00', close: '17:00' }],
+      blackout_dates: [],
+      slot_duration_minutes: 60,
+      lead_time_minutes: 0,
+      capacity_per_slot: 2
+    }
+  },
+  cancellation_policy: { type: 'flexible', free_until_hours: 24, penalty_percentage: 50 },
+  payment_config: { timing: 'at_booking' }
+};
+
+/**
+ * Run a check once under each runtime timezone
+ */
+const inEachRuntimeTimezone = (check) => {
+  const original = process.env.TZ;
+  try {
+    RUNTIME_TIMEZONES.forEach(timezone => {
+      process.env.TZ = timezone;
+      check(timezone);
+    });
+  } finally {
+    if (original === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = original;
+    }
+  }
+};
+
+test('checkSlot reads a local start in the schedule timezone', () => {
+  inEachRuntimeTimezone(timezone => {
+    const result = checkSlot(service, { start: '2026-07-06T10:00', now: '2026-07-01T00:00:00Z' });
+    assert.equal(result.bookable, true, `TZ=${timezone}`);
+    assert.equal(result.start.toISOString(), '2026-07-06T14:00:00.000Z', `TZ=${timezone}`);
+    assert.equal(result.date, '2026-07-06', `TZ=${timezone}`);
+  });
+});
+
+test('checkSlot reads local bookings and now in the schedule timezone', () => {
+  inEachRuntimeTimezone(timezone => {
+    const result = checkSlot(service, {
+      start: '2026-07-06T10:00',
+      now: '2026-07-06T09:30',
+      partySize: 2,
+      bookings: [{ start: '2026-07-06T10:00', partySize: 1 }]
+    });
+    assert.equal(result.reason, 'full', `TZ=${timezone}`);
+    assert.equal(result.remaining, 1, `TZ=${timezone}`);
+  });
+});
+
+test('findAvailableSlots reads a local after in the schedule timezone', () => {
+  inEachRuntimeTimezone(timezone => {
+    const [first] = findAvailableSlots(service, { after: '2026-07-06T15:30', now: '2026-07-01T00:00:00Z', count: 1 });
+    assert.equal(first.start.toISOString(), '2026-07-06T20:00:00.000Z', `TZ=${timezone}`);
+  });
+});
+
+test('getAvailabilityCalendar reads a local now in the schedule timezone', () => {
+  inEachRuntimeTimezone(timezone => {
+    const [day] = getAvailabilityCalendar(service, { now: '2026-07-06T12:00', days: 1 });
+    assert.equal(day.date, '2026-07-06', `TZ=${timezone}`);
+    assert.deepEqual(day.slots.map(slot => slot.bookable), [false, false, false, true, true, true, true, true], `TZ=${timezone}`);
+  });
+});
+
+test('calculateCancellation reads local times in the location timezone', () => {
+  inEachRuntimeTimezone(timezone => {
+    const result = calculateCancellation(service, {
+      price: 100,
+      bookingTime: '2026-07-06T10:00',
+      cancellationTime: '2026-07-05T14:00:00Z',
+      timezone: 'America/New_York'
+    });
+    assert.equal(result.hoursBeforeStart, 24, `TZ=${timezone}`);
+    assert.equal(result.refund, 100, `TZ=${timezone}`);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * MCP tool export
+ * One tool per service, with its parameters as the input schema and behaviour hints that follow
+ * the service's workflow pattern
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import MCPToolExporter from '../assets/js/components/MCPToolExporter.js';
+import { createFormState } from './helpers/fixtures.js';
+
+const exporter = new MCPToolExporter();
+
+const annotationsFor = (pattern) => exporter.buildAnnotations({ name: 'Table Booking', workflow_pattern: pattern });
+
+test('generateTools gives one tool per service with its parameters as the input schema', () => {
+  const [tool] = exporter.generateTools(createFormState());
+
+  assert.equal(tool.name, 'table_booking');
+  assert.equal(tool.title, 'Table Booking');
+  assert.match(tool.description, /Offered by Harbor Bistro\./);
+  assert.deepEqual(tool.inputSchema.required, ['party_size']);
+  assert.equal(tool.inputSchema.additionalProperties, false);
+  assert.equal(tool.inputSchema.properties.party_size.type, 'integer');
+  assert.equal(tool.inputSchema.properties.party_size.minimum, 1);
+  assert.equal(tool.inputSchema.properties.party_size.maximum, 12);
+  assert.equal(tool._meta['bais/service'].workflow_pattern, CONSTANTS.WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT);
+});
+
+test('only patterns that take payment on the first call are destructive', () => {
+  Object.values(CONSTANTS.WORKFLOW_PATTERNS).forEach(pattern => {
+    const annotations = annotationsFor(pattern);
+    assert.equal(annotations.destructiveHint, pattern === CONSTANTS.WORKFLOW_PATTERNS.INSTANT_PURCHASE, pattern);
+    assert.equal(annotations.readOnlyHint, false, pattern);
+    assert.equal(annotations.idempotentHint, false, pattern);
+    assert.equal(annotations.title, 'Table Booking', pattern);
+  });
+});
+
+test('phone parameters are described with an E.164 pattern rather than a format', () => {
+  const formState = createFormState();
+  formState.services[0].parameters.push({
+    name: 'callback_phone', type: 'string', description: '', required: false, constraints: { format: 'phone' },
+    pricing: null, requiredWhen: null, visibleWhen: null, comparisons: []
+  });
+  const [tool] = exporter.generateTools(formState);
+
+  assert.equal(tool.inputSchema.properties.callback_phone.format, undefined);
+  assert.equal(tool.inputSchema.properties.callback_phone.pattern, '^\\+[1-9]\\d{7,14}$');
+});
@@ -0,0 +1,60 @@
+/**
+ * Money utilities
+ * Amounts move between major and integer minor units without floating point drift
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  convertMinorUnits,
+  formatMinorUnits,
+  fromMinorUnits,
+  getMinorUnitDigits,
+  multiplyMinor,
+  percentageOf,
+  toMinorUnits
+} from '../assets/js/core/money.js';
+
+test('minor unit digits follow ISO 4217', () => {
+  assert.equal(getMinorUnitDigits('USD'), 2);
+  assert.equal(getMinorUnitDigits('JPY'), 0);
+  assert.equal(getMinorUnitDigits('XYZ'), 2);
+});
+
+test('conversion to minor units shifts the decimal point exactly', () => {
+  assert.equal(toMinorUnits(1.005, 'USD'), 101);
+  assert.equal(toMinorUnits(0.1 + 0.2, 'EUR'), 30);
+  assert.equal(toMinorUnits('19.99'), 1999);
+  assert.equal(toMinorUnits(1e21, 'USD'), 1e23);
+  assert.equal(toMinorUnits(1200.5, 'JPY'), 1201);
+  assert.equal(toMinorUnits('abc'), 0);
+});
+
+test('conversion back to major units', () => {
+  assert.equal(fromMinorUnits(1999, 'USD'), 19.99);
+  assert.equal(fromMinorUnits(1200, 'JPY'), 1200);
+  assert.equal(fromMinorUnits(-5, 'GBP'), -0.05);
+});
+
+test('multiplication and percentages round to whole minor units', () => {
+  assert.equal(multiplyMinor(999, 1.5), 1499);
+  assert.equal(multiplyMinor(1001, 0.5), 501);
+  assert.equal(percentageOf(3333, 10), 333);
+  assert.equal(percentageOf(101, 50), 51);
+});
+
+test('formatting uses the currency decimal places', () => {
+  assert.equal(formatMinorUnits(1234, 'USD', 'en-US'), '$12.34');
+  assert.equal(formatMinorUnits(123456, 'JPY', 'en-US'), '¥123,456');
+  assert.equal(formatMinorUnits(5, 'EUR', 'de-DE'), '0,05\u00a0€');
+});
+
+test('conversion between currencies adjusts for minor unit digits', () => {
+  const rates = { USD: 1, JPY: 150, EUR: 0.9 };
+  assert.equal(convertMinorUnits(1999, 'USD', 'USD', rates), 1999);
+  assert.equal(convertMinorUnits(1000, 'USD', 'JPY', rates), 1500);
+  assert.equal(convertMinorUnits(1500, 'JPY', 'USD', rates), 1000);
+  assert.equal(convertMinorUnits(1000, 'USD', 'EUR', rates), 900);
+  assert.equal(convertMinorUnits(1000, 'USD', 'GBP', rates), null);
+});
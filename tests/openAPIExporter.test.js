@@ -0,0 +1,116 @@
+/**
+ * OpenAPI export
+ * Each service gets the lifecycle operations its workflow pattern supports, with error responses
+ * taken from its payment and cancellation configuration
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { ValidationError } from '../assets/js/core/errorHandler.js';
+import OpenAPIExporter, { OPENAPI_VERSION } from '../assets/js/components/OpenAPIExporter.js';
+import { createFormState, createService } from './helpers/fixtures.js';
+
+const exporter = new OpenAPIExporter();
+
+const generate = (...services) => exporter.generateDocument(
+  createFormState({ services }),
+  { serverUrl: 'https://api.example.com/businesses/harbor-bistro' }
+);
+
+test('a booking service gets availability, booking, modify and cancel operations', () => {
+  const document = generate(createService());
+
+  assert.equal(document.openapi, OPENAPI_VERSION);
+  assert.deepEqual(document.servers, [{ url: 'https://api.example.com/businesses/harbor-bistro' }]);
+  assert.deepEqual(Object.keys(document.paths), [
+    '/services/table_booking',
+    '/services/table_booking/availability',
+    '/services/table_booking/bookings',
+    '/services/table_booking/bookings/{booking_id}',
+    '/services/table_booking/bookings/{booking_id}/cancel'
+  ]);
+  assert.deepEqual(
+    document.paths['/services/table_booking'].post.requestBody.content['application/json'].schema.required,
+    ['party_size']
+  );
+});
+
+test('an instant purchase has no booking or modify operations', () => {
+  const document = generate(createService({
+    workflow: { pattern: CONSTANTS.WORKFLOW_PATTERNS.INSTANT_PURCHASE, steps: [] }
+  }));
+
+  assert.deepEqual(Object.keys(document.paths), [
+    '/services/table_booking',
+    '/services/table_booking/availability',
+    '/services/table_booking/bookings/{booking_id}/cancel'
+  ]);
+});
+
+test('modify bodies are partial', () => {
+  const document = generate(createService());
+  const schema = document.paths['/services/table_booking/bookings/{booking_id}'].patch.requestBody.content['application/json'].schema;
+
+  assert.equal('required' in schema, false);
+  assert.deepEqual(Object.keys(schema.properties), ['party_size', 'notes']);
+});
+
+test('payment timing and cancellation policy give the error responses', () => {
+  const upFront = generate(createService()).paths['/services/table_booking'].post.responses;
+  assert.ok(upFront[402]);
+
+  const onArrival = generate(createService({
+    payment: { methods: ['cash'], timing: CONSTANTS.PAYMENT_TIMING.ON_ARRIVAL, depositRequired: false, depositPercentage: 0 }
+  })).paths['/services/table_booking'].post.responses;
+  assert.equal(onArrival[402], undefined);
+
+  const cancel = generate(createService({
+    cancellationPolicy: { type: CONSTANTS.CANCELLATION_POLICY_TYPES.NON_REFUNDABLE, freeUntilHours: 0, penaltyPercentage: 100, description: '' }
+  })).paths['/services/table_booking/bookings/{booking_id}/cancel'].post;
+  assert.match(cancel.responses[409].description, /non-refundable/);
+});
+
+test('modify bodies drop dependent and conditional requirements but keep hidden parameters out', () => {
+  const service = createService();
+  service.parameters.push(
+    {
+      name: 'occasion', type: CONSTANTS.PARAMETER_TYPES.STRING, description: '', required: false, constraints: {},
+      pricing: null, requiredWhen: { parameter: 'notes', operator: CONSTANTS.CONDITION_OPERATORS.IS_SET }, visibleWhen: null, comparisons: []
+    },
+    {
+      name: 'high_chairs', type: CONSTANTS.PARAMETER_TYPES.INTEGER, description: '', required: false, constraints: {},
+      pricing: null, requiredWhen: { parameter: 'party_size', operator: CONSTANTS.CONDITION_OPERATORS.GREATER_THAN, value: 6 },
+      visibleWhen: null, comparisons: []
+    },
+    {
+      name: 'cake', type: CONSTANTS.PARAMETER_TYPES.BOOLEAN, description: '', required: true, constraints: {},
+      pricing: null, requiredWhen: null, visibleWhen: { parameter: 'occasion', operator: CONSTANTS.CONDITION_OPERATORS.EQUALS, value: 'birthday' },
+      comparisons: []
+    }
+  );
+  const document = generate(service);
+
+  const full = document.paths['/services/table_booking'].post.requestBody.content['application/json'].schema;
+  assert.deepEqual(full.dependentRequired, { notes: ['occasion'] });
+  assert.equal(full.allOf.length, 2);
+
+  const partial = document.paths['/services/table_booking/bookings/{booking_id}'].patch.requestBody.content['application/json'].schema;
+  assert.equal('dependentRequired' in partial, false);
+  assert.deepEqual(partial.allOf, [{
+    if: { properties: { occasion: { const: 'birthday' } }, required: ['occasion'] },
+    else: { not: { required: ['cake'] } }
+  }]);
+});
+
+test('service ids are encoded in paths and colliding operations are rejected', () => {
+  const document = generate(createService({ id: 'brunch/late' }));
+  assert.ok(document.paths['/services/brunch%2Flate/bookings/{booking_id}/cancel']);
+  assert.equal(document.paths['/services/brunch%2Flate'].post.operationId, 'brunch/late');
+
+  assert.throws(() => generate(createService(), createService({ name: 'Copy' })),
+    (error) => error instanceof ValidationError && /same path as another service \(\/services\/table_booking\)/.test(error.message));
+  assert.throws(() => generate(createService({ id: 'table' }), createService({ id: 'table_book' })),
+    /same operationId as another service \(table_book\)/);
+});
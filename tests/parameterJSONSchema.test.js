@@ -0,0 +1,107 @@
+/**
+ * Parameter JSON Schema
+ * The input schema agents validate against: nested items and properties, and conditional rules
+ * expressed with required, dependentRequired and if/then/else
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+
+const transformer = new FormDataTransformer();
+
+const parameter = (overrides) => ({
+  type: 'string',
+  description: '',
+  required: false,
+  constraints: {},
+  pricing: null,
+  requiredWhen: null,
+  visibleWhen: null,
+  comparisons: [],
+  ...overrides
+});
+
+test('array items and object properties nest', () => {
+  const schema = transformer.transformParametersToJSONSchema([parameter({
+    name: 'guests',
+    type: 'array',
+    required: true,
+    constraints: { minItems: 1 },
+    items: {
+      type: 'object',
+      description: 'A guest',
+      constraints: {},
+      properties: [
+        { name: 'name', type: 'string', description: '', required: true, constraints: { maxLength: 80 } },
+        { name: 'birth_date', type: 'date', description: '', required: false, constraints: {} },
+        { name: 'tags', type: 'array', description: '', required: false, constraints: {}, items: null }
+      ]
+    }
+  })]);
+
+  assert.deepEqual(schema.required, ['guests']);
+  assert.deepEqual(schema.properties.guests, {
+    type: 'array',
+    description: '',
+    minItems: 1,
+    items: {
+      type: 'object',
+      description: 'A guest',
+      properties: {
+        name: { type: 'string', description: undefined, maxLength: 80 },
+        birth_date: { type: 'string', format: 'date', description: undefined },
+        tags: { type: 'array', description: undefined }
+      },
+      required: ['name'],
+      additionalProperties: false
+    }
+  });
+});
+
+test('formats map onto JSON Schema; phone numbers are checked as E.164 with a pattern', () => {
+  const schema = transformer.transformParametersToJSONSchema([
+    parameter({ name: 'website', constraints: { format: 'url' } }),
+    parameter({ name: 'email', constraints: { format: 'email' } }),
+    parameter({ name: 'mobile', constraints: { format: 'phone' } }),
+    parameter({ name: 'uk_mobile', constraints: { format: 'phone', pattern: '^\\+447' } })
+  ]);
+
+  assert.equal(schema.properties.website.format, 'uri');
+  assert.equal(schema.properties.email.format, 'email');
+  assert.deepEqual(schema.properties.mobile, {
+    type: 'string', description: '', pattern: '^\\+[1-9]\\d{7,14}$', 'x-bais-format': 'phone'
+  });
+  assert.equal(schema.properties.uk_mobile.pattern, '^\\+447');
+  assert.deepEqual(schema.properties.uk_mobile.allOf, [{ pattern: '^\\+[1-9]\\d{7,14}$' }]);
+  assert.equal('format' in schema.properties.uk_mobile, false);
+
+  const pattern = new RegExp(schema.properties.mobile.pattern);
+  assert.ok(pattern.test('+14155550123'));
+  assert.ok(!pattern.test('415-555-0123'));
+  assert.ok(!pattern.test('+0123456789'));
+});
+
+test('conditional rules become dependentRequired and if/then/else', () => {
+  const schema = transformer.transformParametersToJSONSchema([
+    parameter({ name: 'pets', type: 'boolean' }),
+    parameter({ name: 'pet_count', type: 'integer', requiredWhen: { parameter: 'pets', operator: 'equals', value: true } }),
+    parameter({ name: 'pet_notes', requiredWhen: { parameter: 'pet_count', operator: 'is_set' } }),
+    parameter({ name: 'crib', type: 'boolean', required: true, visibleWhen: { parameter: 'pet_count', operator: 'less_than', value: 2 } })
+  ]);
+
+  assert.equal('required' in schema, false);
+  assert.deepEqual(schema.dependentRequired, { pet_count: ['pet_notes'] });
+  assert.deepEqual(schema.allOf, [
+    {
+      if: { properties: { pets: { const: true } }, required: ['pets'] },
+      then: { required: ['pet_count'] }
+    },
+    {
+      if: { properties: { pet_count: { exclusiveMaximum: 2 } }, required: ['pet_count'] },
+      then: { required: ['crib'] },
+      else: { not: { required: ['crib'] } }
+    }
+  ]);
+});
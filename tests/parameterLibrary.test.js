@@ -0,0 +1,85 @@
+/**
+ * Parameter library
+ * Library templates are valid parameters for every business type; saved templates persist
+ * without their cross-parameter rules; inserted parameters take the service currency and a free name
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+import {
+  SAVED_TEMPLATES_STORAGE_KEY,
+  createParameterFromTemplate,
+  getLibraryTemplates,
+  getSavedTemplates,
+  loadSavedTemplates,
+  removeParameterTemplate,
+  saveParameterTemplate
+} from '../assets/js/core/parameterLibrary.js';
+import { installLocalStorage } from './helpers/memoryStorage.js';
+
+test('library templates are valid parameters with unique names for every business type', () => {
+  Object.values(CONSTANTS.BUSINESS_TYPES).forEach(businessType => {
+    const parameters = getLibraryTemplates(businessType)
+      .map(template => createParameterFromTemplate(template, { currency: 'EUR' }));
+    const validator = new BAISFormValidator();
+    validator.validateParameters(parameters, businessType);
+
+    assert.deepEqual(validator.errors, [], businessType);
+    assert.equal(new Set(parameters.map(parameter => parameter.name)).size, parameters.length, businessType);
+  });
+
+  assert.deepEqual(getLibraryTemplates('').map(template => template.name),
+    ['customer_name', 'customer_email', 'customer_phone', 'special_requests']);
+});
+
+test('inserted parameters take the service currency and a free name', () => {
+  const [template] = getLibraryTemplates(CONSTANTS.BUSINESS_TYPES.HOSPITALITY)
+    .filter(candidate => candidate.pricing);
+
+  const parameter = createParameterFromTemplate(template, {
+    currency: 'JPY',
+    existingNames: [template.name, `${template.name}_2`]
+  });
+
+  assert.equal(parameter.name, `${template.name}_3`);
+  assert.equal(parameter.pricing.currency, 'JPY');
+  assert.equal(parameter.pricing.baseRate, template.pricing.baseRate);
+  assert.equal(template.pricing.currency, undefined, 'the template is not modified');
+  assert.deepEqual([parameter.requiredWhen, parameter.visibleWhen, parameter.comparisons], [null, null, []]);
+});
+
+test('saved templates drop rules and replace templates of the same name', async () => {
+  const localStorage = installLocalStorage();
+  const parameter = {
+    name: 'pet_count',
+    type: 'integer',
+    description: 'Pets',
+    required: false,
+    constraints: { minimum: 0 },
+    pricing: null,
+    requiredWhen: { parameter: 'pets', operator: 'equals', value: true },
+    visibleWhen: null,
+    comparisons: []
+  };
+
+  assert.deepEqual(await loadSavedTemplates(), []);
+  assert.equal(await saveParameterTemplate(parameter), true);
+  assert.equal(await saveParameterTemplate({ ...parameter, description: 'Number of pets' }), true);
+  await saveParameterTemplate({ ...parameter, name: 'pet_names', type: 'string' });
+
+  assert.deepEqual(getSavedTemplates().map(template => [template.name, template.description]), [
+    ['pet_count', 'Number of pets'],
+    ['pet_names', 'Pets']
+  ]);
+  assert.equal('requiredWhen' in getSavedTemplates()[0], false);
+
+  await removeParameterTemplate('pet_count');
+  assert.deepEqual(getSavedTemplates().map(template => template.name), ['pet_names']);
+  assert.deepEqual((await loadSavedTemplates()).map(template => template.name), ['pet_names']);
+
+  localStorage.setItem(`bais:templates:${SAVED_TEMPLATES_STORAGE_KEY}`, JSON.stringify({ value: { not: 'a list' }, expiresAt: null }));
+  assert.deepEqual(await loadSavedTemplates(), []);
+});
@@ -0,0 +1,87 @@
+/**
+ * Parameter pricing validation
+ * Per-unit and tiered pricing need a numeric quantity; tiers, time rules and seasons are checked
+ * bracket by bracket and rule by rule
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+
+const { PRICING_MODELS, TIER_MODES, PARAMETER_TYPES } = CONSTANTS;
+
+const validatePricing = (pricing, type = PARAMETER_TYPES.INTEGER) => {
+  const validator = new BAISFormValidator();
+  validator.validateParameterPricing({
+    baseRate: 10,
+    currency: 'USD',
+    taxRate: 0,
+    serviceFee: 0,
+    timeModifiers: [],
+    seasons: [],
+    ...pricing
+  }, 'Guests', type);
+  return validator.errors;
+};
+
+test('complete pricing of each model is valid', () => {
+  assert.deepEqual(validatePricing({ model: PRICING_MODELS.FLAT }, PARAMETER_TYPES.STRING), []);
+  assert.deepEqual(validatePricing({ model: PRICING_MODELS.PER_UNIT, unit: 'guest' }), []);
+  assert.deepEqual(validatePricing({
+    model: PRICING_MODELS.TIERED,
+    tierMode: TIER_MODES.GRADUATED,
+    tiers: [{ upTo: 4, rate: 20 }, { upTo: 10, rate: 15 }, { upTo: null, rate: 12 }],
+    timeModifiers: [{ days: [5, 6], startTime: '18:00', endTime: '02:00', multiplier: 1.25 }],
+    seasons: [{ name: 'Leap Day', startDate: '02-29', endDate: '02-29', multiplier: 2 }]
+  }, PARAMETER_TYPES.NUMBER), []);
+});
+
+test('quantity models need a numeric parameter and per-unit pricing a unit', () => {
+  assert.deepEqual(validatePricing({ model: PRICING_MODELS.PER_UNIT, unit: ' ' }, PARAMETER_TYPES.STRING), [
+    'Guests: Per-unit and tiered pricing require a number or integer parameter (the quantity)',
+    'Guests: Unit is required for per-unit pricing (e.g., guest, night)'
+  ]);
+  assert.deepEqual(validatePricing({ model: 'hourly' }), ['Guests: Please select a valid pricing model']);
+});
+
+test('tiers must increase and end unlimited', () => {
+  assert.deepEqual(validatePricing({ model: PRICING_MODELS.TIERED, tiers: [] }), [
+    'Guests: Tiered pricing needs at least one tier'
+  ]);
+  assert.deepEqual(validatePricing({
+    model: PRICING_MODELS.TIERED,
+    tierMode: 'stepped',
+    tiers: [{ upTo: 5, rate: 10 }, { upTo: null, rate: 8 }, { upTo: 3, rate: -1 }]
+  }), [
+    'Guests: Please select a valid tier mode',
+    'Guests, Tier 2: Only the last tier can be unlimited',
+    'Guests, Tier 3: Rate must be a non-negative number',
+    'Guests, Tier 3: The last tier must be unlimited (leave "Up to" empty)',
+    'Guests, Tier 3: "Up to" quantities must increase from tier to tier'
+  ]);
+});
+
+test('time rules and seasons are checked rule by rule', () => {
+  assert.deepEqual(validatePricing({
+    model: PRICING_MODELS.FLAT,
+    minimumCharge: -5,
+    timeModifiers: [
+      { days: [], startTime: '18:00', endTime: '23:00', multiplier: 1.5 },
+      { days: [7], startTime: '9:00', endTime: '23:00', multiplier: 0 },
+      { days: [1], startTime: '10:00', endTime: '10:00', multiplier: 11 }
+    ],
+    seasons: [{ name: '', startDate: '02-30', endDate: '13-01', multiplier: 1 }]
+  }), [
+    'Guests, Time Rule 1: Select at least one day of the week',
+    'Guests, Time Rule 2: Select at least one day of the week',
+    'Guests, Time Rule 2: Start and end times must be in HH:MM format',
+    'Guests, Time Rule 2: Multiplier must be greater than 0 and at most 10',
+    'Guests, Time Rule 3: Start and end times must differ',
+    'Guests, Time Rule 3: Multiplier must be greater than 0 and at most 10',
+    'Guests, Season 1: Season name is required',
+    'Guests, Season 1: Start and end dates must be valid MM-DD dates',
+    'Guests: Minimum charge must be a non-negative number'
+  ]);
+});
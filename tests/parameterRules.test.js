@@ -0,0 +1,58 @@
+/**
+ * Parameter rules
+ * Conditions and comparisons between parameter values, with defaults filled in
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkParameterValues,
+  compareValues,
+  isConditionMet,
+  resolveParameterValues
+} from '../assets/js/core/parameterRules.js';
+
+test('comparisons order numbers numerically and everything else as strings', () => {
+  assert.equal(compareValues(10, 9, 'greater_than'), true);
+  assert.equal(compareValues('10', '9', 'greater_than'), false);
+  assert.equal(compareValues('2026-07-05', '2026-07-04', 'greater_than'), true);
+  assert.equal(compareValues('09:30', '09:30', 'greater_than_or_equal'), true);
+  assert.equal(compareValues('a', 'b', 'not_equals'), true);
+  assert.equal(compareValues(1, 2, 'unknown'), true);
+});
+
+test('conditions on missing values only hold for is-set negations and not-equals', () => {
+  assert.equal(isConditionMet(null, {}), true);
+  assert.equal(isConditionMet({ parameter: 'pets', operator: 'is_set' }, { pets: '' }), false);
+  assert.equal(isConditionMet({ parameter: 'pets', operator: 'equals', value: true }, {}), false);
+  assert.equal(isConditionMet({ parameter: 'pets', operator: 'not_equals', value: true }, {}), true);
+  assert.equal(isConditionMet({ parameter: 'guests', operator: 'greater_than', value: 4 }, { guests: 5 }), true);
+  assert.equal(isConditionMet({ parameter: 'guests', operator: 'less_than', value: 4 }, { guests: 5 }), false);
+});
+
+test('defaults fill unset values', () => {
+  const parameters = { guests: { default: 2 }, notes: {}, pets: { default: false } };
+  assert.deepEqual(resolveParameterValues(parameters, { guests: '', notes: 'x' }), { guests: 2, notes: 'x', pets: false });
+});
+
+test('violations cover required, required-when, visibility and comparisons', () => {
+  const parameters = {
+    check_in: { required: true },
+    check_out: { required: true, comparisons: [{ operator: 'greater_than', parameter: 'check_in' }] },
+    pets: { default: false },
+    pet_count: { required_when: { parameter: 'pets', operator: 'equals', value: true } },
+    crib: { visible_when: { parameter: 'room', operator: 'equals', value: 'family' } },
+    room: { default: 'standard' }
+  };
+
+  assert.deepEqual(checkParameterValues(parameters, { check_in: '2026-07-04', check_out: '2026-07-06' }), []);
+  assert.deepEqual(checkParameterValues(parameters, { check_in: '2026-07-04', check_out: '2026-07-04', pets: true, crib: true }), [
+    { parameter: 'check_out', message: 'check_out must be after / greater than check_in' },
+    { parameter: 'pet_count', message: '"pet_count" is required when pets equals true' },
+    { parameter: 'crib', message: '"crib" only applies when room equals family' }
+  ]);
+  assert.deepEqual(checkParameterValues(parameters, {}, ['check_in']), [
+    { parameter: 'check_in', message: '"check_in" is required' }
+  ]);
+});
@@ -0,0 +1,72 @@
+/**
+ * Postal codes
+ * Codes are checked against their country's format and written in its standard form; the
+ * transformer and validator apply the location's country
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+import {
+  POSTAL_CODE_FORMATS,
+  findPostalCode,
+  getPostalCodeExample,
+  isValidPostalCode,
+  normalizePostalCode
+} from '../assets/js/core/postalCodes.js';
+import { createFormState } from './helpers/fixtures.js';
+
+test('every listed example is valid and already in standard form', () => {
+  Object.entries(POSTAL_CODE_FORMATS).forEach(([country, format]) => {
+    assert.equal(normalizePostalCode(format.example, country), format.example, country);
+    assert.ok(CONSTANTS.COUNTRIES.some(entry => entry.code === country), country);
+  });
+});
+
+test('codes are written in the country standard form', () => {
+  assert.equal(normalizePostalCode('sw1a1aa', 'GB'), 'SW1A 1AA');
+  assert.equal(normalizePostalCode(' ec1a 1bb ', 'GB'), 'EC1A 1BB');
+  assert.equal(normalizePostalCode('k1a0b1', 'CA'), 'K1A 0B1');
+  assert.equal(normalizePostalCode('941031234', 'US'), '94103-1234');
+  assert.equal(normalizePostalCode('94103', 'US'), '94103');
+  assert.equal(normalizePostalCode('1000001', 'JP'), '100-0001');
+  assert.equal(normalizePostalCode('1012ab', 'NL'), '1012 AB');
+  assert.equal(normalizePostalCode('d02x285', 'IE'), 'D02 X285');
+});
+
+test('codes that do not fit the country are refused', () => {
+  assert.equal(isValidPostalCode('9410', 'US'), false);
+  assert.equal(isValidPostalCode('SW1A 1AA', 'US'), false);
+  assert.equal(isValidPostalCode('D1A 0B1', 'CA'), false);
+  assert.equal(isValidPostalCode('1012 SA', 'NL'), false);
+  assert.equal(isValidPostalCode('53001', 'ES'), false);
+  assert.equal(isValidPostalCode('', 'US'), false);
+  assert.equal(isValidPostalCode(null, 'US'), false);
+  assert.equal(isValidPostalCode('AB-1234', 'ZZ'), true);
+  assert.equal(getPostalCodeExample('GB'), 'SW1A 1AA');
+  assert.equal(getPostalCodeExample('ZZ'), '');
+});
+
+test('the postal code is found at the end of a typed address', () => {
+  assert.equal(findPostalCode('10 Downing Street, London SW1A 2AA', 'GB'), 'SW1A 2AA');
+  assert.equal(findPostalCode('1600 Amphitheatre Pkwy, Mountain View, CA 94043', 'US'), '94043');
+  assert.equal(findPostalCode('221B Baker Street', 'US'), null);
+  assert.equal(findPostalCode('221B Baker Street', 'ZZ'), null);
+});
+
+test('the registration carries the standard form and the validator names the country', () => {
+  const transformer = new FormDataTransformer();
+  const state = createFormState();
+  state.location = { ...state.location, country: 'GB', postalCode: 'sw1a1aa' };
+  assert.equal(transformer.transformToAPIFormat(state).location.postal_code, 'SW1A 1AA');
+
+  state.location.postalCode = '94103';
+  assert.equal(transformer.transformToAPIFormat(state).location.postal_code, '94103');
+
+  const validator = new BAISFormValidator();
+  validator.validateLocation(state.location);
+  assert.ok(validator.errors.includes('Postcode is not valid for United Kingdom (e.g., SW1A 1AA)'), validator.errors.join('\n'));
+});
@@ -0,0 +1,174 @@
+/**
+ * Quote engine
+ * Itemised quotes in integer minor units: pricing models, compounding time and season
+ * multipliers, minimum charges, fees, tax and the payment schedule
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { ValidationError } from '../assets/js/core/errorHandler.js';
+import { calculateQuote, getServiceTimeParts, splitPayments } from '../assets/js/core/quoteEngine.js';
+
+const { PRICING_MODELS, TIER_MODES, PAYMENT_TIMING } = CONSTANTS;
+
+/**
+ * API-format service with a single priced parameter
+ */
+const createQuotedService = (pricing, parameter = {}) => ({
+  parameters: {
+    guests: {
+      type: 'integer',
+      required: true,
+      ...parameter,
+      pricing: { model: PRICING_MODELS.FLAT, base_rate: 0, currency: 'USD', tax_rate: 0, service_fee: 0, ...pricing }
+    }
+  },
+  payment_config: { timing: PAYMENT_TIMING.AT_BOOKING }
+});
+
+const TIERS = [{ up_to: 2, rate: 10 }, { up_to: 5, rate: 8 }, { up_to: null, rate: 5 }];
+
+test('local service times are read as written, offset times in the location timezone', () => {
+  assert.deepEqual(getServiceTimeParts('2026-07-04T19:30'), { monthDay: '07-04', time: '19:30', day: 6 });
+  assert.deepEqual(getServiceTimeParts('2026-07-04T19:30', 'Asia/Tokyo'), { monthDay: '07-04', time: '19:30', day: 6 });
+  assert.deepEqual(getServiceTimeParts('2026-12-31'), { monthDay: '12-31', time: '00:00', day: 4 });
+  assert.deepEqual(getServiceTimeParts('2026-07-04T23:30:00Z', 'Asia/Tokyo'), { monthDay: '07-05', time: '08:30', day: 0 });
+  assert.deepEqual(getServiceTimeParts(new Date('2026-07-04T23:30:00Z'), 'America/New_York'), { monthDay: '07-04', time: '19:30', day: 6 });
+  assert.equal(getServiceTimeParts(''), null);
+  assert.throws(() => getServiceTimeParts('tomorrow'), ValidationError);
+  assert.throws(() => getServiceTimeParts('2026-13-45T00:00:00Z', 'UTC'), ValidationError);
+});
+
+test('flat and per-unit pricing', () => {
+  const flat = calculateQuote(createQuotedService({ base_rate: 25 }), { guests: 4 });
+  assert.equal(flat.total, 2500);
+
+  const perUnit = calculateQuote(createQuotedService({ model: PRICING_MODELS.PER_UNIT, base_rate: 12.5, unit: 'guest' }), { guests: 3 });
+  assert.equal(perUnit.lineItems[0].quantity, 3);
+  assert.equal(perUnit.lineItems[0].unit, 'guest');
+  assert.equal(perUnit.total, 3750);
+});
+
+test('boolean flat pricing is only charged when true', () => {
+  const service = createQuotedService({ base_rate: 15 }, { type: 'boolean', required: false });
+  assert.equal(calculateQuote(service, { guests: false }).total, 0);
+  assert.equal(calculateQuote(service, { guests: true }).total, 1500);
+});
+
+test('volume tiers price the whole quantity at one rate; graduated tiers price each slice', () => {
+  const volume = createQuotedService({ model: PRICING_MODELS.TIERED, tier_mode: TIER_MODES.VOLUME, base_rate: 1, tiers: TIERS });
+  const graduated = createQuotedService({ model: PRICING_MODELS.TIERED, tier_mode: TIER_MODES.GRADUATED, base_rate: 1, tiers: TIERS });
+
+  // 7 guests: volume 7 × 5; graduated 2 × 10 + 3 × 8 + 2 × 5
+  assert.equal(calculateQuote(volume, { guests: 7 }).total, 100 + 3500);
+  assert.equal(calculateQuote(graduated, { guests: 7 }).total, 100 + 5400);
+
+  // On a bracket boundary both modes agree on the bracket's rate
+  assert.equal(calculateQuote(volume, { guests: 2 }).total, 100 + 2000);
+  assert.equal(calculateQuote(graduated, { guests: 2 }).total, 100 + 2000);
+});
+
+test('matching time rules and seasons compound', () => {
+  const service = createQuotedService({
+    base_rate: 100,
+    time_modifiers: [
+      { days: [5, 6], start_time: '22:00', end_time: '02:00', multiplier: 1.5 },
+      { days: [6], start_time: '18:00', end_time: '23:59', multiplier: 1.1 }
+    ],
+    seasons: [{ name: 'Holidays', start_date: '12-20', end_date: '01-05', multiplier: 2 }]
+  });
+
+  const saturdayNight = calculateQuote(service, { guests: 2 }, { at: '2027-01-02T23:00' });
+  assert.equal(saturdayNight.lineItems[0].multiplier, 1.5 * 1.1 * 2);
+  assert.deepEqual(saturdayNight.lineItems[0].appliedRules, ['22:00-02:00 ×1.5', '18:00-23:59 ×1.1', 'Holidays ×2']);
+  assert.equal(saturdayNight.total, 33000);
+
+  const afterMidnight = calculateQuote(service, { guests: 2 }, { at: '2026-07-04T01:59' });
+  assert.equal(afterMidnight.lineItems[0].multiplier, 1.5);
+
+  assert.equal(calculateQuote(service, { guests: 2 }).lineItems[0].multiplier, 1);
+});
+
+test('the minimum charge applies after multipliers and before fees and tax', () => {
+  const service = createQuotedService({
+    model: PRICING_MODELS.PER_UNIT,
+    base_rate: 10,
+    minimum_charge: 50,
+    service_fee: 5,
+    tax_rate: 0.1,
+    seasons: [{ name: 'Low', start_date: '01-01', end_date: '12-31', multiplier: 0.5 }]
+  });
+
+  const small = calculateQuote(service, { guests: 3 }, { at: '2026-03-01' });
+  assert.equal(small.lineItems[0].baseAmount, 3000);
+  assert.equal(small.lineItems[0].minimumApplied, true);
+  assert.deepEqual([small.subtotal, small.serviceFees, small.tax, small.total], [5000, 500, 550, 6050]);
+
+  const large = calculateQuote(service, { guests: 20 }, { at: '2026-03-01' });
+  assert.equal(large.lineItems[0].minimumApplied, false);
+  assert.equal(large.subtotal, 10000);
+});
+
+test('JPY amounts are whole yen', () => {
+  const quote = calculateQuote(createQuotedService({
+    model: PRICING_MODELS.PER_UNIT,
+    currency: 'JPY',
+    base_rate: 1250,
+    tax_rate: 0.1,
+    time_modifiers: [{ days: [0, 1, 2, 3, 4, 5, 6], start_time: '00:00', end_time: '23:59', multiplier: 1.15 }]
+  }), { guests: 3 }, { at: '2026-07-04T12:00' });
+
+  assert.equal(quote.currency, 'JPY');
+  assert.equal(quote.subtotal, 4313);
+  assert.equal(quote.tax, 431);
+  assert.equal(quote.total, 4744);
+});
+
+test('deposits split the total into payments', () => {
+  assert.deepEqual(splitPayments({ timing: PAYMENT_TIMING.AT_BOOKING, deposit_required: true, deposit_percentage: 30 }, 10000), {
+    deposit: 0,
+    payments: [{ timing: PAYMENT_TIMING.AT_BOOKING, amount: 10000 }]
+  });
+  assert.deepEqual(splitPayments({ timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE, deposit_percentage: 25 }, 10001), {
+    deposit: 2500,
+    payments: [
+      { timing: PAYMENT_TIMING.AT_BOOKING, amount: 2500 },
+      { timing: PAYMENT_TIMING.ON_ARRIVAL, amount: 7501 }
+    ]
+  });
+  assert.deepEqual(splitPayments({ timing: PAYMENT_TIMING.AFTER_SERVICE }, 500), {
+    deposit: 0,
+    payments: [{ timing: PAYMENT_TIMING.AFTER_SERVICE, amount: 500 }]
+  });
+});
+
+test('parameters hidden by their visible_when condition are not charged', () => {
+  const service = createQuotedService({ base_rate: 40 }, { type: 'boolean', required: false });
+  service.parameters.guests.visible_when = { parameter: 'room', operator: 'equals', value: 'suite' };
+  service.parameters.room = { type: 'string', default: 'standard' };
+
+  assert.equal(calculateQuote(service, { guests: true, room: 'suite' }).total, 4000);
+  assert.throws(() => calculateQuote(service, { guests: true }), /only applies when room equals suite/);
+});
+
+test('missing required values, bad quantities and mixed currencies are rejected', () => {
+  const perUnit = createQuotedService({ model: PRICING_MODELS.PER_UNIT, base_rate: 10 });
+  assert.throws(() => calculateQuote(perUnit, {}), /"guests" is required/);
+  assert.throws(() => calculateQuote(perUnit, { guests: -1 }), ValidationError);
+
+  const mixed = createQuotedService({ base_rate: 10 });
+  mixed.parameters.extras = { type: 'boolean', pricing: { model: PRICING_MODELS.FLAT, base_rate: 5, currency: 'EUR' } };
+  assert.throws(() => calculateQuote(mixed, { guests: 1, extras: true }), /same currency \(found USD, EUR\)/);
+});
+
+test('unknown pricing models and payment timings are rejected', () => {
+  const service = createQuotedService({ model: 'per_night', base_rate: 10 });
+  assert.throws(() => calculateQuote(service, { guests: 2 }),
+    (error) => error instanceof ValidationError && error.field === 'guests' && /unknown pricing model "per_night"/.test(error.message));
+
+  const later = { ...createQuotedService({ base_rate: 10 }), payment_config: { timing: 'next_year' } };
+  assert.throws(() => calculateQuote(later, { guests: 2 }), /Unknown payment timing "next_year"/);
+  assert.throws(() => splitPayments({ timing: 'next_year' }, 500), ValidationError);
+});
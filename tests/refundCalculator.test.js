@@ -0,0 +1,137 @@
+/**
+ * Refund calculation
+ * Penalties come from the cancellation policy, what was paid from the payment timing, and the
+ * refund is whatever was paid beyond the penalty
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { ValidationError } from '../assets/js/core/errorHandler.js';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+import {
+  calculateCancellation,
+  getAmountPaidBeforeStart,
+  getDepositAmount,
+  getHoursBeforeStart,
+  getPenaltyPercentage
+} from '../assets/js/core/refundCalculator.js';
+import { createService } from './helpers/fixtures.js';
+
+const { PAYMENT_TIMING, CANCELLATION_POLICY_TYPES } = CONSTANTS;
+
+const transformer = new FormDataTransformer();
+
+const BOOKING_TIME = '2026-07-04T19:00:00Z';
+
+const createAPIService = (overrides = {}) => transformer.transformService(createService(overrides));
+
+test('hours before start are negative once the service has started', () => {
+  assert.equal(getHoursBeforeStart(BOOKING_TIME, '2026-07-03T19:00:00Z'), 24);
+  assert.equal(getHoursBeforeStart(new Date(BOOKING_TIME), Date.parse('2026-07-04T20:30:00Z')), -1.5);
+  assert.throws(() => getHoursBeforeStart('not a date', BOOKING_TIME), ValidationError);
+});
+
+test('penalties apply inside the free period, always for non-refundable', () => {
+  const flexible = { type: CANCELLATION_POLICY_TYPES.FLEXIBLE, free_until_hours: 24, penalty_percentage: 50 };
+  assert.equal(getPenaltyPercentage(flexible, 24), 0);
+  assert.equal(getPenaltyPercentage(flexible, 23.9), 50);
+  assert.equal(getPenaltyPercentage({ type: CANCELLATION_POLICY_TYPES.NON_REFUNDABLE }, 1000), 100);
+});
+
+test('amounts paid before start follow the payment timing', () => {
+  assert.equal(getAmountPaidBeforeStart({ timing: PAYMENT_TIMING.AT_BOOKING }, 120), 120);
+  assert.equal(getAmountPaidBeforeStart({ timing: PAYMENT_TIMING.ON_ARRIVAL }, 120), 0);
+  assert.equal(getAmountPaidBeforeStart({ timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE, deposit_percentage: 25 }, 120), 30);
+  assert.equal(getDepositAmount({ timing: PAYMENT_TIMING.AFTER_SERVICE, deposit_required: true, deposit_percentage: 33 }, 10), 3.3);
+  assert.equal(getDepositAmount({ timing: PAYMENT_TIMING.AFTER_SERVICE, deposit_percentage: 33 }, 10), 0);
+});
+
+test('a late cancellation keeps the penalty and refunds the rest', () => {
+  const result = calculateCancellation(createAPIService({
+    policies: { modificationFee: 5, noShowPenalty: 500 }
+  }), {
+    price: 99.99,
+    bookingTime: BOOKING_TIME,
+    cancellationTime: '2026-07-04T09:00:00Z'
+  });
+
+  assert.deepEqual(result, {
+    hoursBeforeStart: 10,
+    withinFreePeriod: false,
+    penaltyPercentage: 50,
+    amountPaid: 99.99,
+    penalty: 50,
+    refund: 49.99,
+    amountOwed: 0,
+    modificationFee: 5,
+    noShowPenalty: 99.99
+  });
+});
+
+test('penalties beyond what was paid are owed', () => {
+  const service = createAPIService({
+    cancellationPolicy: { type: CANCELLATION_POLICY_TYPES.NON_REFUNDABLE, freeUntilHours: 0, penaltyPercentage: 0, description: '' },
+    payment: { methods: ['credit_card'], timing: PAYMENT_TIMING.ON_ARRIVAL, depositRequired: true, depositPercentage: 20 }
+  });
+
+  const result = calculateCancellation(service, {
+    price: 200,
+    bookingTime: BOOKING_TIME,
+    cancellationTime: '2026-06-01T00:00:00Z'
+  });
+  assert.equal(result.withinFreePeriod, false);
+  assert.equal(result.amountPaid, 40);
+  assert.equal(result.refund, 0);
+  assert.equal(result.amountOwed, 160);
+
+  const overridden = calculateCancellation(service, {
+    price: 200,
+    amountPaid: 250,
+    bookingTime: BOOKING_TIME,
+    cancellationTime: '2026-06-01T00:00:00Z'
+  });
+  assert.equal(overridden.refund, 50);
+});
+
+test('amounts round to the currency minor unit', () => {
+  const service = createAPIService({
+    currency: 'JPY',
+    payment: { methods: ['credit_card'], timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE, depositRequired: true, depositPercentage: 33 }
+  });
+
+  const result = calculateCancellation(service, {
+    price: 1001,
+    bookingTime: BOOKING_TIME,
+    cancellationTime: '2026-07-04T18:00:00Z'
+  });
+  assert.equal(result.amountPaid, 330);
+  assert.equal(result.penalty, 501);
+  assert.equal(result.amountOwed, 171);
+
+  assert.equal(getDepositAmount({ deposit_required: true, deposit_percentage: 33 }, 10.01, 'USD'), 3.3);
+});
+
+test('services without their own currency are rounded in the business default', () => {
+  const service = transformer.transformService(createService({
+    payment: { methods: ['credit_card'], timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE, depositRequired: true, depositPercentage: 33 }
+  }), 'Asia/Tokyo', 'JPY');
+  assert.equal(service.currency, 'JPY');
+
+  const result = calculateCancellation(service, {
+    price: 1001,
+    bookingTime: BOOKING_TIME,
+    cancellationTime: '2026-07-04T18:00:00Z'
+  });
+  assert.equal(result.amountPaid, 330);
+});
+
+test('invalid prices are rejected', () => {
+  [-1, 'abc', undefined].forEach(price => {
+    assert.throws(
+      () => calculateCancellation(createAPIService(), { price, bookingTime: BOOKING_TIME, cancellationTime: BOOKING_TIME }),
+      ValidationError
+    );
+  });
+});
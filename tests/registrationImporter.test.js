@@ -0,0 +1,79 @@
+/**
+ * Registration import
+ * JSON or YAML registrations load into form state with a report of what changed on the way in
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { SchemaVersionError, ValidationError } from '../assets/js/core/errorHandler.js';
+import { CURRENT_SCHEMA_VERSION } from '../assets/js/core/schemaMigrations.js';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+import RegistrationImporter from '../assets/js/components/RegistrationImporter.js';
+import { createFormState, createService } from './helpers/fixtures.js';
+
+const importer = new RegistrationImporter({
+  createDefaultState: createFormState,
+  createEmptyService: createService
+});
+
+const exportRegistration = () => new FormDataTransformer().transformToAPIFormat(createFormState());
+
+test('an exported registration imports back unchanged', () => {
+  const { formState, report } = importer.importRegistration(JSON.stringify(exportRegistration()));
+
+  assert.deepEqual(report, { dropped: [], defaulted: [], normalized: [] });
+  assert.equal(formState.businessInfo.name, 'Harbor Bistro');
+  assert.equal(formState.services[0].id, 'table_booking');
+});
+
+test('YAML registrations are accepted', () => {
+  const { formState } = importer.importRegistration([
+    'business_name: Harbor Bistro',
+    'business_type: food_service',
+    'services_config:',
+    '  - id: table_booking',
+    '    name: Table Booking',
+    '    workflow_pattern: booking_confirmation_payment'
+  ].join('\n'));
+
+  assert.equal(formState.businessInfo.name, 'Harbor Bistro');
+  assert.equal(formState.services.length, 1);
+  assert.equal(formState.services[0].name, 'Table Booking');
+});
+
+test('the report lists dropped, defaulted and normalized fields', () => {
+  const registration = exportRegistration();
+  registration.loyalty_program = true;
+  registration.contact_info.phone = '(415) 555-0123';
+  delete registration.services_config[0].cancellation_policy;
+
+  const { report } = importer.importRegistration(JSON.stringify(registration));
+
+  assert.deepEqual(report.dropped, ['loyalty_program']);
+  assert.deepEqual(report.defaulted, ['services_config[0].cancellation_policy']);
+  assert.deepEqual(report.normalized, ['contact_info.phone']);
+});
+
+test('empty, malformed and non-object registrations are rejected', () => {
+  assert.throws(() => importer.parse('   '), ValidationError);
+  assert.throws(() => importer.parse('{"business_name": '), /Invalid JSON/);
+  assert.throws(() => importer.parse('- just\n- a list'), /single JSON\/YAML object/);
+});
+
+test('drafts are upgraded on restore and newer ones are refused', () => {
+  const { schemaVersion, ...unversioned } = createFormState();
+  const restored = importer.restoreDraft(unversioned);
+
+  assert.equal(restored.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(restored.integration.webhooks.events, CONSTANTS.DEFAULT_VALUES.WEBHOOK_EVENTS);
+  assert.throws(
+    () => importer.restoreDraft({ ...unversioned, schemaVersion: CURRENT_SCHEMA_VERSION + 1 }),
+    SchemaVersionError
+  );
+  assert.throws(
+    () => importer.importRegistration(JSON.stringify({ schema_version: CURRENT_SCHEMA_VERSION + 1 })),
+    SchemaVersionError
+  );
+});
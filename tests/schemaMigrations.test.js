@@ -0,0 +1,195 @@
+/**
+ * Schema migrations
+ * Drafts and registrations from older clients upgrade one version at a time to
+ * CURRENT_SCHEMA_VERSION; newer or unmigratable documents are refused
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { SchemaVersionError } from '../assets/js/core/errorHandler.js';
+import {
+  CURRENT_SCHEMA_VERSION,
+  SCHEMA_KINDS,
+  getSchemaVersion,
+  migrateAPIPayload,
+  migrateFormState
+} from '../assets/js/core/schemaMigrations.js';
+
+/**
+ * An unversioned (v1) draft as the original form saved it
+ */
+const createV1Draft = () => ({
+  businessInfo: { name: 'Harbor Bistro', type: 'food_service' },
+  services: [{
+    id: 'table_booking',
+    workflow: {
+      pattern: CONSTANTS.WORKFLOW_PATTERNS.BOOKING_CONFIRMATION_PAYMENT,
+      steps: [{ name: 'confirm', timeout_minutes: 15, retry_attempts: 0 }]
+    },
+    parameters: [{ name: 'party_size', type: 'integer', constraints: { minimum: 1, maximum: undefined, pattern: null } }]
+  }],
+  integration: { webhooks: { autoGenerate: true, endpoint: '', events: [] } }
+});
+
+test('unversioned documents are version 1', () => {
+  assert.equal(getSchemaVersion(SCHEMA_KINDS.FORM_STATE, {}), 1);
+  assert.equal(getSchemaVersion(SCHEMA_KINDS.API_PAYLOAD, { schema_version: null }), 1);
+  assert.equal(getSchemaVersion(SCHEMA_KINDS.API_PAYLOAD, { schema_version: '2' }), 2);
+});
+
+test('v1 → v2 form state makes webhook events explicit and cleans steps and constraints', () => {
+  const draft = createV1Draft();
+  const migrated = migrateFormState(draft);
+  const [service] = migrated.services;
+
+  assert.equal(migrated.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(migrated.integration.webhooks.events, CONSTANTS.DEFAULT_VALUES.WEBHOOK_EVENTS);
+  assert.deepEqual(service.workflow.steps, [{
+    name: 'confirm',
+    description: '',
+    required: true,
+    timeoutMinutes: 15,
+    retryAttempts: 0
+  }]);
+  assert.deepEqual(service.parameters[0].constraints, { minimum: 1 });
+  assert.equal(draft.schemaVersion, undefined, 'the input is not modified');
+});
+
+test('v1 → v2 API payload is stamped with the version', () => {
+  const migrated = migrateAPIPayload({ business_name: 'Harbor Bistro' });
+  assert.equal(migrated.schema_version, CURRENT_SCHEMA_VERSION);
+  assert.equal(migrated.business_name, 'Harbor Bistro');
+});
+
+test('v2 → v3 form state makes existing pricing a flat rate without modifiers', () => {
+  const draft = createV1Draft();
+  draft.schemaVersion = 2;
+  draft.services[0].parameters[0].pricing = { baseRate: 20, currency: 'USD', taxRate: 0, serviceFee: 0 };
+
+  const [param] = migrateFormState(draft).services[0].parameters;
+  assert.deepEqual(param.pricing, {
+    model: CONSTANTS.PRICING_MODELS.FLAT,
+    baseRate: 20,
+    currency: 'USD',
+    taxRate: 0,
+    serviceFee: 0,
+    timeModifiers: [],
+    seasons: []
+  });
+});
+
+test('v3 → v4 form state promotes pricing currency to the business and differing services', () => {
+  const pricing = (currency) => ({ model: 'flat', baseRate: 1, currency, taxRate: 0, serviceFee: 0, timeModifiers: [], seasons: [] });
+  const draft = {
+    schemaVersion: 3,
+    businessInfo: { name: 'Harbor Bistro' },
+    services: [
+      { id: 'unpriced', parameters: [{ name: 'notes', pricing: null }] },
+      { id: 'table', parameters: [{ name: 'guests', pricing: pricing('EUR') }] },
+      { id: 'tasting', parameters: [{ name: 'seats', pricing: pricing('JPY') }] }
+    ]
+  };
+
+  const migrated = migrateFormState(draft);
+  assert.equal(migrated.businessInfo.currency, 'EUR');
+  assert.deepEqual(migrated.services.map(service => service.currency), ['', '', 'JPY']);
+  assert.equal(migrateFormState({ schemaVersion: 3, businessInfo: {}, services: [] }).businessInfo.currency, 'USD');
+});
+
+test('v3 → v4 API payload gains default_currency and service overrides', () => {
+  const migrated = migrateAPIPayload({
+    schema_version: 3,
+    services_config: [
+      { id: 'table', parameters: { guests: { pricing: { currency: 'GBP' } } } },
+      { id: 'tasting', parameters: { seats: { pricing: { currency: 'JPY' } } } }
+    ]
+  });
+
+  assert.equal(migrated.default_currency, 'GBP');
+  assert.deepEqual(migrated.services_config.map(service => service.currency), [undefined, 'JPY']);
+  assert.equal(migrateAPIPayload({ schema_version: 3, default_currency: 'JPY', services_config: [] }).default_currency, 'JPY');
+});
+
+test('v4 → v5 form state gives parameters empty rules', () => {
+  const draft = createV1Draft();
+  draft.schemaVersion = 4;
+
+  const [param] = migrateFormState(draft).services[0].parameters;
+  assert.equal(param.requiredWhen, null);
+  assert.equal(param.visibleWhen, null);
+  assert.deepEqual(param.comparisons, []);
+});
+
+test('v5 → v6 form state gives arrays an item definition and objects properties', () => {
+  const draft = createV1Draft();
+  draft.schemaVersion = 5;
+  draft.services[0].parameters = [
+    { name: 'guests', type: 'array', constraints: {} },
+    { name: 'address', type: 'object', constraints: {} },
+    { name: 'notes', type: 'string', constraints: {} }
+  ];
+
+  const [list, object, text] = migrateFormState(draft).services[0].parameters;
+  assert.equal(list.items, null);
+  assert.deepEqual(object.properties, []);
+  assert.equal('items' in text || 'properties' in text, false);
+});
+
+test('v6 → v7 form state gives availability an empty schedule', () => {
+  const draft = createV1Draft();
+  draft.schemaVersion = 6;
+  draft.services[0].availability = { realTime: true, advanceBookingDays: 30 };
+
+  assert.deepEqual(migrateFormState(draft).services[0].availability, { realTime: true, advanceBookingDays: 30, schedule: null });
+});
+
+test('v7 → v8 API payload gives local date/time defaults the location offset', () => {
+  const payload = {
+    schema_version: 7,
+    location: { timezone: 'America/New_York' },
+    services_config: [{
+      parameters: {
+        arrival: { type: 'datetime', default: '2026-07-04T19:30' },
+        departure: { type: 'datetime', default: '2026-07-05T10:00:00+09:00' },
+        label: { type: 'string', default: '2026-07-04T19:30' }
+      }
+    }]
+  };
+
+  const { arrival, departure, label } = migrateAPIPayload(payload).services_config[0].parameters;
+  assert.equal(arrival.default, '2026-07-04T19:30:00-04:00');
+  assert.equal(departure.default, '2026-07-05T10:00:00+09:00');
+  assert.equal(label.default, '2026-07-04T19:30');
+});
+
+test('v8 → v9 phone numbers become E.164 when valid', () => {
+  const draft = createV1Draft();
+  draft.schemaVersion = 8;
+  draft.location = { country: 'GB' };
+  draft.contact = { phone: '020 7946 0018' };
+  assert.equal(migrateFormState(draft).contact.phone, '+442079460018');
+
+  draft.contact = { phone: 'ask at the bar' };
+  assert.equal(migrateFormState(draft).contact.phone, 'ask at the bar');
+
+  const payload = { schema_version: 8, contact_info: { phone: '+1-415-555-0123' } };
+  assert.equal(migrateAPIPayload(payload).contact_info.phone, '+14155550123');
+});
+
+test('current documents pass through unchanged', () => {
+  const draft = migrateFormState(createV1Draft());
+  assert.deepEqual(migrateFormState(draft), draft);
+});
+
+test('newer and invalid versions are refused with SchemaVersionError', () => {
+  assert.throws(
+    () => migrateFormState({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }),
+    (error) => error instanceof SchemaVersionError &&
+      error.version === CURRENT_SCHEMA_VERSION + 1 &&
+      /reload the page/.test(error.message)
+  );
+  assert.throws(() => migrateAPIPayload({ schema_version: 0 }), SchemaVersionError);
+  assert.throws(() => migrateAPIPayload({ schema_version: 'two' }), /invalid schema version "two"/);
+});
@@ -0,0 +1,49 @@
+/**
+ * Service templates
+ * Every starter service is valid as created and survives the API round trip unchanged
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+import { SERVICE_TEMPLATES, createServiceFromTemplate, getServiceTemplate } from '../assets/js/core/serviceTemplates.js';
+import { createFormState, createService } from './helpers/fixtures.js';
+
+const transformer = new FormDataTransformer();
+
+test('every template creates a valid, canonical service', () => {
+  Object.entries(SERVICE_TEMPLATES).forEach(([businessType, templates]) => {
+    templates.forEach(template => {
+      const service = createServiceFromTemplate(template, createService(), { currency: 'GBP' });
+      const validator = new BAISFormValidator();
+      validator.validateServices([service], 'GBP');
+
+      assert.deepEqual(validator.errors, [], template.id);
+      assert.equal(getServiceTemplate(template.id), template, template.id);
+      assert.ok(Object.values(CONSTANTS.BUSINESS_TYPES).includes(businessType), businessType);
+
+      const state = createFormState({ services: [service] });
+      assert.deepEqual(transformer.normalizeFormState(state).services[0], service, template.id);
+    });
+  });
+});
+
+test('created services get the pattern steps, the currency and a free id', () => {
+  const template = getServiceTemplate('hotel_room_booking');
+  const service = createServiceFromTemplate(template, createService(), {
+    currency: 'JPY',
+    existingIds: ['room_booking']
+  });
+
+  assert.equal(service.id, 'room_booking_2');
+  assert.deepEqual(service.workflow.steps.map(step => step.name),
+    CONSTANTS.WORKFLOW_PATTERN_STEPS[template.service.workflow.pattern].map(step => step.name));
+  assert.ok(service.parameters.filter(parameter => parameter.pricing).every(parameter => parameter.pricing.currency === 'JPY'));
+  assert.deepEqual(service.parameters.find(parameter => parameter.name === 'check_out_date').comparisons, [
+    { operator: 'greater_than', parameter: 'check_in_date' }
+  ]);
+  assert.equal(getServiceTemplate('missing'), null);
+});
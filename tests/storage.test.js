@@ -0,0 +1,172 @@
+/**
+ * Storage
+ * Namespaced entries with TTLs, values older versions wrote directly moved into their namespace,
+ * and localStorage standing in when IndexedDB is unavailable
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { StorageQuotaError } from '../assets/js/core/errorHandler.js';
+import {
+  NamespacedStorage,
+  STORAGE_NAMESPACES,
+  getLegacyKeyTarget,
+  getStorage,
+  migrateLegacyKeys
+} from '../assets/js/core/storage.js';
+import { installLocalStorage } from './helpers/memoryStorage.js';
+
+const createMemoryBackend = () => {
+  const entries = new Map();
+  return {
+    entries,
+    read: async (key) => entries.get(key),
+    write: async (key, entry) => {
+      entries.set(key, entry);
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    keys: async (prefix) => [...entries.keys()].filter(key => key.startsWith(prefix))
+  };
+};
+
+test('without IndexedDB, entries live in localStorage and legacy keys move into their namespace', async () => {
+  const localStorage = installLocalStorage();
+  localStorage.setItem('bais-onboarding-draft', JSON.stringify({ businessInfo: { name: 'Harbor Bistro' } }));
+  localStorage.setItem('bais-onboarding-draft:abc', JSON.stringify({ id: 'abc' }));
+  localStorage.setItem('bais_auth_token', '{"looks": "like json"}');
+  localStorage.setItem('bais_theme', 'dark');
+  localStorage.setItem('other-app', 'untouched');
+
+  const warnings = [];
+  const { warn } = console;
+  console.warn = (...args) => warnings.push(args);
+  try {
+    assert.deepEqual(await getStorage(STORAGE_NAMESPACES.DRAFTS).get('legacy'), { businessInfo: { name: 'Harbor Bistro' } });
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.equal(warnings.length, 1);
+  assert.deepEqual(await getStorage(STORAGE_NAMESPACES.DRAFTS).get('draft:abc'), { id: 'abc' });
+  assert.equal(await getStorage(STORAGE_NAMESPACES.AUTH).get('token'), '{"looks": "like json"}');
+  assert.equal(await getStorage(STORAGE_NAMESPACES.APP).get('theme'), 'dark');
+
+  assert.deepEqual(
+    Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)).sort(),
+    ['bais:app:theme', 'bais:auth:token', 'bais:drafts:draft:abc', 'bais:drafts:legacy', 'other-app']
+  );
+  assert.deepEqual(JSON.parse(localStorage.getItem('bais:app:theme')), { value: 'dark', expiresAt: null });
+
+  await getStorage(STORAGE_NAMESPACES.DRAFTS).clear();
+  assert.deepEqual(await getStorage(STORAGE_NAMESPACES.DRAFTS).keys(), []);
+  assert.deepEqual(await getStorage(STORAGE_NAMESPACES.APP).keys(), ['theme']);
+});
+
+test('legacy keys map to their namespace, and keys of other apps are ignored', () => {
+  assert.deepEqual(getLegacyKeyTarget('bais_user_email'), { namespace: 'auth', key: 'email', json: false });
+  assert.deepEqual(getLegacyKeyTarget('bais-onboarding-drafts'), { namespace: 'drafts', key: 'index', json: true });
+  assert.deepEqual(getLegacyKeyTarget('bais_parameter_templates'), { namespace: 'templates', key: 'parameters', json: true });
+  assert.equal(getLegacyKeyTarget('bais:app:theme'), null);
+  assert.equal(getLegacyKeyTarget('theme'), null);
+});
+
+test('legacy values that fail to move stay where they were', async () => {
+  const localStorage = installLocalStorage();
+  localStorage.setItem('bais_theme', '"dark"');
+  const backend = createMemoryBackend();
+  backend.write = async () => {
+    throw new Error('write failed');
+  };
+
+  const { error } = console;
+  console.error = () => {};
+  try {
+    await migrateLegacyKeys(localStorage, backend);
+  } finally {
+    console.error = error;
+  }
+
+  assert.equal(localStorage.getItem('bais_theme'), '"dark"');
+});
+
+test('entries expire after their TTL', async (t) => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const backend = createMemoryBackend();
+  const storage = new NamespacedStorage('auth', async () => backend);
+
+  await storage.set('token', 'abc', { ttl: 60_000 });
+  await storage.set('email', 'owner@example.com');
+  assert.deepEqual(backend.entries.get('auth:token'), { value: 'abc', expiresAt: 1_060_000 });
+
+  now += 59_999;
+  assert.equal(await storage.get('token'), 'abc');
+
+  now += 1;
+  assert.deepEqual((await storage.keys()).sort(), ['email', 'token']);
+  assert.equal(await storage.get('token', 'none'), 'none');
+  assert.deepEqual(await storage.keys(), ['email']);
+  assert.equal(await storage.get('email'), 'owner@example.com');
+});
+
+test('full storage rejects with StorageQuotaError; failed reads fall back to the default', async () => {
+  const backend = createMemoryBackend();
+  const storage = new NamespacedStorage('drafts', async () => backend);
+
+  backend.write = async () => {
+    throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+  };
+  await assert.rejects(storage.set('index', []), error => error instanceof StorageQuotaError && error.key === 'index');
+
+  backend.write = async () => {
+    throw new TypeError('not cloneable');
+  };
+  await assert.rejects(storage.set('index', []), TypeError);
+
+  backend.read = async () => {
+    throw new Error('read failed');
+  };
+  const { error } = console;
+  console.error = () => {};
+  try {
+    assert.deepEqual(await storage.get('index', []), []);
+  } finally {
+    console.error = error;
+  }
+});
+
+test('failed deletes and key listings are logged and resolve', async () => {
+  const backend = createMemoryBackend();
+  const storage = new NamespacedStorage('auth', async () => backend);
+  await storage.set('token', 'abc');
+
+  const errors = [];
+  const { error } = console;
+  console.error = (...args) => errors.push(args);
+  try {
+    backend.delete = async () => {
+      throw new Error('delete failed');
+    };
+    assert.equal(await storage.remove('token'), false);
+    assert.equal(await storage.clear(), false);
+
+    backend.keys = async () => {
+      throw new Error('keys failed');
+    };
+    assert.deepEqual(await storage.keys(), []);
+
+    const unavailable = new NamespacedStorage('auth', async () => {
+      throw new Error('no storage');
+    });
+    assert.equal(await unavailable.remove('token'), false);
+    assert.equal(await unavailable.clear(), true);
+  } finally {
+    console.error = error;
+  }
+
+  assert.equal(errors.length, 5);
+  assert.equal(await storage.get('token'), 'abc');
+});
@@ -0,0 +1,166 @@
+/**
+ * Workflow simulation
+ * Each workflow pattern steps through its preset (or configured) steps to confirmation, then
+ * charges, cancels and settles according to the service's payment and cancellation configuration
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import { ValidationError } from '../assets/js/core/errorHandler.js';
+import FormDataTransformer from '../assets/js/components/FormDataTransformer.js';
+import WorkflowSimulator, { SIMULATION_EVENTS, SIMULATION_STATES } from '../assets/js/components/WorkflowSimulator.js';
+import { createService } from './helpers/fixtures.js';
+
+const { WORKFLOW_PATTERNS, PAYMENT_TIMING, WEBHOOK_EVENTS } = CONSTANTS;
+const { START, COMPLETE_STEP, TIMEOUT, PAY, PAYMENT_FAILED, MODIFY, CANCEL, NO_SHOW, START_SERVICE, COMPLETE_SERVICE } = SIMULATION_EVENTS;
+
+const transformer = new FormDataTransformer();
+
+const createSimulator = (overrides = {}, options = {}) => {
+  const { payment, ...serviceOverrides } = overrides;
+  const service = createService(serviceOverrides);
+  service.payment = { ...service.payment, ...payment };
+  return new WorkflowSimulator(transformer.transformService(service), options);
+};
+
+const completeSteps = (simulator) => simulator.run([
+  START,
+  ...simulator.steps.map(() => COMPLETE_STEP)
+]);
+
+test('every pattern walks its preset steps to confirmation', () => {
+  Object.values(WORKFLOW_PATTERNS).forEach(pattern => {
+    const simulator = createSimulator({ workflow: { pattern, steps: [] } });
+    const presetNames = CONSTANTS.WORKFLOW_PATTERN_STEPS[pattern].map(step => step.name);
+    const log = completeSteps(simulator);
+
+    assert.deepEqual(simulator.steps.map(step => step.name), presetNames, pattern);
+    assert.deepEqual(log.slice(0, -1).map(entry => entry.to), Array(presetNames.length).fill(SIMULATION_STATES.IN_PROGRESS), pattern);
+    assert.equal(log.at(-1).to, SIMULATION_STATES.CONFIRMED, pattern);
+    assert.deepEqual(log.at(-1).webhooks, [{ event: WEBHOOK_EVENTS.BOOKING_CONFIRMED, delivered: true }], pattern);
+  });
+});
+
+test('configured steps replace the preset', () => {
+  const simulator = createSimulator({
+    workflow: {
+      pattern: WORKFLOW_PATTERNS.INSTANT_PURCHASE,
+      steps: [{ name: 'checkout', description: '', required: true, timeoutMinutes: 5, retryAttempts: 0 }]
+    }
+  });
+
+  const [started, completed] = completeSteps(simulator);
+  assert.equal(started.state.currentStep, 'checkout');
+  assert.equal(completed.to, SIMULATION_STATES.CONFIRMED);
+  assert.equal(completed.state.elapsedMinutes, 5);
+});
+
+test('charges follow the payment timing', () => {
+  const cases = [
+    [{ timing: PAYMENT_TIMING.AT_BOOKING }, [200, 0, 0]],
+    [{ timing: PAYMENT_TIMING.ON_ARRIVAL }, [0, 200, 0]],
+    [{ timing: PAYMENT_TIMING.AFTER_SERVICE }, [0, 0, 200]],
+    [{ timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE, depositRequired: true, depositPercentage: 25 }, [50, 150, 0]],
+    [{ timing: PAYMENT_TIMING.AFTER_SERVICE, depositRequired: true, depositPercentage: 10 }, [20, 0, 180]]
+  ];
+
+  cases.forEach(([payment, expected]) => {
+    const simulator = createSimulator({ payment }, { price: 200 });
+    const charges = ['confirmation', 'service_start', 'service_complete'].map(point => simulator.getChargeAt(point));
+    assert.deepEqual(charges, expected, JSON.stringify(payment));
+  });
+});
+
+test('a paid booking runs through service to completion', () => {
+  const simulator = createSimulator({ payment: { timing: PAYMENT_TIMING.DEPOSIT_THEN_BALANCE, depositRequired: true, depositPercentage: 20 } });
+  completeSteps(simulator);
+
+  assert.deepEqual(simulator.getAvailableEvents(), [PAY, PAYMENT_FAILED, MODIFY, CANCEL, NO_SHOW, START_SERVICE]);
+  const log = simulator.run([PAY, START_SERVICE, PAY, COMPLETE_SERVICE]);
+
+  assert.deepEqual(log.map(entry => entry.to), [
+    SIMULATION_STATES.CONFIRMED,
+    SIMULATION_STATES.IN_SERVICE,
+    SIMULATION_STATES.IN_SERVICE,
+    SIMULATION_STATES.COMPLETED
+  ]);
+  assert.equal(simulator.getState().paid, 100);
+  assert.equal(simulator.getState().due, 0);
+  assert.deepEqual(simulator.getAvailableEvents(), []);
+});
+
+test('timeouts retry, skip optional steps and fail required ones', () => {
+  const steps = [
+    { name: 'review', description: '', required: false, timeoutMinutes: 10, retryAttempts: 1 },
+    { name: 'approve', description: '', required: true, timeoutMinutes: 20, retryAttempts: 0 }
+  ];
+  const simulator = createSimulator({ workflow: { pattern: WORKFLOW_PATTERNS.REQUEST_APPROVAL_PAYMENT, steps } });
+
+  const log = simulator.run([START, TIMEOUT, TIMEOUT, TIMEOUT]);
+
+  assert.equal(log[1].state.attempt, 2);
+  assert.equal(log[2].state.currentStep, 'approve');
+  assert.equal(log[3].to, SIMULATION_STATES.FAILED);
+  assert.equal(simulator.getState().elapsedMinutes, 40);
+});
+
+test('cancellation penalties follow the policy and refund the rest', () => {
+  const late = createSimulator({}, { price: 80 });
+  completeSteps(late);
+  late.dispatch(PAY);
+  const entry = late.dispatch(CANCEL, { hoursBeforeStart: 2 });
+
+  assert.equal(entry.to, SIMULATION_STATES.CANCELLED);
+  assert.equal(entry.state.penalty, 40);
+  assert.equal(entry.state.refunded, 40);
+  assert.deepEqual(entry.webhooks.map(webhook => webhook.event), [WEBHOOK_EVENTS.BOOKING_CANCELLED, WEBHOOK_EVENTS.PAYMENT_REFUNDED]);
+
+  const early = createSimulator({}, { price: 80 });
+  completeSteps(early);
+  early.dispatch(PAY);
+  assert.equal(early.dispatch(CANCEL, { hoursBeforeStart: 48 }).state.refunded, 80);
+
+  const beforeConfirmation = createSimulator();
+  beforeConfirmation.dispatch(START);
+  assert.match(beforeConfirmation.dispatch(CANCEL).message, /nothing was charged/);
+});
+
+test('modification fees and no-show penalties', () => {
+  const simulator = createSimulator({
+    payment: { timing: PAYMENT_TIMING.ON_ARRIVAL },
+    policies: { modificationFee: 15, noShowPenalty: 30 }
+  });
+  completeSteps(simulator);
+
+  assert.equal(simulator.dispatch(MODIFY).state.due, 15);
+  simulator.dispatch(PAY);
+  const entry = simulator.dispatch(NO_SHOW);
+
+  assert.equal(entry.state.penalty, 30);
+  assert.match(entry.message, /15\.00 of the penalty was never collected/);
+});
+
+test('repeated payment failures cancel the booking', () => {
+  const simulator = createSimulator({}, { subscribedEvents: [WEBHOOK_EVENTS.BOOKING_CANCELLED] });
+  completeSteps(simulator);
+
+  const log = simulator.run(Array(CONSTANTS.DEFAULT_VALUES.RETRY_ATTEMPTS + 1).fill(PAYMENT_FAILED));
+
+  assert.equal(log.at(-2).to, SIMULATION_STATES.CONFIRMED);
+  assert.equal(log.at(-1).to, SIMULATION_STATES.FAILED);
+  assert.deepEqual(log.at(-1).webhooks, [
+    { event: WEBHOOK_EVENTS.PAYMENT_FAILED, delivered: false },
+    { event: WEBHOOK_EVENTS.BOOKING_CANCELLED, delivered: true }
+  ]);
+});
+
+test('events outside the current state are rejected', () => {
+  const simulator = createSimulator();
+  assert.throws(() => simulator.dispatch(PAY), ValidationError);
+  simulator.dispatch(START);
+  assert.throws(() => simulator.dispatch(START_SERVICE), /not allowed while the workflow is in_progress/);
+  simulator.reset();
+  assert.deepEqual(simulator.getAvailableEvents(), [START]);
+});
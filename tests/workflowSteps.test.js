@@ -0,0 +1,41 @@
+/**
+ * Workflow step presets and validation
+ * Every pattern's preset steps pass validation; duplicate step names do not
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import CONSTANTS from '../assets/js/core/constants.js';
+import BAISFormValidator from '../assets/js/components/BAISFormValidator.js';
+
+const validateWorkflow = (workflow) => {
+  const validator = new BAISFormValidator();
+  validator.validateWorkflow(workflow, 'Service 1');
+  return validator.errors;
+};
+
+test('each workflow pattern has a valid preset', () => {
+  Object.values(CONSTANTS.WORKFLOW_PATTERNS).forEach(pattern => {
+    const steps = CONSTANTS.WORKFLOW_PATTERN_STEPS[pattern];
+    assert.ok(steps.length > 0, pattern);
+    assert.deepEqual(validateWorkflow({ pattern, steps }), [], pattern);
+  });
+});
+
+test('duplicate step names are reported once per repeat', () => {
+  const errors = validateWorkflow({
+    pattern: CONSTANTS.WORKFLOW_PATTERNS.INSTANT_PURCHASE,
+    steps: [
+      { name: 'purchase', timeoutMinutes: 15, retryAttempts: 3 },
+      { name: ' purchase ', timeoutMinutes: 15, retryAttempts: 3 },
+      { name: '', timeoutMinutes: 0, retryAttempts: 11 }
+    ]
+  });
+
+  assert.deepEqual(errors, [
+    'Service 1, Step 2: Duplicate step name "purchase"',
+    'Service 1, Step 3: Step name is required',
+    'Service 1, Step 3: Retry attempts must be between 0 and 10'
+  ]);
+});
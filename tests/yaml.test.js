@@ -0,0 +1,101 @@
+/**
+ * YAML parsing
+ * The subset registrations use: block and flow collections, quoted and plain scalars, block scalars
+ */
+
+import './helpers/browserGlobals.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../assets/js/core/errorHandler.js';
+import { parseYAML, resolveScalar } from '../assets/js/core/yaml.js';
+
+test('plain scalars resolve to null, booleans, numbers or strings', () => {
+  assert.equal(resolveScalar('~'), null);
+  assert.equal(resolveScalar(''), null);
+  assert.equal(resolveScalar('True'), true);
+  assert.equal(resolveScalar('false'), false);
+  assert.equal(resolveScalar('-42'), -42);
+  assert.equal(resolveScalar('2.5e1'), 25);
+  assert.equal(resolveScalar(' 94111-1234 '), '94111-1234');
+});
+
+test('block mappings and sequences nest by indentation', () => {
+  const parsed = parseYAML([
+    '# registration',
+    '---',
+    'business_name: Harbor Bistro',
+    'location:',
+    '  city: San Francisco',
+    '  postal_code: "94111"',
+    'services_config:',
+    '- id: table_booking',
+    '  parameters:',
+    '    - name: party_size',
+    '      required: true',
+    '- id: private_dining   # inline comment',
+    '  tags: [events, "large groups"]',
+    '  pricing: {base: 120, currency: USD}'
+  ].join('\n'));
+
+  assert.deepEqual(parsed, {
+    business_name: 'Harbor Bistro',
+    location: { city: 'San Francisco', postal_code: '94111' },
+    services_config: [
+      { id: 'table_booking', parameters: [{ name: 'party_size', required: true }] },
+      { id: 'private_dining', tags: ['events', 'large groups'], pricing: { base: 120, currency: 'USD' } }
+    ]
+  });
+});
+
+test('quoted scalars keep their text', () => {
+  const parsed = parseYAML([
+    'single: \'it\'\'s # not a comment\'',
+    'double: "line\\nbreak"',
+    '"quoted key": yes'
+  ].join('\n'));
+
+  assert.deepEqual(parsed, {
+    single: 'it\'s # not a comment',
+    double: 'line\nbreak',
+    'quoted key': 'yes'
+  });
+});
+
+test('literal and folded block scalars honour chomping', () => {
+  const parsed = parseYAML([
+    'literal: |',
+    '  first',
+    '  second',
+    'folded: >-',
+    '  one',
+    '  two',
+    '',
+    '  three',
+    'after: end'
+  ].join('\n'));
+
+  assert.deepEqual(parsed, {
+    literal: 'first\nsecond\n',
+    folded: 'one two\nthree',
+    after: 'end'
+  });
+});
+
+test('malformed documents report the line', () => {
+  assert.throws(() => parseYAML('name: a\n\tcity: b'), ValidationError);
+  assert.throws(() => parseYAML('name: "unterminated'), /line 1/);
+  assert.throws(() => parseYAML('name: a\n  - stray'), /line 2: Unexpected content/);
+});
+
+test('__proto__ keys are kept as entries, as JSON.parse keeps them', () => {
+  const block = parseYAML('__proto__:\n  polluted: true\nname: a');
+  const flow = parseYAML('{__proto__: {polluted: true}, name: a}');
+
+  [block, flow].forEach(parsed => {
+    assert.equal(Object.getPrototypeOf(parsed), Object.prototype);
+    assert.deepEqual(Object.keys(parsed), ['__proto__', 'name']);
+    assert.equal(parsed.polluted, undefined);
+    assert.equal(JSON.stringify(parsed), JSON.stringify(JSON.parse('{"__proto__": {"polluted": true}, "name": "a"}')));
+  });
+  assert.equal({}.polluted, undefined);
+});